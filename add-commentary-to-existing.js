@@ -7,9 +7,11 @@
 
 require('dotenv').config();
 const mongoose = require('mongoose');
-const { generateGroqCommentary } = require('./services/aiService');
+const { generateCommentaryWithMeta } = require('./services/aiService');
 const Article = require('./models/article');
 const CacheService = require('./services/cache');
+const auditService = require('./services/auditService');
+const commentaryVersionService = require('./services/db/commentaryVersionService');
 
 async function addCommentaryToExisting() {
   try {
@@ -51,26 +53,30 @@ async function addCommentaryToExisting() {
         console.log(`   Section: ${article.section}`);
 
         // Generate commentary
-        const commentary = await generateGroqCommentary(
+        const generation = await generateCommentaryWithMeta(
           article.title,
           article.abstract || '',
-          article.section
+          article.section,
+          { assignmentKey: article.url || article._id.toString() }
         );
 
-        if (!commentary) {
+        if (!generation.text) {
           console.log(`   ⚠️  Commentary generation returned empty`);
           failed++;
           continue;
         }
 
-        // Update article in DB
-        article.aiCommentary = commentary;
-        article.updatedAt = new Date();
-        await article.save();
+        // Store as a new commentary version (activates it and updates the article)
+        await commentaryVersionService.recordVersion(article._id, {
+          ...generation,
+          source: 'ai',
+          generator: 'script'
+        }, { context: auditService.workerContext('add-commentary-script') });
 
         // Cache the complete article
+        const updated = await Article.findById(article._id);
         const cacheKey = `article:${article.id || article._id}`;
-        await CacheService.set(cacheKey, JSON.stringify(article.toObject()), 1800);
+        await CacheService.set(cacheKey, JSON.stringify(updated.toObject()), 1800);
 
         console.log(`   ✅ Commentary added and cached`);
         processed++;
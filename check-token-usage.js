@@ -1,86 +1,70 @@
 /**
  * Daily Token Usage Monitor
- * 
- * Estimates how many tokens you've used today based on:
- * - Articles in MongoDB with commentary generated today
- * - Temp articles in Redis (homepage cache)
+ *
+ * Reads the persisted token ledger (TokenUsage rollups) and shows:
+ * - Today's and this month's usage by provider / API key / task / section
+ * - Budgets, burn rate and projected exhaustion time
+ * Same data as GET /api/admin/llm/usage and /api/admin/llm/budget
  */
 
 require('dotenv').config();
-const Article = require('./models/article');
-const CacheService = require('./services/cache');
+const tokenLedger = require('./services/llm/tokenLedger');
 const { connectToMongoDB } = require('./config/database');
 
+const formatTime = (date) => (date ? new Date(date).toUTCString() : 'not at the current rate');
+
 async function checkDailyTokenUsage() {
   try {
     console.log('🔌 Connecting to services...\n');
     await connectToMongoDB();
-    
+
     const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    console.log(`📅 Checking usage for: ${today.toDateString()}\n`);
-    
-    // Count articles with commentary generated today
-    const articlesToday = await Article.countDocuments({
-      commentaryGeneratedAt: { $gte: today },
-      aiCommentary: { $exists: true, $ne: null }
+    today.setUTCHours(0, 0, 0, 0);
+    const monthStart = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+
+    console.log(`📅 Checking usage for: ${today.toDateString()} (UTC)\n`);
+
+    const report = await tokenLedger.report();
+    console.log(`💰 Token Usage:`);
+    console.log(`  Today: ${report.totals.today.toLocaleString()} tokens`);
+    console.log(`  This month: ${report.totals.month.toLocaleString()} tokens`);
+    console.log(`  Burn rate: ${report.burnRate.total.toLocaleString()} tokens/hour (last ${report.burnRate.windowHours}h)`);
+
+    // Per API key, today
+    console.log(`\n🔑 By API Key (today):`);
+    const byKey = await tokenLedger.usage({ period: 'day', from: today, groupBy: ['provider', 'keyId'] });
+    byKey.forEach(row => {
+      console.log(`  ${row.keyId}: ${row.totalTokens.toLocaleString()} tokens, ${row.requests} calls (${row.failures} failed)`);
     });
-    
-    console.log(`📊 Articles with commentary generated today: ${articlesToday}`);
-    
-    // Estimate tokens (avg 600 tokens per article)
-    const estimatedTokens = articlesToday * 600;
-    const dailyLimit = 100000;
-    const remaining = dailyLimit - estimatedTokens;
-    const percentUsed = (estimatedTokens / dailyLimit * 100).toFixed(1);
-    
-    console.log(`\n💰 Token Usage Estimate:`);
-    console.log(`  Used: ~${estimatedTokens.toLocaleString()} tokens (${percentUsed}%)`);
-    console.log(`  Remaining: ~${remaining.toLocaleString()} tokens`);
-    console.log(`  Daily Limit: ${dailyLimit.toLocaleString()} tokens/day`);
-    
-    if (remaining < 10000) {
-      console.log(`\n⚠️  WARNING: Less than 10,000 tokens remaining!`);
-      console.log(`   You can generate ~${Math.floor(remaining / 600)} more articles today`);
-    } else {
-      console.log(`\n✅ You can generate ~${Math.floor(remaining / 600)} more articles today`);
+
+    // Per task and section, this month
+    for (const field of ['task', 'model', 'section']) {
+      console.log(`\n📈 By ${field} (this month):`);
+      const rows = await tokenLedger.usage({ period: 'month', from: monthStart, groupBy: [field] });
+      rows.forEach(row => {
+        console.log(`  ${row[field]}: ${row.totalTokens.toLocaleString()} tokens, ${row.requests} calls`);
+      });
     }
-    
-    // Show breakdown by section
-    console.log(`\n📈 Breakdown by Section:`);
-    const sections = await Article.aggregate([
-      {
-        $match: {
-          commentaryGeneratedAt: { $gte: today },
-          aiCommentary: { $exists: true, $ne: null }
-        }
-      },
-      {
-        $group: {
-          _id: '$section',
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { count: -1 } }
-    ]);
-    
-    sections.forEach(s => {
-      console.log(`  ${s._id || 'Unknown'}: ${s.count} articles (~${s.count * 600} tokens)`);
+
+    console.log(`\n🎯 Budgets:`);
+    report.budgets.forEach(budget => {
+      const icon = budget.state === 'pause' ? '⛔' : budget.state === 'throttle' ? '⚠️ ' : '✅';
+      console.log(`  ${icon} ${budget.scope} ${budget.name} ${budget.period}: ${budget.used.toLocaleString()}/${budget.limit.toLocaleString()} (${budget.percentUsed}%) - runs out ${formatTime(budget.projectedExhaustionAt)}, resets ${formatTime(budget.resetsAt)}`);
     });
-    
-    // Tips
-    console.log(`\n💡 Tips to manage token usage:`);
-    console.log(`  1. Use Redis cache (30min) to avoid regenerating`);
-    console.log(`  2. Use browser cache (5min) to reduce API calls`);
-    console.log(`  3. Limit homepage articles to avoid temp IDs`);
-    console.log(`  4. Generate commentary only for viewed articles`);
-    console.log(`  5. Upgrade to Dev Tier for 200k tokens/day`);
-    
-    console.log(`\n🔄 Rate limit resets at: Midnight UTC (${new Date().toUTCString()})`);
-    
+
+    if (report.groqKeys) {
+      const keys = report.groqKeys;
+      console.log(`\n🔀 Groq key pool: ${keys.used.toLocaleString()}/${keys.dailyLimit.toLocaleString()} tokens today (${keys.availableKeys}/${keys.totalKeys} keys available)`);
+      console.log(`  Runs out: ${formatTime(keys.projectedExhaustionAt)}`);
+      if (keys.remaining < 10000) {
+        console.log(`\n⚠️  WARNING: Less than 10,000 tokens remaining!`);
+      }
+    }
+
+    console.log(`\n🔄 Daily budgets and Groq limits reset at midnight UTC`);
+
     process.exit(0);
-    
+
   } catch (error) {
     console.error('❌ Error:', error);
     process.exit(1);
@@ -0,0 +1,68 @@
+/**
+ * TTS Audio Library Settings
+ *
+ * AUDIO_STORAGE picks where rendered audio is kept (one AudioAsset per file):
+ * - local → files in AUDIO_STORAGE_DIR (default cache/audio, /tmp/audio-cache on serverless)
+ * - s3    → any S3-compatible object store: AWS S3, MinIO, R2 (AUDIO_S3_BUCKET,
+ *           AUDIO_S3_REGION, AUDIO_S3_ENDPOINT, AUDIO_S3_ACCESS_KEY_ID, AUDIO_S3_SECRET_ACCESS_KEY)
+ *
+ * Unset, it is s3 when AUDIO_S3_BUCKET is configured, else local.
+ */
+
+const path = require('path');
+
+const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+const BACKENDS = {
+  local: {
+    type: 'local',
+    dir: process.env.AUDIO_STORAGE_DIR || (isServerless ? '/tmp/audio-cache' : path.join(__dirname, '../cache/audio'))
+  },
+  s3: {
+    type: 's3',
+    bucket: process.env.AUDIO_S3_BUCKET || null,
+    region: process.env.AUDIO_S3_REGION || process.env.AWS_REGION || 'us-east-1',
+    // MinIO and most S3-compatible stores: an http(s) endpoint with path-style addressing
+    endpoint: process.env.AUDIO_S3_ENDPOINT || null,
+    forcePathStyle: process.env.AUDIO_S3_FORCE_PATH_STYLE
+      ? process.env.AUDIO_S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.AUDIO_S3_ENDPOINT),
+    prefix: process.env.AUDIO_S3_PREFIX || 'tts/',
+    accessKeyId: process.env.AUDIO_S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID || null,
+    secretAccessKey: process.env.AUDIO_S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY || null,
+    sessionToken: process.env.AUDIO_S3_SESSION_TOKEN || process.env.AWS_SESSION_TOKEN || null,
+    timeoutMs: parseInt(process.env.AUDIO_S3_TIMEOUT_MS, 10) || 30000
+  }
+};
+
+const STORAGE = (process.env.AUDIO_STORAGE || (process.env.AUDIO_S3_BUCKET ? 's3' : 'local')).toLowerCase();
+
+const QUOTA = {
+  // Least recently played audio is evicted above either limit
+  maxBytes: (parseFloat(process.env.AUDIO_MAX_MB) || 2048) * 1024 * 1024,
+  maxAssets: parseInt(process.env.AUDIO_MAX_ASSETS, 10) || 5000
+};
+
+const PRERENDER = {
+  // How often the worker looks for newly commented articles (0 = off)
+  intervalMs: process.env.AUDIO_PRERENDER_INTERVAL_MS !== undefined
+    ? parseInt(process.env.AUDIO_PRERENDER_INTERVAL_MS, 10) || 0
+    : 5 * 60 * 1000,
+  // Commentary generated within this window is pre-rendered
+  lookbackHours: parseInt(process.env.AUDIO_PRERENDER_LOOKBACK_HOURS, 10) || 24,
+  // Renders per run (each spawns the TTS script)
+  batchSize: parseInt(process.env.AUDIO_PRERENDER_BATCH, 10) || 5,
+  // A failed render is retried after this long
+  retryFailedMs: 60 * 60 * 1000
+};
+
+if (!BACKENDS[STORAGE]) {
+  console.error(`❌ Unknown AUDIO_STORAGE "${STORAGE}" - use one of: ${Object.keys(BACKENDS).join(', ')}`);
+}
+
+module.exports = {
+  BACKENDS,
+  STORAGE,
+  QUOTA,
+  PRERENDER
+};
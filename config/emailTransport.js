@@ -0,0 +1,83 @@
+/**
+ * Email Transports and Outbound Queue Settings
+ *
+ * EMAIL_TRANSPORT picks how mail leaves the building:
+ * - smtp → any SMTP server: a relay (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS),
+ *          a local catcher such as Mailpit (SMTP_HOST=localhost SMTP_PORT=1025), or
+ *          Gmail (SMTP_SERVICE=gmail - also the default when only EMAIL_USER and
+ *          EMAIL_APP_PASSWORD are set, as before)
+ * - ses  → the SES v2 HTTP API or anything compatible with it (EMAIL_SES_REGION,
+ *          EMAIL_SES_ACCESS_KEY_ID, EMAIL_SES_SECRET_ACCESS_KEY, EMAIL_SES_ENDPOINT)
+ * - file → writes each message as JSON to EMAIL_FILE_DIR instead of sending (tests)
+ *
+ * Unset, it is smtp when SMTP_HOST or EMAIL_APP_PASSWORD is configured, else file.
+ */
+
+const path = require('path');
+
+const TRANSPORTS = {
+  smtp: {
+    type: 'smtp',
+    service: process.env.SMTP_SERVICE || (!process.env.SMTP_HOST && process.env.EMAIL_APP_PASSWORD ? 'gmail' : null),
+    host: process.env.SMTP_HOST || null,
+    port: parseInt(process.env.SMTP_PORT, 10) || null,
+    // Implicit TLS (465); other ports upgrade with STARTTLS when the server offers it
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : parseInt(process.env.SMTP_PORT, 10) === 465,
+    user: process.env.SMTP_USER || process.env.EMAIL_USER || null,
+    pass: process.env.SMTP_PASS || process.env.EMAIL_APP_PASSWORD || null,
+    timeoutMs: parseInt(process.env.SMTP_TIMEOUT_MS, 10) || 30000
+  },
+  ses: {
+    type: 'ses',
+    region: process.env.EMAIL_SES_REGION || process.env.AWS_REGION || 'us-east-1',
+    endpoint: process.env.EMAIL_SES_ENDPOINT || null,
+    accessKeyId: process.env.EMAIL_SES_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID || null,
+    secretAccessKey: process.env.EMAIL_SES_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY || null,
+    sessionToken: process.env.EMAIL_SES_SESSION_TOKEN || process.env.AWS_SESSION_TOKEN || null,
+    configurationSet: process.env.EMAIL_SES_CONFIGURATION_SET || null,
+    timeoutMs: parseInt(process.env.EMAIL_SES_TIMEOUT_MS, 10) || 30000
+  },
+  file: {
+    type: 'file',
+    dir: process.env.EMAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'outbox')
+  }
+};
+
+const defaultTransport = () => {
+  if (process.env.SMTP_HOST || process.env.EMAIL_APP_PASSWORD) return 'smtp';
+  return 'file';
+};
+
+const TRANSPORT = (process.env.EMAIL_TRANSPORT || defaultTransport()).toLowerCase();
+
+// Sender for every outgoing email
+const EMAIL_FROM = process.env.EMAIL_FROM
+  || (process.env.EMAIL_USER ? `"Forexyy Breaking News" <${process.env.EMAIL_USER}>` : null);
+
+const QUEUE = {
+  // Sends per second from this instance (Gmail allows about 20/s, SES accounts start at 1/s)
+  ratePerSecond: parseFloat(process.env.EMAIL_RATE_PER_SECOND) || 5,
+  // Attempts before a message is given up on
+  maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5,
+  // First retry delay, doubled after every failed attempt
+  retryBaseMs: parseInt(process.env.EMAIL_RETRY_BASE_MS, 10) || 60 * 1000,
+  // A message claimed by a sender is released after this long if it never finishes
+  lockMs: 5 * 60 * 1000
+};
+
+// Soft bounces within BOUNCE_WINDOW_DAYS before an address counts as undeliverable
+const SOFT_BOUNCE_LIMIT = parseInt(process.env.EMAIL_SOFT_BOUNCE_LIMIT, 10) || 3;
+const BOUNCE_WINDOW_DAYS = 30;
+
+if (!TRANSPORTS[TRANSPORT]) {
+  console.error(`❌ Unknown EMAIL_TRANSPORT "${TRANSPORT}" - use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+}
+
+module.exports = {
+  TRANSPORTS,
+  TRANSPORT,
+  EMAIL_FROM,
+  QUEUE,
+  SOFT_BOUNCE_LIMIT,
+  BOUNCE_WINDOW_DAYS
+};
@@ -0,0 +1,95 @@
+/**
+ * Entity Gazetteer
+ *
+ * Known names for the local (no-Groq) entity extractor in
+ * services/entities/ruleExtractor.js. Keys are canonical names, values are
+ * extra spellings matched in article text. Place and organization names are
+ * matched case-sensitively; topic keywords are matched case-insensitively.
+ */
+
+const PLACES = {
+  'United States': ['U.S.', 'US', 'USA', 'America'],
+  'United Kingdom': ['U.K.', 'UK', 'Britain'],
+  'European Union': ['E.U.', 'EU'],
+  China: [], India: [], Russia: [], Ukraine: [], Israel: [], Iran: [], Iraq: [],
+  Syria: [], Lebanon: [], Gaza: [], 'West Bank': [], 'Saudi Arabia': [], Qatar: [],
+  Turkey: [], Egypt: [], Pakistan: [], Afghanistan: [], Japan: [], 'South Korea': [],
+  'North Korea': [], Taiwan: [], Vietnam: [], Indonesia: [], Philippines: [], Australia: [],
+  Canada: [], Mexico: [], Brazil: [], Argentina: [], Venezuela: [], Colombia: [],
+  France: [], Germany: [], Italy: [], Spain: [], Poland: [], Netherlands: [], Sweden: [],
+  Norway: [], Ireland: [], Switzerland: [], Greece: [], Nigeria: [], Kenya: [],
+  'South Africa': [], Ethiopia: [], Sudan: [],
+  'New York': ['New York City', 'N.Y.C.', 'NYC'], Washington: ['Washington, D.C.'],
+  California: [], Texas: [], Florida: [], Georgia: [], Pennsylvania: [], Michigan: [],
+  Arizona: [], Nevada: [], Wisconsin: [], Ohio: [], Illinois: [], Chicago: [],
+  'Los Angeles': [], 'San Francisco': [], London: [], Paris: [], Beijing: [], Moscow: [],
+  Kyiv: ['Kiev'], Tokyo: [], 'Hong Kong': [], Jerusalem: [], Tehran: [], 'New Delhi': [],
+  Mumbai: [], Brussels: [], Berlin: []
+};
+
+const ORGANIZATIONS = {
+  'Federal Reserve': ['the Fed', 'Fed'],
+  'Securities and Exchange Commission': ['S.E.C.', 'SEC'],
+  'Federal Bureau of Investigation': ['F.B.I.', 'FBI'],
+  'Central Intelligence Agency': ['C.I.A.', 'CIA'],
+  'Justice Department': ['Department of Justice', 'DOJ'],
+  Pentagon: ['Defense Department', 'Department of Defense'],
+  'State Department': [],
+  'White House': [],
+  'Supreme Court': [],
+  Congress: [],
+  Senate: [],
+  'House of Representatives': [],
+  'Democratic Party': ['Democrats'],
+  'Republican Party': ['Republicans', 'G.O.P.', 'GOP'],
+  'United Nations': ['U.N.', 'UN'],
+  NATO: [],
+  'World Health Organization': ['W.H.O.', 'WHO'],
+  'International Monetary Fund': ['I.M.F.', 'IMF'],
+  'World Bank': [],
+  'European Central Bank': ['E.C.B.', 'ECB'],
+  OPEC: [],
+  Hamas: [],
+  Hezbollah: [],
+  Apple: [], Microsoft: [], Google: ['Alphabet'], Amazon: [], Meta: ['Facebook'],
+  Tesla: [], Nvidia: [], OpenAI: [], Anthropic: [], Netflix: [], Disney: [], Boeing: [],
+  Intel: [], 'Goldman Sachs': [], 'JPMorgan Chase': ['JPMorgan'], 'Bank of America': [],
+  TikTok: [], SpaceX: [], Walmart: [],
+  NFL: [], NBA: [], MLB: [], FIFA: [], 'International Olympic Committee': ['I.O.C.', 'IOC']
+};
+
+const TOPICS = {
+  Inflation: ['inflation', 'consumer prices', 'cost of living'],
+  'Interest Rates': ['interest rate', 'rate cut', 'rate hike', 'borrowing costs'],
+  'Stock Market': ['stock market', 'stocks', 'wall street', 's&p 500', 'nasdaq', 'dow jones'],
+  'Artificial Intelligence': ['artificial intelligence', 'a.i.', 'chatbot', 'machine learning', 'generative ai'],
+  Cryptocurrency: ['bitcoin', 'crypto', 'cryptocurrency', 'ethereum'],
+  'Climate Change': ['climate change', 'global warming', 'emissions', 'heat wave'],
+  Elections: ['election', 'primary', 'ballot', 'voters', 'campaign'],
+  Immigration: ['immigration', 'migrants', 'border', 'deportation', 'asylum'],
+  'Trade and Tariffs': ['tariff', 'trade war', 'exports', 'imports'],
+  'Public Health': ['vaccine', 'outbreak', 'pandemic', 'virus', 'public health'],
+  'War and Conflict': ['war', 'airstrike', 'ceasefire', 'invasion', 'troops'],
+  'Labor and Jobs': ['unemployment', 'jobs report', 'layoffs', 'strike', 'labor market'],
+  Housing: ['housing', 'mortgage', 'home prices', 'rent'],
+  Energy: ['oil prices', 'natural gas', 'renewable', 'solar', 'energy prices'],
+  Cybersecurity: ['cyberattack', 'hackers', 'ransomware', 'data breach'],
+  'Space Exploration': ['nasa', 'rocket', 'spacecraft', 'moon', 'mars'],
+  Courts: ['lawsuit', 'indictment', 'trial', 'verdict', 'ruling']
+};
+
+// Words that introduce a person's name: "Senator Jane Doe", "Chief Executive Sam Altman"
+const PERSON_TITLES = [
+  'President', 'Vice President', 'Former President', 'Prime Minister', 'Chancellor',
+  'Senator', 'Sen.', 'Representative', 'Rep.', 'Governor', 'Gov.', 'Mayor', 'Speaker',
+  'Secretary', 'Minister', 'Ambassador', 'Judge', 'Justice', 'General', 'Gen.',
+  'Chief Executive', 'CEO', 'Chairman', 'Chairwoman', 'Chair', 'Director', 'Coach',
+  'Dr.', 'Mr.', 'Ms.', 'Mrs.'
+];
+
+module.exports = {
+  PLACES,
+  ORGANIZATIONS,
+  TOPICS,
+  PERSON_TITLES
+};
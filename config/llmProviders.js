@@ -0,0 +1,126 @@
+/**
+ * LLM Providers and Task Routing
+ *
+ * Providers (each is skipped when it is not configured):
+ * - groq   → Groq, rotating over GROQ_API_KEY … GROQ_API_KEY_6 (groqLoadBalancer)
+ * - openai → any OpenAI-compatible endpoint (LLM_OPENAI_BASE_URL + LLM_OPENAI_API_KEY)
+ * - local  → a local OpenAI-compatible server such as llama.cpp or Ollama (LLM_LOCAL_BASE_URL)
+ * - mock   → canned responses, no network (testing)
+ *
+ * Each task has a fallback chain: the next provider is tried when one errors
+ * or runs out of quota. An entry's model replaces the model the caller asked
+ * for (prompt templates name Groq models), so every non-Groq entry needs one
+ * or falls back to the provider's default model.
+ *
+ * Override with LLM_ROUTES_JSON='{"commentary":[{"provider":"local","model":"qwen2.5:7b"},"groq"]}' (merged per task).
+ * LLM_FORCE_PROVIDER=mock sends every task to a single provider.
+ */
+
+const PROVIDERS = {
+  groq: {
+    type: 'groq'
+  },
+  openai: {
+    type: 'openai-compatible',
+    baseURL: process.env.LLM_OPENAI_BASE_URL || null,
+    apiKey: process.env.LLM_OPENAI_API_KEY || null,
+    defaultModel: process.env.LLM_OPENAI_MODEL || 'gpt-4o-mini',
+    timeoutMs: parseInt(process.env.LLM_OPENAI_TIMEOUT_MS, 10) || 30000
+  },
+  local: {
+    type: 'openai-compatible',
+    baseURL: process.env.LLM_LOCAL_BASE_URL || null,
+    apiKey: process.env.LLM_LOCAL_API_KEY || null,
+    defaultModel: process.env.LLM_LOCAL_MODEL || 'llama3.1:8b',
+    // CPU inference is slow
+    timeoutMs: parseInt(process.env.LLM_LOCAL_TIMEOUT_MS, 10) || 120000
+  },
+  mock: {
+    type: 'mock',
+    latencyMs: parseInt(process.env.LLM_MOCK_LATENCY_MS, 10) || 0,
+    // 'rate_limit' | 'error' - makes the mock fail, to exercise fallback chains
+    failWith: process.env.LLM_MOCK_FAIL || null
+  }
+};
+
+const DEFAULT_CHAIN = [
+  { provider: 'groq' },
+  { provider: 'openai' },
+  { provider: 'local' }
+];
+
+const DEFAULT_ROUTES = {
+  commentary: DEFAULT_CHAIN,
+  'reddit-commentary': DEFAULT_CHAIN,
+  'tts-script': DEFAULT_CHAIN,
+  entities: [
+    { provider: 'groq', model: 'llama-3.1-8b-instant' },
+    { provider: 'local' }
+  ],
+  'topic-summary': [
+    { provider: 'groq', model: 'llama-3.3-70b-versatile' },
+    { provider: 'openai' },
+    { provider: 'local' }
+  ],
+  // Small models garble Indic scripts - translation needs the larger one
+  translation: [
+    { provider: 'groq', model: 'llama-3.3-70b-versatile' },
+    { provider: 'openai' },
+    { provider: 'local' }
+  ],
+  default: DEFAULT_CHAIN
+};
+
+// How long a provider is skipped after a rate-limit / quota / connection error
+const COOLDOWN_MS = parseInt(process.env.LLM_PROVIDER_COOLDOWN_MS, 10) || 60000;
+
+// "groq" is shorthand for { provider: "groq" }
+const normalizeChain = (task, chain) => {
+  if (!Array.isArray(chain)) {
+    console.error(`❌ Ignoring LLM route for ${task} (expected an array)`);
+    return null;
+  }
+  const entries = chain
+    .map(entry => (typeof entry === 'string' ? { provider: entry } : entry))
+    .filter(entry => {
+      if (entry && PROVIDERS[entry.provider]) return true;
+      console.error(`❌ Ignoring unknown LLM provider in ${task} route:`, JSON.stringify(entry));
+      return false;
+    });
+  return entries.length > 0 ? entries : null;
+};
+
+const loadOverrides = () => {
+  if (!process.env.LLM_ROUTES_JSON) return {};
+  try {
+    const overrides = JSON.parse(process.env.LLM_ROUTES_JSON);
+    return Object.fromEntries(Object.entries(overrides)
+      .map(([task, chain]) => [task, normalizeChain(task, chain)])
+      .filter(([, chain]) => chain));
+  } catch (error) {
+    console.error('❌ Invalid LLM_ROUTES_JSON, using defaults:', error.message);
+    return {};
+  }
+};
+
+const buildRoutes = () => {
+  const forced = process.env.LLM_FORCE_PROVIDER;
+  if (forced) {
+    if (PROVIDERS[forced]) {
+      return { default: [{ provider: forced }] };
+    }
+    console.error(`❌ Ignoring LLM_FORCE_PROVIDER "${forced}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return { ...DEFAULT_ROUTES, ...loadOverrides() };
+};
+
+const routes = buildRoutes();
+
+const routeFor = (task) => routes[task] || routes.default || DEFAULT_CHAIN;
+
+module.exports = {
+  PROVIDERS,
+  COOLDOWN_MS,
+  routes,
+  routeFor
+};
@@ -0,0 +1,171 @@
+/**
+ * Locales
+ *
+ * Articles arrive (and commentary is generated) in DEFAULT_LOCALE. Titles,
+ * abstracts and commentary are translated into each enabled target locale and
+ * served with ?lang= or Accept-Language.
+ *
+ * Enable targets with TRANSLATION_LOCALES=hi,bn,ta (default: hi).
+ * Override TTS voices with LOCALE_VOICES_JSON='{"hi":"hi-IN-MadhurNeural"}'.
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+// headings: the commentary's three section headings (see services/ai/commentaryValidator.js)
+// voice: edge-tts neural voice for /api/tts/speak
+const LOCALES = {
+  en: {
+    name: 'English',
+    nativeName: 'English',
+    ogLocale: 'en_US',
+    voice: 'en-US-AriaNeural',
+    headings: ['Key Points', 'Impact Analysis', 'Future Outlook'],
+    signOff: 'That wraps up this report.'
+  },
+  hi: {
+    name: 'Hindi',
+    nativeName: 'हिन्दी',
+    ogLocale: 'hi_IN',
+    voice: 'hi-IN-SwaraNeural',
+    headings: ['मुख्य बिंदु', 'प्रभाव विश्लेषण', 'भविष्य का दृष्टिकोण'],
+    signOff: 'यह थी आज की रिपोर्ट।'
+  },
+  bn: {
+    name: 'Bengali',
+    nativeName: 'বাংলা',
+    ogLocale: 'bn_IN',
+    voice: 'bn-IN-TanishaaNeural',
+    headings: ['মূল বিষয়', 'প্রভাব বিশ্লেষণ', 'ভবিষ্যতের দৃষ্টিভঙ্গি'],
+    signOff: 'এই ছিল আজকের প্রতিবেদন।'
+  },
+  ta: {
+    name: 'Tamil',
+    nativeName: 'தமிழ்',
+    ogLocale: 'ta_IN',
+    voice: 'ta-IN-PallaviNeural',
+    headings: ['முக்கிய அம்சங்கள்', 'தாக்க பகுப்பாய்வு', 'எதிர்காலக் கண்ணோட்டம்'],
+    signOff: 'இத்துடன் இந்த அறிக்கை நிறைவடைகிறது.'
+  },
+  te: {
+    name: 'Telugu',
+    nativeName: 'తెలుగు',
+    ogLocale: 'te_IN',
+    voice: 'te-IN-ShrutiNeural',
+    headings: ['ముఖ్యాంశాలు', 'ప్రభావ విశ్లేషణ', 'భవిష్యత్ దృక్పథం'],
+    signOff: 'ఈ నివేదిక ఇంతటితో ముగిసింది.'
+  },
+  mr: {
+    name: 'Marathi',
+    nativeName: 'मराठी',
+    ogLocale: 'mr_IN',
+    voice: 'mr-IN-AarohiNeural',
+    headings: ['मुख्य मुद्दे', 'परिणाम विश्लेषण', 'भविष्यातील दृष्टिकोन'],
+    signOff: 'हा होता आजचा अहवाल.'
+  },
+  gu: {
+    name: 'Gujarati',
+    nativeName: 'ગુજરાતી',
+    ogLocale: 'gu_IN',
+    voice: 'gu-IN-DhwaniNeural',
+    headings: ['મુખ્ય મુદ્દા', 'અસર વિશ્લેષણ', 'ભાવિ દૃષ્ટિકોણ'],
+    signOff: 'આ સાથે અહેવાલ પૂર્ણ થાય છે.'
+  },
+  kn: {
+    name: 'Kannada',
+    nativeName: 'ಕನ್ನಡ',
+    ogLocale: 'kn_IN',
+    voice: 'kn-IN-SapnaNeural',
+    headings: ['ಮುಖ್ಯ ಅಂಶಗಳು', 'ಪರಿಣಾಮ ವಿಶ್ಲೇಷಣೆ', 'ಭವಿಷ್ಯದ ದೃಷ್ಟಿಕೋನ'],
+    signOff: 'ಇದರೊಂದಿಗೆ ಈ ವರದಿ ಮುಕ್ತಾಯವಾಗುತ್ತದೆ.'
+  },
+  ml: {
+    name: 'Malayalam',
+    nativeName: 'മലയാളം',
+    ogLocale: 'ml_IN',
+    voice: 'ml-IN-SobhanaNeural',
+    headings: ['പ്രധാന കാര്യങ്ങൾ', 'സ്വാധീന വിശകലനം', 'ഭാവി കാഴ്ചപ്പാട്'],
+    signOff: 'ഈ റിപ്പോർട്ട് ഇവിടെ അവസാനിക്കുന്നു.'
+  },
+  ur: {
+    name: 'Urdu',
+    nativeName: 'اردو',
+    ogLocale: 'ur_IN',
+    voice: 'ur-IN-GulNeural',
+    headings: ['اہم نکات', 'اثرات کا تجزیہ', 'مستقبل کا منظرنامہ'],
+    signOff: 'یہ تھی آج کی رپورٹ۔',
+    dir: 'rtl'
+  }
+};
+
+const loadTargets = () => {
+  const requested = (process.env.TRANSLATION_LOCALES || 'hi')
+    .split(',')
+    .map(code => code.trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(requested)].filter(code => {
+    if (code === DEFAULT_LOCALE) return false;
+    if (LOCALES[code]) return true;
+    console.error(`❌ Ignoring translation locale "${code}" (supported: ${Object.keys(LOCALES).join(', ')})`);
+    return false;
+  });
+};
+
+const loadVoiceOverrides = () => {
+  if (!process.env.LOCALE_VOICES_JSON) return {};
+  try {
+    return JSON.parse(process.env.LOCALE_VOICES_JSON);
+  } catch (error) {
+    console.error('❌ Invalid LOCALE_VOICES_JSON, using default voices:', error.message);
+    return {};
+  }
+};
+
+const TARGET_LOCALES = loadTargets();
+const ENABLED_LOCALES = [DEFAULT_LOCALE, ...TARGET_LOCALES];
+const voiceOverrides = loadVoiceOverrides();
+
+/**
+ * 'hi-IN' / 'HI' → 'hi' if enabled, otherwise null
+ */
+const normalizeLocale = (code) => {
+  const base = String(code || '').trim().toLowerCase().split(/[-_]/)[0];
+  return ENABLED_LOCALES.includes(base) ? base : null;
+};
+
+/**
+ * Pick the response locale: an explicit ?lang= wins, then the best
+ * Accept-Language match (by q-value), then DEFAULT_LOCALE
+ */
+const negotiateLocale = (lang, acceptLanguage) => {
+  const explicit = normalizeLocale(lang);
+  if (explicit) return explicit;
+
+  const ranked = String(acceptLanguage || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { tag, q: q ? parseFloat(q.slice(2)) || 0 : 1, index };
+    })
+    .filter(entry => entry.tag && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const entry of ranked) {
+    const match = normalizeLocale(entry.tag);
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+};
+
+const voiceFor = (locale) => voiceOverrides[locale] || (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).voice;
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  TARGET_LOCALES,
+  ENABLED_LOCALES,
+  normalizeLocale,
+  negotiateLocale,
+  voiceFor
+};
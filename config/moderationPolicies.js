@@ -0,0 +1,63 @@
+/**
+ * Commentary Moderation Policies
+ *
+ * Per-section policy for newly generated commentary:
+ * - 'review'       → pending_review until an editor approves it
+ * - 'auto_publish' → auto_published immediately
+ *
+ * Fallback and pre-moderation (legacy) commentary is always auto-published;
+ * commentary that fails the quality gate always goes to review.
+ *
+ * Override with MODERATION_POLICIES_JSON='{"world":"review","health":"auto_publish"}' (merged per section).
+ */
+
+const DEFAULT_POLICY = 'auto_publish';
+
+const DEFAULT_SECTION_POLICIES = {
+  politics: 'review',
+  health: 'review'
+};
+
+const POLICIES = ['review', 'auto_publish'];
+
+// Moderation states and the transitions an editor may make
+const STATES = ['pending_review', 'approved', 'rejected', 'auto_published'];
+const TRANSITIONS = {
+  pending_review: ['approved', 'rejected'],
+  auto_published: ['rejected'],
+  approved: ['rejected'],
+  rejected: ['approved']
+};
+const PUBLISHABLE_STATES = ['approved', 'auto_published'];
+
+const loadOverrides = () => {
+  if (!process.env.MODERATION_POLICIES_JSON) return {};
+  try {
+    const overrides = JSON.parse(process.env.MODERATION_POLICIES_JSON);
+    return Object.fromEntries(Object.entries(overrides).filter(([section, policy]) => {
+      if (POLICIES.includes(policy)) return true;
+      console.error(`❌ Ignoring moderation policy "${policy}" for ${section} (expected ${POLICIES.join(' or ')})`);
+      return false;
+    }));
+  } catch (error) {
+    console.error('❌ Invalid MODERATION_POLICIES_JSON, using defaults:', error.message);
+    return {};
+  }
+};
+
+const sectionPolicies = {
+  ...DEFAULT_SECTION_POLICIES,
+  ...loadOverrides()
+};
+
+const policyFor = (section) => sectionPolicies[String(section || '').toLowerCase()] || DEFAULT_POLICY;
+
+module.exports = {
+  DEFAULT_POLICY,
+  STATES,
+  TRANSITIONS,
+  PUBLISHABLE_STATES,
+  sectionPolicies,
+  policyFor,
+  requiresReview: (section) => policyFor(section) === 'review'
+};
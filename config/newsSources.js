@@ -0,0 +1,42 @@
+/**
+ * News Source Configuration
+ *
+ * Maps each section to an ordered list of providers (see services/providers).
+ * The first provider is primary; the rest are tried in order when it fails,
+ * returns nothing or has exhausted its quota.
+ *
+ * Override with NEWS_SOURCES_JSON='{"sports":["newsdata","nyt"]}' (merged per section).
+ */
+
+const DEFAULT_SECTION_PROVIDERS = {
+  world: ['nyt', 'newsdata'],
+  us: ['nyt', 'newsdata'],
+  politics: ['nyt', 'newsdata'],
+  business: ['nyt', 'newsdata'],
+  technology: ['nyt', 'newsdata'],
+  health: ['nyt', 'newsdata'],
+  sports: ['newsdata'],
+  entertainment: ['newsdata'],
+  finance: ['newsdata']
+};
+
+const loadOverrides = () => {
+  if (!process.env.NEWS_SOURCES_JSON) return {};
+  try {
+    return JSON.parse(process.env.NEWS_SOURCES_JSON);
+  } catch (error) {
+    console.error('❌ Invalid NEWS_SOURCES_JSON, using defaults:', error.message);
+    return {};
+  }
+};
+
+const sectionProviders = {
+  ...DEFAULT_SECTION_PROVIDERS,
+  ...loadOverrides()
+};
+
+module.exports = {
+  // Rotation order follows declaration order
+  sections: Object.keys(sectionProviders),
+  sectionProviders
+};
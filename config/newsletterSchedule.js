@@ -0,0 +1,78 @@
+/**
+ * Newsletter Scheduling
+ *
+ * Each subscriber has their own next due time (Subscriber.nextDueAt), computed in
+ * their timezone from preferences.frequency:
+ * - hourly → the top of every local hour
+ * - daily  → every day at preferences.sendHour (default DEFAULT_SEND_HOUR) local time
+ * - weekly → every preferences.sendDay (0 = Sunday, default DEFAULT_SEND_DAY) at sendHour
+ *
+ * The scheduler runs every WINDOW_MINUTES (the Vercel cron) and sends to everyone
+ * due by then, one send window (NewsletterHistory) per planned time.
+ */
+
+// Local hour for daily and weekly newsletters
+const DEFAULT_SEND_HOUR = Math.min(Math.max(parseInt(process.env.NEWSLETTER_SEND_HOUR, 10) || 8, 0), 23);
+// Weekday for weekly newsletters (0 = Sunday ... 6 = Saturday)
+const DEFAULT_SEND_DAY = (() => {
+  const day = parseInt(process.env.NEWSLETTER_SEND_DAY, 10);
+  return day >= 0 && day <= 6 ? day : 1;
+})();
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+// How often the scheduler runs - subscribers due before the next run are sent now
+const WINDOW_MINUTES = parseInt(process.env.NEWSLETTER_WINDOW_MINUTES, 10) || 60;
+// Cron jobs can fire a little early - sends planned this soon after a run still go out in it
+const EARLY_MINUTES = 5;
+
+// A send missed by more than this (e.g. after downtime) is skipped rather than sent late,
+// and the subscriber moves to their next slot. Several missed slots are only ever sent once.
+const DEFAULT_CATCH_UP_HOURS = {
+  hourly: 1,
+  daily: 6,
+  weekly: 24
+};
+
+const FREQUENCIES = {
+  hourly: { articles: 3, lookbackHours: 24 },
+  daily: { articles: 5, lookbackHours: 48 },
+  weekly: { articles: 8, lookbackHours: 7 * 24 }
+};
+
+// Subscribers per run (the rest are picked up, late, by the next one)
+const MAX_PER_RUN = parseInt(process.env.NEWSLETTER_MAX_PER_RUN, 10) || 500;
+const BATCH_SIZE = 10;
+
+/**
+ * Merge NEWSLETTER_CATCH_UP_HOURS_JSON ({"daily": 12}) over the defaults
+ */
+const loadCatchUpHours = () => {
+  const catchUp = { ...DEFAULT_CATCH_UP_HOURS };
+  if (!process.env.NEWSLETTER_CATCH_UP_HOURS_JSON) return catchUp;
+
+  try {
+    const overrides = JSON.parse(process.env.NEWSLETTER_CATCH_UP_HOURS_JSON);
+    for (const [frequency, hours] of Object.entries(overrides)) {
+      if (!FREQUENCIES[frequency] || typeof hours !== 'number' || hours < 0) {
+        console.error(`❌ Ignoring newsletter catch-up entry "${frequency}" - expected a frequency and a number of hours`);
+        continue;
+      }
+      catchUp[frequency] = hours;
+    }
+  } catch (error) {
+    console.error('❌ Invalid NEWSLETTER_CATCH_UP_HOURS_JSON:', error.message);
+  }
+  return catchUp;
+};
+
+module.exports = {
+  DEFAULT_SEND_HOUR,
+  DEFAULT_SEND_DAY,
+  DEFAULT_TIMEZONE,
+  WINDOW_MINUTES,
+  EARLY_MINUTES,
+  CATCH_UP_HOURS: loadCatchUpHours(),
+  FREQUENCIES,
+  MAX_PER_RUN,
+  BATCH_SIZE
+};
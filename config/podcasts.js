@@ -0,0 +1,73 @@
+/**
+ * Daily Audio Briefings (podcast)
+ *
+ * Once a day (PODCAST_CRON in PODCAST_TIMEZONE) each section in PODCAST_SECTIONS
+ * gets a 5-10 minute briefing read by its anchor (services/ai/textToSpeechService.js)
+ * from the top commented articles of the last LOOKBACK_HOURS. Episodes are
+ * published at /podcast/:section.xml (iTunes-compatible RSS).
+ *
+ * PODCAST_CRON=off turns the schedule off (episodes can still be generated from
+ * POST /api/admin/audio/podcasts/generate).
+ */
+
+const newsSources = require('./newsSources');
+
+const DEFAULT_SECTIONS = ['world', 'business', 'technology', 'sports', 'entertainment'];
+
+const loadSections = () => {
+  if (!process.env.PODCAST_SECTIONS) return DEFAULT_SECTIONS;
+
+  const sections = process.env.PODCAST_SECTIONS.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  return sections.filter(section => {
+    if (newsSources.sections.includes(section)) return true;
+    console.error(`❌ Ignoring podcast section "${section}" - not one of: ${newsSources.sections.join(', ')}`);
+    return false;
+  });
+};
+
+const loadTimezone = () => {
+  const timezone = process.env.PODCAST_TIMEZONE || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return timezone;
+  } catch (error) {
+    console.error(`❌ Invalid PODCAST_TIMEZONE "${timezone}", using UTC`);
+    return 'UTC';
+  }
+};
+
+const PODCAST = {
+  sections: loadSections(),
+  // node-cron expression, or "off"
+  cron: process.env.PODCAST_CRON || '0 6 * * *',
+  // Episode dates and the cron schedule are in this timezone
+  timezone: loadTimezone(),
+  // Articles commented within this window are candidates
+  lookbackHours: parseInt(process.env.PODCAST_LOOKBACK_HOURS, 10) || 24,
+  // Fewer candidates than minStories → no episode that day
+  minStories: 3,
+  maxStories: parseInt(process.env.PODCAST_MAX_STORIES, 10) || 8,
+  // Target length - the script is cut to fit at WORDS_PER_MINUTE (as in estimateDuration)
+  minMinutes: 5,
+  maxMinutes: 10,
+  wordsPerMinute: 130,
+  // Episodes kept per section (older ones and their audio are deleted)
+  keepEpisodes: parseInt(process.env.PODCAST_KEEP_EPISODES, 10) || 30
+};
+
+// Channel metadata for the podcast RSS (iTunes tags)
+const SHOW = {
+  title: process.env.PODCAST_TITLE || 'Forexyy Daily Briefing',
+  author: process.env.PODCAST_AUTHOR || 'Forexyy',
+  ownerEmail: process.env.PODCAST_OWNER_EMAIL || 'podcast@forexyy.com',
+  imageUrl: process.env.PODCAST_IMAGE_URL || 'https://forexyy.com/podcast-cover.jpg',
+  category: 'News',
+  subcategory: 'Daily News',
+  explicit: false,
+  language: 'en'
+};
+
+module.exports = {
+  PODCAST,
+  SHOW
+};
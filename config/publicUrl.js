@@ -0,0 +1,55 @@
+/**
+ * Public URL of this API
+ *
+ * Feeds and podcasts embed absolute links back to the API (audio enclosures,
+ * chapters, self links) and are cached for every reader, so the base URL must
+ * never come from an arbitrary client Host header.
+ *
+ * - BACKEND_URL        → always used when set (production)
+ * - PUBLIC_API_HOSTS   → unset, requests to these hosts use their own Host
+ *                        (default localhost, 127.0.0.1); any other host falls
+ *                        back to http://localhost:$PORT
+ */
+
+const parseBaseUrl = (value) => {
+  if (!value) return null;
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('not http(s)');
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+  } catch (error) {
+    console.error(`❌ Invalid BACKEND_URL "${value}" - expected an http(s) URL`);
+    return null;
+  }
+};
+
+const PUBLIC_API_URL = parseBaseUrl(process.env.BACKEND_URL);
+
+const ALLOWED_HOSTS = (process.env.PUBLIC_API_HOSTS || 'localhost,127.0.0.1')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const FALLBACK_URL = `http://localhost:${process.env.PORT || 3001}`;
+
+/**
+ * Base URL for absolute links in a response
+ * @param {Object} req - Express request
+ * @returns {string} e.g. https://api.forexyy.com (no trailing slash)
+ */
+function apiUrlFor(req) {
+  if (PUBLIC_API_URL) return PUBLIC_API_URL;
+
+  // host[:port], checked as sent - not through X-Forwarded-Host
+  const match = /^([a-z0-9.-]+)(:\d{1,5})?$/i.exec(req.get('host') || '');
+  if (match && ALLOWED_HOSTS.includes(match[1].toLowerCase())) {
+    return `${req.protocol}://${match[0]}`;
+  }
+  return FALLBACK_URL;
+}
+
+module.exports = {
+  PUBLIC_API_URL,
+  ALLOWED_HOSTS,
+  apiUrlFor
+};
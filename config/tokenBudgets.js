@@ -0,0 +1,77 @@
+/**
+ * LLM Token Budgets
+ *
+ * Daily / monthly token limits per task type and per section, checked by the
+ * commentary queue before it calls the LLM:
+ * - usage ≥ THROTTLE_AT × limit → throttled: only jobs at priority ≤ THROTTLE_MAX_PRIORITY
+ *   (user requests, breaking news) run, the rest are delayed
+ * - usage ≥ limit               → paused: jobs wait until the period resets (UTC)
+ *
+ * Override with TOKEN_BUDGETS_JSON='{"tasks":{"commentary":{"daily":200000}},"sections":{"politics":{"daily":30000}}}'
+ * (merged per task / section; a limit of null removes it).
+ */
+
+const DEFAULT_BUDGETS = {
+  tasks: {
+    commentary: { daily: 400000, monthly: 10000000 },
+    entities: { daily: 60000 },
+    'topic-summary': { daily: 40000 },
+    translation: { daily: 200000 }
+  },
+  sections: {}
+};
+
+const THROTTLE_AT = parseFloat(process.env.TOKEN_BUDGET_THROTTLE_AT) || 0.8;
+const THROTTLE_MAX_PRIORITY = parseInt(process.env.TOKEN_BUDGET_THROTTLE_MAX_PRIORITY, 10) || 1;
+const THROTTLE_DELAY_MS = parseInt(process.env.TOKEN_BUDGET_THROTTLE_DELAY_MS, 10) || 15 * 60 * 1000;
+
+const PERIODS = ['daily', 'monthly'];
+
+const validLimits = (scope, name, limits) => {
+  if (!limits || typeof limits !== 'object') {
+    console.error(`❌ Ignoring token budget for ${scope} ${name} (expected { daily, monthly })`);
+    return null;
+  }
+  return Object.fromEntries(Object.entries(limits).filter(([period, limit]) => {
+    if (PERIODS.includes(period) && (limit === null || (Number.isFinite(limit) && limit > 0))) return true;
+    console.error(`❌ Ignoring ${period} token budget ${limit} for ${scope} ${name}`);
+    return false;
+  }));
+};
+
+const loadOverrides = () => {
+  if (!process.env.TOKEN_BUDGETS_JSON) return {};
+  try {
+    return JSON.parse(process.env.TOKEN_BUDGETS_JSON);
+  } catch (error) {
+    console.error('❌ Invalid TOKEN_BUDGETS_JSON, using defaults:', error.message);
+    return {};
+  }
+};
+
+const mergeScope = (scope, defaults, overrides = {}) => {
+  const merged = { ...defaults };
+  for (const [name, limits] of Object.entries(overrides || {})) {
+    const valid = validLimits(scope, name, limits);
+    if (valid) merged[name] = { ...merged[name], ...valid };
+  }
+  // Drop limits explicitly set to null
+  return Object.fromEntries(Object.entries(merged)
+    .map(([name, limits]) => [name, Object.fromEntries(Object.entries(limits).filter(([, limit]) => limit))])
+    .filter(([, limits]) => Object.keys(limits).length > 0));
+};
+
+const overrides = loadOverrides();
+
+const budgets = {
+  tasks: mergeScope('task', DEFAULT_BUDGETS.tasks, overrides.tasks),
+  sections: mergeScope('section', DEFAULT_BUDGETS.sections, overrides.sections)
+};
+
+module.exports = {
+  PERIODS,
+  THROTTLE_AT,
+  THROTTLE_MAX_PRIORITY,
+  THROTTLE_DELAY_MS,
+  budgets
+};
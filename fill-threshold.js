@@ -1,6 +1,7 @@
 const { connectToMongoDB } = require('./config/database');
 const Article = require('./models/article');
 const articleFetcherService = require('./services/db/articleFetcherService');
+const providerRegistry = require('./services/providers');
 const thresholdService = require('./services/db/thresholdService');
 
 const THRESHOLD = 8;
@@ -84,12 +85,11 @@ async function fillThreshold() {
     console.log(`\n🎯 Priority order (fewest articles first):`);
     sectionsNeedingArticles.forEach(s => console.log(`   ${s.section}: ${s.current}/8`));
     
-    // Separate NYT and newsdata.io sections (already sorted by priority)
-    const nytSections = ['world', 'us', 'politics', 'business', 'technology', 'health'];
-    const newsdataSections = ['entertainment', 'finance', 'sports'];
+    // Split by primary provider (already sorted by priority) - see config/newsSources.js
+    const primaryProvider = (section) => providerRegistry.getProvidersForSection(section)[0]?.name;
     
-    const nytNeeded = sectionsNeedingArticles.filter(s => nytSections.includes(s.section));
-    const newsdataNeeded = sectionsNeedingArticles.filter(s => newsdataSections.includes(s.section));
+    const nytNeeded = sectionsNeedingArticles.filter(s => primaryProvider(s.section) === 'nyt');
+    const newsdataNeeded = sectionsNeedingArticles.filter(s => primaryProvider(s.section) !== 'nyt');
     
     console.log(`\n🎯 NYT sections needing articles: ${nytNeeded.length}`);
     console.log(`🎯 newsdata.io sections needing articles: ${newsdataNeeded.length}`);
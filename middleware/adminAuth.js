@@ -0,0 +1,57 @@
+/**
+ * 🔐 Admin Auth Middleware
+ * Guards destructive/operational routes with role-based API keys or session tokens.
+ *
+ * Credentials are read from `Authorization: Bearer <key|token>` or `X-API-Key`.
+ */
+
+const adminAuthService = require('../services/adminAuthService');
+
+function extractCredential(req) {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7).trim();
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Require the caller to hold at least the given role
+ * @param {string} role - 'viewer' | 'editor' | 'operator'
+ * @returns {Function} Express middleware
+ */
+function requireRole(role) {
+  return async (req, res, next) => {
+    try {
+      const principal = await adminAuthService.authenticate(extractCredential(req));
+
+      if (!principal) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required'
+        });
+      }
+
+      if (!adminAuthService.hasRole(principal.role, role)) {
+        console.warn(`🚫 ${principal.name} (${principal.role}) denied ${req.method} ${req.originalUrl} - requires ${role}`);
+        return res.status(403).json({
+          success: false,
+          error: `Insufficient role: ${role} required`
+        });
+      }
+
+      // Attribute every privileged call to a principal
+      req.principal = principal;
+      console.log(`🔐 ${principal.name} (${principal.role}) ${req.method} ${req.originalUrl}`);
+      next();
+    } catch (error) {
+      console.error('❌ Admin auth error:', error.message);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+module.exports = {
+  requireRole,
+  extractCredential
+};
@@ -4,6 +4,7 @@
  */
 
 const NodeCache = require('node-cache');
+const { listingCacheKey } = require('../services/db/pagination');
 let redisClient = null;
 
 // Try to initialize Redis if available
@@ -307,10 +308,10 @@ class AdvancedCache {
   }
 
   /**
-   * Get cache key for articles
+   * Get cache key for articles (cursor/fields pages share the listing key scheme)
    */
-  getArticleKey(category = 'home', limit = 20, offset = 0) {
-    return `articles:${category}:${limit}:${offset}`;
+  getArticleKey(category = 'home', limit = 20, offset = 0, options = {}) {
+    return listingCacheKey(category, limit, offset, options);
   }
 
   /**
@@ -0,0 +1,19 @@
+/**
+ * Locale negotiation
+ *
+ * Sets req.locale from ?lang= or Accept-Language (see config/locales.js) and
+ * the Content-Language / Vary headers, so caches keep one copy per language.
+ */
+
+const { negotiateLocale } = require('../config/locales');
+
+const negotiate = (req, res, next) => {
+  req.locale = negotiateLocale(req.query.lang, req.get('accept-language'));
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = {
+  negotiateLocale: negotiate
+};
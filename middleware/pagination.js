@@ -0,0 +1,69 @@
+/**
+ * Pagination middleware for article listings
+ *
+ * Parses ?limit, ?cursor, ?offset/?skip and ?fields into req.pagination
+ * (400 on a malformed cursor or unknown field) and sets Link / X-Next-Cursor headers.
+ */
+
+const { ALLOWED_FIELDS, decodeCursor, parseFields } = require('../services/db/pagination');
+const { apiUrlFor } = require('../config/publicUrl');
+
+/**
+ * @param {Object} options - { defaultLimit, maxLimit }
+ */
+const paginate = ({ defaultLimit = 20, maxLimit = 100 } = {}) => (req, res, next) => {
+  const { cursor, fields, limit, offset, skip } = req.query;
+
+  if (cursor && !decodeCursor(cursor)) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  const projection = parseFields(fields);
+  if (projection.invalid.length > 0) {
+    return res.status(400).json({
+      error: `Unknown fields: ${projection.invalid.join(', ')}`,
+      allowedFields: ALLOWED_FIELDS
+    });
+  }
+
+  req.pagination = {
+    limit: Math.min(Math.max(parseInt(limit) || defaultLimit, 1), maxLimit),
+    offset: cursor ? 0 : Math.max(parseInt(offset !== undefined ? offset : skip) || 0, 0),
+    cursor: cursor || null,
+    projection: projection.projection,
+    fields: projection.fields
+  };
+  next();
+};
+
+/**
+ * Set RFC 8288 Link (first/next) and X-Next-Cursor headers, keeping other query params
+ * @param {Object} req - Express request (after paginate())
+ * @param {Object} res - Express response
+ * @param {string|null} nextCursor
+ */
+const setPaginationHeaders = (req, res, nextCursor) => {
+  // Cacheable responses - never trust the client's Host header (config/publicUrl.js)
+  const baseUrl = `${apiUrlFor(req)}${req.baseUrl}${req.path}`;
+  const pageUrl = (cursor) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(req.query)) {
+      if (!['cursor', 'offset', 'skip'].includes(key) && typeof value === 'string') params.set(key, value);
+    }
+    params.set('limit', String(req.pagination.limit));
+    if (cursor) params.set('cursor', cursor);
+    return `${baseUrl}?${params.toString()}`;
+  };
+
+  const links = [`<${pageUrl(null)}>; rel="first"`];
+  if (nextCursor) {
+    links.push(`<${pageUrl(nextCursor)}>; rel="next"`);
+    res.set('X-Next-Cursor', nextCursor);
+  }
+  res.set('Link', links.join(', '));
+};
+
+module.exports = {
+  paginate,
+  setPaginationHeaders
+};
@@ -0,0 +1,65 @@
+/**
+ * Reader identification for personalization
+ *
+ * Sets req.reader = { visitorId, subscriberToken, isNew, trackingAllowed }:
+ * - visitorId: first-party id from the X-Visitor-Id header, ?vid= (audio elements
+ *   can't send headers) or the fy_vid cookie; identifyReader({ assign: true })
+ *   issues a new one and returns it in X-Visitor-Id and the cookie
+ * - subscriberToken: newsletter subscriber's unsubscribeToken (X-Subscriber-Token or ?st=)
+ * - trackingAllowed: false when the browser sends DNT: 1 or Sec-GPC: 1
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const COOKIE_NAME = 'fy_vid';
+const COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+const VISITOR_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+const readCookie = (req, name) => {
+  const match = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match.slice(1).join('='));
+  } catch {
+    // Malformed percent-encoding - no usable visitor id
+    return null;
+  }
+};
+
+const validId = (value) => (typeof value === 'string' && VISITOR_ID_PATTERN.test(value) ? value : null);
+
+/**
+ * @param {Object} options - { assign: issue a visitor id when the request has none }
+ */
+const identifyReader = ({ assign = false } = {}) => (req, res, next) => {
+  let visitorId = validId(req.get('x-visitor-id')) || validId(req.query.vid) || validId(readCookie(req, COOKIE_NAME));
+  const isNew = !visitorId && assign;
+
+  if (isNew) {
+    visitorId = uuidv4();
+    res.cookie(COOKIE_NAME, visitorId, {
+      maxAge: COOKIE_MAX_AGE_MS,
+      sameSite: 'lax',
+      secure: req.secure,
+      httpOnly: false
+    });
+  }
+  if (visitorId) res.set('X-Visitor-Id', visitorId);
+
+  const subscriberToken = req.get('x-subscriber-token') || req.query.st || null;
+
+  req.reader = {
+    visitorId,
+    subscriberToken: typeof subscriberToken === 'string' ? subscriberToken : null,
+    isNew,
+    trackingAllowed: req.get('dnt') !== '1' && req.get('sec-gpc') !== '1'
+  };
+  next();
+};
+
+module.exports = {
+  identifyReader
+};
@@ -36,9 +36,16 @@ const allUsersSchema = new mongoose.Schema({
   subscriptionHistory: [{
     action: {
       type: String,
-      enum: ['subscribe', 'unsubscribe'],
+      // subscribe: requested (reason awaiting_confirmation with double opt-in), confirm: link followed,
+      // expire: never confirmed, deactivate: switched off after bounces or a spam complaint,
+      // preferences / pause / resume: changed in the preference center
+      enum: ['subscribe', 'confirm', 'expire', 'unsubscribe', 'deactivate', 'preferences', 'pause', 'resume'],
       required: true
     },
+    reason: {
+      type: String,
+      default: null
+    },
     timestamp: {
       type: Date,
       default: Date.now
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+  // Human-readable label (e.g. "render-ops", "editor-jane")
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Principal the key is issued to - every privileged call is attributed to this
+  principal: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['viewer', 'editor', 'operator'],
+    default: 'viewer'
+  },
+  // SHA-256 of the full key - the plaintext key is only shown once at creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, safe to display in listings
+  prefix: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries (keyHash already has unique index)
+apiKeySchema.index({ revokedAt: 1 });
+apiKeySchema.index({ principal: 1 });
+
+apiKeySchema.methods.isUsable = function() {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt.getTime() <= Date.now()) return false;
+  return true;
+};
+
+// Never leak the hash in API responses
+apiKeySchema.methods.toSafeJSON = function() {
+  return {
+    id: this._id.toString(),
+    name: this.name,
+    principal: this.principal,
+    role: this.role,
+    prefix: this.prefix,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    revokedBy: this.revokedBy,
+    lastUsedAt: this.lastUsedAt
+  };
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const articleTranslationSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  // Target locale code (see config/locales.js)
+  locale: {
+    type: String,
+    required: true
+  },
+  title: String,
+  abstract: String,
+  // Translation of the article's public commentary, if it had any
+  aiCommentary: String,
+  // Hashes of the source text it was translated from - a mismatch with the article means it is stale
+  sourceHash: {
+    type: String,
+    required: true
+  },
+  commentaryHash: String,
+  status: {
+    type: String,
+    enum: ['ready', 'failed'],
+    default: 'ready'
+  },
+  error: String,
+  provider: String,
+  model: String,
+  tokenUsage: {
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 }
+  },
+  translatedAt: Date
+}, {
+  timestamps: true
+});
+
+articleTranslationSchema.index({ article: 1, locale: 1 }, { unique: true });
+articleTranslationSchema.index({ status: 1, updatedAt: 1 });
+// Articles expire after 7 days - translations go with them
+articleTranslationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 14 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ArticleTranslation', articleTranslationSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * Rendered TTS audio (services/audio). One document per audioId - the hash
+ * of the script and voice - pointing at the file in the configured storage.
+ * lastAccessedAt drives LRU eviction when the library is over its quota.
+ */
+const audioAssetSchema = new mongoose.Schema({
+  audioId: {
+    type: String,
+    required: true
+  },
+  // md5 of the spoken script (the same script in another voice is another asset)
+  scriptHash: {
+    type: String,
+    required: true
+  },
+  voice: {
+    type: String,
+    required: true
+  },
+  // Set for article audio (/api/tts/stream/:articleId, feeds); null for /api/tts/prepare text
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    default: null
+  },
+  // rendering: claimed by a renderer | ready: stored | failed: retried after a while
+  status: {
+    type: String,
+    enum: ['rendering', 'ready', 'failed'],
+    default: 'rendering'
+  },
+  storage: {
+    type: String,
+    default: null
+  },
+  key: {
+    type: String,
+    default: null
+  },
+  contentType: {
+    type: String,
+    default: 'audio/mpeg'
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  // Seconds
+  duration: {
+    type: Number,
+    default: null
+  },
+  scriptLength: Number,
+  // Word timings for captions, seconds from the start (not loaded unless selected with +words)
+  words: {
+    type: [{
+      _id: false,
+      text: String,
+      start: Number,
+      end: Number
+    }],
+    select: false,
+    default: undefined
+  },
+  // tts: the TTS engine's word boundaries | estimated: spread over the duration
+  wordTimingSource: {
+    type: String,
+    default: null
+  },
+  // prerender | prepare | stream
+  source: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  renderMs: Number,
+  plays: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+audioAssetSchema.index({ audioId: 1 }, { unique: true });
+audioAssetSchema.index({ status: 1, lastAccessedAt: 1 }); // LRU eviction
+audioAssetSchema.index({ article: 1 }, { partialFilterExpression: { article: { $type: 'objectId' } } });
+
+module.exports = mongoose.model('AudioAsset', audioAssetSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // e.g. article.create, article.update, article.delete, article.bulk_delete,
+  // subscriber.subscribe, subscriber.unsubscribe, cache.clear
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: ['article', 'subscriber', 'cache', 'commentary'],
+    required: true
+  },
+  // Article _id/url, subscriber email or cache pattern
+  entityId: {
+    type: String,
+    default: null
+  },
+  // Who did it - admin principal, worker name or 'anonymous' for public routes
+  actor: {
+    type: String,
+    default: 'system'
+  },
+  actorType: {
+    type: String,
+    enum: ['api-key', 'session', 'bootstrap', 'cron', 'public', 'worker', 'system'],
+    default: 'system'
+  },
+  // Where it happened - "DELETE /api/articles" or "worker:ai-commentary"
+  source: {
+    type: String,
+    default: 'unknown'
+  },
+  // Changed fields only: { field: { before, after } }
+  diff: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for the /api/audit filters
+auditLogSchema.index({ entityType: 1, entityId: 1, timestamp: -1 });
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+
+// Keep 90 days of audit history (also serves plain timestamp sorts)
+auditLogSchema.index({ timestamp: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60, name: 'audit_ttl' });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
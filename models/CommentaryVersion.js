@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const commentaryVersionSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  // 1, 2, 3... per article
+  version: {
+    type: Number,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  // Where the text came from: Groq, the static fallback, another cluster member, an older cache entry or a reviewer's edit
+  source: {
+    type: String,
+    enum: ['ai', 'fallback', 'cluster', 'cache', 'legacy', 'edited'],
+    default: 'ai'
+  },
+  // What triggered it: queue worker, article fetcher, maintenance script, admin request
+  generator: {
+    type: String,
+    enum: ['worker', 'fetcher', 'script', 'manual', 'legacy'],
+    required: true
+  },
+  // LLM provider that served it (groq, openai, local, mock)
+  provider: String,
+  model: String,
+  promptTemplateId: String,
+  tokenUsage: {
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 }
+  },
+  latencyMs: Number,
+  // Audit actor that created it (worker name or admin principal)
+  createdBy: {
+    type: String,
+    default: 'system'
+  },
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  activatedAt: Date,
+  // Quality gate result (see services/ai/commentaryValidator.js); attempts > 1 = stricter retry was needed
+  quality: {
+    passed: Boolean,
+    attempts: Number,
+    failures: [{
+      _id: false,
+      check: String,
+      message: String
+    }]
+  },
+  // Moderation state (see config/moderationPolicies.js)
+  moderationStatus: {
+    type: String,
+    enum: ['pending_review', 'approved', 'rejected', 'auto_published'],
+    default: 'auto_published'
+  },
+  moderatedBy: String,
+  moderatedAt: Date,
+  moderationNote: String,
+  // Reader engagement while this version was active (prompt A/B comparison)
+  engagement: {
+    views: { type: Number, default: 0 },
+    listens: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+commentaryVersionSchema.index({ article: 1, version: -1 }, { unique: true });
+commentaryVersionSchema.index({ promptTemplateId: 1, createdAt: -1 });
+commentaryVersionSchema.index({ moderationStatus: 1, createdAt: 1 }, { partialFilterExpression: { moderationStatus: 'pending_review' } });
+// Articles expire after 7 days - keep their history a while longer for audits
+commentaryVersionSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('CommentaryVersion', commentaryVersionSchema);
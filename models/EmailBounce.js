@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * A bounce or spam complaint for an address, from a provider webhook, a
+ * DSN (delivery status notification) or an SMTP rejection at send time
+ */
+const emailBounceSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['bounce', 'complaint'],
+    required: true
+  },
+  // Hard bounce: the address doesn't exist / can't ever receive mail
+  permanent: {
+    type: Boolean,
+    default: false
+  },
+  // Enhanced status code (5.1.1) and the receiving server's explanation
+  status: {
+    type: String,
+    default: null
+  },
+  diagnosticCode: {
+    type: String,
+    default: null
+  },
+  // Complaints: abuse | fraud | not-spam | ... (ARF Feedback-Type)
+  feedbackType: {
+    type: String,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['webhook', 'ses', 'dsn', 'smtp'],
+    required: true
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  outboundEmail: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutboundEmail',
+    default: null
+  },
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber',
+    default: null
+  },
+  // Nothing more is sent to the address while it has a suppressing bounce
+  // (cleared when the address subscribes again)
+  suppressed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+emailBounceSchema.index({ email: 1, createdAt: -1 });
+emailBounceSchema.index({ email: 1, suppressed: 1 });
+emailBounceSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('EmailBounce', emailBounceSchema);
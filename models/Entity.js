@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const entitySchema = new mongoose.Schema({
+  // Display name after normalization ("Powell, Jerome H" -> "Jerome Powell")
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['person', 'organization', 'place', 'topic'],
+    required: true
+  },
+  // Raw spellings seen in facets / extractor output
+  aliases: [String],
+  articleCount: {
+    type: Number,
+    default: 0
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Rolling AI summary of recent coverage (see services/entities/entityService.js)
+  summary: {
+    type: String,
+    trim: true
+  },
+  summaryUpdatedAt: Date,
+  summaryArticleCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+entitySchema.index({ type: 1, articleCount: -1 }); // Topic listings
+// Articles expire after 7 days - keep entities (and their summaries) for 30 days after last mention
+entitySchema.index({ lastSeenAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Entity', entitySchema);
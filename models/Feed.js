@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const feedSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Section the feed's articles are filed under (world, business, ...)
+  section: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Value stored in Article.source (defaults to the feed name)
+  source: {
+    type: String,
+    trim: true
+  },
+  pollIntervalMinutes: {
+    type: Number,
+    default: 30,
+    min: 5
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Conditional GET validators from the last 200 response
+  etag: {
+    type: String,
+    default: null
+  },
+  lastModified: {
+    type: String,
+    default: null
+  },
+  lastFetchedAt: {
+    type: Date,
+    default: null
+  },
+  lastSuccessAt: {
+    type: Date,
+    default: null
+  },
+  nextPollAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Error backoff - poll interval doubles per consecutive failure (capped)
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  lastStatus: {
+    type: Number,
+    default: null
+  },
+  lastItemCount: {
+    type: Number,
+    default: 0
+  },
+  totalIngested: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the poll scheduler (url already has unique index)
+feedSchema.index({ isActive: 1, nextPollAt: 1 });
+feedSchema.index({ section: 1 });
+
+module.exports = mongoose.model('Feed', feedSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * One newsletter open (tracking pixel load) or click (tracked link),
+ * per subscriber, newsletter and article
+ */
+const newsletterEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['open', 'click'],
+    required: true
+  },
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber',
+    required: true
+  },
+  // Subscriber.newsletterHistory[].newsletterId of the email
+  newsletterId: {
+    type: String,
+    required: true
+  },
+  // The NewsletterHistory run the email was sent in (null for one-off sends)
+  history: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NewsletterHistory',
+    default: null
+  },
+  // Clicks only
+  articleId: {
+    type: String,
+    default: null
+  },
+  url: {
+    type: String,
+    default: null
+  },
+  // First open of the email / first click on the link by this subscriber
+  unique: {
+    type: Boolean,
+    default: false
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+newsletterEventSchema.index({ history: 1, type: 1 });
+newsletterEventSchema.index({ subscriber: 1, newsletterId: 1, type: 1 });
+newsletterEventSchema.index({ articleId: 1, type: 1 });
+// Raw events are kept for 6 months - NewsletterHistory keeps the totals
+newsletterEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('NewsletterEvent', newsletterEventSchema);
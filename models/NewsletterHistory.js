@@ -1,12 +1,22 @@
 const mongoose = require('mongoose');
 
 const newsletterHistorySchema = new mongoose.Schema({
-  // Scheduling information
+  // Scheduling information - one run per send window: scheduledTime is the planned
+  // time, startedTime when sending actually began
   scheduledTime: {
     type: Date,
     required: true,
     default: Date.now
   },
+  startedTime: {
+    type: Date,
+    default: null
+  },
+  // startedTime - scheduledTime (late runs, e.g. after downtime)
+  delayMs: {
+    type: Number,
+    default: null
+  },
   completedTime: {
     type: Date,
     default: null
@@ -34,6 +44,24 @@ const newsletterHistorySchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Waiting for a retry in the outbound queue (moved to sent/failed when it finishes)
+  emailsQueued: {
+    type: Number,
+    default: 0
+  },
+  // Not sent because the window was missed by more than the catch-up limit
+  emailsMissed: {
+    type: Number,
+    default: 0
+  },
+  frequencies: {
+    type: [String],
+    default: []
+  },
+  timeZones: {
+    type: [String],
+    default: []
+  },
   
   // Articles sent in this batch
   articlesSent: [{
@@ -89,6 +117,17 @@ const newsletterHistorySchema = new mongoose.Schema({
   serverVersion: {
     type: String,
     default: null
+  },
+
+  // Engagement from the tracking pixel and tracked links
+  // (emails to subscribers who opted out of tracking aren't counted)
+  engagement: {
+    tracked: { type: Number, default: 0 },      // Emails sent with tracking
+    opens: { type: Number, default: 0 },        // Pixel loads
+    uniqueOpens: { type: Number, default: 0 },  // Emails opened (pixel or a click)
+    clicks: { type: Number, default: 0 },       // Tracked link clicks
+    uniqueClicks: { type: Number, default: 0 }, // Emails with at least one click
+    lastEventAt: { type: Date, default: null }
   }
 }, {
   timestamps: true
@@ -104,19 +143,28 @@ newsletterHistorySchema.index({ 'articlesSent.articleId': 1 });
 newsletterHistorySchema.methods.markAsStarted = function() {
   this.status = 'sending';
   this.completedTime = null;
+  this.startedTime = new Date();
+  this.delayMs = Math.max(this.startedTime - this.scheduledTime, 0);
   return this.save();
 };
 
 newsletterHistorySchema.methods.markAsCompleted = function(results) {
   this.status = 'completed';
   this.completedTime = new Date();
-  this.executionDuration = this.completedTime - this.scheduledTime;
+  this.executionDuration = this.completedTime - (this.startedTime || this.scheduledTime);
   
   if (results) {
     this.emailsSent = results.successCount || 0;
     this.emailsFailed = results.errorCount || 0;
     this.emailsSkipped = results.skippedCount || 0;
-    this.totalSubscribers = (this.emailsSent + this.emailsFailed + this.emailsSkipped);
+    this.emailsQueued = results.queuedCount || 0;
+    this.emailsMissed = results.missedCount || 0;
+    this.totalSubscribers = (this.emailsSent + this.emailsFailed + this.emailsSkipped + this.emailsQueued + this.emailsMissed);
+
+    // Nothing went out because the whole window was missed
+    if (this.emailsMissed > 0 && this.emailsMissed === this.totalSubscribers) {
+      this.status = 'skipped';
+    }
   }
   
   return this.save();
@@ -125,7 +173,7 @@ newsletterHistorySchema.methods.markAsCompleted = function(results) {
 newsletterHistorySchema.methods.markAsFailed = function(error) {
   this.status = 'failed';
   this.completedTime = new Date();
-  this.executionDuration = this.completedTime - this.scheduledTime;
+  this.executionDuration = this.completedTime - (this.startedTime || this.scheduledTime);
   
   if (error) {
     this.errorMessages.push({
@@ -181,6 +229,9 @@ newsletterHistorySchema.statics.getSchedulingStats = function() {
         totalRuns: { $sum: 1 },
         avgEmailsSent: { $avg: '$emailsSent' },
         avgDuration: { $avg: '$executionDuration' },
+        avgDelayMs: { $avg: '$delayMs' },
+        maxDelayMs: { $max: '$delayMs' },
+        totalMissed: { $sum: '$emailsMissed' },
         successRate: {
           $avg: {
             $cond: [{ $eq: ['$status', 'completed'] }, 1, 0]
@@ -192,4 +243,58 @@ newsletterHistorySchema.statics.getSchedulingStats = function() {
   ]);
 };
 
+/**
+ * Open rate, click rate and top-clicked articles for one run or the last N days
+ * @param {Object} options - { historyId } or { days } (default 7)
+ * @returns {Promise<Object>} { runs, tracked, opens, uniqueOpens, clicks, uniqueClicks, openRate, clickRate, clickToOpenRate, topArticles }
+ */
+newsletterHistorySchema.statics.getEngagementStats = async function({ historyId = null, days = 7 } = {}) {
+  const match = historyId
+    ? { _id: new mongoose.Types.ObjectId(String(historyId)) }
+    : { createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } };
+
+  const runs = await this.find(match).select('engagement articlesSent').lean();
+  const totals = runs.reduce((sum, run) => {
+    for (const key of ['tracked', 'opens', 'uniqueOpens', 'clicks', 'uniqueClicks']) {
+      sum[key] += run.engagement?.[key] || 0;
+    }
+    return sum;
+  }, { tracked: 0, opens: 0, uniqueOpens: 0, clicks: 0, uniqueClicks: 0 });
+
+  const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+  // Per-article clicks come from the raw events (kept for 6 months)
+  const NewsletterEvent = mongoose.model('NewsletterEvent');
+  const clicked = runs.length === 0 ? [] : await NewsletterEvent.aggregate([
+    { $match: { history: { $in: runs.map(run => run._id) }, type: 'click', articleId: { $ne: null } } },
+    {
+      $group: {
+        _id: '$articleId',
+        clicks: { $sum: 1 },
+        uniqueClicks: { $sum: { $cond: ['$unique', 1, 0] } }
+      }
+    },
+    { $sort: { uniqueClicks: -1, clicks: -1 } },
+    { $limit: 10 }
+  ]);
+
+  const sentArticles = new Map();
+  runs.forEach(run => (run.articlesSent || []).forEach(article => sentArticles.set(String(article.articleId), article)));
+
+  return {
+    runs: runs.length,
+    ...totals,
+    openRate: rate(totals.uniqueOpens, totals.tracked),
+    clickRate: rate(totals.uniqueClicks, totals.tracked),
+    clickToOpenRate: rate(totals.uniqueClicks, totals.uniqueOpens),
+    topArticles: clicked.map(entry => ({
+      articleId: entry._id,
+      title: sentArticles.get(entry._id)?.title || null,
+      section: sentArticles.get(entry._id)?.section || null,
+      clicks: entry.clicks,
+      uniqueClicks: entry.uniqueClicks
+    }))
+  };
+};
+
 module.exports = mongoose.model('NewsletterHistory', newsletterHistorySchema);
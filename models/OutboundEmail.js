@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+/**
+ * Outbound email queue (services/email/outboundQueue.js). One document per
+ * message; idempotencyKey makes enqueueing the same message twice a no-op.
+ */
+const outboundEmailSchema = new mongoose.Schema({
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+  // newsletter | welcome | confirmation | test | transactional
+  category: {
+    type: String,
+    default: 'transactional'
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  from: {
+    type: String,
+    default: null
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: String,
+  text: String,
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Our Message-ID header - DSNs quote it back
+  messageId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed', 'suppressed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Claimed by a sender until then
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  transport: {
+    type: String,
+    default: null
+  },
+  // Id the transport gave the message (SES MessageId, SMTP queue id)
+  providerMessageId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+
+  // Newsletter bookkeeping, updated when the message is finally sent or given up on
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber',
+    default: null
+  },
+  newsletterId: {
+    type: String,
+    default: null
+  },
+  history: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NewsletterHistory',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+outboundEmailSchema.index({ idempotencyKey: 1 }, { unique: true });
+outboundEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundEmailSchema.index({ messageId: 1 });
+outboundEmailSchema.index({ providerMessageId: 1 }, { partialFilterExpression: { providerMessageId: { $type: 'string' } } });
+// Bodies are large - keep a month of messages
+outboundEmailSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('OutboundEmail', outboundEmailSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * A daily audio briefing for one section (services/podcast). The MP3 - all
+ * segments joined, with ID3 chapters - is kept in the audio library's storage
+ * under `key`; chapters and show notes are published in /podcast/:section.xml.
+ */
+const podcastEpisodeSchema = new mongoose.Schema({
+  section: {
+    type: String,
+    required: true
+  },
+  // YYYY-MM-DD in PODCAST_TIMEZONE - one episode per section and day
+  date: {
+    type: String,
+    required: true
+  },
+  // rendering: claimed by a renderer | ready: published | failed: retried on the next run
+  status: {
+    type: String,
+    enum: ['rendering', 'ready', 'failed'],
+    default: 'rendering'
+  },
+  // Set while a renderer has the episode - a published one stays ready while it is re-rendered
+  renderingSince: {
+    type: Date,
+    default: null
+  },
+  title: String,
+  // Plain-text summary (itunes:summary) and HTML show notes linking the articles
+  description: String,
+  showNotes: String,
+  anchor: {
+    name: String,
+    genre: String,
+    voice: String
+  },
+  articles: [{
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article'
+    },
+    title: String,
+    link: String
+  }],
+  // Start / end in seconds from the start of the episode
+  chapters: [{
+    _id: false,
+    title: String,
+    start: Number,
+    end: Number,
+    link: String
+  }],
+  storage: {
+    type: String,
+    default: null
+  },
+  key: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  // Seconds
+  duration: {
+    type: Number,
+    default: null
+  },
+  scriptWords: Number,
+  renderMs: Number,
+  error: {
+    type: String,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+podcastEpisodeSchema.index({ section: 1, date: 1 }, { unique: true });
+podcastEpisodeSchema.index({ section: 1, status: 1, publishedAt: -1 }); // Feed
+
+module.exports = mongoose.model('PodcastEpisode', podcastEpisodeSchema);
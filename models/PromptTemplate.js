@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const promptTemplateSchema = new mongoose.Schema({
+  // What the prompt is for: commentary, reddit-commentary, tts-script
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // A/B variant name, unique across keys (e.g. forexyy-3-section)
+  variant: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^[a-z0-9-]+$/
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // `${variant}-v${version}` - recorded on every CommentaryVersion
+  templateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  system: {
+    type: String,
+    default: ''
+  },
+  user: {
+    type: String,
+    required: true
+  },
+  // Names of the {{placeholders}} - all must be supplied when rendering
+  variables: [String],
+  model: String,
+  temperature: {
+    type: Number,
+    min: 0,
+    max: 2
+  },
+  maxTokens: {
+    type: Number,
+    min: 1
+  },
+  // Sections this version overrides; empty = default for every section
+  sections: [String],
+  // Relative A/B traffic share among active variants for the same key/sections
+  weight: {
+    type: Number,
+    default: 100,
+    min: 0
+  },
+  // draft → active → archived (older versions of an edited variant are archived)
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'archived'],
+    default: 'draft'
+  },
+  createdBy: {
+    type: String,
+    default: 'system'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+promptTemplateSchema.index({ key: 1, status: 1 });
+promptTemplateSchema.index({ variant: 1, version: -1 });
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const readingProfileSchema = new mongoose.Schema({
+  // First-party id of an anonymous reader (X-Visitor-Id header, fy_vid cookie or ?vid=)
+  visitorId: String,
+  // Set once a newsletter subscriber is identified - their signals from any device land here
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber'
+  },
+  // Interest scores per section / entity slug. Stored scaled to a fixed epoch so
+  // signals can be $inc'ed atomically and still decay (see readingProfileService)
+  sections: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  entities: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  // Signal counts by type
+  signals: {
+    view: { type: Number, default: 0 },
+    listen: { type: Number, default: 0 },
+    dwell: { type: Number, default: 0 },
+    newsletter_click: { type: Number, default: 0 }
+  },
+  // Most recent articles read, newest last - left out of the feed
+  recentArticles: {
+    type: [String],
+    default: []
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+readingProfileSchema.index({ visitorId: 1 }, { unique: true, partialFilterExpression: { visitorId: { $type: 'string' } } });
+readingProfileSchema.index({ subscriber: 1 }, { unique: true, partialFilterExpression: { subscriber: { $type: 'objectId' } } });
+// Forget readers who haven't been back for 6 months
+readingProfileSchema.index({ lastSeenAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ReadingProfile', readingProfileSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const storyClusterSchema = new mongoose.Schema({
+  // Article shown on the homepage/feeds and the one commentary is generated for
+  canonicalArticle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  articles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article'
+  }],
+  // Distinct Article.source values covering the story (nytimes, newsdata, feed names)
+  sources: [String],
+  title: {
+    type: String,
+    trim: true
+  },
+  section: {
+    type: String,
+    trim: true
+  },
+  lastArticleAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+storyClusterSchema.index({ canonicalArticle: 1 });
+// Member articles expire after 7 days - drop clusters a day later
+storyClusterSchema.index({ lastArticleAt: 1 }, { expireAfterSeconds: 8 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('StoryCluster', storyClusterSchema);
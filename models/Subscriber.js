@@ -35,12 +35,52 @@ const subscriberSchema = new mongoose.Schema({
       type: String,
       default: 'hourly',
       enum: ['hourly', 'daily', 'weekly']
+    },
+    // Local send time for daily / weekly newsletters (null = config/newsletterSchedule.js defaults)
+    sendHour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: null
+    },
+    sendDay: {
+      type: Number, // 0 = Sunday
+      min: 0,
+      max: 6,
+      default: null
     }
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Double opt-in: pending subscribers are inactive until they follow the confirmation link
+  // (subscribers from before double opt-in count as confirmed)
+  confirmationStatus: {
+    type: String,
+    enum: ['pending', 'confirmed'],
+    default: 'confirmed'
+  },
+  confirmation: {
+    requestedAt: { type: Date, default: null },
+    sentAt: { type: Date, default: null },      // Last confirmation email (first or reminder)
+    reminders: { type: Number, default: 0 },
+    confirmedAt: { type: Date, default: null }
+  },
+  // Delivery paused from the preference center until this date
+  pausedUntil: {
+    type: Date,
+    default: null
+  },
+  // Set when the subscription was switched off for them (hard_bounce | complaint | soft_bounce_limit)
+  deactivatedReason: {
+    type: String,
+    default: null
+  },
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
   subscribedAt: {
     type: Date,
     default: Date.now
@@ -53,6 +93,11 @@ const subscriberSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Next planned newsletter (services/newsletterScheduleService.js), null until first scheduled
+  nextDueAt: {
+    type: Date,
+    default: null
+  },
   sentArticleIds: {
     type: [String],
     default: []
@@ -72,13 +117,38 @@ const subscriberSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['sent', 'failed', 'skipped'],
+      // queued: first attempt failed, the outbound queue is retrying
+      enum: ['sent', 'queued', 'failed', 'skipped'],
       required: true
     },
     errorMessage: {
       type: String,
       default: null
-    }
+    },
+    // The send window it was planned for (sentAt is when it actually went out)
+    plannedFor: {
+      type: Date,
+      default: null
+    },
+    // Engagement (newsletter tracking pixel and links)
+    historyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    tracked: {
+      type: Boolean,
+      default: false
+    },
+    opens: {
+      type: Number,
+      default: 0
+    },
+    clicks: {
+      type: Number,
+      default: 0
+    },
+    firstOpenedAt: Date,
+    lastClickedAt: Date
   }],
   unsubscribeToken: {
     type: String,
@@ -88,6 +158,11 @@ const subscriberSchema = new mongoose.Schema({
   timezone: {
     type: String,
     default: 'America/New_York'
+  },
+  // Privacy: no tracking pixel or tracked links in this subscriber's emails
+  trackingOptOut: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
@@ -95,5 +170,7 @@ const subscriberSchema = new mongoose.Schema({
 
 // Index for faster queries (email and unsubscribeToken already have unique indexes)
 subscriberSchema.index({ isActive: 1 });
+subscriberSchema.index({ isActive: 1, nextDueAt: 1 }); // Due subscribers per send window
+subscriberSchema.index({ confirmationStatus: 1, 'confirmation.requestedAt': 1 }, { partialFilterExpression: { confirmationStatus: 'pending' } }); // Reminders and expiry
 
 module.exports = mongoose.model('Subscriber', subscriberSchema);
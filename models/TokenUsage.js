@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * LLM token usage rollups - one document per period bucket and
+ * provider / API key / model / task / section, incremented on every call
+ */
+const tokenUsageSchema = new mongoose.Schema({
+  period: {
+    type: String,
+    enum: ['hour', 'day', 'month'],
+    required: true
+  },
+  // Start of the bucket (UTC)
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // Which API key served it ('groq:2'); the provider name for single-key providers
+  keyId: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    default: 'unknown'
+  },
+  task: {
+    type: String,
+    default: 'default'
+  },
+  section: {
+    type: String,
+    default: 'none'
+  },
+  requests: { type: Number, default: 0 },
+  failures: { type: Number, default: 0 },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  // Hourly buckets only feed burn rates and are dropped after a week
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+tokenUsageSchema.index(
+  { period: 1, periodStart: 1, provider: 1, keyId: 1, model: 1, task: 1, section: 1 },
+  { unique: true }
+);
+tokenUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('TokenUsage', tokenUsageSchema);
@@ -58,6 +58,44 @@ const ArticleSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Active commentary version (see services/db/commentaryVersionService.js)
+  commentaryVersion: Number,
+  commentarySource: String,
+  commentaryGeneratedAt: Date,
+  commentaryPinned: {
+    type: Boolean,
+    default: false // Pinned versions are not replaced by automatic regeneration
+  },
+  // Moderation state of aiCommentary (see config/moderationPolicies.js); unset = pre-moderation, public
+  commentaryStatus: {
+    type: String,
+    enum: ['pending_review', 'approved', 'rejected', 'auto_published']
+  },
+  // A newer version is waiting for an editor - automatic regeneration skips the article meanwhile
+  commentaryPendingReview: {
+    type: Boolean,
+    default: false
+  },
+  // Near-duplicate clustering (see services/db/storyClusterService.js)
+  fingerprint: {
+    type: [Number], // MinHash signature of title + abstract
+    select: false
+  },
+  clusterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoryCluster',
+    default: null
+  },
+  isClusterCanonical: {
+    type: Boolean,
+    default: true
+  },
+  // Entity slugs from the facets (see services/entities/entityService.js)
+  entities: [String],
+  entitiesExtractedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -75,10 +113,26 @@ ArticleSchema.pre('save', function(next) {
 });
 
 // Add indexes for performance optimization
-ArticleSchema.index({ section: 1, publishedDate: -1 }); // Category filtering and sorting
-ArticleSchema.index({ publishedDate: -1 }); // Latest articles
+ArticleSchema.index({ section: 1, publishedDate: -1, _id: -1 }); // Category filtering and cursor pagination
+ArticleSchema.index({ publishedDate: -1, _id: -1 }); // Latest articles / cursor pagination
 ArticleSchema.index({ url: 1 }, { unique: true }); // Deduplication
-ArticleSchema.index({ title: 'text', content: 'text', section: 'text' }); // Full-text search
+ArticleSchema.index({ clusterId: 1 }); // Cluster member lookups
+ArticleSchema.index({ entities: 1, publishedDate: -1, _id: -1 }); // Topic page timelines
+// Full-text search (services/search) - MongoDB allows a single text index per collection
+ArticleSchema.index({
+  title: 'text',
+  abstract: 'text',
+  content: 'text',
+  aiCommentary: 'text',
+  des_facet: 'text',
+  per_facet: 'text',
+  org_facet: 'text',
+  geo_facet: 'text'
+}, {
+  name: 'article_search',
+  default_language: 'english',
+  weights: { title: 10, des_facet: 5, per_facet: 5, org_facet: 5, geo_facet: 5, abstract: 4, aiCommentary: 1, content: 1 }
+});
 ArticleSchema.index({ createdAt: 1 }, { expireAfterSeconds: 604800 }); // TTL index - 7 days
 
 // Create the Article model
@@ -0,0 +1,109 @@
+/**
+ * 🔐 Admin Routes
+ * API key management and session tokens for privileged endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const adminAuthService = require('../services/adminAuthService');
+const { requireRole } = require('../middleware/adminAuth');
+
+/**
+ * GET /api/admin/whoami
+ * Show the principal behind the supplied credential
+ */
+router.get('/whoami', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, principal: req.principal });
+});
+
+/**
+ * POST /api/admin/session
+ * Exchange an API key for a short-lived signed session token
+ */
+router.post('/session', requireRole('viewer'), (req, res) => {
+  try {
+    if (req.principal.type === 'session') {
+      return res.status(400).json({
+        success: false,
+        error: 'Use an API key to create a session'
+      });
+    }
+
+    const { token, expiresAt } = adminAuthService.issueSessionToken(req.principal);
+
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      principal: req.principal.name,
+      role: req.principal.role
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/keys
+ * List API keys (hashes are never returned)
+ */
+router.get('/keys', requireRole('operator'), async (req, res) => {
+  try {
+    const keys = await adminAuthService.listApiKeys({
+      includeRevoked: req.query.includeRevoked === 'true'
+    });
+    res.json({ success: true, count: keys.length, keys });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/keys
+ * Create an API key - the plaintext key is only returned in this response
+ */
+router.post('/keys', requireRole('operator'), async (req, res) => {
+  try {
+    const { name, principal, role, expiresAt } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'name is required' });
+    }
+
+    const { key, apiKey } = await adminAuthService.createApiKey({
+      name,
+      principal,
+      role,
+      expiresAt,
+      createdBy: req.principal.name
+    });
+
+    console.log(`🔑 API key ${apiKey.prefix}… (${apiKey.role}) created for ${apiKey.principal} by ${req.principal.name}`);
+
+    res.status(201).json({ success: true, key, apiKey });
+  } catch (error) {
+    const status = error.message.startsWith('Invalid role') ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/keys/:id
+ * Revoke an API key and every session minted from it
+ */
+router.delete('/keys/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const apiKey = await adminAuthService.revokeApiKey(req.params.id, req.principal.name);
+
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+
+    console.log(`🗑️ API key ${apiKey.prefix}… revoked by ${req.principal.name}`);
+    res.json({ success: true, apiKey });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,22 @@ const express = require('express');
 const router = express.Router();
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
-const { saveArticle, saveArticles, getArticlesBySection, searchArticles, getAllArticles, deleteArticleByUrl, getArticleById, getArticleByUrl, findArticleByIdentifier } = require('../services/db/articleService');
+const { saveArticle, saveArticles, getArticlesBySection, getAllArticles, deleteArticleByUrl, getArticleById, getArticleByUrl, findArticleByIdentifier, normalizeArticleFormat } = require('../services/db/articleService');
 const { optimizedFetch, optimizedDbOperation } = require('../middleware/optimizationManager');
+const { requireRole } = require('../middleware/adminAuth');
+const auditService = require('../services/auditService');
+const storyClusterService = require('../services/db/storyClusterService');
+const searchService = require('../services/search/searchService');
+const commentaryVersionService = require('../services/db/commentaryVersionService');
+const moderationService = require('../services/db/moderationService');
+const sectionArticleService = require('../services/db/sectionArticleService');
+const { paginate, setPaginationHeaders } = require('../middleware/pagination');
+const { negotiateLocale } = require('../middleware/locale');
+const translationService = require('../services/translation/translationService');
+const feedService = require('../services/personalization/feedService');
+const readingProfileService = require('../services/personalization/readingProfileService');
+const { identifyReader } = require('../middleware/reader');
+const { TARGET_LOCALES } = require('../config/locales');
 
 // 🚀 Browser Cache Middleware - Implements Cache-Control headers per architecture diagram
 const browserCacheMiddleware = (req, res, next) => {
@@ -36,53 +50,12 @@ const fetchFromNYT = async (endpoint) => {
   return response.data;
 };
 
-// Helper function to normalize article data format for frontend consistency
-const normalizeArticleFormat = (article) => {
-  const articleObj = article.toObject ? article.toObject() : { ...article };
-
-  // FIXED: Use MongoDB _id as primary identifier for clean URLs
-  // This prevents ugly URLs like /article/https%3A%2F%2Fwww.nytimes.com%2F...
-  if (articleObj._id) {
-    articleObj.id = articleObj._id.toString();
-  } else if (articleObj.uri) {
-    // Use last part of URI if available
-    const uriParts = articleObj.uri.split('/');
-    articleObj.id = uriParts[uriParts.length - 1] || articleObj.uri;
-  }
-  // Note: We deliberately DON'T use articleObj.url as id anymore to avoid URL-encoded slugs
-
-  // CRITICAL: Ensure imageUrl field exists (for home category compatibility)
-  if (!articleObj.imageUrl && articleObj.multimedia && articleObj.multimedia.length > 0) {
-    const media = articleObj.multimedia[0];
-    if (media.url) {
-      articleObj.imageUrl = media.url;
-    }
-  }
-
-  // CRITICAL: Ensure multimedia array exists (for politics category compatibility)
-  if (!articleObj.multimedia && articleObj.imageUrl) {
-    articleObj.multimedia = [{
-      url: articleObj.imageUrl,
-      format: 'superJumbo',
-      height: 1366,
-      width: 2048,
-      caption: ''
-    }];
-  }
-
-  // Ensure basic fields have fallbacks
-  articleObj.title = articleObj.title || 'Untitled';
-  articleObj.abstract = articleObj.abstract || '';
-  articleObj.author = articleObj.author || articleObj.byline || 'Staff Writer';
-  articleObj.section = articleObj.section || 'news';
-
-  // FUTURE-PROOF: Ensure commentary field exists (prepare for future commentary integration)
-  if (!articleObj.commentary) {
-    articleObj.commentary = null; // Will be populated by commentary service
-  }
-
-  return articleObj;
-};
+// Apply a ?fields= projection to articles that were loaded whole (e.g. from cache)
+const pickFields = (article, projection) => Object.fromEntries(
+  Object.keys(projection)
+    .filter(field => article[field] !== undefined)
+    .map(field => [field, article[field]])
+);
 
 // Helper function to process NYT articles
 // Helper function to process NYT articles into our format
@@ -341,7 +314,7 @@ async function saveArticlesToDatabase(articles, category) {
 
     for (const article of articles) {
       try {
-        const savedArticle = await saveArticle(article, category);
+        const savedArticle = await saveArticle(article, auditService.workerContext('background-fetch'));
         if (savedArticle) {
           savedCount++;
         } else {
@@ -362,44 +335,20 @@ async function saveArticlesToDatabase(articles, category) {
 // Implements the architecture diagram's "Hot Path" for homepage
 router.get('/top20', browserCacheMiddleware, async (req, res) => {
   try {
-    const cache = require('../services/cache');
+    // 1-3. Article IDs from the Redis List, full articles from cache or the DB (services/personalization/feedService.js)
+    const topStories = await feedService.topStories(20);
 
-    // 1. Get article IDs from Redis List (lightning fast)
-    const articleIds = await cache.getFromList('homepage:top20', 0, 19);
-
-    if (articleIds.length === 0) {
+    if (!topStories) {
       // console.log('📋 Redis List empty, falling back to standard endpoint');
       return res.redirect('/api/articles?category=home&limit=20');
     }
+    const articles = topStories.map(article => normalizeArticleFormat(article));
 
-    // 2. Fetch full article data from cache (keys like article:ID)
-    const articles = [];
-    for (const id of articleIds) {
-      const article = await cache.get(`article:${id}`);
-      if (article) {
-        articles.push(normalizeArticleFormat(article));
-      }
-    }
+    // 4. One article per story cluster, with links to the other outlets' versions
+    const deduped = await storyClusterService.dedupe(articles);
 
-    // 3. If cache misses, fetch from DB
-    if (articles.length < articleIds.length) {
-      // console.log(`⚠️ Cache miss for ${articleIds.length - articles.length} articles, fetching from DB`);
-      const { findArticleByIdentifier } = require('../services/db/articleService');
-
-      for (const id of articleIds) {
-        if (!articles.find(a => a.id === id || a._id?.toString() === id)) {
-          const dbArticle = await findArticleByIdentifier(id);
-          if (dbArticle) {
-            articles.push(normalizeArticleFormat(dbArticle));
-            // Re-cache for next request
-            await cache.set(`article:${id}`, dbArticle, 'article');
-          }
-        }
-      }
-    }
-
-    // console.log(`⚡ Served ${articles.length} articles from Redis List (Hot Path)`);
-    res.json(articles);
+    // console.log(`⚡ Served ${deduped.length} articles from Redis List (Hot Path)`);
+    res.json(deduped);
 
   } catch (error) {
     console.error('❌ Redis List endpoint error:', error.message);
@@ -410,14 +359,14 @@ router.get('/top20', browserCacheMiddleware, async (req, res) => {
 
 // GET /api/articles - Get all articles with optimized caching and auto-fetch
 // GET /api/articles - Get all articles with optimized caching and auto-fetch
-router.get('/', browserCacheMiddleware, async (req, res) => {
+// ?lang= or Accept-Language serves translated titles/abstracts/commentary (see services/translation)
+router.get('/', browserCacheMiddleware, negotiateLocale, paginate(), async (req, res) => {
   try {
     // console.log('📰 Articles API called - fetching articles');
 
-    // Get query parameters
-    const { category = 'home', limit = 20, offset = 0, q: searchQuery } = req.query;
-    const limitNum = Math.min(parseInt(limit) || 20, 100); // Cap at 100
-    const offsetNum = parseInt(offset) || 0;
+    // Get query parameters (limit/offset/cursor/fields parsed by the pagination middleware)
+    const { category = 'home' } = req.query;
+    const { limit: limitNum, offset: offsetNum, projection } = req.pagination;
 
     // Map frontend categories to backend sections
     const categoryToSectionMap = {
@@ -437,9 +386,6 @@ router.get('/', browserCacheMiddleware, async (req, res) => {
 
     // console.log(`🔍 Fetching articles - Category: ${category}, Mapped Section: ${mappedSection || 'ALL'}, Limit: ${limitNum}, Offset: ${offsetNum}`);
 
-    // Create cache key based on mapped section and other parameters
-    const cacheKey = `articles-${mappedSection || 'all'}-${limitNum}-${offsetNum}-${searchQuery || 'none'}`;
-
     let articles;
 
     try {
@@ -448,8 +394,13 @@ router.get('/', browserCacheMiddleware, async (req, res) => {
       await waitForConnection(5000); // Wait up to 5 seconds for connection
 
       if (mappedSection) {
-        // Get articles for specific section
-        articles = await getArticlesBySection(mappedSection, limitNum);
+        // Get one page for the section ('all' = every section) and advertise the next page
+        const page = await sectionArticleService.getArticlesPage(mappedSection, req.pagination);
+        setPaginationHeaders(req, res, page.nextCursor);
+        // Canonical articles only - attach links to the other outlets' versions
+        articles = projection
+          ? page.articles
+          : await storyClusterService.dedupe(page.articles.map(article => normalizeArticleFormat(article)));
         // console.log(`🔍 Fetched ${articles?.length || 0} articles from database for section: ${mappedSection}`);
       } else {
         // Homepage: Get 2-3 articles from each of the 9 sections
@@ -472,7 +423,7 @@ router.get('/', browserCacheMiddleware, async (req, res) => {
 
             // console.log(`🔍 Querying ${sections.length} sections, ${articlesPerSection} articles each...`);
             const allSectionArticles = await Promise.all(
-              sections.map(section => getArticlesBySection(section, articlesPerSection))
+              sections.map(section => getArticlesBySection(section, articlesPerSection, { canonicalOnly: true }))
             );
 
             // console.log(`📊 Raw results: ${allSectionArticles.map(a => a.length).join(', ')}`);
@@ -481,8 +432,8 @@ router.get('/', browserCacheMiddleware, async (req, res) => {
             articles = allSectionArticles.flat().filter(a => a); // Remove nulls
             // console.log(`🏠 Fetched ${articles?.length || 0} articles for homepage from all sections`);
 
-            // Normalize articles BEFORE caching to ensure clean JSON
-            articles = articles.map(article => normalizeArticleFormat(article));
+            // Normalize articles BEFORE caching to ensure clean JSON, one per story cluster
+            articles = await storyClusterService.dedupe(articles.map(article => normalizeArticleFormat(article)));
 
             // Cache for 10 minutes if we have articles
             if (articles && articles.length > 0) {
@@ -496,13 +447,18 @@ router.get('/', browserCacheMiddleware, async (req, res) => {
           console.error('❌ Homepage fetch error:', error.message);
           articles = [];
         }
+
+        // Homepage is a curated mix (not paginated) - only the projection applies
+        if (projection && articles) {
+          articles = articles.map(article => pickFields(article, projection));
+        }
       }
 
       // If we have articles from database, use them
       if (articles && articles.length > 0) {
         // console.log(`✅ Using ${articles.length} articles from database`);
         // Articles are already normalized (either from cache or fresh DB query)
-        res.json(articles);
+        res.json(await translationService.localizeMany(articles, req.locale));
         return;
       }
 
@@ -569,79 +525,44 @@ router.get('/', browserCacheMiddleware, async (req, res) => {
   }
 });
 
-// GET /api/articles/search - Search articles in database first, then NYT API
+// GET /api/articles/search - Ranked full-text search with facets, highlights and cursor pagination
+// q supports filters, e.g. `fed rates section:business person:"Powell" after:2026-01-01` (see services/search/queryParser.js)
 router.get('/search', async (req, res) => {
   try {
-    const { q: keyword, limit = 10 } = req.query;
+    const { q: keyword, limit = 10, cursor, section } = req.query;
 
     if (!keyword || keyword.length < 1) {
       return res.status(400).json({ error: 'Search keyword is required' });
     }
 
-    // console.log(`🔍 Searching for: "${keyword}"`);
-
-    let allResults = [];
-
-    // 1. FIRST: Search local database
-    try {
-      // console.log(`🔍 Searching local database for: "${keyword}"`);
-      const dbResults = await searchArticles(keyword, parseInt(limit) * 2); // Get more from DB
-
-      if (dbResults && dbResults.length > 0) {
-        // console.log(`📚 Found ${dbResults.length} results in local database`);
-
-        // Ensure all articles have 'id' field for frontend compatibility
-        const dbResultsWithIds = dbResults.map(article => {
-          const articleObj = article.toObject ? article.toObject() : { ...article };
-          if (!articleObj.id && articleObj._id) {
-            articleObj.id = articleObj._id.toString();
-          }
-          return articleObj;
-        });
-
-        allResults = allResults.concat(dbResultsWithIds);
-      }
-    } catch (dbError) {
-      console.error('Error searching local database:', dbError);
+    if (cursor && !searchService.decodeCursor(cursor)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
     }
 
-    // 2. SECOND: If we don't have enough results, search NYT API
-    if (allResults.length < parseInt(limit)) {
-      try {
-        // console.log(`🌐 Searching NYT API for additional results...`);
-        const data = await fetchFromNYT(`/search/v2/articlesearch.json?q=${encodeURIComponent(keyword)}&sort=newest`);
-        let nytArticles = processNYTArticles(data.response?.docs || []);
+    const results = await searchService.search(keyword, { limit, cursor, section });
+    let articles = results.articles;
+    let external = 0;
 
-        // Filter out articles we already have from database (by URL or title)
-        const existingUrls = new Set(allResults.map(article => article.url));
-        const existingTitles = new Set(allResults.map(article => article.title?.toLowerCase().trim()));
-
-        nytArticles = nytArticles.filter(article =>
-          !existingUrls.has(article.url) &&
-          !existingTitles.has(article.title?.toLowerCase().trim())
-        );
-
-        if (nytArticles.length > 0) {
-          // console.log(`🌐 Found ${nytArticles.length} additional results from NYT API`);
-          allResults = allResults.concat(nytArticles);
-        }
-      } catch (nytError) {
-        console.error('Error searching NYT API:', nytError);
+    // Nothing stored locally yet - fall back to the providers' search APIs on the first page
+    if (articles.length === 0 && !cursor && results.query.text) {
+      try {
+        const providerRegistry = require('../services/providers');
+        const { articles: providerArticles, provider } = await providerRegistry.search(results.query.text, { limit: parseInt(limit) || 10, section });
+        articles = providerArticles.slice(0, parseInt(limit) || 10).map(article => ({ ...article, _searchProvider: provider }));
+        external = articles.length;
+      } catch (providerError) {
+        console.error('Error searching providers:', providerError);
       }
     }
 
-    // 3. Limit final results
-    const finalResults = allResults.slice(0, parseInt(limit));
-
-    // console.log(`✅ Returning ${finalResults.length} total search results for "${keyword}"`);
-
     res.json({
       keyword,
-      total: finalResults.length,
-      articles: finalResults,
+      ...results,
+      articles,
+      total: external > 0 ? external : results.total,
       sources: {
-        database: allResults.filter(a => a._id).length,
-        nyt: allResults.filter(a => !a._id).length
+        database: articles.length - external,
+        external
       }
     });
 
@@ -655,18 +576,29 @@ router.get('/search', async (req, res) => {
 });
 
 // GET /api/articles/section/:section - Get articles by section
-router.get('/section/:section', async (req, res) => {
+// Paginated from the database (cursor/offset, fields projection, Link headers);
+// NYT top stories are only fetched live while the section has no stored articles yet
+router.get('/section/:section', paginate({ defaultLimit: 10 }), async (req, res) => {
   try {
     const { section } = req.params;
-    const { limit = 10, ai } = req.query;
+    const { ai } = req.query;
     const includeAI = ai === 'true';
-    const finalSection = section === 'all' ? 'home' : section;
+    const finalSection = section === 'home' ? 'all' : section;
+    const { limit, cursor, projection } = req.pagination;
 
     // console.log(`📰 Fetching section articles for: ${finalSection}`);
 
+    const page = await sectionArticleService.getArticlesPage(finalSection, req.pagination);
+    if (page.articles.length > 0 || cursor) {
+      setPaginationHeaders(req, res, page.nextCursor);
+      return res.json(projection
+        ? page.articles
+        : await storyClusterService.dedupe(page.articles.map(article => normalizeArticleFormat(article))));
+    }
+
     try {
-      const data = await fetchFromNYT(`/topstories/v2/${finalSection}.json`);
-      const articles = processNYTArticles(data.results || []).slice(0, parseInt(limit));
+      const data = await fetchFromNYT(`/topstories/v2/${section === 'all' ? 'home' : section}.json`);
+      const articles = processNYTArticles(data.results || []).slice(0, limit);
 
       // Add AI commentary if requested
       if (includeAI && articles.length > 0) {
@@ -686,14 +618,10 @@ router.get('/section/:section', async (req, res) => {
       }
 
       // console.log(`✅ Fetched ${articles.length} articles for section ${finalSection}`);
-      res.json(articles);
+      res.json(projection ? articles.map(article => pickFields(article, projection)) : articles);
     } catch (nytError) {
       console.error('❌ NYT API Error:', nytError.message);
-
-      // Fallback to database
-      const dbArticles = await getArticlesBySection(section, parseInt(limit));
-      // console.log(`📄 Fallback: Retrieved ${dbArticles.length} articles from database for section ${section}`);
-      res.json(dbArticles);
+      res.json([]);
     }
   } catch (error) {
     console.error('Error fetching articles by section:', error);
@@ -701,8 +629,8 @@ router.get('/section/:section', async (req, res) => {
   }
 });
 
-// GET /api/articles/:id - Get single article by ID
-router.get('/:id', async (req, res) => {
+// GET /api/articles/:id - Get single article by ID (?lang= or Accept-Language for a translation)
+router.get('/:id', negotiateLocale, identifyReader(), async (req, res) => {
   try {
     const { id } = req.params;
     const { ai } = req.query;
@@ -721,11 +649,33 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    // Reading signal for the "For You" feed (services/personalization)
+    readingProfileService.recordSignal(req.reader, article, 'view');
+
+    // Commentary that is pending review or rejected is never served (nor read from cache)
+    const commentaryPublishable = moderationService.isPublishable(article);
+    if (!commentaryPublishable) {
+      article.aiCommentary = null;
+    }
+
+    // Other outlets' versions of the same story
+    const alsoCoveredBy = await storyClusterService.getAlsoCoveredBy(article);
+    const withCoverage = (doc) => translationService.localize(
+      { ...(doc.toObject ? doc.toObject() : doc), alsoCoveredBy },
+      req.locale
+    );
+
     // 🚀 Check Redis for FULL article (with commentary) FIRST
-    if (includeAI) {
+    if (includeAI && commentaryPublishable) {
       const articleId = article._id || article.id || id;
       const articleCacheKey = `article:${articleId}`;
 
+      // Count the view against the commentary version (prompt A/B metrics)
+      if (article._id && article.aiCommentary) {
+        commentaryVersionService.recordEngagement(article._id, 'views')
+          .catch(err => console.error('❌ Failed to record commentary view:', err.message));
+      }
+
       try {
         // Check if we have the full article in Redis cache
         const cachedArticle = await cacheService.get(articleCacheKey);
@@ -771,7 +721,7 @@ router.get('/:id', async (req, res) => {
               article.aiCommentary = parsedArticle.aiCommentary;
               article._commentarySource = 'redis-cache';
               article._cachedAt = parsedArticle._cachedAt;
-              return res.json(article);
+              return res.json(await withCoverage(article));
             }
           } catch (parseError) {
             console.error('Error parsing cached article:', parseError);
@@ -779,7 +729,10 @@ router.get('/:id', async (req, res) => {
         }
 
         // No Redis cache - check if DB has commentary
-        if (!article.aiCommentary) {
+        if (!article.aiCommentary && article.commentaryPendingReview) {
+          // Generated but waiting for an editor - don't queue another one
+          article._commentaryPendingReview = true;
+        } else if (!article.aiCommentary) {
           // No cache and no DB commentary - queue for generation
           // console.log(`📝 No commentary found, queuing generation for ${articleId}`);
           const { addToQueue } = require('../workers/commentaryQueue');
@@ -824,7 +777,7 @@ router.get('/:id', async (req, res) => {
       }
     }
 
-    res.json(article);
+    res.json(await withCoverage(article));
   } catch (error) {
     console.error('Error fetching article:', error);
     res.status(500).json({
@@ -841,11 +794,11 @@ router.get('/:id', async (req, res) => {
 const { addToQueue, getQueueStats } = require('../workers/commentaryQueue');
 const cacheService = require('../services/cache');
 
-// POST /api/articles/:id/generate-commentary - Queue article for AI commentary
-router.post('/:id/generate-commentary', async (req, res) => {
+// POST /api/articles/:id/generate-commentary - Queue article for AI commentary (editor)
+// Queues priority jobs and records versions, so readers poll /commentary-status instead
+router.post('/:id/generate-commentary', requireRole('editor'), async (req, res) => {
   try {
     const { id } = req.params;
-    const Article = require('../models/article');
 
     // 1. Find the article
     const article = await findArticleByIdentifier(id);
@@ -856,8 +809,8 @@ router.post('/:id/generate-commentary', async (req, res) => {
       });
     }
 
-    // 2. Check if commentary already exists in DB
-    if (article.aiCommentary) {
+    // 2. Check if commentary already exists in DB (published)
+    if (moderationService.publicCommentary(article)) {
       return res.json({
         status: 'success',
         commentary: article.aiCommentary,
@@ -870,11 +823,19 @@ router.post('/:id/generate-commentary', async (req, res) => {
     const cacheKey = `commentary:${article._id}`;
     const cached = await cacheService.get(cacheKey);
     if (cached) {
-      // Update DB with cached commentary
-      await Article.findByIdAndUpdate(article._id, {
-        aiCommentary: cached,
-        commentaryGeneratedAt: new Date()
-      });
+      // Store cached commentary as a version (updates the article unless it needs review)
+      const recorded = await commentaryVersionService.recordVersion(article._id, {
+        text: cached,
+        source: 'cache',
+        generator: 'manual'
+      }, { context: auditService.contextFromRequest(req) });
+
+      if (recorded?.version.moderationStatus === 'pending_review') {
+        return res.status(202).json({
+          status: 'pending_review',
+          message: 'Commentary is waiting for editorial review.'
+        });
+      }
 
       return res.json({
         status: 'success',
@@ -923,9 +884,11 @@ router.get('/:id/commentary-status', async (req, res) => {
       });
     }
 
+    const commentary = moderationService.publicCommentary(article);
     res.json({
-      ready: !!article.aiCommentary,
-      commentary: article.aiCommentary,
+      ready: !!commentary,
+      commentary,
+      pendingReview: !!article.commentaryPendingReview,
       generatedAt: article.commentaryGeneratedAt,
       source: article.commentarySource || 'ai'
     });
@@ -938,6 +901,254 @@ router.get('/:id/commentary-status', async (req, res) => {
   }
 });
 
+// ============================================================================
+// COMMENTARY VERSIONS - history, diff, pin and rollback
+// ============================================================================
+
+// POST /api/articles/:id/commentary/regenerate - Queue a new commentary version
+// It becomes active unless the article is pinned to a version
+router.post('/:id/commentary/regenerate', requireRole('editor'), async (req, res) => {
+  try {
+    const article = await findArticleByIdentifier(req.params.id);
+    if (!article) {
+      return res.status(404).json({ success: false, error: 'Article not found' });
+    }
+
+    const job = await addToQueue(article, { priority: 1, force: true, generator: 'manual' });
+    if (!job) {
+      return res.status(503).json({ success: false, error: 'Commentary queue unavailable' });
+    }
+
+    res.status(202).json({
+      success: true,
+      status: 'queued',
+      articleId: article._id,
+      jobId: job.id,
+      pinned: !!article.commentaryPinned
+    });
+  } catch (error) {
+    console.error('Commentary regeneration error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/articles/:id/commentary/versions - List commentary versions (newest first)
+router.get('/:id/commentary/versions', requireRole('viewer'), async (req, res) => {
+  try {
+    const article = await findArticleByIdentifier(req.params.id);
+    if (!article) {
+      return res.status(404).json({ success: false, error: 'Article not found' });
+    }
+
+    const versions = await commentaryVersionService.listVersions(article._id);
+    res.json({
+      success: true,
+      articleId: article._id,
+      activeVersion: article.commentaryVersion || null,
+      pinned: !!article.commentaryPinned,
+      count: versions.length,
+      versions
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/articles/:id/commentary/diff?from=1&to=2 - Word diff between two versions
+// (to defaults to the active version)
+router.get('/:id/commentary/diff', requireRole('viewer'), async (req, res) => {
+  try {
+    const article = await findArticleByIdentifier(req.params.id);
+    if (!article) {
+      return res.status(404).json({ success: false, error: 'Article not found' });
+    }
+
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to) || article.commentaryVersion;
+    if (!from || !to) {
+      return res.status(400).json({ success: false, error: 'from and to version numbers are required' });
+    }
+
+    const diff = await commentaryVersionService.diff(article._id, from, to);
+    if (!diff) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+
+    res.json({ success: true, articleId: article._id, ...diff });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/articles/:id/commentary/versions/:version - Single version with full text
+router.get('/:id/commentary/versions/:version', requireRole('viewer'), async (req, res) => {
+  try {
+    const article = await findArticleByIdentifier(req.params.id);
+    if (!article) {
+      return res.status(404).json({ success: false, error: 'Article not found' });
+    }
+
+    const version = await commentaryVersionService.getVersion(article._id, parseInt(req.params.version));
+    if (!version) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+
+    res.json({ success: true, articleId: article._id, ...version });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/articles/:id/commentary/versions/:version/pin - Make a version active and pin it
+router.post('/:id/commentary/versions/:version/pin', requireRole('editor'), async (req, res) => {
+  try {
+    const article = await findArticleByIdentifier(req.params.id);
+    if (!article) {
+      return res.status(404).json({ success: false, error: 'Article not found' });
+    }
+
+    const version = await commentaryVersionService.activate(article._id, parseInt(req.params.version), {
+      pin: true,
+      context: auditService.contextFromRequest(req)
+    });
+    if (!version) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+
+    res.json({ success: true, articleId: article._id, activeVersion: version.version, pinned: true });
+  } catch (error) {
+    const status = error.name === 'ModerationError' ? 409 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/articles/:id/commentary/pin - Let regeneration replace the active version again
+router.delete('/:id/commentary/pin', requireRole('editor'), async (req, res) => {
+  try {
+    const article = await findArticleByIdentifier(req.params.id);
+    if (!article) {
+      return res.status(404).json({ success: false, error: 'Article not found' });
+    }
+
+    await commentaryVersionService.unpin(article._id, { context: auditService.contextFromRequest(req) });
+    res.json({ success: true, articleId: article._id, activeVersion: article.commentaryVersion || null, pinned: false });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/articles/:id/commentary/rollback - Activate and pin an earlier version
+// Body: { version } (optional - defaults to the last non-fallback version before the active one)
+router.post('/:id/commentary/rollback', requireRole('editor'), async (req, res) => {
+  try {
+    const article = await findArticleByIdentifier(req.params.id);
+    if (!article) {
+      return res.status(404).json({ success: false, error: 'Article not found' });
+    }
+
+    const to = req.body?.version !== undefined ? parseInt(req.body.version) : null;
+    if (to !== null && !(to > 0)) {
+      return res.status(400).json({ success: false, error: 'version must be a positive integer' });
+    }
+
+    const version = await commentaryVersionService.rollback(article._id, {
+      to,
+      context: auditService.contextFromRequest(req)
+    });
+    if (!version) {
+      return res.status(to ? 404 : 409).json({
+        success: false,
+        error: to ? 'Version not found' : 'No earlier version to roll back to'
+      });
+    }
+
+    res.json({ success: true, articleId: article._id, activeVersion: version.version, pinned: true });
+  } catch (error) {
+    const status = error.name === 'ModerationError' ? 409 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// TRANSLATIONS - per-locale titles, abstracts and commentary
+// ============================================================================
+
+// GET /api/articles/:id/translations - Locales the article is translated into
+router.get('/:id/translations', async (req, res) => {
+  try {
+    const article = await findArticleByIdentifier(req.params.id);
+    if (!article) {
+      return res.status(404).json({ success: false, error: 'Article not found' });
+    }
+
+    const translations = await translationService.listTranslations(article._id);
+    res.json({
+      success: true,
+      articleId: article._id,
+      locales: TARGET_LOCALES,
+      translations: translations.map(translation => ({
+        locale: translation.locale,
+        status: translation.status,
+        stale: translationService.isStale(translation, {
+          title: article.title,
+          abstract: article.abstract,
+          aiCommentary: moderationService.publicCommentary(article)
+        }),
+        provider: translation.provider,
+        translatedAt: translation.translatedAt || null,
+        error: translation.error || null
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/articles/:id/translations - Translate now, even if up to date or over budget
+// Body: { locales } (optional - defaults to every enabled locale)
+router.post('/:id/translations', requireRole('editor'), async (req, res) => {
+  try {
+    const locales = req.body?.locales || TARGET_LOCALES;
+    const unknown = Array.isArray(locales) ? locales.filter(locale => !TARGET_LOCALES.includes(locale)) : [];
+    if (!Array.isArray(locales) || locales.length === 0 || unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: unknown.length > 0 ? `Locales not enabled: ${unknown.join(', ')}` : 'locales must be a non-empty array',
+        allowedLocales: TARGET_LOCALES
+      });
+    }
+
+    const article = await findArticleByIdentifier(req.params.id);
+    if (!article) {
+      return res.status(404).json({ success: false, error: 'Article not found' });
+    }
+
+    const results = [];
+    for (const locale of locales) {
+      try {
+        const translation = await translationService.translate(article._id, locale, { force: true });
+        results.push({ locale, status: translation.status, provider: translation.provider, model: translation.model });
+      } catch (error) {
+        results.push({ locale, status: 'failed', error: error.message });
+      }
+    }
+
+    await auditService.record({
+      action: 'article.translate',
+      entityType: 'article',
+      entityId: article._id,
+      diff: {},
+      metadata: { results }
+    }, auditService.contextFromRequest(req));
+
+    const failed = results.filter(result => result.status === 'failed').length;
+    res.status(failed === results.length ? 502 : 200).json({ success: failed === 0, articleId: article._id, results });
+  } catch (error) {
+    console.error('Translation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // GET /api/articles/queue/stats - Get commentary queue statistics
 router.get('/queue/stats', async (req, res) => {
   try {
@@ -949,9 +1160,9 @@ router.get('/queue/stats', async (req, res) => {
 });
 
 // POST /api/articles - Save single article
-router.post('/', async (req, res) => {
+router.post('/', requireRole('editor'), async (req, res) => {
   try {
-    const article = await saveArticle(req.body);
+    const article = await saveArticle(req.body, auditService.contextFromRequest(req));
     if (article) {
       // Invalidate relevant caches
       const CacheService = require('../services/cache');
@@ -969,9 +1180,9 @@ router.post('/', async (req, res) => {
 });
 
 // POST /api/articles/batch - Save multiple articles
-router.post('/batch', async (req, res) => {
+router.post('/batch', requireRole('editor'), async (req, res) => {
   try {
-    const articles = await saveArticles(req.body);
+    const articles = await saveArticles(req.body, auditService.contextFromRequest(req));
 
     // Invalidate all caches when batch updating
     const CacheService = require('../services/cache');
@@ -988,10 +1199,10 @@ router.post('/batch', async (req, res) => {
 });
 
 // POST /api/articles/bulk - Save multiple articles (alias for batch)
-router.post('/bulk', async (req, res) => {
+router.post('/bulk', requireRole('editor'), async (req, res) => {
   try {
     const { articles } = req.body;
-    const savedArticles = await saveArticles(articles);
+    const savedArticles = await saveArticles(articles, auditService.contextFromRequest(req));
 
     // Invalidate all caches when batch updating
     const CacheService = require('../services/cache');
@@ -1008,7 +1219,7 @@ router.post('/bulk', async (req, res) => {
 });
 
 // DELETE /api/articles - Delete article by URL
-router.delete('/', async (req, res) => {
+router.delete('/', requireRole('editor'), async (req, res) => {
   try {
     const { url } = req.query;
 
@@ -1016,7 +1227,7 @@ router.delete('/', async (req, res) => {
       return res.status(400).json({ error: 'URL is required' });
     }
 
-    const success = await deleteArticleByUrl(url);
+    const success = await deleteArticleByUrl(url, auditService.contextFromRequest(req));
 
     if (success) {
       // Invalidate caches
@@ -0,0 +1,168 @@
+/**
+ * 🎧 Audio Library Routes
+ * Stored TTS audio, quota use, the pre-render worker and the daily podcast
+ * briefings. Mounted at /api/admin/audio.
+ */
+
+const express = require('express');
+const router = express.Router();
+const AudioAsset = require('../models/AudioAsset');
+const PodcastEpisode = require('../models/PodcastEpisode');
+const audioLibrary = require('../services/audio');
+const audioPrerenderWorker = require('../services/audio/prerenderWorker');
+const podcastService = require('../services/podcast');
+const podcastWorker = require('../services/podcast/podcastWorker');
+const { requireRole } = require('../middleware/adminAuth');
+
+const ASSET_STATUSES = ['rendering', 'ready', 'failed'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * GET /api/admin/audio
+ * Storage backend, quota use and worker status
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      library: await audioLibrary.stats(),
+      prerender: audioPrerenderWorker.getStats()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/audio/assets
+ * Stored audio, most recently played first (?status=, ?article=, ?limit=50)
+ */
+router.get('/assets', requireRole('viewer'), async (req, res) => {
+  try {
+    const { status, article } = req.query;
+    if (status && !ASSET_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${ASSET_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const filter = {};
+    if (status) filter.status = status;
+    if (article) filter.article = article;
+
+    const assets = await AudioAsset.find(filter)
+      .sort({ lastAccessedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ success: true, count: assets.length, assets });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/audio/prerender
+ * Pre-render newly commented articles now ({ limit } renders, default AUDIO_PRERENDER_BATCH)
+ */
+router.post('/prerender', requireRole('operator'), async (req, res) => {
+  try {
+    const limit = req.body?.limit ? Math.min(parseInt(req.body.limit) || 1, 50) : undefined;
+    const result = await audioPrerenderWorker.runOnce({ limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/audio/prune
+ * Evict least recently played audio until the library is within quota
+ */
+router.post('/prune', requireRole('operator'), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await audioLibrary.enforceQuota()) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/audio/assets/:audioId
+ * Delete stored audio (it is rendered again on the next listen or pre-render)
+ */
+router.delete('/assets/:audioId', requireRole('operator'), async (req, res) => {
+  try {
+    const asset = await AudioAsset.findOne({ audioId: req.params.audioId }).lean();
+    if (!asset) {
+      return res.status(404).json({ success: false, error: 'Audio not found' });
+    }
+
+    await audioLibrary.remove(asset);
+    res.json({ success: true, audioId: asset.audioId });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/audio/podcasts
+ * Podcast episodes, newest first (?section=, ?status=, ?limit=50), and the worker status
+ */
+router.get('/podcasts', requireRole('viewer'), async (req, res) => {
+  try {
+    const { section, status } = req.query;
+    if (status && !ASSET_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${ASSET_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const episodes = await podcastService.listEpisodes({ section, status, limit });
+    res.json({ success: true, worker: podcastWorker.getStats(), count: episodes.length, episodes });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/audio/podcasts/generate
+ * Generate briefings now - { section? (default every podcast section), date? (YYYY-MM-DD, default today), force? }
+ */
+router.post('/podcasts/generate', requireRole('operator'), async (req, res) => {
+  try {
+    const { section, date, force = false } = req.body || {};
+    if (section && !podcastService.sections.includes(section)) {
+      return res.status(400).json({ success: false, error: `section must be one of: ${podcastService.sections.join(', ')}` });
+    }
+    if (date && (!DATE_PATTERN.test(date) || isNaN(Date.parse(date)))) {
+      return res.status(400).json({ success: false, error: 'date must be YYYY-MM-DD' });
+    }
+
+    if (section) {
+      const result = await podcastService.generate(section, { date: date || undefined, force: Boolean(force) });
+      return res.json({ success: true, section, ...result });
+    }
+    res.json({ success: true, ...(await podcastWorker.runOnce({ date: date || undefined, force: Boolean(force) })) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/audio/podcasts/:section/:date
+ * Delete an episode and its audio
+ */
+router.delete('/podcasts/:section/:date', requireRole('operator'), async (req, res) => {
+  try {
+    const episode = await PodcastEpisode.findOne({ section: req.params.section, date: req.params.date }).lean();
+    if (!episode) {
+      return res.status(404).json({ success: false, error: 'Episode not found' });
+    }
+
+    await podcastService.remove(episode);
+    res.json({ success: true, section: episode.section, date: episode.date });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
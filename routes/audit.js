@@ -0,0 +1,50 @@
+/**
+ * 📝 Audit Routes
+ * Query who/what changed articles, subscribers and caches
+ */
+
+const express = require('express');
+const router = express.Router();
+const auditService = require('../services/auditService');
+const { requireRole } = require('../middleware/adminAuth');
+
+/**
+ * GET /api/audit
+ * Filters: action, entityType, entityId, actor, source, from, to (ISO dates)
+ * Pagination: page, limit (max 200)
+ * Operator only - entries contain subscriber emails and client IPs
+ */
+router.get('/', requireRole('operator'), async (req, res) => {
+  try {
+    const { action, entityType, entityId, actor, source, from, to, page, limit } = req.query;
+
+    // ?actor[$ne]=x parses to an object - only plain values are filters
+    const filters = { action, entityType, entityId, actor, source, from, to };
+    const invalid = Object.keys(filters).filter(name => filters[name] !== undefined && typeof filters[name] !== 'string');
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${invalid.join(', ')} must be a single value`
+      });
+    }
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from/to must be valid dates'
+      });
+    }
+
+    const result = await auditService.query(filters, { page, limit });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Audit query error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
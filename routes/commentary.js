@@ -1,22 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const Groq = require('groq-sdk');
 const { optimizedGroqCall, optimizedFetch } = require('../middleware/optimizationManager');
-
-// Initialize GROQ client with error handling
-let groq = null;
-if (process.env.GROQ_API_KEY) {
-  try {
-    groq = new Groq({
-      apiKey: process.env.GROQ_API_KEY
-    });
-    console.log('✅ Groq API client initialized successfully');
-  } catch (error) {
-    console.error('❌ Failed to initialize Groq API client:', error);
-  }
-} else {
-  console.warn('⚠️ GROQ_API_KEY not found in environment variables');
-}
+const llmClient = require('../services/llm');
 
 /**
  * Generate AI commentary for an article
@@ -28,9 +13,9 @@ router.post('/generate-commentary', async (req, res) => {
   let title, content, category;
   
   try {
-    // Check if Groq client is initialized
-    if (!groq) {
-      console.error('❌ Groq API client not initialized');
+    // Check that some LLM provider can generate commentary
+    if (!llmClient.isAvailable('commentary')) {
+      console.error('❌ No LLM provider configured for commentary');
       return res.status(503).json({
         error: 'Service unavailable',
         message: 'AI commentary service is temporarily unavailable'
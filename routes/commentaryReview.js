@@ -0,0 +1,142 @@
+/**
+ * 📝 Commentary Review Routes
+ * Editorial queue for commentary in review-only sections or rejected by the quality gate
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const moderationService = require('../services/db/moderationService');
+const auditService = require('../services/auditService');
+const { requireRole } = require('../middleware/adminAuth');
+
+const MAX_TEXT_LENGTH = 10000;
+
+const sendError = (res, error) => {
+  if (error.name === 'ModerationError') {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  const status = error.name === 'ValidationError' ? 400 : 500;
+  res.status(status).json({ success: false, error: error.message });
+};
+
+const validId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.versionId)) {
+    return res.status(400).json({ success: false, error: 'Invalid version id' });
+  }
+  next();
+};
+
+/**
+ * GET /api/admin/commentary-review
+ * Versions waiting for review, oldest first, with the checks they failed (?section=, ?limit=50)
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const { items, total } = await moderationService.listPending({ section: req.query.section, limit });
+    res.json({ success: true, count: items.length, total, items });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/commentary-review/policies
+ * Section moderation policies (review | auto_publish)
+ */
+router.get('/policies', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, ...moderationService.getPolicies() });
+});
+
+/**
+ * POST /api/admin/commentary-review/approve
+ * Bulk approve: { versionIds: [...], note? } (max 100)
+ */
+router.post('/approve', requireRole('editor'), async (req, res) => {
+  try {
+    const { versionIds, note } = req.body;
+    if (!Array.isArray(versionIds) || versionIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'versionIds must be a non-empty array' });
+    }
+    if (versionIds.length > 100) {
+      return res.status(400).json({ success: false, error: 'At most 100 versions per request' });
+    }
+    if (versionIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, error: 'versionIds contains an invalid id' });
+    }
+
+    const results = await moderationService.approveMany(versionIds, {
+      note,
+      context: auditService.contextFromRequest(req)
+    });
+    const approved = results.filter(result => result.success).length;
+    res.json({ success: true, approved, failed: results.length - approved, results });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/commentary-review/:versionId/approve
+ * Publish the version: { note? } (stays in history only if the article is pinned)
+ *
+ * POST /api/admin/commentary-review/:versionId/reject
+ * Keep it (or take it) out of circulation: { note? }
+ */
+const decide = (to) => async (req, res) => {
+  try {
+    const result = await moderationService.transition(req.params.versionId, to, {
+      note: req.body?.note,
+      context: auditService.contextFromRequest(req)
+    });
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+
+    res.json({
+      success: true,
+      moderationStatus: to,
+      article: result.version.article,
+      version: result.version.version,
+      activated: result.activated,
+      withdrawn: result.withdrawn
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+router.post('/:versionId/approve', requireRole('editor'), validId, decide('approved'));
+router.post('/:versionId/reject', requireRole('editor'), validId, decide('rejected'));
+
+/**
+ * PUT /api/admin/commentary-review/:versionId
+ * Edit the text: { text, approve?, note? } - saved as a new version; a pending original is superseded
+ */
+router.put('/:versionId', requireRole('editor'), validId, async (req, res) => {
+  try {
+    const { text, approve, note } = req.body;
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ success: false, error: 'text is required' });
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({ success: false, error: `text must be at most ${MAX_TEXT_LENGTH} characters` });
+    }
+
+    const result = await moderationService.edit(req.params.versionId, text.trim(), {
+      approve: approve === true,
+      note,
+      context: auditService.contextFromRequest(req)
+    });
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const DatabaseMonitor = require('../services/db/databaseMonitor');
+const { requireRole } = require('../middleware/adminAuth');
+const auditService = require('../services/auditService');
 
 // GET /api/database/stats - Get database statistics
-router.get('/stats', async (req, res) => {
+router.get('/stats', requireRole('viewer'), async (req, res) => {
   try {
     const stats = await DatabaseMonitor.getDatabaseStats();
     res.json(stats);
@@ -14,7 +16,7 @@ router.get('/stats', async (req, res) => {
 });
 
 // GET /api/database/articles - Get article statistics
-router.get('/articles', async (req, res) => {
+router.get('/articles', requireRole('viewer'), async (req, res) => {
   try {
     const stats = await DatabaseMonitor.getArticleStats();
     res.json(stats);
@@ -25,7 +27,7 @@ router.get('/articles', async (req, res) => {
 });
 
 // GET /api/database/report - Get comprehensive database report
-router.get('/report', async (req, res) => {
+router.get('/report', requireRole('viewer'), async (req, res) => {
   try {
     const report = await DatabaseMonitor.generateReport();
     res.json(report);
@@ -36,7 +38,7 @@ router.get('/report', async (req, res) => {
 });
 
 // POST /api/database/cleanup - Run database cleanup (with dry-run option)
-router.post('/cleanup', async (req, res) => {
+router.post('/cleanup', requireRole('operator'), async (req, res) => {
   try {
     const {
       dryRun = true,
@@ -44,6 +46,7 @@ router.post('/cleanup', async (req, res) => {
       cleanupPercentage = 5,
       method = 'percentage' // 'percentage' for oldest 5%, 'days' for date-based
     } = req.body;
+    const context = auditService.contextFromRequest(req);
 
     // console.log('🔍 Cleanup route called with:', { method, cleanupPercentage, dryRun });
 
@@ -52,8 +55,8 @@ router.post('/cleanup', async (req, res) => {
     if (method === 'percentage') {
       // Clean oldest articles by insertion order
       const [duplicateResult, oldestResult] = await Promise.all([
-        DatabaseMonitor.removeDuplicates(dryRun),
-        DatabaseMonitor.cleanupOldestArticles({ cleanupPercentage, dryRun })
+        DatabaseMonitor.removeDuplicates(dryRun, context),
+        DatabaseMonitor.cleanupOldestArticles({ cleanupPercentage, dryRun, context })
       ]);
 
       result = {
@@ -66,8 +69,8 @@ router.post('/cleanup', async (req, res) => {
     } else {
       // Clean articles by date threshold (old method)
       const [duplicateResult, oldArticleResult] = await Promise.all([
-        DatabaseMonitor.removeDuplicates(dryRun),
-        DatabaseMonitor.cleanupOldArticles({ keepDays, dryRun })
+        DatabaseMonitor.removeDuplicates(dryRun, context),
+        DatabaseMonitor.cleanupOldArticles({ keepDays, dryRun, context })
       ]);
 
       result = {
@@ -92,6 +95,18 @@ router.post('/cleanup', async (req, res) => {
   }
 });
 
+// POST /api/database/search-index - Create the search text index, replacing an older text index
+router.post('/search-index', requireRole('operator'), async (req, res) => {
+  try {
+    const searchService = require('../services/search/searchService');
+    const result = await searchService.ensureSearchIndex();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Failed to migrate search index:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // GET /api/database/health - Quick health check
 router.get('/health', async (req, res) => {
   try {
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { getAllArticles } = require('../services/db/articleService');
+const { requireRole } = require('../middleware/adminAuth');
+const auditService = require('../services/auditService');
 
 // Route to populate database with sample articles for testing
-router.post('/seed', async (req, res) => {
+router.post('/seed', requireRole('editor'), async (req, res) => {
   try {
     const { saveArticles } = require('../services/db/articleService');
     
@@ -59,7 +61,7 @@ router.post('/seed', async (req, res) => {
       }
     ];
 
-    const savedArticles = await saveArticles(sampleArticles);
+    const savedArticles = await saveArticles(sampleArticles, auditService.contextFromRequest(req));
     
     res.json({
       message: `Seeded ${savedArticles.length} articles successfully`,
@@ -72,7 +74,7 @@ router.post('/seed', async (req, res) => {
 });
 
 // Route to get all articles with their IDs for debugging
-router.get('/debug', async (req, res) => {
+router.get('/debug', requireRole('viewer'), async (req, res) => {
   try {
     const articles = await getAllArticles(20);
     const articleInfo = articles.map(article => ({
@@ -93,7 +95,7 @@ router.get('/debug', async (req, res) => {
 });
 
 // Route to clear all caches (for debugging optimization issues)
-router.post('/clear-cache', async (req, res) => {
+router.post('/clear-cache', requireRole('operator'), async (req, res) => {
   try {
     const { advancedCache } = require('../middleware/advancedCache');
     
@@ -102,6 +104,14 @@ router.post('/clear-cache', async (req, res) => {
     
     // Also clear any specific article caches
     await advancedCache.clearPattern('articles');
+
+    await auditService.record({
+      action: 'cache.clear',
+      entityType: 'cache',
+      entityId: '*',
+      diff: {},
+      metadata: { layers: ['memory', 'redis'], patterns: ['*', 'articles'] }
+    }, auditService.contextFromRequest(req));
     
     res.json({
       success: true,
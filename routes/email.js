@@ -0,0 +1,149 @@
+/**
+ * ✉️ Email Routes
+ * Transport status, the outbound queue and recorded bounces. Mounted at /api/admin/email.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const OutboundEmail = require('../models/OutboundEmail');
+const EmailBounce = require('../models/EmailBounce');
+const emailClient = require('../services/email');
+const outboundQueue = require('../services/email/outboundQueue');
+const { requireRole } = require('../middleware/adminAuth');
+
+const OUTBOX_STATUSES = ['queued', 'sending', 'sent', 'failed', 'suppressed'];
+
+/**
+ * GET /api/admin/email
+ * Configured transport and queue counts
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      transport: emailClient.describe(),
+      queue: await outboundQueue.stats()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/email/outbox
+ * Recent messages, without bodies (?status=, ?to=, ?limit=50)
+ */
+router.get('/outbox', requireRole('viewer'), async (req, res) => {
+  try {
+    const { status, to } = req.query;
+    if (status && !OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${OUTBOX_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const filter = {};
+    if (status) filter.status = status;
+    if (to) filter.to = String(to).toLowerCase();
+
+    const emails = await OutboundEmail.find(filter)
+      .select('-html -text -headers')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ success: true, count: emails.length, emails });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/email/outbox/drain
+ * Send everything that is due now (also safe to call from a cron)
+ */
+router.post('/outbox/drain', requireRole('operator'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.body?.limit) || 200, 1000);
+    res.json({ success: true, ...(await outboundQueue.drain({ limit })) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/email/outbox/:id/retry
+ * Put a failed message back in the queue with a fresh set of attempts
+ */
+router.post('/outbox/:id/retry', requireRole('operator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid id' });
+    }
+
+    const email = await OutboundEmail.findOneAndUpdate(
+      { _id: req.params.id, status: 'failed' },
+      { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date(), lastError: null } },
+      { new: true }
+    ).lean();
+    if (!email) {
+      return res.status(404).json({ success: false, error: 'No failed message with that id' });
+    }
+
+    const result = await outboundQueue.deliver(email._id);
+    res.json({ success: true, status: result.status, lastError: result.lastError });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/email/test
+ * Send a test message through the configured transport: { to }
+ */
+router.post('/test', requireRole('operator'), async (req, res) => {
+  try {
+    const { to } = req.body || {};
+    if (!to || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) {
+      return res.status(400).json({ success: false, error: 'A valid to address is required' });
+    }
+
+    const { email } = await outboundQueue.send({
+      category: 'test',
+      to,
+      subject: 'Forexyy email test',
+      text: `Test message sent via the ${emailClient.transport.name} transport at ${new Date().toISOString()}.`,
+      html: `<p>Test message sent via the <strong>${emailClient.transport.name}</strong> transport at ${new Date().toISOString()}.</p>`
+    });
+
+    res.status(email.status === 'sent' ? 200 : 502).json({
+      success: email.status === 'sent',
+      status: email.status,
+      transport: email.transport,
+      messageId: email.messageId,
+      lastError: email.lastError
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/email/bounces
+ * Recorded bounces and complaints (?email=, ?type=bounce|complaint, ?limit=50)
+ */
+router.get('/bounces', requireRole('viewer'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.email) filter.email = String(req.query.email).toLowerCase();
+    if (['bounce', 'complaint'].includes(req.query.type)) filter.type = req.query.type;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const bounces = await EmailBounce.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json({ success: true, count: bounces.length, bounces });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
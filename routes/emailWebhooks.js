@@ -0,0 +1,114 @@
+/**
+ * Email Webhook Routes
+ * Bounce and complaint reports from the mail provider or the bounce mailbox
+ * (services/email/bounceService.js). Mounted at /api/webhooks/email.
+ *
+ * Authenticated with EMAIL_WEBHOOK_SECRET, sent as ?secret= (SNS can't add
+ * headers) or X-Webhook-Secret.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const router = express.Router();
+const bounceService = require('../services/email/bounceService');
+const auditService = require('../services/auditService');
+
+const WEBHOOK_SECRET = process.env.EMAIL_WEBHOOK_SECRET || null;
+// SNS subscription confirmations are only followed to AWS
+const SNS_HOST_PATTERN = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+const MAX_EVENTS_PER_REQUEST = 100;
+
+if (!WEBHOOK_SECRET) {
+  console.warn('⚠️ EMAIL_WEBHOOK_SECRET not set - bounce webhook is disabled');
+}
+
+const requireSecret = (req, res, next) => {
+  const given = String(req.get('x-webhook-secret') || req.query.secret || '');
+  const valid = WEBHOOK_SECRET
+    && given.length === WEBHOOK_SECRET.length
+    && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(WEBHOOK_SECRET));
+  if (!valid) {
+    return res.status(WEBHOOK_SECRET ? 401 : 503).json({
+      success: false,
+      error: WEBHOOK_SECRET ? 'Invalid webhook secret' : 'Bounce webhook is not configured'
+    });
+  }
+  next();
+};
+
+/**
+ * Normalize the generic JSON format: { type, email, permanent | bounceType: hard|soft, status?, diagnosticCode?, messageId? }
+ */
+const genericEvent = (event) => ({
+  email: event.email,
+  type: event.type === 'complaint' ? 'complaint' : 'bounce',
+  permanent: event.permanent === true || event.bounceType === 'hard',
+  status: event.status || null,
+  diagnosticCode: event.diagnosticCode || event.reason || null,
+  feedbackType: event.feedbackType || null,
+  messageId: event.messageId || null
+});
+
+/**
+ * POST /api/webhooks/email/bounces
+ * Accepts:
+ * - SES notifications delivered by SNS (subscription confirmations are followed)
+ * - { type: bounce|complaint, email, bounceType: hard|soft, ... } or { events: [...] }
+ * - a raw bounce / complaint email (message/rfc822 or text/plain), e.g. piped from the bounce mailbox
+ */
+router.post('/bounces', express.text({ type: ['text/plain', 'message/*'], limit: '2mb' }), requireSecret, async (req, res) => {
+  try {
+    let body = req.body;
+    let rawMail = null;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        rawMail = body;
+      }
+    }
+
+    const context = auditService.contextFromRequest(req);
+    let results = [];
+
+    if (rawMail !== null) {
+      results = await bounceService.processBounceMail(rawMail, { context });
+    } else if (body?.Type === 'SubscriptionConfirmation') {
+      const url = new URL(body.SubscribeURL);
+      if (url.protocol !== 'https:' || !SNS_HOST_PATTERN.test(url.hostname)) {
+        return res.status(400).json({ success: false, error: 'SubscribeURL is not an SNS endpoint' });
+      }
+      await axios.get(url.toString(), { timeout: 10000 });
+      console.log(`📭 Confirmed SNS subscription for ${body.TopicArn}`);
+      return res.json({ success: true, confirmed: true });
+    } else if (body?.Type === 'Notification' || body?.notificationType || body?.eventType) {
+      const notification = body.Type === 'Notification' ? JSON.parse(body.Message) : body;
+      for (const event of bounceService.sesEvents(notification)) {
+        results.push(await bounceService.record(event, { source: 'ses', context }));
+      }
+    } else {
+      const events = Array.isArray(body?.events) ? body.events : [body];
+      if (events.length > MAX_EVENTS_PER_REQUEST || events.some(event => !event?.email)) {
+        return res.status(400).json({
+          success: false,
+          error: `Send 1-${MAX_EVENTS_PER_REQUEST} events, each with an email`
+        });
+      }
+      for (const event of events) {
+        results.push(await bounceService.record(genericEvent(event), { source: 'webhook', context }));
+      }
+    }
+
+    res.json({
+      success: true,
+      processed: results.length,
+      deactivated: results.filter(result => result.deactivated).map(result => result.bounce.email)
+    });
+  } catch (error) {
+    console.error('❌ Bounce webhook error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
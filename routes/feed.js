@@ -0,0 +1,145 @@
+/**
+ * Personalized Feed Routes
+ * "For You" feed ranked from each reader's reading history, and the
+ * signals that build it (services/personalization). Readers are identified by
+ * a first-party visitor id or a newsletter subscriber token (middleware/reader.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const feedService = require('../services/personalization/feedService');
+const readingProfileService = require('../services/personalization/readingProfileService');
+const storyClusterService = require('../services/db/storyClusterService');
+const translationService = require('../services/translation/translationService');
+const { normalizeArticleFormat } = require('../services/db/articleService');
+const { identifyReader } = require('../middleware/reader');
+const { negotiateLocale } = require('../middleware/locale');
+
+const MAX_SIGNALS_PER_REQUEST = 20;
+
+// Never cache one reader's feed for another
+const noStore = (req, res, next) => {
+  res.set('Cache-Control', 'private, no-store');
+  next();
+};
+
+/**
+ * GET /api/feed/personalized
+ * Recent articles ranked by affinity to the reader's sections and entities, freshness
+ * and diversity. Falls back to the top 20 (personalized: false) without enough history.
+ * Query: limit (max 50), lang
+ */
+router.get('/personalized', noStore, negotiateLocale, identifyReader({ assign: true }), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const feed = await feedService.personalized(req.reader, { limit });
+
+    const articles = await storyClusterService.dedupe(feed.articles.map(article => normalizeArticleFormat(article)));
+
+    res.json({
+      success: true,
+      personalized: feed.personalized,
+      reason: feed.reason,
+      visitorId: req.reader.visitorId,
+      count: articles.length,
+      interests: feed.interests,
+      articles: await translationService.localizeMany(articles, req.locale)
+    });
+  } catch (error) {
+    console.error('Error building personalized feed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/feed/signals
+ * Reading signals: { articleId, type, seconds? } or { signals: [...] }
+ * type: view | listen | dwell (seconds on the page) | newsletter_click
+ * Accepts text/plain JSON too, for navigator.sendBeacon().
+ */
+router.post('/signals', noStore, express.text({ type: 'text/plain' }), identifyReader({ assign: true }), async (req, res) => {
+  try {
+    let body = req.body;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        return res.status(400).json({ success: false, error: 'Body must be JSON' });
+      }
+    }
+
+    const signals = Array.isArray(body?.signals) ? body.signals : [body];
+    if (signals.length === 0 || signals.length > MAX_SIGNALS_PER_REQUEST) {
+      return res.status(400).json({ success: false, error: `Send 1-${MAX_SIGNALS_PER_REQUEST} signals` });
+    }
+
+    const invalid = signals.find(signal => !signal
+      || !mongoose.isValidObjectId(signal.articleId)
+      || !readingProfileService.signalTypes.includes(signal.type));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Each signal needs an articleId and a type',
+        allowedTypes: readingProfileService.signalTypes
+      });
+    }
+
+    let recorded = 0;
+    for (const signal of signals) {
+      const seconds = Math.min(Math.max(Number(signal.seconds) || 0, 0), 60 * 60);
+      if (await readingProfileService.recordSignal(req.reader, signal.articleId, signal.type, { seconds })) {
+        recorded++;
+      }
+    }
+
+    res.status(202).json({
+      success: true,
+      recorded,
+      tracking: req.reader.trackingAllowed,
+      visitorId: req.reader.visitorId
+    });
+  } catch (error) {
+    console.error('Error recording reading signals:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/feed/profile
+ * What the feed knows about the reader: interest scores and signal counts
+ */
+router.get('/profile', noStore, identifyReader(), async (req, res) => {
+  try {
+    const profile = await readingProfileService.getProfile(req.reader);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'No reading profile' });
+    }
+
+    const interests = readingProfileService.interests(profile);
+    res.json({
+      success: true,
+      signals: profile.signals,
+      sections: interests.sections,
+      entities: interests.entities.slice(0, 50),
+      lastSeenAt: profile.lastSeenAt
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/feed/profile
+ * Forget the reader's history
+ */
+router.delete('/profile', noStore, identifyReader(), async (req, res) => {
+  try {
+    const deleted = await readingProfileService.forget(req.reader);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
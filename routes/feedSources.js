@@ -0,0 +1,104 @@
+/**
+ * 📡 Feed Source Routes
+ * Manage RSS/Atom feeds ingested by the section rotation worker
+ */
+
+const express = require('express');
+const router = express.Router();
+const Feed = require('../models/Feed');
+const feedIngestionService = require('../services/rss/feedIngestionService');
+const { requireRole } = require('../middleware/adminAuth');
+const auditService = require('../services/auditService');
+
+/**
+ * GET /api/admin/feeds
+ * List feeds with their poll state (?section= to filter)
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const filter = req.query.section ? { section: req.query.section } : {};
+    const feeds = await feedIngestionService.listFeeds(filter);
+    res.json({ success: true, count: feeds.length, feeds });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/feeds
+ * Add a feed: { name, url, section, source?, pollIntervalMinutes? }
+ */
+router.post('/', requireRole('editor'), async (req, res) => {
+  try {
+    const { name, url, section } = req.body;
+
+    if (!name || !url || !section) {
+      return res.status(400).json({ success: false, error: 'name, url and section are required' });
+    }
+
+    const feed = await feedIngestionService.addFeed(req.body);
+    console.log(`📡 Feed added by ${req.principal.name}: ${feed.name} → ${feed.section}`);
+    res.status(201).json({ success: true, feed });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A feed with this url already exists' });
+    }
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/admin/feeds/:id
+ * Update name, section, source, pollIntervalMinutes or isActive
+ */
+router.patch('/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const feed = await feedIngestionService.updateFeed(req.params.id, req.body);
+    if (!feed) {
+      return res.status(404).json({ success: false, error: 'Feed not found' });
+    }
+    res.json({ success: true, feed });
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/feeds/:id
+ * Remove a feed (already ingested articles are kept)
+ */
+router.delete('/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const feed = await feedIngestionService.removeFeed(req.params.id);
+    if (!feed) {
+      return res.status(404).json({ success: false, error: 'Feed not found' });
+    }
+    res.json({ success: true, message: `Feed ${feed.name} removed` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/feeds/:id/poll
+ * Poll a feed now, ignoring its schedule
+ */
+router.post('/:id/poll', requireRole('editor'), async (req, res) => {
+  try {
+    const feed = await Feed.findById(req.params.id);
+    if (!feed) {
+      return res.status(404).json({ success: false, error: 'Feed not found' });
+    }
+
+    const { articles, ...result } = await feedIngestionService.pollFeed(feed, {
+      context: auditService.contextFromRequest(req)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(502).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
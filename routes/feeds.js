@@ -0,0 +1,64 @@
+/**
+ * 📰 Outbound Feeds
+ * GET /feeds/:section.rss | .atom | .json  (use "all" for every section)
+ * Supports conditional GET via ETag / If-Modified-Since.
+ */
+
+const express = require('express');
+const router = express.Router();
+const syndicationService = require('../services/syndicationService');
+const providerRegistry = require('../services/providers');
+const { apiUrlFor } = require('../config/publicUrl');
+
+/**
+ * Whether the client's cached copy is still current
+ */
+function isNotModified(req, feed) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    // If-None-Match takes precedence over If-Modified-Since (RFC 9110)
+    return ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === feed.etag || tag === '*');
+  }
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  if (ifModifiedSince) {
+    const since = Date.parse(ifModifiedSince);
+    return !isNaN(since) && Date.parse(feed.lastModified) <= since;
+  }
+
+  return false;
+}
+
+router.get('/:section.:format(rss|atom|json)', async (req, res) => {
+  try {
+    const section = req.params.section.toLowerCase();
+    const { format } = req.params;
+
+    if (section !== 'all' && !providerRegistry.getSections().includes(section)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown section: ${section}. Available: all, ${providerRegistry.getSections().join(', ')}`
+      });
+    }
+
+    const feed = await syndicationService.getFeed(section, format, apiUrlFor(req));
+
+    res.set({
+      'ETag': feed.etag,
+      'Last-Modified': feed.lastModified,
+      'Cache-Control': 'public, max-age=300',
+      'Vary': 'Accept-Encoding'
+    });
+
+    if (isNotModified(req, feed)) {
+      return res.status(304).end();
+    }
+
+    res.type(feed.contentType).send(feed.body);
+  } catch (error) {
+    console.error('❌ Feed generation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+/**
+ * 🧠 LLM Provider Routes
+ * Provider health, task routing, persisted token usage and budgets
+ */
+
+const express = require('express');
+const router = express.Router();
+const llmClient = require('../services/llm');
+const tokenLedger = require('../services/llm/tokenLedger');
+const { requireRole } = require('../middleware/adminAuth');
+
+const MAX_PROMPT_LENGTH = 2000;
+const USAGE_PERIODS = ['hour', 'day', 'month'];
+const GROUP_FIELDS = ['provider', 'keyId', 'model', 'task', 'section'];
+// Default look-back per period
+const DEFAULT_RANGE_DAYS = { hour: 1, day: 30, month: 365 };
+
+/**
+ * GET /api/admin/llm
+ * Configured providers (with cooldowns), per-task fallback chains and token usage since startup
+ */
+router.get('/', requireRole('viewer'), (req, res) => {
+  try {
+    res.json({ success: true, ...llmClient.getStats() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/llm/usage
+ * Persisted token usage rollups (?period=hour|day|month, ?from=, ?to=, ?groupBy=provider,keyId,model,task,section)
+ */
+router.get('/usage', requireRole('viewer'), async (req, res) => {
+  try {
+    const period = req.query.period || 'day';
+    if (!USAGE_PERIODS.includes(period)) {
+      return res.status(400).json({ success: false, error: `period must be one of: ${USAGE_PERIODS.join(', ')}` });
+    }
+
+    const groupBy = (req.query.groupBy || 'provider').split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = groupBy.filter(field => !GROUP_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, error: `groupBy must use: ${GROUP_FIELDS.join(', ')}` });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date(Date.now() - DEFAULT_RANGE_DAYS[period] * 24 * 60 * 60 * 1000);
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if (isNaN(from) || (to && isNaN(to))) {
+      return res.status(400).json({ success: false, error: 'from and to must be dates' });
+    }
+
+    const rows = await tokenLedger.usage({ period, from, to, groupBy });
+    const totalTokens = rows.reduce((sum, row) => sum + row.totalTokens, 0);
+    res.json({ success: true, period, from, to, groupBy, totalTokens, count: rows.length, rows });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/llm/budget
+ * Task/section budgets with usage, burn rate and projected exhaustion, plus the Groq key pool
+ */
+router.get('/budget', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await tokenLedger.report()) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/llm/test
+ * Send a short prompt through a task's chain: { task?, prompt? }
+ */
+router.post('/test', requireRole('operator'), async (req, res) => {
+  try {
+    const { task = 'default', prompt = 'Reply with the single word OK.' } = req.body || {};
+    if (typeof prompt !== 'string' || prompt.length > MAX_PROMPT_LENGTH) {
+      return res.status(400).json({ success: false, error: `prompt must be a string of at most ${MAX_PROMPT_LENGTH} characters` });
+    }
+    if (!llmClient.isAvailable(task)) {
+      return res.status(503).json({ success: false, error: `No LLM provider configured for ${task}` });
+    }
+
+    const result = await llmClient.chat(task, {
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0,
+      maxTokens: 50
+    });
+    res.json({ success: true, task, ...result });
+  } catch (error) {
+    res.status(502).json({ success: false, error: error.message, failures: error.failures || [] });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const MonitoringService = require('../services/monitoringService');
 const redisLoadBalancer = require('../config/redisLoadBalancer');
+const { requireRole } = require('../middleware/adminAuth');
 
 // Health check endpoint
 router.get('/api/health', (req, res) => {
@@ -31,7 +32,7 @@ router.get('/', (req, res) => {
 });
 
 // Get current metrics
-router.get('/api/metrics', async (req, res) => {
+router.get('/api/metrics', requireRole('viewer'), async (req, res) => {
   try {
     const metrics = await MonitoringService.collectMetrics();
     res.json(metrics);
@@ -41,7 +42,7 @@ router.get('/api/metrics', async (req, res) => {
 });
 
 // Get historical metrics
-router.get('/api/metrics/history', async (req, res) => {
+router.get('/api/metrics/history', requireRole('viewer'), async (req, res) => {
   try {
     const history = await MonitoringService.getMetricsHistory();
     res.json(history);
@@ -51,7 +52,7 @@ router.get('/api/metrics/history', async (req, res) => {
 });
 
 // Get Redis load balancer stats
-router.get('/api/redis/stats', (req, res) => {
+router.get('/api/redis/stats', requireRole('viewer'), (req, res) => {
   try {
     const stats = redisLoadBalancer.getStats();
     res.json({
@@ -112,8 +113,24 @@ router.get('/monitoring', (req, res) => {
         let charts = {};
 
         // Fetch and update metrics every 30 seconds
+        // Metrics require a viewer key - kept in sessionStorage for this tab only
+        function getAdminKey() {
+          let key = sessionStorage.getItem('adminKey');
+          if (!key) {
+            key = prompt('Admin API key or session token (viewer role):') || '';
+            sessionStorage.setItem('adminKey', key);
+          }
+          return key;
+        }
+
         async function updateMetrics() {
-          const response = await fetch('/api/metrics');
+          const response = await fetch('/api/metrics', {
+            headers: { 'Authorization': 'Bearer ' + getAdminKey() }
+          });
+          if (response.status === 401 || response.status === 403) {
+            sessionStorage.removeItem('adminKey');
+            return;
+          }
           const metrics = await response.json();
           updateCharts(metrics);
           updateStats(metrics);
@@ -1,10 +1,14 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
+const mongoose = require('mongoose');
 const Subscriber = require('../models/Subscriber');
 const AllUsers = require('../models/AllUsers');
 const NewsletterHistory = require('../models/NewsletterHistory');
-const NewsletterService = require('../services/NewsletterService');
 const NewsletterScheduler = require('../services/NewsletterScheduler');
+const { requireRole } = require('../middleware/adminAuth');
+const auditService = require('../services/auditService');
+const newsletterTrackingService = require('../services/newsletterTrackingService');
+const subscriptionService = require('../services/subscriptionService');
+const newsletterScheduleService = require('../services/newsletterScheduleService');
 
 const router = express.Router();
 
@@ -14,10 +18,11 @@ const isValidEmail = (email) => {
   return emailRegex.test(email);
 };
 
-// POST /api/newsletter/subscribe - Subscribe to newsletter with dual-collection system
+// POST /api/newsletter/subscribe - Subscribe to newsletter (double opt-in, see services/subscriptionService.js)
 router.post('/subscribe', async (req, res) => {
   try {
     const { email, name, preferences = {} } = req.body;
+    const timezone = req.body.timezone || preferences.timezone || null;
 
     if (!email || !isValidEmail(email)) {
       return res.status(400).json({
@@ -26,8 +31,21 @@ router.post('/subscribe', async (req, res) => {
       });
     }
 
+    const preferencesError = subscriptionService.validatePreferences({
+      genres: preferences.genres,
+      frequency: preferences.frequency,
+      sendHour: preferences.sendHour,
+      sendDay: preferences.sendDay,
+      timezone
+    });
+    if (preferencesError) {
+      return res.status(400).json({
+        success: false,
+        message: preferencesError
+      });
+    }
+
     // Ensure database connection
-    const mongoose = require('mongoose');
     if (mongoose.connection.readyState !== 1) {
       console.log('⚠️ Database not connected, attempting to connect...');
       await new Promise(resolve => setTimeout(resolve, 1000));
@@ -37,119 +55,39 @@ router.post('/subscribe', async (req, res) => {
       }
     }
 
-    // STEP 1: Handle AllUsers collection (permanent record)
-    let allUser = await AllUsers.findOne({ email });
-    if (allUser) {
-      // Update existing user record
-      await AllUsers.findByIdAndUpdate(allUser._id, {
-        isCurrentlySubscribed: true,
-        lastSubscriptionAt: new Date(),
-        totalSubscriptions: allUser.totalSubscriptions + 1,
-        $push: {
-          subscriptionHistory: {
-            action: 'subscribe',
-            timestamp: new Date(),
-            preferences: {
-              genres: preferences.genres || ['politics', 'business', 'technology'],
-              frequency: preferences.frequency || 'hourly'
-            }
-          }
-        }
-      });
-      console.log(`✅ Updated AllUsers record for ${email}`);
-    } else {
-      // Create new user in AllUsers collection
-      allUser = new AllUsers({
-        email,
-        name: name || 'Subscriber',
-        firstSubscribedAt: new Date(),
-        totalSubscriptions: 1,
-        isCurrentlySubscribed: true,
-        subscriptionHistory: [{
-          action: 'subscribe',
-          timestamp: new Date(),
-          preferences: {
-            genres: preferences.genres || ['politics', 'business', 'technology'],
-            frequency: preferences.frequency || 'hourly'
-          }
-        }]
-      });
-      await allUser.save();
-      console.log(`✅ Created new AllUsers record for ${email}`);
-    }
+    const { status, subscriber } = await subscriptionService.subscribe(
+      { email: email.toLowerCase().trim(), name, preferences, timezone },
+      auditService.contextFromRequest(req)
+    );
 
-    // STEP 2: Handle Subscribers collection (active subscribers only)
-    const existingSubscriber = await Subscriber.findOne({ email });
-    let currentSubscriber;
-    
-    if (existingSubscriber) {
-      if (existingSubscriber.isActive) {
-        return res.status(400).json({
-          success: false,
-          message: 'This email is already subscribed to our newsletter'
-        });
-      } else {
-        // Reactivate if previously unsubscribed
-        currentSubscriber = await Subscriber.findByIdAndUpdate(existingSubscriber._id, {
-          isActive: true,
-          subscribedAt: new Date(),
-          preferences: {
-            genres: preferences.genres || ['politics', 'business', 'technology'],
-            frequency: preferences.frequency || 'hourly'
-          }
-        }, { new: true });
-        console.log(`✅ Reactivated subscriber: ${email}`);
-      }
-    } else {
-      // Create new active subscriber
-      currentSubscriber = new Subscriber({
-        email,
-        name: name || 'Subscriber',
-        preferences: {
-          genres: preferences.genres || ['politics', 'business', 'technology'],
-          frequency: preferences.frequency || 'hourly'
-        },
-        unsubscribeToken: uuidv4(),
-        isActive: true
+    if (status === 'already_active') {
+      return res.status(400).json({
+        success: false,
+        message: 'This email is already subscribed to our newsletter'
       });
-      await currentSubscriber.save();
-      console.log(`✅ Created new subscriber: ${email}`);
     }
 
-    // STEP 3: Send welcome email with fresh news
-    if (currentSubscriber) {
-      try {
-        // Get fresh articles for welcome email
-        const { getAllArticles } = require('../services/db/articleService');
-        let welcomeArticles = await getAllArticles(3, 0);
-        
-        if (!welcomeArticles || welcomeArticles.length === 0) {
-          // Fallback welcome articles
-          welcomeArticles = [{
-            title: 'Welcome to Forexyy Newsletter!',
-            abstract: 'Stay informed with expert analysis and breaking news delivered directly to your inbox every hour.',
-            url: 'https://forexyy.com',
-            section: 'welcome'
-          }];
+    if (status === 'pending') {
+      return res.json({
+        success: true,
+        pending: true,
+        message: 'Almost done! Check your inbox and follow the link to confirm your subscription.',
+        subscriber: {
+          email: subscriber.email,
+          confirmationExpiresInHours: subscriptionService.confirmTtlHours
         }
-        
-        // Send welcome email
-        await NewsletterService.sendNewsletterToSubscriber(currentSubscriber, welcomeArticles);
-        console.log(`✅ Welcome email sent to ${email}`);
-      } catch (emailError) {
-        console.log(`⚠️ Welcome email failed for ${email}:`, emailError.message);
-        // Don't fail the subscription if email fails
-      }
+      });
     }
 
     res.json({
       success: true,
       message: 'Successfully subscribed to newsletter! You will receive fresh news each hour.',
       subscriber: { 
-        email, 
-        subscribedAt: new Date(),
-        preferences: preferences.genres || ['politics', 'business', 'technology'],
-        frequency: preferences.frequency || 'hourly'
+        email: subscriber.email, 
+        subscribedAt: subscriber.subscribedAt,
+        preferences: subscriber.preferences.genres,
+        frequency: subscriber.preferences.frequency,
+        schedule: newsletterScheduleService.describe(subscriber)
       }
     });
 
@@ -206,6 +144,15 @@ router.post('/unsubscribe', async (req, res) => {
     await Subscriber.findByIdAndDelete(subscriber._id);
     console.log(`✅ Removed from active subscribers: ${subscriber.email}`);
 
+    await auditService.record({
+      action: 'subscriber.unsubscribe',
+      entityType: 'subscriber',
+      entityId: subscriber.email,
+      before: auditService.snapshotSubscriber(subscriber),
+      after: null,
+      metadata: { via: token ? 'token' : 'email' }
+    }, auditService.contextFromRequest(req));
+
     res.json({
       success: true,
       message: 'Successfully unsubscribed from newsletter'
@@ -244,7 +191,7 @@ router.get('/stats', async (req, res) => {
 });
 
 // POST /api/newsletter/send-test - Send test newsletter (manual trigger)
-router.post('/send-test', async (req, res) => {
+router.post('/send-test', requireRole('operator'), async (req, res) => {
   try {
     await NewsletterScheduler.sendTestNewsletter();
     
@@ -288,12 +235,14 @@ router.get('/history', async (req, res) => {
     
     const history = await NewsletterScheduler.getNewsletterHistory(days);
     const stats = await NewsletterHistory.getSchedulingStats();
+    const engagement = await NewsletterHistory.getEngagementStats({ days });
     
     res.json({
       success: true,
       data: {
         history: history.slice(0, limit),
         stats: stats,
+        engagement: engagement,
         totalRecords: history.length
       }
     });
@@ -306,24 +255,99 @@ router.get('/history', async (req, res) => {
   }
 });
 
-// GET /api/newsletter/next-schedule - Get information about the next scheduled newsletter
+// GET /api/newsletter/engagement - Open rate, click rate and top-clicked articles
+// Query: historyId (one run) or days (default 7)
+router.get('/engagement', async (req, res) => {
+  try {
+    const { historyId } = req.query;
+    if (historyId && !mongoose.isValidObjectId(historyId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid historyId'
+      });
+    }
+
+    const days = Math.min(parseInt(req.query.days) || 7, 180);
+    const engagement = await NewsletterHistory.getEngagementStats({ historyId, days });
+
+    res.json({
+      success: true,
+      data: {
+        ...(historyId ? { historyId } : { days }),
+        ...engagement
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error getting newsletter engagement:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/newsletter/tracking - Opt out of (or back into) open/click tracking
+// Body: { token (unsubscribe token), optOut: true | false }
+router.post('/tracking', async (req, res) => {
+  try {
+    const { token, optOut } = req.body;
+
+    if (!token || typeof optOut !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsubscribe token and optOut (true or false) are required'
+      });
+    }
+
+    const before = await newsletterTrackingService.setOptOut(token, optOut);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    if (Boolean(before.trackingOptOut) !== optOut) {
+      await auditService.record({
+        action: 'subscriber.tracking',
+        entityType: 'subscriber',
+        entityId: before.email,
+        diff: { trackingOptOut: { before: Boolean(before.trackingOptOut), after: optOut } }
+      }, auditService.contextFromRequest(req));
+    }
+
+    res.json({
+      success: true,
+      trackingOptOut: optOut,
+      message: optOut
+        ? 'Opens and clicks in your newsletters will no longer be tracked'
+        : 'Open and click tracking turned back on'
+    });
+  } catch (error) {
+    console.error('❌ Newsletter tracking preference error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/newsletter/next-schedule - Upcoming send windows (each subscriber is sent to in their own timezone)
+// Query: hours (default 24)
 router.get('/next-schedule', async (req, res) => {
   try {
-    const nextScheduledTime = NewsletterScheduler.getNextScheduledTime();
-    const newsletterService = new NewsletterService();
+    const hours = Math.min(parseInt(req.query.hours) || 24, 7 * 24);
+    const nextRunTime = NewsletterScheduler.getNextScheduledTime();
+    const nextDueTime = await NewsletterScheduler.getNextDueTime();
     
     res.json({
       success: true,
       data: {
-        nextScheduledTime: nextScheduledTime,
-        isWorkingHours: newsletterService.isWorkingHours(),
+        nextScheduledTime: nextDueTime,
+        nextRunTime: nextRunTime,
         currentTime: new Date(),
-        timeUntilNext: nextScheduledTime.getTime() - Date.now(),
-        workingHours: {
-          start: '10:10 PM IST',
-          end: '10:10 PM IST',
-          timezone: 'Asia/Kolkata'
-        }
+        timeUntilNext: nextDueTime ? nextDueTime.getTime() - Date.now() : null,
+        upcomingWindows: await NewsletterScheduler.getUpcomingWindows(hours)
       }
     });
   } catch (error) {
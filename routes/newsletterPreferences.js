@@ -0,0 +1,351 @@
+const express = require('express');
+const auditService = require('../services/auditService');
+const subscriptionService = require('../services/subscriptionService');
+const newsletterScheduleService = require('../services/newsletterScheduleService');
+
+const router = express.Router();
+
+// ========================================
+// NEWSLETTER CONFIRMATION & PREFERENCE CENTER (No JavaScript required)
+// Linked from emails - confirm links are signed, preference links carry the unsubscribe token.
+// Every page answers JSON too when the client asks for it.
+// ========================================
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const wantsJson = (req) => req.is('application/json') || req.accepts(['html', 'json']) === 'json';
+
+// Links carry secrets - keep them out of caches and search results
+router.use((req, res, next) => {
+  res.set('Cache-Control', 'no-store');
+  res.set('X-Robots-Tag', 'noindex');
+  next();
+});
+
+router.use(express.urlencoded({ extended: true }));
+
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} - Forexyy Newsletter</title>
+    <style>
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            background: linear-gradient(135deg, #1e3a8a 0%, #1e40af 50%, #2563eb 100%);
+            min-height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        }
+        .container {
+            background: white;
+            border-radius: 16px;
+            box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.25);
+            max-width: 560px;
+            width: 100%;
+            padding: 40px 32px;
+        }
+        h1 { color: #111827; font-size: 24px; margin-bottom: 12px; text-align: center; }
+        h2 { color: #111827; font-size: 17px; margin: 28px 0 12px; }
+        p { color: #6b7280; font-size: 15px; line-height: 1.6; margin-bottom: 16px; }
+        .center { text-align: center; }
+        .notice { background: #ecfdf5; color: #065f46; padding: 12px 16px; border-radius: 8px; margin-bottom: 16px; }
+        .notice.error { background: #fef2f2; color: #991b1b; }
+        label { display: block; color: #374151; font-size: 14px; margin-bottom: 12px; }
+        input[type=text], input[type=number], select {
+            display: block; width: 100%; margin-top: 4px; padding: 8px 10px;
+            border: 1px solid #d1d5db; border-radius: 8px; font-size: 15px;
+        }
+        .genres { display: flex; flex-wrap: wrap; gap: 8px 16px; margin-bottom: 12px; }
+        .genres label { display: inline-flex; gap: 6px; align-items: center; margin: 0; }
+        .btn {
+            display: inline-block; padding: 12px 24px; border-radius: 8px; font-size: 15px;
+            font-weight: 600; text-decoration: none; cursor: pointer; border: none; margin: 4px 8px 4px 0;
+        }
+        .btn-primary { background: #2563eb; color: white; }
+        .btn-secondary { background: #f3f4f6; color: #374151; }
+        .btn-danger { background: #dc2626; color: white; }
+        .footer { margin-top: 32px; padding-top: 24px; border-top: 1px solid #e5e7eb; color: #9ca3af; font-size: 14px; text-align: center; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        ${body}
+        <div class="footer">Forexyy Newsletter &bull; AI-Powered News Analysis</div>
+    </div>
+</body>
+</html>`;
+
+const messagePage = (title, message, link = null) => page(title, `
+        <h1>${escapeHtml(title)}</h1>
+        <p class="center">${escapeHtml(message)}</p>
+        <p class="center">
+            ${link ? `<a href="${escapeHtml(link.href)}" class="btn btn-primary">${escapeHtml(link.label)}</a>` : ''}
+            <a href="https://forexyy.com" class="btn btn-secondary">Return to Forexyy</a>
+        </p>`);
+
+const preferencesPage = (subscriber, token, notice = null) => {
+  const schedule = newsletterScheduleService.describe(subscriber);
+  const genres = subscriber.preferences?.genres || [];
+  const action = `/newsletter/preferences/${encodeURIComponent(token)}`;
+  const pausedUntil = subscriber.pausedUntil && new Date(subscriber.pausedUntil) > new Date() ? new Date(subscriber.pausedUntil) : null;
+  const localDate = (date) => date.toLocaleString('en-US', { timeZone: schedule.timezone, dateStyle: 'medium', timeStyle: 'short' });
+
+  return page('Newsletter Preferences', `
+        <h1>Newsletter Preferences</h1>
+        <p class="center">${escapeHtml(subscriber.email)}</p>
+        ${notice ? `<div class="notice${notice.error ? ' error' : ''}">${escapeHtml(notice.message)}</div>` : ''}
+
+        <form method="POST" action="${action}">
+            <input type="hidden" name="action" value="save">
+            <label>Name
+                <input type="text" name="name" maxlength="100" value="${escapeHtml(subscriber.name)}">
+            </label>
+            <h2>Topics</h2>
+            <div class="genres">
+                ${subscriptionService.genres.map(genre => `
+                <label><input type="checkbox" name="genres" value="${genre}"${genres.includes(genre) ? ' checked' : ''}> ${genre}</label>`).join('')}
+            </div>
+            <h2>Delivery</h2>
+            <label>How often
+                <select name="frequency">
+                    ${subscriptionService.frequencies.map(frequency => `<option value="${frequency}"${schedule.frequency === frequency ? ' selected' : ''}>${frequency}</option>`).join('')}
+                </select>
+            </label>
+            <label>Send hour (daily and weekly)
+                <select name="sendHour">
+                    <option value="">Default</option>
+                    ${Array.from({ length: 24 }, (_, hour) => `<option value="${hour}"${subscriber.preferences?.sendHour === hour ? ' selected' : ''}>${String(hour).padStart(2, '0')}:00</option>`).join('')}
+                </select>
+            </label>
+            <label>Send day (weekly)
+                <select name="sendDay">
+                    <option value="">Default</option>
+                    ${WEEKDAYS.map((day, index) => `<option value="${index}"${subscriber.preferences?.sendDay === index ? ' selected' : ''}>${day}</option>`).join('')}
+                </select>
+            </label>
+            <label>Timezone
+                <select name="timezone">
+                    ${(TIMEZONES.includes(schedule.timezone) ? TIMEZONES : [schedule.timezone, ...TIMEZONES]).map(timezone => `<option value="${escapeHtml(timezone)}"${schedule.timezone === timezone ? ' selected' : ''}>${escapeHtml(timezone)}</option>`).join('')}
+                </select>
+            </label>
+            <button type="submit" class="btn btn-primary">Save preferences</button>
+        </form>
+
+        <h2>Take a break</h2>
+        ${pausedUntil ? `
+        <p>Delivery is paused until ${escapeHtml(localDate(pausedUntil))}.</p>
+        <form method="POST" action="${action}">
+            <input type="hidden" name="action" value="resume">
+            <button type="submit" class="btn btn-secondary">Resume now</button>
+        </form>` : `
+        <form method="POST" action="${action}">
+            <input type="hidden" name="action" value="pause">
+            <label>Pause for (days, up to ${subscriptionService.maxPauseDays})
+                <input type="number" name="days" min="1" max="${subscriptionService.maxPauseDays}" value="7">
+            </label>
+            <button type="submit" class="btn btn-secondary">Pause delivery</button>
+        </form>`}
+        ${schedule.nextDueAt && !pausedUntil ? `<p>Next newsletter: ${escapeHtml(localDate(new Date(schedule.nextDueAt)))}</p>` : ''}
+
+        <h2>Your data</h2>
+        <form method="POST" action="${action}">
+            <input type="hidden" name="action" value="export">
+            <button type="submit" class="btn btn-secondary">Download my data</button>
+        </form>
+        <form method="POST" action="${action}">
+            <input type="hidden" name="action" value="delete">
+            <label><input type="checkbox" name="confirm" value="yes"> Delete my subscription and all data stored about me</label>
+            <button type="submit" class="btn btn-danger">Delete my data</button>
+        </form>
+        <p><a href="/unsubscribe?token=${encodeURIComponent(token)}">Unsubscribe only</a></p>`);
+};
+
+const publicPreferences = (subscriber) => ({
+  email: subscriber.email,
+  name: subscriber.name,
+  genres: subscriber.preferences?.genres || [],
+  pausedUntil: subscriber.pausedUntil && new Date(subscriber.pausedUntil) > new Date() ? subscriber.pausedUntil : null,
+  schedule: newsletterScheduleService.describe(subscriber)
+});
+
+// Form fields arrive as strings (and a single checkbox as a string) - JSON as typed values
+const preferenceChanges = (body, fromForm) => {
+  const toInt = (value) => (value === '' || value === null ? null : Number(value));
+  const changes = {};
+
+  if (body.genres !== undefined) changes.genres = [].concat(body.genres);
+  else if (fromForm) changes.genres = []; // No boxes ticked
+  for (const field of ['frequency', 'timezone', 'name']) {
+    if (body[field] !== undefined) changes[field] = body[field];
+  }
+  if (body.sendHour !== undefined) changes.sendHour = toInt(body.sendHour);
+  if (body.sendDay !== undefined) changes.sendDay = toInt(body.sendDay);
+  return changes;
+};
+
+// GET /newsletter/confirm/:token - Confirmation page (the button POSTs, so link scanners can't confirm)
+router.get('/confirm/:token', (req, res) => {
+  const payload = subscriptionService.verifyConfirmationToken(req.params.token);
+  if (!payload) {
+    return res.status(400).send(messagePage('Invalid Link', 'This confirmation link is not valid. Please use the link from your confirmation email.'));
+  }
+
+  res.send(page('Confirm Subscription', `
+        <h1>Confirm your subscription</h1>
+        <p class="center">One click and the Forexyy Newsletter is on its way.</p>
+        <form method="POST" action="/newsletter/confirm/${encodeURIComponent(req.params.token)}" class="center">
+            <button type="submit" class="btn btn-primary">Confirm subscription</button>
+        </form>`));
+});
+
+// POST /newsletter/confirm/:token - Confirm a pending subscription
+router.post('/confirm/:token', async (req, res) => {
+  try {
+    const { status, subscriber } = await subscriptionService.confirm(req.params.token, auditService.contextFromRequest(req));
+
+    if (wantsJson(req)) {
+      const code = status === 'invalid' ? 400 : status === 'expired' ? 410 : 200;
+      return res.status(code).json({ success: code === 200, status });
+    }
+
+    if (status === 'confirmed' || status === 'already_confirmed') {
+      return res.send(messagePage(
+        status === 'confirmed' ? 'Subscription Confirmed' : 'Already Confirmed',
+        status === 'confirmed'
+          ? `Thanks! ${subscriber.email} will receive the Forexyy Newsletter.`
+          : `${subscriber.email} is already subscribed.`,
+        { href: subscriptionService.preferencesUrl(subscriber), label: 'Manage preferences' }
+      ));
+    }
+    if (status === 'expired') {
+      return res.status(410).send(messagePage('Link Expired', 'This confirmation link has expired. Please subscribe again to get a new one.'));
+    }
+    res.status(400).send(messagePage('Invalid Link', 'This confirmation link is not valid. Please use the link from your confirmation email.'));
+
+  } catch (error) {
+    console.error('❌ Newsletter confirmation error:', error);
+    if (wantsJson(req)) {
+      return res.status(500).json({ success: false, error: error.message });
+    }
+    res.status(500).send(messagePage('Something Went Wrong', 'We could not confirm your subscription. Please try again later.'));
+  }
+});
+
+// GET /newsletter/preferences/:token - Preference center
+router.get('/preferences/:token', async (req, res) => {
+  try {
+    const subscriber = await subscriptionService.findByToken(req.params.token);
+    if (!subscriber) {
+      if (wantsJson(req)) {
+        return res.status(404).json({ success: false, error: 'Subscription not found' });
+      }
+      return res.status(404).send(messagePage('Not Found', 'This subscription was not found. You may have already unsubscribed.'));
+    }
+
+    if (wantsJson(req)) {
+      return res.json({ success: true, preferences: publicPreferences(subscriber) });
+    }
+    res.send(preferencesPage(subscriber, req.params.token));
+
+  } catch (error) {
+    console.error('❌ Preference center error:', error);
+    if (wantsJson(req)) {
+      return res.status(500).json({ success: false, error: error.message });
+    }
+    res.status(500).send(messagePage('Something Went Wrong', 'We could not load your preferences. Please try again later.'));
+  }
+});
+
+// POST /newsletter/preferences/:token - action: save | pause | resume | export | delete
+router.post('/preferences/:token', async (req, res) => {
+  const json = wantsJson(req);
+  const { token } = req.params;
+
+  try {
+    const subscriber = await subscriptionService.findByToken(token);
+    if (!subscriber) {
+      if (json) {
+        return res.status(404).json({ success: false, error: 'Subscription not found' });
+      }
+      return res.status(404).send(messagePage('Not Found', 'This subscription was not found. You may have already unsubscribed.'));
+    }
+
+    const context = auditService.contextFromRequest(req);
+    const { action = 'save' } = req.body;
+
+    const fail = (message) => (json
+      ? res.status(400).json({ success: false, error: message })
+      : res.status(400).send(preferencesPage(subscriber, token, { error: true, message })));
+    const done = (updated, message, extra = {}) => (json
+      ? res.json({ success: true, message, ...extra, preferences: publicPreferences(updated) })
+      : res.send(preferencesPage(updated, token, { message })));
+
+    switch (action) {
+      case 'save': {
+        const changes = preferenceChanges(req.body, !json);
+        const error = subscriptionService.validatePreferences(changes);
+        if (error) return fail(error);
+
+        const { subscriber: updated, changed } = await subscriptionService.updatePreferences(subscriber, changes, context);
+        return done(updated, changed.length ? 'Your preferences have been saved.' : 'Nothing to change.', { changed });
+      }
+
+      case 'pause': {
+        const days = Number(req.body.days);
+        if (!Number.isInteger(days) || days < 1 || days > subscriptionService.maxPauseDays) {
+          return fail(`days must be a whole number from 1 to ${subscriptionService.maxPauseDays}`);
+        }
+        const updated = await subscriptionService.pause(subscriber, days, context);
+        return done(updated, `Delivery paused for ${days} day${days === 1 ? '' : 's'}.`);
+      }
+
+      case 'resume': {
+        const updated = await subscriptionService.resume(subscriber, context);
+        return done(updated, 'Delivery resumed.');
+      }
+
+      case 'export': {
+        const data = await subscriptionService.exportData(subscriber);
+        res.attachment('forexyy-newsletter-data.json');
+        return res.json(data);
+      }
+
+      case 'delete': {
+        if (!['yes', 'true', true].includes(req.body.confirm)) {
+          return fail('Tick the box to confirm you want your data deleted.');
+        }
+        const deleted = await subscriptionService.deleteData(subscriber, context);
+        if (json) {
+          return res.json({ success: true, message: 'Your subscription and data have been deleted.', deleted });
+        }
+        return res.send(messagePage('Data Deleted', 'Your subscription and all data stored about you have been deleted.'));
+      }
+
+      default:
+        return fail('action must be save, pause, resume, export or delete');
+    }
+
+  } catch (error) {
+    console.error('❌ Preference center error:', error);
+    if (json) {
+      return res.status(500).json({ success: false, error: error.message });
+    }
+    res.status(500).send(messagePage('Something Went Wrong', 'We could not update your preferences. Please try again later.'));
+  }
+});
+
+module.exports = router;
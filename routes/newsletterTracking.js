@@ -0,0 +1,52 @@
+/**
+ * Newsletter Tracking Routes
+ * Open pixel and click redirects used by newsletter emails
+ * (services/newsletterTrackingService.js). Mounted at /t.
+ * Both always answer - a bad or stale token still gets the pixel or a redirect.
+ */
+
+const express = require('express');
+const router = express.Router();
+const newsletterTrackingService = require('../services/newsletterTrackingService');
+const { identifyReader } = require('../middleware/reader');
+
+// 1×1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const noStore = (req, res, next) => {
+  res.set('Cache-Control', 'private, no-store, max-age=0');
+  next();
+};
+
+const userAgentOf = (req) => (req.get('user-agent') || '').substring(0, 300) || null;
+
+/**
+ * GET /t/open/:token
+ * Tracking pixel
+ */
+router.get('/open/:token', noStore, async (req, res) => {
+  const payload = newsletterTrackingService.verifyToken(req.params.token);
+  if (payload) {
+    await newsletterTrackingService.recordOpen(payload, { userAgent: userAgentOf(req) });
+  }
+
+  res.set('Content-Type', 'image/gif');
+  res.set('Content-Length', PIXEL.length);
+  res.end(PIXEL);
+});
+
+/**
+ * GET /t/click/:token
+ * Record the click and redirect to the link's signed URL (the homepage for invalid tokens)
+ */
+router.get('/click/:token', noStore, identifyReader(), async (req, res) => {
+  const payload = newsletterTrackingService.verifyToken(req.params.token);
+  if (!payload) {
+    return res.redirect(302, newsletterTrackingService.fallbackUrl);
+  }
+
+  await newsletterTrackingService.recordClick(payload, req.reader, { userAgent: userAgentOf(req) });
+  res.redirect(302, newsletterTrackingService.redirectUrl(payload));
+});
+
+module.exports = router;
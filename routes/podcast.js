@@ -0,0 +1,133 @@
+/**
+ * 🎙️ Podcast Feeds
+ * GET /podcast/:section.xml                   iTunes-compatible RSS of the daily briefings
+ * GET /podcast/:section/:date.mp3             Episode audio (Range → 206 / 416, ETag → 304)
+ * GET /podcast/:section/:date.chapters.json   Podcasting 2.0 chapters
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const podcastService = require('../services/podcast');
+const { parseRange, etagMatches } = require('../services/audio/httpRange');
+const { apiUrlFor } = require('../config/publicUrl');
+
+const DATE = ':date(\\d{4}-\\d{2}-\\d{2})';
+
+const unknownSection = (res, section) => res.status(404).json({
+  success: false,
+  error: `No podcast for section: ${section}. Available: ${podcastService.sections.join(', ')}`
+});
+
+router.get('/:section([a-z]+).xml', async (req, res) => {
+  try {
+    const { section } = req.params;
+    if (!podcastService.sections.includes(section)) {
+      return unknownSection(res, section);
+    }
+
+    const feed = await podcastService.getFeed(section, apiUrlFor(req));
+
+    res.set({
+      'ETag': feed.etag,
+      'Last-Modified': feed.lastModified,
+      'Cache-Control': 'public, max-age=300',
+      'Vary': 'Accept-Encoding'
+    });
+
+    if (etagMatches(req.headers['if-none-match'], feed.etag, { weak: true })) {
+      return res.status(304).end();
+    }
+
+    res.type('application/rss+xml; charset=utf-8').send(feed.body);
+  } catch (error) {
+    console.error('❌ Podcast feed error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get(`/:section([a-z]+)/${DATE}.chapters.json`, async (req, res) => {
+  try {
+    const { section, date } = req.params;
+    if (!podcastService.sections.includes(section)) {
+      return unknownSection(res, section);
+    }
+
+    const episode = await podcastService.findEpisode(section, date);
+    if (!episode) {
+      return res.status(404).json({ success: false, error: 'Episode not found' });
+    }
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.type('application/json+chapters').send(JSON.stringify(podcastService.chaptersJson(episode)));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get(`/:section([a-z]+)/${DATE}.mp3`, async (req, res) => {
+  try {
+    const { section, date } = req.params;
+    const episode = podcastService.sections.includes(section) && await podcastService.findEpisode(section, date);
+    if (!episode) {
+      return res.status(404).json({ success: false, error: 'Episode not found' });
+    }
+
+    // A regenerated episode is a new file (key) under the same URL
+    const etag = `"${crypto.createHash('md5').update(`${episode.key}:${episode.size}`).digest('hex').slice(0, 16)}"`;
+    const headers = {
+      'Accept-Ranges': 'bytes',
+      'Content-Type': 'audio/mpeg',
+      'Cache-Control': 'public, max-age=3600',
+      'ETag': etag
+    };
+
+    if (etagMatches(req.headers['if-none-match'], etag, { weak: true })) {
+      res.writeHead(304, headers);
+      return res.end();
+    }
+
+    const ifRange = req.headers['if-range'];
+    const range = !ifRange || etagMatches(ifRange, etag)
+      ? parseRange(req.headers.range, episode.size)
+      : null;
+
+    if (range && range.unsatisfiable) {
+      res.writeHead(416, { ...headers, 'Content-Range': `bytes */${episode.size}` });
+      return res.end();
+    }
+
+    const stream = await podcastService.open(episode, range);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Episode audio not found' });
+    }
+
+    if (range) {
+      res.writeHead(206, {
+        ...headers,
+        'Content-Range': `bytes ${range.start}-${range.end}/${episode.size}`,
+        'Content-Length': range.end - range.start + 1
+      });
+    } else {
+      res.writeHead(200, { ...headers, 'Content-Length': episode.size });
+    }
+
+    stream.on('error', (err) => {
+      console.error('❌ Podcast audio read error:', err.message);
+      res.destroy(err);
+    });
+    if (req.method === 'HEAD') {
+      stream.destroy();
+      res.end();
+    } else {
+      stream.pipe(res);
+    }
+  } catch (error) {
+    console.error('❌ Podcast audio error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+});
+
+module.exports = router;
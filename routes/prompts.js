@@ -0,0 +1,137 @@
+/**
+ * 🧪 Prompt Template Routes
+ * Manage versioned prompts and compare A/B variants
+ */
+
+const express = require('express');
+const router = express.Router();
+const promptRegistry = require('../services/ai/promptRegistry');
+const { requireRole } = require('../middleware/adminAuth');
+
+const STATUSES = ['draft', 'active', 'archived'];
+
+const sendError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, error: 'That template version already exists - retry' });
+  }
+  const status = error.name === 'ValidationError' ? 400 : 500;
+  res.status(status).json({ success: false, error: error.message });
+};
+
+/**
+ * GET /api/admin/prompts
+ * List templates, newest version first (?key=, ?status=)
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const { key, status } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const templates = await promptRegistry.list({ key, status });
+    res.json({ success: true, count: templates.length, templates });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/prompts/experiments/:key
+ * Compare every version of a key's variants on quality and engagement (?days=14)
+ */
+router.get('/experiments/:key', requireRole('viewer'), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days, 10) || 14;
+    if (days < 1 || days > 30) {
+      return res.status(400).json({ success: false, error: 'days must be between 1 and 30' });
+    }
+
+    const variants = await promptRegistry.compare(req.params.key, { days });
+    if (variants.length === 0) {
+      return res.status(404).json({ success: false, error: `No templates for key ${req.params.key}` });
+    }
+    res.json({ success: true, key: req.params.key, days, variants });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/prompts/:templateId
+ * A single template version
+ */
+router.get('/:templateId', requireRole('viewer'), async (req, res) => {
+  try {
+    const template = await promptRegistry.get(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    res.json({ success: true, template });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/prompts
+ * Create a variant (or its next version): { key, variant, user, variables, system?, model?,
+ * temperature?, maxTokens?, sections?, weight?, status?, notes? }
+ */
+router.post('/', requireRole('editor'), async (req, res) => {
+  try {
+    const { key, variant, user } = req.body;
+    if (!key || !variant || !user) {
+      return res.status(400).json({ success: false, error: 'key, variant and user are required' });
+    }
+
+    const template = await promptRegistry.create(req.body, req.principal.name);
+    console.log(`🧪 Prompt ${template.templateId} created by ${req.principal.name}`);
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/admin/prompts/:templateId
+ * Edit a template - saved as the variant's next version (draft unless status is given)
+ */
+router.put('/:templateId', requireRole('editor'), async (req, res) => {
+  try {
+    const template = await promptRegistry.revise(req.params.templateId, req.body, req.principal.name);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    console.log(`🧪 Prompt ${template.templateId} created from ${req.params.templateId} by ${req.principal.name}`);
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PATCH /api/admin/prompts/:templateId
+ * Change status, A/B weight or notes: { status?, weight?, notes? }
+ */
+router.patch('/:templateId', requireRole('editor'), async (req, res) => {
+  try {
+    const { status, weight, notes } = req.body;
+    if (status !== undefined && !STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    if (weight !== undefined && (typeof weight !== 'number' || weight < 0)) {
+      return res.status(400).json({ success: false, error: 'weight must be a non-negative number' });
+    }
+
+    const template = await promptRegistry.update(req.params.templateId, { status, weight, notes });
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    res.json({ success: true, template });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -6,28 +6,29 @@
 const express = require('express');
 const router = express.Router();
 const sectionArticleService = require('../services/db/sectionArticleService');
+const { requireRole } = require('../middleware/adminAuth');
+const { paginate, setPaginationHeaders } = require('../middleware/pagination');
+const auditService = require('../services/auditService');
 
 /**
  * GET /api/sections/:section/articles
  * Get articles for a specific section (with commentary only)
+ * Query: limit, cursor (from nextCursor / Link rel="next"), skip (legacy), fields
  */
-router.get('/:section/articles', async (req, res) => {
+router.get('/:section/articles', paginate(), async (req, res) => {
   try {
     const { section } = req.params;
-    const { limit = 20, skip = 0 } = req.query;
 
-    const articles = await sectionArticleService.getArticlesBySection(
-      section,
-      parseInt(limit),
-      parseInt(skip)
-    );
+    const { articles, nextCursor } = await sectionArticleService.getArticlesPage(section, req.pagination);
+    setPaginationHeaders(req, res, nextCursor);
 
     res.json({
       success: true,
       section,
       count: articles.length,
       articles,
-      hasMore: articles.length === parseInt(limit)
+      hasMore: !!nextCursor,
+      nextCursor
     });
   } catch (error) {
     console.error('Error fetching section articles:', error);
@@ -67,10 +68,17 @@ router.get('/stats', async (req, res) => {
  * POST /api/sections/:section/refresh-cache
  * Clear and refresh cache for a section
  */
-router.post('/:section/refresh-cache', async (req, res) => {
+router.post('/:section/refresh-cache', requireRole('operator'), async (req, res) => {
   try {
     const { section } = req.params;
     await sectionArticleService.clearSectionCache(section);
+
+    await auditService.record({
+      action: 'cache.clear',
+      entityType: 'cache',
+      entityId: `section:${section}`,
+      diff: {}
+    }, auditService.contextFromRequest(req));
     
     res.json({
       success: true,
@@ -9,6 +9,10 @@ try {
   // console.log('Article model not available, using static sitemap');
   Article = null;
 }
+const entityService = require('../services/entities/entityService');
+const moderationService = require('../services/db/moderationService');
+const translationService = require('../services/translation/translationService');
+const { DEFAULT_LOCALE, LOCALES, TARGET_LOCALES, negotiateLocale } = require('../config/locales');
 
 // Bot User Agents for pre-rendering
 const BOT_USER_AGENTS = [
@@ -105,11 +109,13 @@ router.get('/read/:slug(*)', async (req, res) => {
 
     const articleUrl = `${baseUrl}/article/${encodeURIComponent(slug)}`;
     const publishDate = article.publishedDate || article.createdAt;
+    // Only approved / auto-published commentary is exposed to crawlers
+    const commentary = moderationService.publicCommentary(article);
 
     // Generate newsletter-friendly HTML
     const html = generateNewsletterHTML({
       title: article.title,
-      description: article.abstract || article.aiCommentary?.substring(0, 200) || article.title,
+      description: article.abstract || commentary?.substring(0, 200) || article.title,
       image: article.imageUrl || `${baseUrl}/og-image.png`,
       url: articleUrl,
       type: 'article',
@@ -117,10 +123,10 @@ router.get('/read/:slug(*)', async (req, res) => {
       publishedTime: publishDate?.toISOString(),
       author: article.byline || 'Forexyy News',
       keywords: article.keywords?.join(', ') || article.section,
-      articleBody: article.aiCommentary || article.abstract,
+      articleBody: commentary || article.abstract,
       articleId: article._id?.toString() || article.id,
       slug: slug,
-      hasAiCommentary: !!article.aiCommentary
+      hasAiCommentary: !!commentary
     });
 
     res.send(html);
@@ -139,12 +145,15 @@ router.get('/read/:slug(*)', async (req, res) => {
  * Pre-render article page for social crawlers
  * Called by Vercel when bot user-agent is detected
  * If a non-bot reaches this route, redirect them to the React app
+ * ?lang= (or Accept-Language) renders a translation, with hreflang links to the others
  */
 router.get('/article/:slug(*)', async (req, res) => {
   try {
     const { slug } = req.params;
     const baseUrl = 'https://forexyy.com';
     const userAgent = (req.headers['user-agent'] || '').toLowerCase();
+    const locale = negotiateLocale(req.query.lang, req.get('accept-language'));
+    res.vary('Accept-Language');
 
     // Check if this is actually a bot - if not, redirect to React app
     const botPatterns = ['googlebot', 'bingbot', 'yandexbot', 'baiduspider', 'duckduckbot', 'slurp',
@@ -157,7 +166,7 @@ router.get('/article/:slug(*)', async (req, res) => {
     if (!isBot) {
       // Not a bot - serve a simple page that redirects via JavaScript
       // This avoids redirect loops since JavaScript redirect won't trigger Vercel rewrite
-      const reactAppUrl = `${baseUrl}/article/${encodeURIComponent(slug)}`;
+      const reactAppUrl = `${baseUrl}/article/${encodeURIComponent(slug)}${locale !== DEFAULT_LOCALE ? `?lang=${locale}` : ''}`;
       console.log(`[SEO] Non-bot detected, serving JS redirect: ${userAgent.substring(0, 50)}`);
       return res.send(`<!DOCTYPE html>
 <html><head>
@@ -242,22 +251,37 @@ router.get('/article/:slug(*)', async (req, res) => {
 
     const articleUrl = `${baseUrl}/article/${encodeURIComponent(slug)}`;
     const publishDate = article.publishedDate || article.createdAt;
+    // Only approved / auto-published commentary is exposed to crawlers
+    const { title, abstract, aiCommentary: commentary, lang } = await translationService.localize({
+      _id: article._id,
+      title: article.title,
+      abstract: article.abstract,
+      aiCommentary: moderationService.publicCommentary(article)
+    }, locale);
+    const pageLocale = lang || DEFAULT_LOCALE;
+    res.set('Content-Language', pageLocale);
+
+    // Every language this article can be read in, for hreflang alternates
+    const translated = article._id ? (await translationService.availableLocales([article._id])).get(String(article._id)) : null;
+    const alternates = articleAlternates(articleUrl, translated);
 
     // Generate pre-rendered HTML for bots
     const html = generatePrerenderedHTML({
-      title: article.title,
-      description: article.abstract || article.aiCommentary?.substring(0, 200) || article.title,
+      title,
+      description: abstract || commentary?.substring(0, 200) || title,
       image: article.imageUrl || `${baseUrl}/og-image.png`,
-      url: articleUrl,
+      url: localizedUrl(articleUrl, pageLocale),
+      lang: pageLocale,
+      alternates,
       type: 'article',
       section: article.section,
       publishedTime: publishDate?.toISOString(),
       author: article.byline || 'Forexyy News',
       keywords: article.keywords?.join(', ') || article.section,
-      articleBody: article.aiCommentary?.substring(0, 1000) || article.abstract,
+      articleBody: commentary?.substring(0, 1000) || abstract,
       articleId: article._id?.toString() || article.id,
       slug: slug,
-      hasAiCommentary: !!article.aiCommentary
+      hasAiCommentary: !!commentary
     });
 
     res.send(html);
@@ -267,6 +291,37 @@ router.get('/article/:slug(*)', async (req, res) => {
   }
 });
 
+/**
+ * Crawlable topic page at /topic/:slug
+ * Entity summary, latest coverage and related topics as plain HTML (no JavaScript needed)
+ */
+router.get('/topic/:slug', async (req, res, next) => {
+  try {
+    const baseUrl = 'https://forexyy.com';
+    const topic = await entityService.getTopic(req.params.slug.toLowerCase(), { limit: 30 });
+
+    if (!topic) {
+      return res.status(404).send(generatePrerenderedHTML({
+        title: 'Topic Not Found',
+        description: 'The requested topic could not be found.',
+        image: `${baseUrl}/og-image.png`,
+        url: `${baseUrl}/topic/${encodeURIComponent(req.params.slug)}`
+      }));
+    }
+
+    entityService.refreshSummary(topic.entity);
+
+    res.set('Cache-Control', 'public, max-age=600');
+    res.send(generateTopicHTML({
+      ...topic,
+      url: `${baseUrl}/topic/${topic.entity.slug}`
+    }));
+  } catch (error) {
+    console.error('Topic page error:', error);
+    next();
+  }
+});
+
 /**
  * Generate newsletter-friendly HTML that auto-redirects to React app
  * Used by /read/:slug route for newsletter links
@@ -470,12 +525,42 @@ function generateNewsletterHTML(meta) {
  * Generate pre-rendered HTML with full article content
  * Works without JavaScript - perfect for email clients and users with JS disabled
  */
+/**
+ * Page URL in a locale - the default locale has no ?lang=
+ */
+function localizedUrl(url, locale) {
+  return locale && locale !== DEFAULT_LOCALE ? `${url}?lang=${locale}` : url;
+}
+
+/**
+ * [{ locale, url }] for the default locale plus each translated one ({ locale: title })
+ */
+function articleAlternates(url, translated) {
+  return [DEFAULT_LOCALE, ...TARGET_LOCALES.filter(code => translated && translated[code])]
+    .map(code => ({ locale: code, url: localizedUrl(url, code) }));
+}
+
+/**
+ * hreflang <link>s (HTML) or <xhtml:link>s (sitemaps) for [{ locale, url }],
+ * plus x-default pointing at the default locale
+ */
+function hreflangLinks(alternates, { xml = false } = {}) {
+  if (!alternates || alternates.length < 2) return '';
+  const fallback = alternates.find(alternate => alternate.locale === DEFAULT_LOCALE) || alternates[0];
+  return [...alternates, { locale: 'x-default', url: fallback.url }]
+    .map(({ locale, url }) => xml
+      ? `<xhtml:link rel="alternate" hreflang="${locale}" href="${url}"/>`
+      : `<link rel="alternate" hreflang="${locale}" href="${url}">`)
+    .join(xml ? '\n    ' : '\n  ');
+}
+
 function generatePrerenderedHTML(meta) {
   const baseUrl = 'https://forexyy.com';
   const frontendUrl = meta.url || `${baseUrl}/article/${meta.slug}`;
+  const locale = LOCALES[meta.lang] || LOCALES[DEFAULT_LOCALE];
 
   return `<!DOCTYPE html>
-<html lang="en" prefix="og: http://ogp.me/ns#">
+<html lang="${meta.lang || DEFAULT_LOCALE}"${locale.dir ? ` dir="${locale.dir}"` : ''} prefix="og: http://ogp.me/ns#">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -492,6 +577,7 @@ function generatePrerenderedHTML(meta) {
     "description": "${escapeJson(meta.description)}",
     "url": "${meta.url}",
     "image": "${meta.image}",
+    "inLanguage": "${meta.lang || DEFAULT_LOCALE}",
     ${meta.publishedTime ? `"datePublished": "${meta.publishedTime}",` : ''}
     "author": {
       "@type": "Organization",
@@ -518,7 +604,8 @@ function generatePrerenderedHTML(meta) {
   <meta property="og:image:width" content="1200">
   <meta property="og:image:height" content="630">
   <meta property="og:site_name" content="Forexyy">
-  <meta property="og:locale" content="en_US">
+  <meta property="og:locale" content="${locale.ogLocale}">
+  ${(meta.alternates || []).filter(alternate => alternate.locale !== meta.lang).map(alternate => `<meta property="og:locale:alternate" content="${LOCALES[alternate.locale].ogLocale}">`).join('\n  ')}
   ${meta.publishedTime ? `<meta property="article:published_time" content="${meta.publishedTime}">` : ''}
   ${meta.section ? `<meta property="article:section" content="${meta.section}">` : ''}
   ${meta.author ? `<meta property="article:author" content="${escapeHtml(meta.author)}">` : ''}
@@ -533,6 +620,7 @@ function generatePrerenderedHTML(meta) {
   <!-- Additional SEO -->
   <meta name="robots" content="index, follow, max-image-preview:large">
   <link rel="canonical" href="${meta.url}">
+  ${hreflangLinks(meta.alternates)}
   ${meta.keywords ? `<meta name="keywords" content="${escapeHtml(meta.keywords)}">` : ''}
 
   <!-- No auto-redirect - let users choose to open the React app -->
@@ -773,6 +861,156 @@ function generatePrerenderedHTML(meta) {
 </html>`;
 }
 
+/**
+ * Generate a crawlable topic page (CollectionPage + ItemList JSON-LD)
+ * Used by /topic/:slug
+ */
+function generateTopicHTML({ entity, articles, relatedEntities, url }) {
+  const baseUrl = 'https://forexyy.com';
+  const schemaTypes = { person: 'Person', organization: 'Organization', place: 'Place', topic: 'Thing' };
+  const typeLabels = { person: 'Person', organization: 'Organization', place: 'Place', topic: 'Topic' };
+  const description = entity.summary
+    ? entity.summary.substring(0, 300)
+    : `Latest news, analysis and AI commentary about ${entity.name} on Forexyy.`;
+
+  const items = articles.map(article => {
+    const slug = article.url.split('/').pop().replace(/\.html?$/, '');
+    return { ...article, link: `${baseUrl}/article/${encodeURIComponent(slug)}` };
+  });
+
+  const itemListJson = items.map((article, i) => `{
+        "@type": "ListItem",
+        "position": ${i + 1},
+        "url": "${escapeJson(article.link)}",
+        "name": "${escapeJson(article.title)}"
+      }`).join(',');
+
+  return `<!DOCTYPE html>
+<html lang="en" prefix="og: http://ogp.me/ns#">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(entity.name)} - Latest News | Forexyy</title>
+  <meta name="description" content="${escapeHtml(description)}">
+
+  <!-- JSON-LD Schema: CollectionPage -->
+  <script type="application/ld+json">
+  {
+    "@context": "https://schema.org",
+    "@type": "CollectionPage",
+    "@id": "${url}",
+    "url": "${url}",
+    "name": "${escapeJson(entity.name)} - Latest News",
+    "description": "${escapeJson(description)}",
+    "about": {
+      "@type": "${schemaTypes[entity.type] || 'Thing'}",
+      "name": "${escapeJson(entity.name)}"
+    },
+    "publisher": {
+      "@type": "Organization",
+      "name": "Forexyy",
+      "logo": { "@type": "ImageObject", "url": "${baseUrl}/logo.png" }
+    },
+    "mainEntity": {
+      "@type": "ItemList",
+      "itemListElement": [${itemListJson}
+      ]
+    }
+  }
+  </script>
+
+  <!-- Open Graph / Twitter -->
+  <meta property="og:type" content="website">
+  <meta property="og:url" content="${url}">
+  <meta property="og:title" content="${escapeHtml(entity.name)} - Latest News">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:image" content="${baseUrl}/og-image.png">
+  <meta property="og:site_name" content="Forexyy">
+  <meta name="twitter:card" content="summary">
+  <meta name="twitter:title" content="${escapeHtml(entity.name)} - Latest News">
+  <meta name="twitter:description" content="${escapeHtml(description)}">
+
+  <meta name="robots" content="index, follow">
+  <link rel="canonical" href="${url}">
+  ${entity.aliases?.length ? `<meta name="keywords" content="${escapeHtml([entity.name, ...entity.aliases].join(', '))}">` : ''}
+
+  <style>
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      background: #f9fafb;
+      color: #1f2937;
+      line-height: 1.6;
+    }
+    .header {
+      background: linear-gradient(135deg, #1e3a8a 0%, #2563eb 100%);
+      padding: 16px 20px;
+    }
+    .header a { color: #fff; font-size: 22px; font-weight: 700; text-decoration: none; }
+    .container { max-width: 800px; margin: 0 auto; padding: 32px 20px; }
+    .type { color: #2563eb; font-size: 13px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.05em; }
+    h1 { font-size: 34px; line-height: 1.2; margin: 8px 0 16px; }
+    .summary { background: #eff6ff; border-left: 4px solid #2563eb; padding: 16px 20px; border-radius: 8px; margin-bottom: 32px; }
+    h2 { font-size: 20px; margin-bottom: 12px; }
+    .timeline { list-style: none; margin-bottom: 32px; }
+    .timeline li { padding: 14px 0; border-bottom: 1px solid #e5e7eb; }
+    .timeline a { color: #1f2937; font-weight: 600; text-decoration: none; }
+    .timeline a:hover { color: #2563eb; }
+    .timeline time { display: block; color: #6b7280; font-size: 13px; }
+    .timeline p { color: #4b5563; font-size: 15px; margin-top: 4px; }
+    .related a {
+      display: inline-block;
+      margin: 0 8px 8px 0;
+      padding: 4px 12px;
+      background: #fff;
+      border: 1px solid #d1d5db;
+      border-radius: 999px;
+      color: #1f2937;
+      font-size: 14px;
+      text-decoration: none;
+    }
+    .footer { text-align: center; padding: 24px; color: #6b7280; font-size: 14px; }
+    .footer a { color: #2563eb; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <header class="header">
+    <a href="${baseUrl}">Forexyy</a>
+  </header>
+
+  <main class="container">
+    <span class="type">${typeLabels[entity.type] || 'Topic'}</span>
+    <h1>${escapeHtml(entity.name)}</h1>
+
+    ${entity.summary ? `<section class="summary">
+      <p>${escapeHtml(entity.summary)}</p>
+    </section>` : ''}
+
+    <section>
+      <h2>Latest coverage</h2>
+      <ul class="timeline">
+        ${items.map(article => `<li>
+          <time datetime="${new Date(article.publishedDate).toISOString()}">${new Date(article.publishedDate).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}</time>
+          <a href="${escapeHtml(article.link)}">${escapeHtml(article.title)}</a>
+          ${article.abstract ? `<p>${escapeHtml(article.abstract)}</p>` : ''}
+        </li>`).join('\n        ')}
+      </ul>
+    </section>
+
+    ${relatedEntities.length ? `<section class="related">
+      <h2>Related topics</h2>
+      ${relatedEntities.map(related => `<a href="${baseUrl}/topic/${related.slug}">${escapeHtml(related.name)}</a>`).join('\n      ')}
+    </section>` : ''}
+  </main>
+
+  <footer class="footer">
+    <p>Forexyy &bull; AI-Powered News Analysis</p>
+    <p style="margin-top: 8px;"><a href="${baseUrl}">Visit Forexyy.com</a></p>
+  </footer>
+</body>
+</html>`;
+}
+
 function escapeHtml(text) {
   if (!text) return '';
   return text
@@ -832,7 +1070,8 @@ router.get('/sitemap.xml', async (req, res) => {
     let xml = `<?xml version="1.0" encoding="UTF-8"?>
 <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
         xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"
-        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"
+        xmlns:xhtml="http://www.w3.org/1999/xhtml">
 `;
 
     // Add static URLs
@@ -854,6 +1093,7 @@ router.get('/sitemap.xml', async (req, res) => {
           .sort({ publishedDate: -1, createdAt: -1 })
           .limit(5000) // General sitemap can hold more URLs
           .select('title url section publishedDate createdAt imageUrl');
+        const translations = await translationService.availableLocales(allArticles.map(article => article._id));
 
         allArticles.forEach(article => {
           // Create SEO-friendly slug from URL or title
@@ -865,22 +1105,47 @@ router.get('/sitemap.xml', async (req, res) => {
           const articleDate = article.publishedDate || article.createdAt;
           const formattedDate = articleDate.toISOString().split('T')[0];
 
-          xml += `  <url>
-    <loc>${baseUrl}/article/${encodeURIComponent(slug)}</loc>
+          // One <url> per language, each listing all of them as hreflang alternates
+          const translated = translations.get(String(article._id));
+          const alternates = articleAlternates(`${baseUrl}/article/${encodeURIComponent(slug)}`, translated);
+          const links = hreflangLinks(alternates, { xml: true });
+
+          alternates.forEach(({ locale, url }) => {
+            const title = locale === DEFAULT_LOCALE ? article.title : translated[locale];
+            xml += `  <url>
+    <loc>${url}</loc>
     <lastmod>${formattedDate}</lastmod>
     <changefreq>daily</changefreq>
-    <priority>0.8</priority>${article.imageUrl ? `
+    <priority>0.8</priority>${links ? `
+    ${links}` : ''}${article.imageUrl ? `
     <image:image>
       <image:loc>${article.imageUrl}</image:loc>
-      <image:title><![CDATA[${article.title}]]></image:title>
+      <image:title><![CDATA[${title}]]></image:title>
     </image:image>` : ''}
   </url>
 `;
+          });
         });
 
       } catch (dbError) {
         console.error('Sitemap DB query failed:', dbError.message);
       }
+
+      // Topic pages for entities mentioned in the last week
+      try {
+        const topics = await entityService.listTopics({ limit: 500 });
+        topics.forEach(topic => {
+          xml += `  <url>
+    <loc>${baseUrl}/topic/${topic.slug}</loc>
+    <lastmod>${new Date(topic.lastSeenAt).toISOString().split('T')[0]}</lastmod>
+    <changefreq>daily</changefreq>
+    <priority>0.6</priority>
+  </url>
+`;
+        });
+      } catch (dbError) {
+        console.error('Sitemap topic query failed:', dbError.message);
+      }
     }
 
     // Close XML
@@ -988,7 +1253,8 @@ router.get('/news-sitemap.xml', async (req, res) => {
 
     let xml = `<?xml version="1.0" encoding="UTF-8"?>
 <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
-        xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">
+        xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"
+        xmlns:xhtml="http://www.w3.org/1999/xhtml">
 `;
 
     if (Article) {
@@ -1001,6 +1267,7 @@ router.get('/news-sitemap.xml', async (req, res) => {
         .sort({ publishedDate: -1 })
         .limit(1000)
         .select('title url section publishedDate createdAt keywords');
+      const translations = await translationService.availableLocales(newsArticles.map(article => article._id));
 
       newsArticles.forEach(article => {
         const slug = article.url ?
@@ -1014,19 +1281,27 @@ router.get('/news-sitemap.xml', async (req, res) => {
           article.keywords.slice(0, 10).join(', ') :
           article.section || 'news';
 
-        xml += `  <url>
-    <loc>${baseUrl}/article/${encodeURIComponent(slug)}</loc>
+        // Translations are separate news entries in their own language
+        const translated = translations.get(String(article._id));
+        const alternates = articleAlternates(`${baseUrl}/article/${encodeURIComponent(slug)}`, translated);
+        const links = hreflangLinks(alternates, { xml: true });
+
+        alternates.forEach(({ locale, url }) => {
+          xml += `  <url>
+    <loc>${url}</loc>${links ? `
+    ${links}` : ''}
     <news:news>
       <news:publication>
         <news:name>Forexyy</news:name>
-        <news:language>en</news:language>
+        <news:language>${locale}</news:language>
       </news:publication>
       <news:publication_date>${isoDate}</news:publication_date>
-      <news:title><![CDATA[${article.title}]]></news:title>
+      <news:title><![CDATA[${locale === DEFAULT_LOCALE ? article.title : translated[locale]}]]></news:title>
       <news:keywords><![CDATA[${keywords}]]></news:keywords>
     </news:news>
   </url>
 `;
+        });
       });
     }
 
@@ -1124,9 +1399,10 @@ router.get('/api/schema/:articleId', async (req, res) => {
       };
     }
 
-    // Add AI commentary as article body if available
-    if (article.aiCommentary) {
-      newsArticleSchema.articleBody = article.aiCommentary.substring(0, 5000);
+    // Add AI commentary as article body if available (approved / auto-published only)
+    const commentary = moderationService.publicCommentary(article);
+    if (commentary) {
+      newsArticleSchema.articleBody = commentary.substring(0, 5000);
     }
 
     res.json(newsArticleSchema);
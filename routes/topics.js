@@ -0,0 +1,80 @@
+/**
+ * Topic Routes
+ * Entity pages built from article facets (people, organizations, places, topics)
+ */
+
+const express = require('express');
+const router = express.Router();
+const entityService = require('../services/entities/entityService');
+const { paginate, setPaginationHeaders } = require('../middleware/pagination');
+
+const ENTITY_TYPES = ['person', 'organization', 'place', 'topic'];
+
+/**
+ * GET /api/topics
+ * Most-covered entities of the last week
+ * Query: type (person|organization|place|topic), limit (max 100), days (max 30)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !ENTITY_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: `type must be one of: ${ENTITY_TYPES.join(', ')}` });
+    }
+
+    const topics = await entityService.listTopics({
+      type: type || null,
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100),
+      days: Math.min(Math.max(parseInt(req.query.days) || 7, 1), 30)
+    });
+
+    res.json({ success: true, count: topics.length, topics });
+  } catch (error) {
+    console.error('Error listing topics:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/topics/:entitySlug
+ * Topic page: entity, rolling AI summary, article timeline (newest first) and related entities
+ * Query: limit, cursor (from nextCursor / Link rel="next"), fields
+ */
+router.get('/:entitySlug', paginate(), async (req, res) => {
+  try {
+    const topic = await entityService.getTopic(req.params.entitySlug.toLowerCase(), req.pagination);
+    if (!topic) {
+      return res.status(404).json({ success: false, error: 'Topic not found' });
+    }
+
+    // Summary refresh runs in the background - this response serves the current one
+    entityService.refreshSummary(topic.entity);
+
+    const { entity, articles, nextCursor, relatedEntities } = topic;
+    setPaginationHeaders(req, res, nextCursor);
+
+    res.json({
+      success: true,
+      entity: {
+        name: entity.name,
+        slug: entity.slug,
+        type: entity.type,
+        aliases: entity.aliases,
+        articleCount: entity.articleCount,
+        firstSeenAt: entity.firstSeenAt,
+        lastSeenAt: entity.lastSeenAt
+      },
+      summary: entity.summary || null,
+      summaryUpdatedAt: entity.summaryUpdatedAt || null,
+      timeline: articles,
+      hasMore: !!nextCursor,
+      nextCursor,
+      relatedEntities
+    });
+  } catch (error) {
+    console.error('Error fetching topic:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
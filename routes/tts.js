@@ -1,42 +1,92 @@
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
-const fs = require('fs');
-const path = require('path');
 const ttsService = require('../services/ttsService');
 const Article = require('../models/article');
+const commentaryVersionService = require('../services/db/commentaryVersionService');
+const moderationService = require('../services/db/moderationService');
+const { negotiateLocale, voiceFor } = require('../config/locales');
+const readingProfileService = require('../services/personalization/readingProfileService');
+const { identifyReader } = require('../middleware/reader');
+
+// ============ AUDIO LIBRARY ============
+const audioLibrary = require('../services/audio');
+const {
+    DEFAULT_VOICE,
+    getAudioId,
+    constructNewsScriptFromText,
+    constructArticleScript
+} = require('../services/audioCache');
+
+const { parseRange, etagMatches } = require('../services/audio/httpRange');
+const { toWebVTT } = require('../services/audio/wordTimings');
+
+const AUDIO_ID_PATTERN = /^[a-f0-9]{32}$/;
 
-// Config
-const DEFAULT_VOICE = 'en-US-AriaNeural';
-
-// ============ AUDIO CACHE ============
-// Use /tmp for serverless environments (Vercel), local path for development/Render
-const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME;
-const CACHE_DIR = isServerless
-    ? '/tmp/audio-cache'
-    : path.join(__dirname, '../cache/audio');
-const audioMetadataCache = new Map(); // hash -> { size, duration, path, createdAt }
-
-// Ensure cache directory exists (wrapped in try-catch for serverless safety)
-try {
-    if (!fs.existsSync(CACHE_DIR)) {
-        fs.mkdirSync(CACHE_DIR, { recursive: true });
-        console.log('[TTS] Created audio cache directory:', CACHE_DIR);
+/**
+ * Helper: Serve stored audio - seekable (Range → 206, invalid ranges → 416) and
+ * revalidatable (strong ETag from the audioId, i.e. the script hash and voice)
+ * @param {string} cacheControl - Immutable for /audio/:audioId; revalidated for article streams,
+ *   whose script changes with the commentary
+ * @returns {Promise<boolean>} false when the file has gone missing (nothing sent)
+ */
+async function sendAudio(req, res, asset, cacheControl = 'public, max-age=31536000, immutable') {
+    const fileSize = asset.size;
+    const etag = `"${asset.audioId}"`;
+    const headers = {
+        'Accept-Ranges': 'bytes',
+        'Content-Type': asset.contentType || 'audio/mpeg',
+        'Cache-Control': cacheControl,
+        'ETag': etag,
+        ...(asset.duration ? { 'X-Content-Duration': asset.duration.toFixed(2) } : {})
+    };
+
+    if (etagMatches(req.headers['if-none-match'], etag, { weak: true })) {
+        res.writeHead(304, headers);
+        res.end();
+        return true;
     }
-} catch (err) {
-    console.warn('[TTS] Could not create cache directory:', err.message);
-    // Continue without file caching - in-memory cache will still work
-}
 
-// Generate hash for text
-function getTextHash(text) {
-    return crypto.createHash('md5').update(text).digest('hex');
-}
+    // If-Range: only resume from a range when the client still has this exact file
+    const ifRange = req.headers['if-range'];
+    const range = !ifRange || etagMatches(ifRange, etag)
+        ? parseRange(req.headers.range, fileSize)
+        : null;
+
+    if (range && range.unsatisfiable) {
+        console.log(`[TTS] Unsatisfiable range "${req.headers.range}" for ${asset.audioId} (${fileSize} bytes)`);
+        res.writeHead(416, { ...headers, 'Content-Range': `bytes */${fileSize}` });
+        res.end();
+        return true;
+    }
+
+    const stream = await audioLibrary.open(asset, range);
+    if (!stream) return false;
+    audioLibrary.touch(asset, { play: !range || range.start === 0 });
+
+    if (range) {
+        res.writeHead(206, {
+            ...headers,
+            'Content-Range': `bytes ${range.start}-${range.end}/${fileSize}`,
+            'Content-Length': range.end - range.start + 1
+        });
+    } else {
+        // No (usable) range header - send entire file
+        res.writeHead(200, { ...headers, 'Content-Length': fileSize });
+    }
 
-// Get estimated duration from word count (rough estimate: 130 words/min)
-function estimateDuration(text) {
-    const wordCount = text.split(/\s+/).length;
-    return (wordCount / 130) * 60; // seconds
+    stream.on('error', (err) => {
+        console.error('[TTS] Stored audio read error:', err.message);
+        res.destroy(err);
+    });
+    // HEAD: headers only
+    if (req.method === 'HEAD') {
+        stream.destroy();
+        res.end();
+    } else {
+        stream.pipe(res);
+    }
+
+    return true;
 }
 
 /**
@@ -53,64 +103,19 @@ router.post('/prepare', async (req, res) => {
         }
 
         const script = constructNewsScriptFromText(text, title);
-        const hash = getTextHash(script);
-        const audioPath = path.join(CACHE_DIR, `${hash}.mp3`);
-
-        console.log(`[TTS] Prepare request, hash: ${hash}`);
-
-        // Check if already cached
-        if (audioMetadataCache.has(hash) && fs.existsSync(audioPath)) {
-            const metadata = audioMetadataCache.get(hash);
-            console.log(`[TTS] Cache hit for ${hash}, size: ${metadata.size}`);
-            return res.json({
-                audioId: hash,
-                size: metadata.size,
-                duration: metadata.duration,
-                cached: true
-            });
-        }
-
-        // Generate audio
-        console.log(`[TTS] Generating audio for ${hash}...`);
-        const { stream } = await ttsService.getTTSStream(script, voice || DEFAULT_VOICE);
-
-        // Collect all chunks into a buffer
-        const chunks = [];
-
-        await new Promise((resolve, reject) => {
-            stream.on('data', (chunk) => chunks.push(chunk));
-            stream.on('end', resolve);
-            stream.on('error', reject);
-        });
-
-        const audioBuffer = Buffer.concat(chunks);
+        const audioId = getAudioId(script, voice || DEFAULT_VOICE);
 
-        if (audioBuffer.length === 0) {
-            throw new Error('Empty audio generated');
-        }
-
-        // Save to file
-        fs.writeFileSync(audioPath, audioBuffer);
-
-        // Estimate duration (accurate duration requires parsing the MP3)
-        const duration = estimateDuration(script);
+        console.log(`[TTS] Prepare request, audioId: ${audioId}`);
 
-        // Cache metadata
-        const metadata = {
-            size: audioBuffer.length,
-            duration: duration,
-            path: audioPath,
-            createdAt: Date.now()
-        };
-        audioMetadataCache.set(hash, metadata);
-
-        console.log(`[TTS] Audio cached: ${hash}, size: ${audioBuffer.length}, duration: ~${duration.toFixed(1)}s`);
+        // Check if already stored
+        const cached = await audioLibrary.find(audioId);
+        const asset = cached || await audioLibrary.render({ script, voice: voice || DEFAULT_VOICE, source: 'prepare' });
 
         res.json({
-            audioId: hash,
-            size: audioBuffer.length,
-            duration: duration,
-            cached: false
+            audioId: asset.audioId,
+            size: asset.size,
+            duration: asset.duration,
+            cached: Boolean(cached)
         });
 
     } catch (error) {
@@ -121,123 +126,120 @@ router.post('/prepare', async (req, res) => {
 
 /**
  * @route GET /api/tts/audio/:audioId
- * @desc Serve cached audio with Range request support (HTTP 206)
+ * @desc Serve stored audio - Range requests (206 / 416), ETag revalidation (304)
  * @access Public
  */
-router.get('/audio/:audioId', (req, res) => {
+router.get('/audio/:audioId', async (req, res) => {
     try {
         const { audioId } = req.params;
-        const audioPath = path.join(CACHE_DIR, `${audioId}.mp3`);
+        const asset = AUDIO_ID_PATTERN.test(audioId) ? await audioLibrary.find(audioId) : null;
 
-        // Check if file exists
-        if (!fs.existsSync(audioPath)) {
+        if (!asset || !(await sendAudio(req, res, asset))) {
             console.log(`[TTS] Audio not found: ${audioId}`);
             return res.status(404).json({ error: 'Audio not found. Call /prepare first.' });
         }
 
-        const stat = fs.statSync(audioPath);
-        const fileSize = stat.size;
-        const range = req.headers.range;
-
-        if (range) {
-            // Parse Range header: "bytes=start-end"
-            const parts = range.replace(/bytes=/, '').split('-');
-            const start = parseInt(parts[0], 10);
-            const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-            const chunkSize = (end - start) + 1;
-
-            console.log(`[TTS] Range request: ${start}-${end}/${fileSize}`);
-
-            res.writeHead(206, {
-                'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-                'Accept-Ranges': 'bytes',
-                'Content-Length': chunkSize,
-                'Content-Type': 'audio/mpeg',
-                'Cache-Control': 'public, max-age=86400' // Cache for 24 hours
-            });
-
-            const stream = fs.createReadStream(audioPath, { start, end });
-            stream.pipe(res);
-
-        } else {
-            // No range header - send entire file
-            console.log(`[TTS] Full file request: ${fileSize} bytes`);
+    } catch (error) {
+        console.error('[TTS] Audio serve error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to serve audio' });
+        }
+    }
+});
 
-            res.writeHead(200, {
-                'Content-Length': fileSize,
-                'Content-Type': 'audio/mpeg',
-                'Accept-Ranges': 'bytes',
-                'Cache-Control': 'public, max-age=86400'
-            });
+/**
+ * @route GET /api/tts/metadata/:audioId
+ * @desc Get metadata for cached audio (size, duration, caption links)
+ * @access Public
+ */
+router.get('/metadata/:audioId', async (req, res) => {
+    try {
+        const { audioId } = req.params;
+        const asset = AUDIO_ID_PATTERN.test(audioId) ? await audioLibrary.find(audioId) : null;
 
-            fs.createReadStream(audioPath).pipe(res);
+        if (!asset) {
+            return res.status(404).json({ error: 'Audio not found' });
         }
 
+        res.json({
+            audioId,
+            size: asset.size,
+            duration: asset.duration,
+            voice: asset.voice,
+            // Article audio rendered before timings were kept gets estimated ones on first request
+            captions: asset.wordTimingSource || asset.article ? {
+                vtt: `/api/tts/captions/${audioId}.vtt`,
+                json: `/api/tts/captions/${audioId}.json`,
+                source: asset.wordTimingSource || 'estimated'
+            } : null
+        });
+
     } catch (error) {
-        console.error('[TTS] Audio serve error:', error);
-        res.status(500).json({ error: 'Failed to serve audio' });
+        console.error('[TTS] Metadata error:', error);
+        res.status(500).json({ error: 'Failed to get metadata' });
     }
 });
 
 /**
- * @route GET /api/tts/metadata/:audioId
- * @desc Get metadata for cached audio (size, duration)
+ * @route GET /api/tts/captions/:audioId.vtt | /api/tts/captions/:audioId.json
+ * @desc Word-timed captions for stored audio: WebVTT (a timestamp before each word for
+ *       read-along highlighting) or JSON word timings in seconds
  * @access Public
  */
-router.get('/metadata/:audioId', (req, res) => {
+router.get('/captions/:audioId([a-f0-9]{32}).:format(vtt|json)', async (req, res) => {
     try {
-        const { audioId } = req.params;
+        const { audioId, format } = req.params;
+        const asset = await audioLibrary.find(audioId);
+        const timings = asset ? await audioLibrary.wordTimings(asset) : null;
 
-        if (audioMetadataCache.has(audioId)) {
-            const metadata = audioMetadataCache.get(audioId);
-            return res.json({
-                audioId,
-                size: metadata.size,
-                duration: metadata.duration
-            });
+        if (!timings) {
+            return res.status(404).json({ error: asset ? 'Captions not available for this audio' : 'Audio not found' });
         }
 
-        // Try to get from file
-        const audioPath = path.join(CACHE_DIR, `${audioId}.mp3`);
-        if (fs.existsSync(audioPath)) {
-            const stat = fs.statSync(audioPath);
-            return res.json({
-                audioId,
-                size: stat.size,
-                duration: null // Unknown without metadata
-            });
+        res.set('Cache-Control', 'public, max-age=86400');
+        if (format === 'vtt') {
+            return res.type('text/vtt; charset=utf-8').send(toWebVTT(timings.words));
         }
 
-        res.status(404).json({ error: 'Audio not found' });
+        res.json({
+            audioId,
+            duration: asset.duration,
+            source: timings.source,
+            words: timings.words.map(({ text, start, end }) => ({ text, start, end }))
+        });
 
     } catch (error) {
-        console.error('[TTS] Metadata error:', error);
-        res.status(500).json({ error: 'Failed to get metadata' });
+        console.error('[TTS] Captions error:', error);
+        res.status(500).json({ error: 'Failed to get captions' });
     }
 });
 
 /**
  * @route POST /api/tts/speak
  * @desc Stream TTS audio from provided text (no DB lookup needed)
+ *       lang (body or query) is the text's language and picks the voice unless one is given -
+ *       not Accept-Language, since the text may not be in the reader's language
  * @access Public
  */
 router.post('/speak', async (req, res) => {
     try {
         const { text, voice, title } = req.body;
+        const locale = negotiateLocale(req.body.lang || req.query.lang);
 
         if (!text || text.trim().length === 0) {
             return res.status(400).json({ error: 'Text is required' });
         }
 
         // Construct news anchor script from the provided text
-        const script = constructNewsScriptFromText(text, title);
-        console.log(`[TTS] Speak request: ${script.length} chars`);
+        const script = constructNewsScriptFromText(text, title, locale);
+        console.log(`[TTS] Speak request: ${script.length} chars (${locale})`);
 
         try {
-            const { stream, process: ttsProcess } = await ttsService.getTTSStream(script, voice || DEFAULT_VOICE);
+            const { stream, process: ttsProcess } = await ttsService.getTTSStream(script, voice || voiceFor(locale));
 
             // Set headers for streaming audio
             res.setHeader('Content-Type', 'audio/mpeg');
+            res.setHeader('Content-Language', locale);
             res.setHeader('Transfer-Encoding', 'chunked');
             res.setHeader('Cache-Control', 'no-cache');
 
@@ -273,34 +275,12 @@ router.post('/speak', async (req, res) => {
     }
 });
 
-/**
- * Helper: Constructs news script from raw text
- */
-function constructNewsScriptFromText(text, title) {
-    // Clean markdown formatting
-    const cleanText = text
-        .replace(/#{1,6}\s?/g, '')
-        .replace(/\*\*/g, '')
-        .replace(/\*/g, '')
-        .replace(/- /g, '')
-        .replace(/\n\n/g, '. ');
-
-    let script = '';
-    if (title) {
-        script += `${title}. `;
-    }
-    script += cleanText;
-    script += " That wraps up this report.";
-
-    return script;
-}
-
 /**
  * @route GET /api/tts/stream/:articleId
  * @desc Stream AI commentary as audio
  * @access Public
  */
-router.get('/stream/:articleId', async (req, res) => {
+router.get('/stream/:articleId', identifyReader(), async (req, res) => {
     try {
         const { articleId } = req.params;
         const { voice } = req.query;
@@ -339,6 +319,11 @@ router.get('/stream/:articleId', async (req, res) => {
             return res.status(404).json({ error: 'Article not found' });
         }
 
+        // Unpublished commentary (pending review / rejected) is never read out
+        if (!moderationService.isPublishable(article)) {
+            article.aiCommentary = null;
+        }
+
         // Check if commentary exists
         if (!article.aiCommentary && !article.abstract) {
             console.log(`[TTS] No content for article: ${articleId}`);
@@ -346,12 +331,34 @@ router.get('/stream/:articleId', async (req, res) => {
         }
 
         // Construct the "News Anchor" script
-        const script = constructNewsScript(article);
+        const script = constructArticleScript(article);
+        const audioVoice = voice || DEFAULT_VOICE;
+
+        // Seeking players send many range requests per listen - only the one starting playback counts
+        const startsPlayback = req.method !== 'HEAD' && (!req.headers.range || /^\s*bytes\s*=\s*0-/i.test(req.headers.range));
+        if (startsPlayback) {
+            // Count the listen against the commentary version (prompt A/B metrics)
+            if (article.aiCommentary) {
+                commentaryVersionService.recordEngagement(article._id, 'listens')
+                    .catch(err => console.error('[TTS] Failed to record listen:', err.message));
+            }
+            // Reading signal for the "For You" feed
+            readingProfileService.recordSignal(req.reader, article, 'listen');
+        }
         console.log(`[TTS] Generated script (${script.length} chars) for: ${article.title}`);
 
+        // Pre-rendered (or rendered on an earlier listen) - serve the stored file
+        const asset = await audioLibrary.find(getAudioId(script, audioVoice));
+        if (asset && await sendAudio(req, res, asset, 'public, no-cache')) {
+            return;
+        }
+
+        // Not stored yet: stream it live and render a copy in the background for next time
+        audioLibrary.request({ script, voice: audioVoice, article: article._id, source: 'stream' });
+
         try {
             // Use the new async method with better error handling
-            const { stream, process: ttsProcess } = await ttsService.getTTSStream(script, voice || DEFAULT_VOICE);
+            const { stream, process: ttsProcess } = await ttsService.getTTSStream(script, audioVoice);
 
             // Set headers for streaming audio
             res.setHeader('Content-Type', 'audio/mpeg');
@@ -394,44 +401,6 @@ router.get('/stream/:articleId', async (req, res) => {
     }
 });
 
-/**
- * Helper: Constructs a natural-sounding news script from the article data
- */
-function constructNewsScript(article) {
-    // 1. Clean up Markdown from commentary
-    // Removes ##, **, etc. to make it readable text
-    const cleanCommentary = (text) => {
-        if (!text) return "";
-        return text
-            .replace(/#{1,6}\s?/g, '') // Remove headers
-            .replace(/\*\*/g, '')      // Remove bold
-            .replace(/\*/g, '')        // Remove italics/bullets
-            .replace(/- /g, '')        // Remove list hyphens
-            .replace(/\n\n/g, '. ');   // Replace double newlines with pauses
-    };
-
-    const sectionName = article.section ? article.section.charAt(0).toUpperCase() + article.section.slice(1) : 'News';
-
-    // 2. Build the Script
-    let script = `Here is the latest update from the ${sectionName} desk. `;
-    script += `${article.title}. `; // Read Headline
-
-    if (article.aiCommentary) {
-        // If we have AI commentary, structure it nicely
-        script += `Here is our detailed analysis. `;
-        script += cleanCommentary(article.aiCommentary);
-    } else if (article.abstract) {
-        // Fallback to abstract
-        script += article.abstract;
-    }
-
-    script += " That wraps up this report. Check back later for more updates. ";
-
-    return script;
-}
-
-
-
 /**
  * @route GET /api/tts/test
  * @desc Test the TTS stream with static text
@@ -0,0 +1,61 @@
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+// Records the bounces and complaints in raw bounce emails (.eml files, or a maildir's new/ directory)
+// and deactivates hard-bouncing subscribers.
+// With fetchmail / getmail delivering the bounce mailbox to ./bounces:
+//   node scripts/process_bounces.js bounces/new --delete
+// Dry run (parse only): node scripts/process_bounces.js bounces/new --dry-run
+
+const fs = require('fs');
+const path = require('path');
+const { connectToMongoDB, disconnectFromMongoDB } = require('../config/database');
+const bounceService = require('../services/email/bounceService');
+const dsnParser = require('../services/email/dsnParser');
+
+const filesIn = (target) => {
+    if (!fs.statSync(target).isDirectory()) return [target];
+    return fs.readdirSync(target)
+        .filter(name => !name.startsWith('.'))
+        .map(name => path.join(target, name))
+        .filter(file => fs.statSync(file).isFile());
+};
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const remove = args.includes('--delete');
+    const files = args.filter(arg => !arg.startsWith('--')).flatMap(filesIn);
+
+    if (files.length === 0) {
+        console.log('Usage: node scripts/process_bounces.js <file|dir>... [--dry-run] [--delete]');
+        process.exit(1);
+    }
+
+    if (!dryRun) await connectToMongoDB();
+
+    let recorded = 0;
+    let deactivated = 0;
+    for (const file of files) {
+        try {
+            const raw = fs.readFileSync(file, 'utf8');
+            if (dryRun) {
+                const events = dsnParser.parse(raw);
+                console.log((events.length ? '📭 ' : '➖ ') + path.basename(file) + ' - ' + (events.map(e => e.email + ' ' + e.type + (e.permanent ? ' (hard)' : '')).join(', ') || 'not a bounce'));
+                continue;
+            }
+
+            const results = await bounceService.processBounceMail(raw);
+            recorded += results.length;
+            deactivated += results.filter(result => result.deactivated).length;
+            if (remove) fs.unlinkSync(file);
+        } catch (err) {
+            console.log('❌ ' + path.basename(file) + ' - ' + err.message);
+        }
+    }
+
+    console.log('\n' + files.length + ' messages, ' + recorded + ' bounces recorded, ' + deactivated + ' subscribers deactivated');
+    if (!dryRun) await disconnectFromMongoDB();
+    process.exit(0);
+}
+
+main();
@@ -0,0 +1,156 @@
+// Checks Range / ETag handling of stored TTS audio and the MP3 duration parser
+// (no database, no TTS - the audio library is pointed at an in-memory file).
+// node scripts/test_audio_ranges.js
+
+const assert = require('assert');
+const { Readable } = require('stream');
+const express = require('express');
+const { parseRange } = require('../services/audio/httpRange');
+const { mp3Duration } = require('../services/audio/mp3Duration');
+const audioLibrary = require('../services/audio');
+
+let failed = 0;
+
+async function check(name, fn) {
+    try {
+        await fn();
+        console.log('✅ ' + name);
+    } catch (err) {
+        failed++;
+        console.log('❌ ' + name + ' - ' + err.message);
+    }
+}
+
+// MPEG-2 Layer III, 48 kbps, 24 kHz, mono (what edge-tts produces): 144-byte frames of 576 samples (24 ms)
+function mp3Frames(count) {
+    const frame = Buffer.alloc(144);
+    frame.set([0xff, 0xf3, 0x64, 0xc4]);
+    return Buffer.concat(Array.from({ length: count }, () => frame));
+}
+
+function id3v2Tag(bodySize) {
+    const tag = Buffer.alloc(10 + bodySize);
+    tag.write('ID3', 0, 'latin1');
+    tag.set([3, 0, 0, (bodySize >> 21) & 0x7f, (bodySize >> 14) & 0x7f, (bodySize >> 7) & 0x7f, bodySize & 0x7f], 3);
+    return tag;
+}
+
+async function main() {
+    // ---------- Range header parsing ----------
+    const size = 1000;
+    const cases = [
+        ['bytes=0-99', { start: 0, end: 99 }],
+        ['bytes=500-', { start: 500, end: 999 }],
+        ['bytes=-200', { start: 800, end: 999 }],
+        ['bytes=-5000', { start: 0, end: 999 }],
+        ['bytes=900-5000', { start: 900, end: 999 }],
+        ['bytes=999-999', { start: 999, end: 999 }],
+        ['bytes=1000-', { unsatisfiable: true }],
+        ['bytes=1000-1200', { unsatisfiable: true }],
+        ['bytes=-0', { unsatisfiable: true }],
+        ['bytes=200-100', null],
+        ['bytes=0-10,20-30', null],
+        ['bytes=abc', null],
+        ['items=0-10', null],
+        [undefined, null]
+    ];
+    for (const [header, expected] of cases) {
+        await check('parseRange ' + header + ' → ' + JSON.stringify(expected), () => {
+            assert.deepStrictEqual(parseRange(header, size), expected);
+        });
+    }
+    await check('parseRange of an empty file → 416', () => {
+        assert.deepStrictEqual(parseRange('bytes=0-', 0), { unsatisfiable: true });
+    });
+
+    // ---------- MP3 duration ----------
+    await check('mp3Duration CBR frames', () => {
+        assert.strictEqual(mp3Duration(mp3Frames(250)).toFixed(3), '6.000');
+    });
+    await check('mp3Duration skips an ID3v2 tag and a trailing ID3v1 tag', () => {
+        const id3v1 = Buffer.alloc(128);
+        id3v1.write('TAG', 0, 'latin1');
+        const buffer = Buffer.concat([id3v2Tag(300), mp3Frames(100), id3v1]);
+        assert.strictEqual(mp3Duration(buffer).toFixed(3), '2.400');
+    });
+    await check('mp3Duration reads the Xing frame count', () => {
+        const buffer = mp3Frames(10);
+        // Side info for MPEG-2 mono is 9 bytes: the tag sits at 4 + 9
+        buffer.write('Xing', 13, 'latin1');
+        buffer.writeUInt32BE(0x01, 17);
+        buffer.writeUInt32BE(5000, 21);
+        assert.strictEqual(mp3Duration(buffer).toFixed(3), '120.000');
+    });
+    await check('mp3Duration of non-MP3 data is null', () => {
+        assert.strictEqual(mp3Duration(Buffer.from('not an mp3 at all')), null);
+    });
+
+    // ---------- /api/tts/audio/:audioId ----------
+    const body = mp3Frames(20);
+    const asset = { _id: 'test', audioId: 'a'.repeat(32), size: body.length, duration: 0.48, contentType: 'audio/mpeg', key: 'test.mp3' };
+    audioLibrary.find = async (audioId) => (audioId === asset.audioId ? asset : null);
+    audioLibrary.open = async (_, range) => Readable.from([range ? body.subarray(range.start, range.end + 1) : body]);
+    audioLibrary.touch = () => {};
+
+    const app = express();
+    app.use('/api/tts', require('../routes/tts'));
+    const server = app.listen(0);
+    const url = 'http://127.0.0.1:' + server.address().port + '/api/tts/audio/' + asset.audioId;
+    const etag = '"' + asset.audioId + '"';
+
+    await check('full file → 200 with ETag and Accept-Ranges', async () => {
+        const res = await fetch(url);
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('etag'), etag);
+        assert.strictEqual(res.headers.get('accept-ranges'), 'bytes');
+        assert.strictEqual(Buffer.from(await res.arrayBuffer()).length, body.length);
+    });
+    await check('byte range → 206 with Content-Range', async () => {
+        const res = await fetch(url, { headers: { Range: 'bytes=100-199' } });
+        assert.strictEqual(res.status, 206);
+        assert.strictEqual(res.headers.get('content-range'), 'bytes 100-199/' + body.length);
+        assert.strictEqual(res.headers.get('content-length'), '100');
+        assert.ok(Buffer.from(await res.arrayBuffer()).equals(body.subarray(100, 200)));
+    });
+    await check('suffix range → 206 with the last bytes', async () => {
+        const res = await fetch(url, { headers: { Range: 'bytes=-10' } });
+        assert.strictEqual(res.status, 206);
+        assert.strictEqual(res.headers.get('content-range'), 'bytes ' + (body.length - 10) + '-' + (body.length - 1) + '/' + body.length);
+    });
+    await check('range past the end → 416 with Content-Range: bytes */size', async () => {
+        const res = await fetch(url, { headers: { Range: 'bytes=' + body.length + '-' } });
+        assert.strictEqual(res.status, 416);
+        assert.strictEqual(res.headers.get('content-range'), 'bytes */' + body.length);
+    });
+    await check('zero-length suffix range → 416', async () => {
+        const res = await fetch(url, { headers: { Range: 'bytes=-0' } });
+        assert.strictEqual(res.status, 416);
+    });
+    await check('malformed range → 200 with the whole file', async () => {
+        const res = await fetch(url, { headers: { Range: 'bytes=50-10' } });
+        assert.strictEqual(res.status, 200);
+    });
+    await check('If-None-Match with the ETag → 304', async () => {
+        const res = await fetch(url, { headers: { 'If-None-Match': etag } });
+        assert.strictEqual(res.status, 304);
+    });
+    await check('If-Range with another ETag → 200 with the whole file', async () => {
+        const res = await fetch(url, { headers: { Range: 'bytes=0-9', 'If-Range': '"other"' } });
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('content-length'), String(body.length));
+    });
+    await check('If-Range with our ETag → 206', async () => {
+        const res = await fetch(url, { headers: { Range: 'bytes=0-9', 'If-Range': etag } });
+        assert.strictEqual(res.status, 206);
+    });
+    await check('unknown audio → 404', async () => {
+        const res = await fetch(url.replace(/a{32}$/, 'b'.repeat(32)));
+        assert.strictEqual(res.status, 404);
+    });
+
+    server.close();
+    console.log(failed ? '\n❌ ' + failed + ' failed' : '\n✅ All passed');
+    process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,40 @@
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+// Sends one message through the configured email transport (no database, no queue).
+// Local SMTP catcher (Mailpit / MailHog): EMAIL_TRANSPORT=smtp SMTP_HOST=localhost SMTP_PORT=1025 EMAIL_FROM=news@localhost node scripts/test_email.js you@example.com
+// File sink: EMAIL_TRANSPORT=file node scripts/test_email.js you@example.com
+
+const emailClient = require('../services/email');
+
+async function main() {
+    const to = process.argv[2] || process.env.EMAIL_TEST_TO;
+    if (!to) {
+        console.log('Usage: node scripts/test_email.js <to>');
+        process.exit(1);
+    }
+
+    console.log('🔍 Email transport: ' + JSON.stringify(emailClient.describe()) + '\n');
+
+    try {
+        await emailClient.verify();
+        console.log('✅ verify');
+    } catch (err) {
+        console.log('❌ verify - ' + err.message);
+    }
+
+    try {
+        const result = await emailClient.send({
+            to,
+            subject: 'Forexyy email test',
+            text: 'Test message sent at ' + new Date().toISOString() + '.',
+            html: '<p>Test message sent at ' + new Date().toISOString() + '.</p>'
+        });
+        console.log('✅ send - ' + result.transport + ', ' + result.messageId + (result.providerMessageId ? ' (' + result.providerMessageId + ')' : ''));
+        process.exit(0);
+    } catch (err) {
+        console.log('❌ send - ' + err.message + (err.permanent ? ' (permanent' + (err.bounce ? ', hard bounce' : '') + ')' : ''));
+        process.exit(1);
+    }
+}
+
+main();
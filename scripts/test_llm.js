@@ -0,0 +1,50 @@
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+// Runs every routed task once and prints which provider answered.
+// Offline: LLM_FORCE_PROVIDER=mock node scripts/test_llm.js
+// Local server: LLM_LOCAL_BASE_URL=http://localhost:11434/v1 LLM_ROUTES_JSON='{"default":["local"]}' node scripts/test_llm.js
+
+const llmClient = require('../services/llm');
+const { validateCommentary } = require('../services/ai/commentaryValidator');
+const { generateCommentaryWithMeta } = require('../services/aiService');
+
+const TASKS = ['default', 'entities', 'topic-summary', 'reddit-commentary', 'tts-script'];
+
+async function main() {
+    console.log('🔍 Testing LLM providers...\n');
+
+    let okCount = 0;
+
+    for (const task of TASKS) {
+        try {
+            const result = await llmClient.chat(task, {
+                messages: [{ role: 'user', content: 'Reply with the single word OK.' }],
+                temperature: 0,
+                maxTokens: 5,
+                responseFormat: task === 'entities' ? { type: 'json_object' } : undefined
+            });
+            console.log('✅ ' + task + ' - ' + result.provider + '/' + result.model + ' (' + result.latencyMs + 'ms, ' + result.usage.totalTokens + ' tokens, ' + result.fallbacks + ' fallbacks)');
+            okCount++;
+        } catch (err) {
+            console.log('❌ ' + task + ' - ' + err.message.substring(0, 120));
+        }
+    }
+
+    // Full commentary path: prompt registry → LLM → quality gate
+    try {
+        const title = 'City council approves new transit plan';
+        const abstract = 'The council voted to expand bus routes and add two light rail lines over the next decade.';
+        const result = await generateCommentaryWithMeta(title, abstract, 'us');
+        const quality = validateCommentary(result.text, { title, abstract });
+        console.log((quality.passed ? '✅' : '⚠️ ') + ' commentary - ' + result.provider + '/' + result.model + ', quality gate ' + (quality.passed ? 'passed' : 'failed: ' + quality.failures.map(f => f.check).join(', ')));
+        if (quality.passed) okCount++;
+    } catch (err) {
+        console.log('❌ commentary - ' + err.message.substring(0, 120));
+    }
+
+    console.log('\n' + okCount + '/' + (TASKS.length + 1) + ' LLM checks passed');
+    console.log(JSON.stringify(llmClient.getStats().totals));
+    process.exit(0);
+}
+
+main();
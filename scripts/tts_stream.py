@@ -1,4 +1,5 @@
 import sys
+import json
 import asyncio
 import argparse
 
@@ -9,18 +10,28 @@ async def main():
     parser = argparse.ArgumentParser(description="Stream Edge TTS audio to stdout")
     parser.add_argument("--text", required=True, help="Text to convert to speech")
     parser.add_argument("--voice", default=DEFAULT_VOICE, help="Voice to use")
+    parser.add_argument("--boundaries", help="Write word boundary events (JSON lines) to this file")
 
     args = parser.parse_args()
 
     sys.stderr.write(f"[TTS-PY] Starting with text length: {len(args.text)}, voice: {args.voice}\n")
     sys.stderr.flush()
 
+    boundary_file = None
     try:
         import edge_tts
         sys.stderr.write("[TTS-PY] edge_tts imported successfully\n")
         sys.stderr.flush()
 
-        communicate = edge_tts.Communicate(args.text, args.voice)
+        if args.boundaries:
+            boundary_file = open(args.boundaries, "w", encoding="utf-8")
+            try:
+                communicate = edge_tts.Communicate(args.text, args.voice, boundary="WordBoundary")
+            except TypeError:
+                # edge-tts < 7 has no boundary option and always sends word boundaries
+                communicate = edge_tts.Communicate(args.text, args.voice)
+        else:
+            communicate = edge_tts.Communicate(args.text, args.voice)
         sys.stderr.write("[TTS-PY] Communicate object created, starting stream...\n")
         sys.stderr.flush()
 
@@ -38,6 +49,13 @@ async def main():
                 if chunk_count == 1:
                     sys.stderr.write(f"[TTS-PY] First audio chunk received: {len(data)} bytes\n")
                     sys.stderr.flush()
+            elif chunk["type"] == "WordBoundary" and boundary_file:
+                # offset / duration in 100-nanosecond ticks from the start of the audio
+                boundary_file.write(json.dumps({
+                    "offset": chunk["offset"],
+                    "duration": chunk["duration"],
+                    "text": chunk["text"]
+                }) + "\n")
 
         sys.stderr.write(f"[TTS-PY] Completed: {chunk_count} chunks, {total_bytes} total bytes\n")
         sys.stderr.flush()
@@ -51,6 +69,9 @@ async def main():
         sys.stderr.write(f"[TTS-PY] Error: {type(e).__name__}: {str(e)}\n")
         sys.stderr.flush()
         sys.exit(1)
+    finally:
+        if boundary_file:
+            boundary_file.close()
 
 if __name__ == "__main__":
     if sys.platform == "win32":
@@ -11,6 +11,8 @@ const RedisRefreshService = require('./services/redisRefreshService');
 const groqLoadBalancer = require('./services/groqLoadBalancer');
 const newsdataLoadBalancer = require('./services/newsdataLoadBalancer');
 const sectionRotationWorker = require('./workers/sectionRotationWorker');
+const { requireRole } = require('./middleware/adminAuth');
+const auditService = require('./services/auditService');
 const http = require('http');
 
 const app = express();
@@ -93,7 +95,9 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Visitor-Id', 'X-Subscriber-Token'],
+  // Cursor pagination headers on article listings, reader id for the personalized feed
+  exposedHeaders: ['Link', 'X-Next-Cursor', 'X-Visitor-Id']
 };
 
 app.use(cors(corsOptions));
@@ -104,7 +108,7 @@ app.use(compression()); // Gzip compression
 app.options('*', (req, res) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Visitor-Id, X-Subscriber-Token, X-Requested-With, Accept, Origin');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.status(200).send();
 });
@@ -158,16 +162,46 @@ const seoRoutes = require('./routes/seo');
 const youtubeRoutes = require('./routes/youtube');
 const sectionsRoutes = require('./routes/sections');
 const ttsRoutes = require('./routes/tts');
+const adminRoutes = require('./routes/admin');
+const auditRoutes = require('./routes/audit');
+const feedSourcesRoutes = require('./routes/feedSources');
+const feedsRoutes = require('./routes/feeds');
+const topicsRoutes = require('./routes/topics');
+const promptsRoutes = require('./routes/prompts');
+const commentaryReviewRoutes = require('./routes/commentaryReview');
+const llmRoutes = require('./routes/llm');
+const feedRoutes = require('./routes/feed');
+const newsletterTrackingRoutes = require('./routes/newsletterTracking');
+const newsletterPreferencesRoutes = require('./routes/newsletterPreferences');
+const emailRoutes = require('./routes/email');
+const emailWebhookRoutes = require('./routes/emailWebhooks');
+const audioRoutes = require('./routes/audio');
+const podcastRoutes = require('./routes/podcast');
 
 // Mount routes  
 app.use('/', monitoringRoutes);
 app.use('/api/articles', articlesRoutes);
 app.use('/api/sections', sectionsRoutes);
+app.use('/api/topics', topicsRoutes);
+app.use('/api/feed', feedRoutes);
 app.use('/api/debug', debugRoutes);
 app.use('/api/database', databaseRoutes);
 app.use('/api/newsletter', newsletterRoutes);
+app.use('/t', newsletterTrackingRoutes); // Newsletter open pixel and click redirects
+app.use('/newsletter', newsletterPreferencesRoutes); // Subscription confirmation and preference center pages
+app.use('/api/webhooks/email', emailWebhookRoutes); // Bounce and complaint reports
 app.use('/api/tts', ttsRoutes);
 app.use('/api/youtube', youtubeRoutes);
+app.use('/api/admin/feeds', feedSourcesRoutes);
+app.use('/api/admin/prompts', promptsRoutes);
+app.use('/api/admin/commentary-review', commentaryReviewRoutes);
+app.use('/api/admin/llm', llmRoutes);
+app.use('/api/admin/email', emailRoutes);
+app.use('/api/admin/audio', audioRoutes);
+app.use('/feeds', feedsRoutes);
+app.use('/podcast', podcastRoutes); // Daily audio briefings (podcast RSS, episode audio, chapters)
+app.use('/api/admin', adminRoutes);
+app.use('/api/audit', auditRoutes);
 app.use('/', seoRoutes); // SEO routes for sitemap.xml and robots.txt
 
 // ========================================
@@ -373,6 +407,15 @@ app.post('/unsubscribe', express.urlencoded({ extended: true }), async (req, res
 
     console.log(`Unsubscribed via web page: ${email}`);
 
+    await auditService.record({
+      action: 'subscriber.unsubscribe',
+      entityType: 'subscriber',
+      entityId: email,
+      before: auditService.snapshotSubscriber(subscriber),
+      after: null,
+      metadata: { via: 'web-page' }
+    }, auditService.contextFromRequest(req));
+
     // Show success page
     res.send(generateUnsubscribeHTML(
       'success',
@@ -390,7 +433,7 @@ app.post('/unsubscribe', express.urlencoded({ extended: true }), async (req, res
 
 // Vercel Cron endpoint for newsletter (GET - for Vercel cron)
 // This endpoint runs ONLY on Vercel (newsletter), disabled on Render
-app.get('/api/cron/newsletter', async (req, res) => {
+app.get('/api/cron/newsletter', requireRole('operator'), async (req, res) => {
   try {
     // Environment lock: Newsletter cron runs ONLY on Vercel
     // Render handles article crons, Vercel handles newsletter
@@ -438,7 +481,7 @@ app.get('/api/cron/newsletter', async (req, res) => {
 
 // Vercel Cron endpoint for newsletter (POST - for manual testing)
 // This endpoint runs ONLY on Vercel
-app.post('/api/cron/newsletter', async (req, res) => {
+app.post('/api/cron/newsletter', requireRole('operator'), async (req, res) => {
   try {
     // Environment lock: Newsletter cron runs ONLY on Vercel
     if (!process.env.VERCEL) {
@@ -483,7 +526,7 @@ app.post('/api/cron/newsletter', async (req, res) => {
   }
 });
 // Section rotation endpoint (runs on Render only, NOT Vercel)
-app.get('/api/cron/rotate-sections', async (req, res) => {
+app.get('/api/cron/rotate-sections', requireRole('operator'), async (req, res) => {
   try {
     // Environment lock: Article crons run ONLY on Render
     // Vercel is reserved for newsletter only
@@ -531,7 +574,7 @@ app.get('/api/cron/rotate-sections', async (req, res) => {
 });
 
 // Fill-threshold endpoint (runs on Render only, NOT Vercel)
-app.get('/api/cron/fill-threshold', async (req, res) => {
+app.get('/api/cron/fill-threshold', requireRole('operator'), async (req, res) => {
   try {
     // Environment lock: Article crons run ONLY on Render
     // Vercel is reserved for newsletter only
@@ -723,9 +766,18 @@ app.get('/api/cache-status', async (req, res) => {
 });
 
 // 🔄 Manual Redis Refresh Endpoint (for external schedulers like Vercel Cron)
-app.post('/api/refresh-cache', async (req, res) => {
+app.post('/api/refresh-cache', requireRole('operator'), async (req, res) => {
   try {
     const result = await RedisRefreshService.refreshCache();
+
+    await auditService.record({
+      action: 'cache.clear',
+      entityType: 'cache',
+      entityId: 'redis:refresh',
+      diff: {},
+      metadata: { success: result?.success }
+    }, auditService.contextFromRequest(req));
+
     res.json(result);
   } catch (error) {
     res.status(500).json({
@@ -766,6 +818,13 @@ const initializeDatabase = async () => {
 
     const connection = await connectToMongoDB();
     isDbConnected = true;
+
+    // Per-key Groq counters live in memory - pick up where the ledger left off today
+    require('./services/llm/tokenLedger').restoreKeyUsage()
+      .catch(error => console.warn('⚠️ Could not restore Groq key usage:', error.message));
+    // Replace a text index from before search (only one is allowed per collection)
+    require('./services/search/searchService').ensureSearchIndex()
+      .catch(error => console.warn('⚠️ Could not migrate the search index:', error.message));
     // console.log('✅ MongoDB connection established successfully at startup');
 
     // Set up connection event listeners to maintain connection
@@ -929,6 +988,21 @@ dbConnectionPromise
       setTimeout(startBackgroundWorker, 3000);
     }
 
+    // Retry queued email from a long-running server (Vercel drains at each newsletter run instead)
+    if (!process.env.VERCEL && process.env.EMAIL_OUTBOX_POLL_MS) {
+      require('./services/email/outboundQueue').startPolling(parseInt(process.env.EMAIL_OUTBOX_POLL_MS));
+    }
+
+    // Pre-render article audio on a long-running server (AUDIO_PRERENDER_INTERVAL_MS=0 turns it off)
+    if (!process.env.VERCEL) {
+      require('./services/audio/prerenderWorker').start();
+    }
+
+    // Daily podcast briefings on a long-running server (PODCAST_CRON=off turns it off)
+    if (!process.env.VERCEL) {
+      require('./services/podcast/podcastWorker').start();
+    }
+
     // Only start server if not in Vercel environment
     if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
       app.listen(port, () => {
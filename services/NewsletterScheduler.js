@@ -3,6 +3,18 @@ const Subscriber = require('../models/Subscriber');
 const AllUsers = require('../models/AllUsers');
 const NewsletterHistory = require('../models/NewsletterHistory');
 const NewsletterService = require('./NewsletterService');
+const outboundQueue = require('./email/outboundQueue');
+const newsletterScheduleService = require('./newsletterScheduleService');
+const subscriptionService = require('./subscriptionService');
+const {
+  WINDOW_MINUTES,
+  EARLY_MINUTES,
+  MAX_PER_RUN,
+  BATCH_SIZE
+} = require('../config/newsletterSchedule');
+
+// Stop starting new sends after this long (a Vercel function has a few minutes)
+const RUN_BUDGET_MS = 4 * 60 * 1000;
 
 class NewsletterScheduler {
   constructor() {
@@ -10,7 +22,7 @@ class NewsletterScheduler {
     this.cronJob = null;
   }
 
-  // Start the scheduler
+  // Start the scheduler (long-running servers; Vercel calls sendHourlyNewsletters from its cron)
   start() {
     if (this.isRunning) {
       console.log('📧 Newsletter scheduler is already running');
@@ -19,9 +31,10 @@ class NewsletterScheduler {
 
     console.log('🚀 Starting newsletter scheduler...');
     
-    // Schedule daily at 1:35 AM IST (8:05 PM UTC) - TESTING
-    this.cronJob = cron.schedule('5 20 * * *', async () => {
-      console.log('⏰ Daily newsletter cron triggered at 1:35 AM IST (TESTING)');
+    // Every send window - each subscriber is sent to when they are due in their own timezone
+    const expression = WINDOW_MINUTES < 60 ? `*/${WINDOW_MINUTES} * * * *` : '0 * * * *';
+    this.cronJob = cron.schedule(expression, async () => {
+      console.log('⏰ Newsletter cron triggered');
       await this.sendHourlyNewsletters();
     }, {
       scheduled: true,
@@ -29,7 +42,7 @@ class NewsletterScheduler {
     });
 
     this.isRunning = true;
-    console.log('✅ Newsletter scheduler started - running daily at 1:35 AM IST (TESTING)');
+    console.log(`✅ Newsletter scheduler started - checking for due subscribers (${expression})`);
   }
 
   // Stop the scheduler
@@ -42,73 +55,133 @@ class NewsletterScheduler {
     console.log('⏹️ Newsletter scheduler stopped');
   }
 
-  // Send newsletters to all active subscribers
-  async sendHourlyNewsletters() {
-    const newsletterService = new NewsletterService();
-    let newsletterHistory = null;
+  /**
+   * Send to every subscriber whose newsletter is due, one send window (NewsletterHistory)
+   * per planned time. Called every WINDOW_MINUTES; after downtime the overdue windows are
+   * worked through oldest first, sending late within each frequency's catch-up limit and
+   * skipping (and rescheduling) anything later than that.
+   * @param {Object} options - { triggerType: cron | manual | api }
+   */
+  async sendHourlyNewsletters({ triggerType = 'cron' } = {}) {
+    const now = new Date();
     
     try {
-      // Create newsletter history entry
-      const currentHour = new Date().getUTCHours();
-      newsletterHistory = new NewsletterHistory({
-        scheduledTime: new Date(),
-        executionHour: currentHour,
-        triggerType: 'cron',
-        status: 'scheduled'
-      });
-      await newsletterHistory.save();
-      console.log(`📊 Created newsletter history entry: ${newsletterHistory._id}`);
-      
-      console.log(`📬 Starting newsletter send at 1:35 AM IST (8:05 PM UTC) - TESTING`);
-      await newsletterHistory.markAsStarted();
+      // Retries left over from earlier runs go out first
+      await outboundQueue.drain({ timeBudgetMs: 20 * 1000 })
+        .catch(error => console.error('❌ Outbox drain failed:', error.message));
+
+      // Double opt-in reminders and expiry of unconfirmed sign-ups
+      await subscriptionService.processPendingConfirmations(now)
+        .catch(error => console.error('❌ Pending confirmations failed:', error.message));
 
-      // Get all active subscribers
-      const subscribers = await Subscriber.find({ isActive: true });
+      const scheduled = await this.scheduleUnscheduled(now);
+      if (scheduled > 0) {
+        console.log(`🗓️ Scheduled first newsletters for ${scheduled} subscribers`);
+      }
+
+      // Everyone due by now (plus the cron's early margin), oldest window first
+      const subscribers = await Subscriber.find({
+        isActive: true,
+        nextDueAt: { $lte: new Date(now.getTime() + EARLY_MINUTES * 60 * 1000) }
+      })
+        .sort({ nextDueAt: 1 })
+        .limit(MAX_PER_RUN);
       
       if (subscribers.length === 0) {
-        console.log('📭 No active subscribers found');
-        newsletterHistory.status = 'completed';
-        newsletterHistory.totalSubscribers = 0;
-        await newsletterHistory.save();
+        console.log('📭 No subscribers due');
         return {
           success: true,
-          message: 'No active subscribers',
-          historyId: newsletterHistory._id
+          message: 'No subscribers due',
+          windows: [],
+          nextScheduledRun: await this.getNextDueTime()
         };
       }
 
+      const windows = new Map();
+      for (const subscriber of subscribers) {
+        const plannedTime = subscriber.nextDueAt.getTime();
+        if (!windows.has(plannedTime)) windows.set(plannedTime, []);
+        windows.get(plannedTime).push(subscriber);
+      }
+
+      const deadline = now.getTime() + RUN_BUDGET_MS;
+      const windowResults = [];
+      for (const [plannedTime, windowSubscribers] of windows) {
+        if (Date.now() > deadline) {
+          console.warn(`⏱️ Newsletter run out of time - ${windows.size - windowResults.length} windows left for the next run`);
+          break;
+        }
+        windowResults.push(await this.sendWindow(new Date(plannedTime), windowSubscribers, { triggerType, deadline }));
+      }
+
+      const results = { successCount: 0, errorCount: 0, skippedCount: 0, queuedCount: 0, missedCount: 0 };
+      windowResults.forEach(window => {
+        Object.keys(results).forEach(key => { results[key] += window.results?.[key] || 0; });
+      });
+
+      const nextRun = await this.getNextDueTime();
+      console.log(`✅ Newsletter run complete: ${windowResults.length} windows, ${results.successCount} sent, ${results.queuedCount} queued for retry, ${results.errorCount} errors, ${results.skippedCount} skipped, ${results.missedCount} missed`);
+      
+      return {
+        success: true,
+        message: 'Newsletter sending completed',
+        results: results,
+        windows: windowResults,
+        totalSubscribers: subscribers.length,
+        nextScheduledRun: nextRun,
+        historyId: windowResults[windowResults.length - 1]?.historyId
+      };
+      
+    } catch (error) {
+      console.error('❌ Error in newsletter run:', error);
+      
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Send one window: the subscribers planned for the same instant
+   * @returns {Promise<Object>} { historyId, plannedTime, delayMs, results }
+   */
+  async sendWindow(plannedTime, subscribers, { triggerType, deadline }) {
+    const newsletterService = new NewsletterService();
+    let newsletterHistory = null;
+    
+    try {
+      newsletterHistory = new NewsletterHistory({
+        scheduledTime: plannedTime,
+        executionHour: plannedTime.getUTCHours(),
+        triggerType,
+        status: 'scheduled',
+        frequencies: [...new Set(subscribers.map(s => newsletterScheduleService.frequencyOf(s)))],
+        timeZones: [...new Set(subscribers.map(s => newsletterScheduleService.timezoneOf(s)))]
+      });
+      await newsletterHistory.save();
+      await newsletterHistory.markAsStarted();
+      console.log(`📬 Send window ${plannedTime.toISOString()}: ${subscribers.length} subscribers${newsletterHistory.delayMs > 60 * 1000 ? `, ${Math.round(newsletterHistory.delayMs / 60000)} min late` : ''}`);
+
       let successCount = 0;
       let errorCount = 0;
       let skippedCount = 0;
-      let allSentArticles = []; // Track all articles sent
+      let queuedCount = 0; // First attempt failed, retried by the outbound queue
+      let missedCount = 0; // Too late to send - rescheduled
+      const sentArticles = new Map(); // articleId → { article, count }
+
+      // Process subscribers in batches (the outbound queue paces the actual sends)
+      for (let i = 0; i < subscribers.length; i += BATCH_SIZE) {
+        // Unclaimed subscribers stay due for the next run
+        if (Date.now() > deadline) break;
 
-      // Process subscribers in batches
-      const batchSize = 10;
-      for (let i = 0; i < subscribers.length; i += batchSize) {
-        const batch = subscribers.slice(i, i + batchSize);
+        const batch = subscribers.slice(i, i + BATCH_SIZE);
         
         const batchPromises = batch.map(async (subscriber) => {
           try {
-            const result = await newsletterService.sendNewsletterToSubscriber(subscriber);
-            
-            if (result.success && !result.skipped) {
-              return { 
-                success: true, 
-                articlesCount: result.articlesCount,
-                articles: result.articles || [] // Include articles in response
-              };
-            }
-            
-            return result;
+            return await this.sendToSubscriber(newsletterService, subscriber, newsletterHistory);
           } catch (error) {
             console.error(`❌ Error processing subscriber ${subscriber.email}:`, error);
-            
-            newsletterHistory.errorMessages.push({
-              subscriberEmail: subscriber.email,
-              error: error.message,
-              timestamp: new Date()
-            });
-            
             return { success: false, error: error.message };
           }
         });
@@ -117,17 +190,21 @@ class NewsletterScheduler {
         
         batchResults.forEach((result, index) => {
           const subscriber = batch[index];
-          if (result.success && !result.skipped) {
-            successCount++;
-            // Collect unique articles sent
-            if (result.articles && result.articles.length > 0) {
-              result.articles.forEach(article => {
-                const articleId = article.id || article._id;
-                if (!allSentArticles.find(a => (a.id || a._id) === articleId)) {
-                  allSentArticles.push(article);
-                }
-              });
+          if ((result.success && !result.skipped) || result.queued) {
+            if (result.queued) {
+              queuedCount++;
+            } else {
+              successCount++;
             }
+            // Count each article once per subscriber it went to
+            (result.articles || []).forEach(article => {
+              const articleId = String(article.id || article._id);
+              const entry = sentArticles.get(articleId) || { article, count: 0 };
+              entry.count++;
+              sentArticles.set(articleId, entry);
+            });
+          } else if (result.missed) {
+            missedCount++;
           } else if (result.skipped) {
             skippedCount++;
           } else {
@@ -142,75 +219,122 @@ class NewsletterScheduler {
             }
           }
         });
-
-        if (i + batchSize < subscribers.length) {
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        }
       }
-
-      // Calculate next scheduled run
-      const nextRun = new Date();
-      nextRun.setUTCDate(nextRun.getUTCDate() + 1);
-      nextRun.setUTCHours(20, 5, 0, 0); // 8:05 PM UTC = 1:35 AM IST
       
       const results = {
         successCount,
         errorCount,
-        skippedCount
+        skippedCount,
+        queuedCount,
+        missedCount
       };
       
-      await newsletterHistory.markAsCompleted(results);
-      
       // Add articles to newsletter history
-      if (allSentArticles.length > 0) {
-        const articleEntries = allSentArticles.map(article => ({
+      if (sentArticles.size > 0) {
+        newsletterHistory.articlesSent = [...sentArticles.values()].map(({ article, count }) => ({
           articleId: article.id || article._id,
           title: article.title,
           section: article.section || article.category,
           source: article.source,
           publishedDate: article.publishedDate || article.publishedAt,
-          sentToCount: successCount
+          sentToCount: count
         }));
-        
-        newsletterHistory.articlesSent = articleEntries;
-        await newsletterHistory.save();
-        console.log(`📰 Added ${allSentArticles.length} articles to newsletter history`);
+        console.log(`📰 Added ${sentArticles.size} articles to newsletter history`);
       }
       
-      newsletterHistory.nextScheduledRun = nextRun;
-      await newsletterHistory.save();
+      newsletterHistory.nextScheduledRun = await this.getNextDueTime();
+      await newsletterHistory.markAsCompleted(results);
 
-      const totalProcessed = successCount + errorCount + skippedCount;
-      console.log(`✅ Newsletter batch complete: ${successCount} sent, ${errorCount} errors, ${skippedCount} skipped (${totalProcessed}/${subscribers.length})`);
+      if (missedCount > 0) {
+        console.warn(`⏭️ Skipped ${missedCount} newsletters planned for ${plannedTime.toISOString()} - window missed`);
+      }
       
       return {
-        success: true,
-        message: 'Newsletter sending completed',
-        results: results,
-        totalSubscribers: subscribers.length,
-        nextScheduledRun: nextRun,
-        historyId: newsletterHistory._id
+        historyId: newsletterHistory._id,
+        plannedTime,
+        startedTime: newsletterHistory.startedTime,
+        delayMs: newsletterHistory.delayMs,
+        results
       };
       
     } catch (error) {
-      console.error('❌ Error in hourly newsletter send:', error);
+      console.error(`❌ Error in send window ${plannedTime.toISOString()}:`, error);
       
       if (newsletterHistory) {
         await newsletterHistory.markAsFailed(error);
       }
       
       return {
-        success: false,
-        error: error.message,
-        historyId: newsletterHistory?._id
+        historyId: newsletterHistory?._id,
+        plannedTime,
+        error: error.message
       };
     }
   }
 
-  // Manual trigger for testing
+  /**
+   * Claim one due subscriber (move them to their next slot, so no other run sends to
+   * them for this window) and send - or skip it when the window was missed
+   */
+  async sendToSubscriber(newsletterService, subscriber, newsletterHistory) {
+    const now = new Date();
+    const plannedFor = subscriber.nextDueAt;
+    const state = newsletterScheduleService.classify(subscriber, now);
+    // The slot after this one - a run inside the EARLY_MINUTES margin is still before plannedFor
+    const nextDueAt = newsletterScheduleService.nextDueAt(subscriber, new Date(Math.max(now.getTime(), plannedFor.getTime())));
+
+    // Whoever still finds plannedFor there owns the window
+    const claimed = await Subscriber.updateOne(
+      { _id: subscriber._id, isActive: true, nextDueAt: plannedFor },
+      { $set: { nextDueAt } }
+    );
+    if (claimed.matchedCount === 0) {
+      return { success: false, skipped: true, reason: 'Handled by another run' };
+    }
+
+    if (state === 'missed') {
+      return { success: false, missed: true };
+    }
+
+    const result = await newsletterService.sendNewsletterToSubscriber(subscriber, {
+      historyId: newsletterHistory._id,
+      plannedFor
+    });
+
+    if (result.success && !result.skipped) {
+      return {
+        success: true,
+        articlesCount: result.articlesCount,
+        articles: result.articles || [] // Include articles in response
+      };
+    }
+    
+    return result;
+  }
+
+  /**
+   * Give subscribers without a next due time (new, or from before per-subscriber scheduling) one
+   * @returns {Promise<number>} How many were scheduled
+   */
+  async scheduleUnscheduled(now = new Date()) {
+    const unscheduled = await Subscriber.find({ isActive: true, nextDueAt: null })
+      .select('preferences timezone')
+      .lean();
+    if (unscheduled.length === 0) return 0;
+
+    await Subscriber.bulkWrite(unscheduled.map(subscriber => ({
+      updateOne: {
+        filter: { _id: subscriber._id, nextDueAt: null },
+        update: { $set: { nextDueAt: newsletterScheduleService.nextDueAt(subscriber, now) } }
+      }
+    })));
+    return unscheduled.length;
+  }
+
+  // Manual trigger for testing (sends to whoever is due now)
   async sendTestNewsletter() {
     console.log('🧪 Sending test newsletter...');
-    return await this.sendHourlyNewsletters();
+    return await this.sendHourlyNewsletters({ triggerType: 'manual' });
   }
 
   // Get scheduler status
@@ -225,16 +349,22 @@ class NewsletterScheduler {
         nextRun: this.cronJob ? this.getNextScheduledTime() : null,
         currentHour: newsletterService.getCurrentHour(),
         lastNewsletter: lastNewsletter ? {
+          scheduledTime: lastNewsletter.scheduledTime,
+          startedTime: lastNewsletter.startedTime,
+          delayMs: lastNewsletter.delayMs,
           completedTime: lastNewsletter.completedTime,
           emailsSent: lastNewsletter.emailsSent,
           emailsFailed: lastNewsletter.emailsFailed,
           emailsSkipped: lastNewsletter.emailsSkipped,
+          emailsMissed: lastNewsletter.emailsMissed,
           totalSubscribers: lastNewsletter.totalSubscribers,
           executionDuration: lastNewsletter.executionDuration,
-          articlesCount: lastNewsletter.articlesSent?.length || 0
+          articlesCount: lastNewsletter.articlesSent?.length || 0,
+          engagement: lastNewsletter.engagement || null
         } : null,
         schedulingStats: schedulingStats,
-        nextScheduledNewsletter: this.getNextScheduledTime()
+        nextScheduledNewsletter: await this.getNextDueTime(),
+        upcomingWindows: await this.getUpcomingWindows(24)
       };
     } catch (error) {
       console.error('❌ Error getting scheduler status:', error);
@@ -245,18 +375,41 @@ class NewsletterScheduler {
     }
   }
   
-  // Calculate next scheduled newsletter time (1:35 AM IST = 8:05 PM UTC)
+  // Next scheduler tick (the start of the next send window)
   getNextScheduledTime() {
-    const now = new Date();
-    const nextRun = new Date();
-    
-    nextRun.setUTCHours(20, 5, 0, 0);
-    
-    if (now.getTime() >= nextRun.getTime()) {
-      nextRun.setUTCDate(nextRun.getUTCDate() + 1);
+    const windowMs = WINDOW_MINUTES * 60 * 1000;
+    return new Date(Math.floor(Date.now() / windowMs) * windowMs + windowMs);
+  }
+
+  // Earliest planned newsletter among active subscribers
+  async getNextDueTime() {
+    const next = await Subscriber.findOne({ isActive: true, nextDueAt: { $ne: null } })
+      .select('nextDueAt')
+      .sort({ nextDueAt: 1 })
+      .lean();
+    return next?.nextDueAt || null;
+  }
+
+  /**
+   * Planned send windows in the next `hours`, with subscriber counts per frequency
+   * @returns {Promise<Array<Object>>} [{ plannedTime, subscribers, frequencies: { daily: 3, ... } }]
+   */
+  async getUpcomingWindows(hours = 24) {
+    const windows = await Subscriber.aggregate([
+      { $match: { isActive: true, nextDueAt: { $ne: null, $lte: new Date(Date.now() + hours * 60 * 60 * 1000) } } },
+      { $group: { _id: { plannedTime: '$nextDueAt', frequency: { $ifNull: ['$preferences.frequency', 'hourly'] } }, count: { $sum: 1 } } },
+      { $sort: { '_id.plannedTime': 1 } }
+    ]);
+
+    const byTime = new Map();
+    for (const { _id, count } of windows) {
+      const key = _id.plannedTime.toISOString();
+      const window = byTime.get(key) || { plannedTime: _id.plannedTime, subscribers: 0, frequencies: {} };
+      window.subscribers += count;
+      window.frequencies[_id.frequency] = count;
+      byTime.set(key, window);
     }
-    
-    return nextRun;
+    return [...byTime.values()].slice(0, 48);
   }
   
   // Get newsletter history
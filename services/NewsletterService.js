@@ -1,26 +1,13 @@
-const nodemailer = require('nodemailer');
 const Subscriber = require('../models/Subscriber');
 const { v4: uuidv4 } = require('uuid');
+const newsletterTrackingService = require('./newsletterTrackingService');
+const outboundQueue = require('./email/outboundQueue');
+const newsletterScheduleService = require('./newsletterScheduleService');
+const subscriptionService = require('./subscriptionService');
 
 class NewsletterService {
   constructor() {
-    // Configure email transporter
-    this.transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.EMAIL_USER || 'forexyynewsletter@gmail.com',
-        pass: process.env.EMAIL_APP_PASSWORD // App password from Gmail 2FA
-      }
-    });
-
-    // Verify connection configuration
-    this.transporter.verify((error, success) => {
-      if (error) {
-        console.error('❌ Email transporter error:', error);
-      } else if (success) {
-        // console.log('✅ Email transporter is ready to send emails');
-      }
-    });
+    // Email goes out through the outbound queue (services/email) - transport per config/emailTransport.js
 
     // Domain-specific reporters
     this.aiReporters = [
@@ -59,8 +46,13 @@ class NewsletterService {
     return now.getUTCHours();
   }
 
-  generateNewsletterTemplate(articles, subscriber) {
+  // tracking: newsletterTrackingService.contextFor(...) to add the open pixel and
+  // tracked links, null for plain links
+  generateNewsletterTemplate(articles, subscriber, tracking = null) {
+    // Dates as the subscriber sees them
+    const timeZone = newsletterScheduleService.timezoneOf(subscriber);
     const currentDate = new Date().toLocaleDateString('en-US', {
+      timeZone,
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -69,6 +61,7 @@ class NewsletterService {
 
     // Add unique timestamp and ID to prevent email threading
     const timestamp = new Date().toLocaleString('en-US', {
+      timeZone,
       weekday: 'short',
       month: 'short',
       day: 'numeric',
@@ -82,6 +75,11 @@ class NewsletterService {
     const primarySection = subscriber.preferences?.genres?.[0] || 'business';
     const leadReporter = this.getReporterForSection(primarySection);
 
+    const articleLink = (article) => {
+      const url = `https://www.forexyy.com/article/${encodeURIComponent(article.id)}`;
+      return tracking ? newsletterTrackingService.clickUrl(tracking, url, article.id) : url;
+    };
+
     return `
     <!DOCTYPE html>
     <html lang="en">
@@ -206,7 +204,7 @@ class NewsletterService {
                             </div>
                             ` : ''}
                             <div style="margin: 16px 0;">
-                                <a href="https://www.forexyy.com/article/${encodeURIComponent(featuredArticle.id)}" class="btn-primary" style="margin-right: 12px;">
+                                <a href="${articleLink(featuredArticle)}" class="btn-primary" style="margin-right: 12px;">
                                     Read Full Analysis on Forexyy.com →
                                 </a>
                             </div>
@@ -224,7 +222,7 @@ class NewsletterService {
                             <h4 style="margin: 0 0 8px 0; font-size: 18px; font-weight: 600; color: #111827;">${article.title}</h4>
                             <p style="color: #6b7280; margin: 8px 0; font-size: 14px; line-height: 1.5;">${(article.summary || article.abstract || '').substring(0, 120)}...</p>
                             <div style="margin: 12px 0;">
-                                <a href="https://www.forexyy.com/article/${encodeURIComponent(article.id)}" style="color: #2563eb; text-decoration: none; font-weight: 500; font-size: 14px;">
+                                <a href="${articleLink(article)}" style="color: #2563eb; text-decoration: none; font-weight: 500; font-size: 14px;">
                                     Read Analysis →
                                 </a>
                             </div>
@@ -243,23 +241,28 @@ class NewsletterService {
                     </p>
                     <p style="color: #9ca3af; font-size: 12px; margin: 0;">
                         You're receiving this because you subscribed to Forexyy Newsletter. 
+                        <a href="${subscriptionService.preferencesUrl(subscriber)}" style="color: #6b7280;">Manage preferences</a> •
                         <a href="https://www.forexyy.com/unsubscribe?token=${subscriber.unsubscribeToken}" style="color: #6b7280;">Unsubscribe</a>
                     </p>
                 </div>
             </div>
         </div>
+        ${tracking ? `<img src="${newsletterTrackingService.pixelUrl(tracking)}" width="1" height="1" alt="" style="display: block; width: 1px; height: 1px; border: 0;">` : ''}
     </body>
     </html>
     `;
   }
 
   // Send newsletter to a single subscriber
-  async sendNewsletterToSubscriber(subscriber) {
+  // historyId: the NewsletterHistory run this email belongs to (engagement stats)
+  // plannedFor: the send window it was scheduled for - at most one email per subscriber per window
+  async sendNewsletterToSubscriber(subscriber, { historyId = null, plannedFor = null } = {}) {
     try {
       // console.log(`📧 Preparing newsletter for ${subscriber.email}`);
 
-      // Get fresh articles for this subscriber
-      const articles = await this.getFreshArticles(subscriber);
+      // Get fresh articles for this subscriber (how many and how far back depends on their frequency)
+      const { since, limit } = newsletterScheduleService.articleWindow(subscriber);
+      const articles = await this.getFreshArticles(subscriber, limit, { since });
 
       if (articles.length === 0) {
         // console.log(`⚠️ No new articles found for ${subscriber.email}, skipping...`);
@@ -270,16 +273,22 @@ class NewsletterService {
 
       // console.log(`✅ Found ${articles.length} articles for ${subscriber.email}:`, articles.map(a => a.title?.substring(0, 50) + '...'));
 
+      // Generate unique newsletter ID (also carried by the tracking links)
+      const newsletterId = `newsletter_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+      const tracked = newsletterTrackingService.isEnabledFor(subscriber);
+      const tracking = tracked ? newsletterTrackingService.contextFor(subscriber, newsletterId, historyId) : null;
+
       // Generate newsletter HTML
-      const newsletterHtml = this.generateNewsletterTemplate(articles, subscriber);
+      const newsletterHtml = this.generateNewsletterTemplate(articles, subscriber, tracking);
 
       // Create unique message ID to prevent duplicates and threading
       const timestamp = Date.now();
       const randomId = Math.random().toString(36).substring(2, 15);
-      const messageId = `newsletter-${timestamp}-${randomId}@forexyy.com`;
+      const messageId = `<newsletter-${timestamp}-${randomId}@forexyy.com>`;
 
       // Generate compelling subject with featured headline
       const dateStr = new Date().toLocaleDateString('en-US', {
+        timeZone: newsletterScheduleService.timezoneOf(subscriber),
         weekday: 'short',
         month: 'short',
         day: 'numeric'
@@ -302,20 +311,20 @@ class NewsletterService {
         ? `� ${headlinePreview} | Forexyy ${dateStr}`
         : `📈 Breaking: Market Analysis & Insights | Forexyy ${dateStr}`;
 
-      const mailOptions = {
-        from: `"Forexyy Breaking News" <${process.env.GMAIL_USER}>`,
+      // Through the outbound queue: rate limited, retried later if this attempt fails,
+      // and sent at most once per subscriber per newsletter run
+      const { email: outbound, duplicate } = await outboundQueue.send({
+        category: 'newsletter',
+        idempotencyKey: plannedFor
+          ? `newsletter:${subscriber._id}:${new Date(plannedFor).toISOString()}`
+          : historyId ? `newsletter:${historyId}:${subscriber._id}` : `newsletter:${newsletterId}`,
         to: subscriber.email,
         subject: uniqueSubject,
         html: newsletterHtml,
+        messageId: messageId,
         headers: {
-          'Message-ID': messageId,
           'X-Newsletter-Type': 'scheduled',
-          'X-Subscriber-ID': subscriber._id || subscriber.email,
-          // Anti-threading headers
-          'References': undefined,
-          'In-Reply-To': undefined,
-          'Thread-Topic': undefined,
-          'Thread-Index': undefined,
+          'X-Subscriber-ID': String(subscriber._id || subscriber.email),
           // Ensure each email is treated as a new conversation
           'X-No-Threading': 'true',
           'X-Thread-Prevention': messageId,
@@ -324,22 +333,23 @@ class NewsletterService {
           'List-ID': `Forexyy Newsletter <newsletter.forexyy.com>`,
           'List-Post': 'NO',
           'List-Archive': 'NO'
-        }
-      };
+        },
+        subscriber: subscriber._id || null,
+        newsletterId: newsletterId,
+        history: historyId
+      });
 
-      // Send email
-      let info;
-      try {
-        info = await this.transporter.sendMail(mailOptions);
-        // console.log(`✅ Newsletter sent to ${subscriber.email}:`, info.messageId);
-      } catch (sendError) {
-        console.error(`❌ SMTP Error for ${subscriber.email}:`, {
-          message: sendError.message,
-          code: sendError.code,
-          response: sendError.response
-        });
-        throw sendError;
+      if (duplicate) {
+        return { success: false, skipped: true, reason: 'Already sent for this send window' };
       }
+      if (outbound.status === 'suppressed') {
+        return { success: false, skipped: true, reason: outbound.lastError };
+      }
+      if (outbound.status === 'failed') {
+        throw new Error(outbound.lastError);
+      }
+      // The first attempt failed but will be retried
+      const queued = outbound.status === 'queued';
 
       // Update subscriber's sent articles list and newsletter history
       try {
@@ -347,9 +357,6 @@ class NewsletterService {
           const Subscriber = require('../models/Subscriber');
           const articleIds = articles.map(article => article.id);
 
-          // Generate unique newsletter ID
-          const newsletterId = `newsletter_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-
           await Subscriber.findByIdAndUpdate(
             subscriber._id,
             {
@@ -361,7 +368,10 @@ class NewsletterService {
                   newsletterId: newsletterId,
                   sentAt: new Date(),
                   articlesCount: articles.length,
-                  status: 'sent'
+                  status: queued ? 'queued' : 'sent',
+                  plannedFor: plannedFor,
+                  historyId: historyId,
+                  tracked: tracked
                 }
               },
               lastNewsletterSent: new Date()
@@ -370,14 +380,28 @@ class NewsletterService {
 
           // console.log(`📝 Updated sent articles and newsletter history for ${subscriber.email}: Newsletter ID ${newsletterId}, ${articleIds.length} articles tracked`);
         }
+
+        if (tracked) {
+          await newsletterTrackingService.markTracked(historyId);
+        }
       } catch (updateError) {
         console.error(`⚠️ Failed to update sent articles for ${subscriber.email}:`, updateError.message);
         // Don't fail the newsletter send if tracking update fails
       }
 
+      if (queued) {
+        return {
+          success: false,
+          queued: true,
+          error: outbound.lastError,
+          articlesCount: articles.length,
+          articles: articles
+        };
+      }
+
       return {
         success: true,
-        messageId: info.messageId,
+        messageId: outbound.messageId,
         articlesCount: articles.length,
         articles: articles // Include articles in response for tracking
       };
@@ -420,76 +444,55 @@ class NewsletterService {
   }
 
   // Get fresh articles for subscriber based on preferences
-  async getFreshArticles(subscriber, limit = 3) {
+  // options.since: only genre articles published after this (the scheduler passes the
+  // subscriber's last newsletter, bounded by their frequency's lookback)
+  async getFreshArticles(subscriber, limit = 3, { since = null } = {}) {
     try {
       // Import database articleService for direct database queries
       const dbArticleService = require('./db/articleService');
 
       // Get subscriber's preferred categories or use defaults
-      const preferredCategories = subscriber.preferences?.genres || ['business', 'politics', 'technology'];
+      const preferredCategories = subscriber.preferences?.genres?.length
+        ? subscriber.preferences.genres
+        : ['business', 'politics', 'technology'];
 
-      // Get fresh articles from the last 24 hours
-      const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-      let articles = [];
+      // Never send the same article to a subscriber twice
+      const sentIds = new Set((subscriber.sentArticleIds || []).map(String));
+      const idOf = (article) => String(article.id || article._id);
+      const isNew = (article) => !sentIds.has(idOf(article));
 
-      // Fetch articles from each preferred category using database service
+      // Newest unsent articles in each preferred category
+      const perCategory = [];
       for (const category of preferredCategories) {
         try {
-          // console.log(`📰 Fetching articles for category: ${category}`);
-          const categoryArticles = await dbArticleService.getArticlesBySection(category, 10);
-
-          // Filter out articles already sent to this subscriber (only check last 50 sent articles to allow re-sending older content)
-          const newArticles = categoryArticles.filter(article => {
-            if (!subscriber.sentArticleIds || !Array.isArray(subscriber.sentArticleIds)) {
-              return true;
-            }
-            // Only check the most recent 50 sent articles to allow re-sending older popular content
-            const recentSentIds = subscriber.sentArticleIds.slice(-50);
-            return !recentSentIds.includes(article.id || article._id);
-          });
-
-          // console.log(`📰 Found ${newArticles.length} new articles in ${category} (filtered out ${categoryArticles.length - newArticles.length} recent articles)`);
-          articles = articles.concat(newArticles);
-
-          if (articles.length >= limit * 2) break; // Get extra articles for selection
+          const categoryArticles = await dbArticleService.getArticlesBySection(category, limit * 2, { since });
+          perCategory.push(categoryArticles.filter(isNew));
         } catch (categoryError) {
           // console.log(`⚠️ Could not fetch articles for category ${category}:`, categoryError.message);
         }
       }
 
+      // Take one from each category in turn, so every chosen genre gets a place
+      const articles = [];
+      const add = (article) => {
+        if (articles.length < limit && !articles.some(a => idOf(a) === idOf(article))) articles.push(article);
+      };
+      for (let round = 0; articles.length < limit && perCategory.some(list => list.length > round); round++) {
+        perCategory.forEach(list => list[round] && add(list[round]));
+      }
+
       // If we don't have enough articles from preferred categories, get general news
       if (articles.length < limit) {
         try {
-          // console.log(`📰 Fetching general articles (current count: ${articles.length})`);
           const generalArticles = await dbArticleService.getAllArticles(10, 0);
-          const newGeneralArticles = generalArticles.filter(article => {
-            if (!subscriber.sentArticleIds || !Array.isArray(subscriber.sentArticleIds)) {
-              return true;
-            }
-            // Only check the most recent 50 sent articles to allow re-sending older popular content
-            const recentSentIds = subscriber.sentArticleIds.slice(-50);
-            return !recentSentIds.includes(article.id || article._id);
-          });
-          // console.log(`📰 Found ${newGeneralArticles.length} new general articles`);
-          articles = articles.concat(newGeneralArticles);
+          generalArticles.filter(isNew).forEach(add);
         } catch (generalError) {
           // console.log('⚠️ Could not fetch general articles:', generalError.message);
         }
       }
 
-      // Remove duplicates based on article ID
-      const uniqueArticles = articles.filter((article, index, self) =>
-        index === self.findIndex(a => (a.id || a._id) === (article.id || article._id))
-      );
-
-      // console.log(`📰 Found ${uniqueArticles.length} unique fresh articles for ${subscriber.email} (filtered out ${subscriber.sentArticleIds?.length || 0} recent articles)`);
-
-      // Sort by publication date (newest first) and return requested number
-      const selectedArticles = uniqueArticles
-        .sort((a, b) => new Date(b.publishedDate || b.publishedAt || b.published_date) - new Date(a.publishedDate || a.publishedAt || a.published_date))
-        .slice(0, limit);
-
-      return selectedArticles;
+      // Sort by publication date (newest first) - the first is the featured article
+      return articles.sort((a, b) => new Date(b.publishedDate || b.publishedAt || b.published_date) - new Date(a.publishedDate || a.publishedAt || a.published_date));
 
     } catch (error) {
       console.error('❌ Error fetching fresh articles:', error);
@@ -540,7 +543,7 @@ class NewsletterService {
         const articles = await this.getFreshArticles(subscriber, 4);
 
         if (articles.length > 0) {
-          const result = await this.sendNewsletterToSubscriber(subscriber, articles);
+          const result = await this.sendNewsletterToSubscriber(subscriber);
           results.push({ subscriber: subscriber.email, ...result });
 
           // Add small delay between sends to avoid rate limiting
@@ -0,0 +1,235 @@
+/**
+ * 🔐 Admin Auth Service
+ * API keys (hashed in MongoDB, revocable) and signed session tokens
+ * for the destructive/operational endpoints.
+ *
+ * Roles are ordered: viewer < editor < operator
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+
+const ROLE_LEVELS = {
+  viewer: 1,
+  editor: 2,
+  operator: 3
+};
+
+const KEY_PREFIX = 'wsk_';
+const SESSION_TTL_SECONDS = 12 * 60 * 60; // 12 hours
+
+class AdminAuthService {
+  constructor() {
+    this.sessionSecret = process.env.ADMIN_SESSION_SECRET || null;
+    this.bootstrapKey = process.env.ADMIN_BOOTSTRAP_KEY || null;
+    this.cronSecret = process.env.CRON_SECRET || null;
+
+    if (!this.sessionSecret) {
+      console.warn('⚠️ ADMIN_SESSION_SECRET not set - admin session tokens are disabled');
+    }
+  }
+
+  /**
+   * Check whether a role satisfies the required role
+   * @param {string} role - Role held by the principal
+   * @param {string} required - Minimum role needed
+   * @returns {boolean}
+   */
+  hasRole(role, required) {
+    return (ROLE_LEVELS[role] || 0) >= (ROLE_LEVELS[required] || Infinity);
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+  }
+
+  /**
+   * Issue a new API key. The plaintext key is returned once and never stored.
+   * @param {Object} params - { name, principal, role, expiresAt, createdBy }
+   * @returns {Promise<{key: string, apiKey: Object}>}
+   */
+  async createApiKey({ name, principal, role = 'viewer', expiresAt = null, createdBy = null }) {
+    if (!ROLE_LEVELS[role]) {
+      throw new Error(`Invalid role: ${role}. Available: ${Object.keys(ROLE_LEVELS).join(', ')}`);
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+    const apiKey = await ApiKey.create({
+      name,
+      principal: principal || name,
+      role,
+      keyHash: this.hashKey(key),
+      prefix: key.substring(0, KEY_PREFIX.length + 8),
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      createdBy
+    });
+
+    return { key, apiKey: apiKey.toSafeJSON() };
+  }
+
+  /**
+   * Revoke an API key (session tokens minted from it stop working too)
+   * @param {string} id - ApiKey _id
+   * @param {string} revokedBy - Principal performing the revocation
+   * @returns {Promise<Object|null>} Revoked key or null if not found
+   */
+  async revokeApiKey(id, revokedBy = null) {
+    const apiKey = await ApiKey.findByIdAndUpdate(
+      id,
+      { revokedAt: new Date(), revokedBy },
+      { new: true }
+    );
+    return apiKey ? apiKey.toSafeJSON() : null;
+  }
+
+  async listApiKeys({ includeRevoked = false } = {}) {
+    const query = includeRevoked ? {} : { revokedAt: null };
+    const keys = await ApiKey.find(query).sort({ createdAt: -1 });
+    return keys.map(k => k.toSafeJSON());
+  }
+
+  isBootstrapKey(key) {
+    return Boolean(this.bootstrapKey) && this.safeEqual(key, this.bootstrapKey);
+  }
+
+  /**
+   * Key id of bootstrap sessions - bound to the current ADMIN_BOOTSTRAP_KEY,
+   * so rotating or removing the key invalidates the sessions minted from it
+   * @returns {string|null}
+   */
+  bootstrapKid() {
+    return this.bootstrapKey ? `bootstrap:${this.hashKey(this.bootstrapKey).slice(0, 8)}` : null;
+  }
+
+  /**
+   * Resolve a raw API key to a principal
+   * @param {string} key - Plaintext key from the request
+   * @returns {Promise<Object|null>} Principal or null if invalid/revoked
+   */
+  async verifyApiKey(key) {
+    if (!key) return null;
+
+    // Environment bootstrap key - lets operators create the first stored keys
+    if (this.isBootstrapKey(key)) {
+      return { id: this.bootstrapKid(), name: 'bootstrap', role: 'operator', type: 'bootstrap' };
+    }
+
+    if (!key.startsWith(KEY_PREFIX)) return null;
+
+    const apiKey = await ApiKey.findOne({ keyHash: this.hashKey(key) });
+    if (!apiKey || !apiKey.isUsable()) return null;
+
+    // Fire-and-forget usage tracking
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(() => {});
+
+    return {
+      id: apiKey._id.toString(),
+      name: apiKey.principal,
+      role: apiKey.role,
+      type: 'api-key'
+    };
+  }
+
+  /**
+   * Mint a signed session token for a verified principal
+   * Format: base64url(payload).base64url(hmac-sha256)
+   * @param {Object} principal - Principal from verifyApiKey
+   * @param {number} ttlSeconds - Token lifetime
+   * @returns {{token: string, expiresAt: Date}}
+   */
+  issueSessionToken(principal, ttlSeconds = SESSION_TTL_SECONDS) {
+    if (!this.sessionSecret) {
+      throw new Error('ADMIN_SESSION_SECRET is not configured');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      sub: principal.name,
+      kid: principal.id,
+      role: principal.role,
+      iat: now,
+      exp: now + ttlSeconds
+    };
+
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = this.sign(body);
+
+    return {
+      token: `${body}.${signature}`,
+      expiresAt: new Date(payload.exp * 1000)
+    };
+  }
+
+  /**
+   * Verify a session token and make sure its parent key is still active
+   * @param {string} token - Session token
+   * @returns {Promise<Object|null>} Principal or null if invalid/expired/revoked
+   */
+  async verifySessionToken(token) {
+    if (!this.sessionSecret || !token || !token.includes('.')) return null;
+
+    const [body, signature] = token.split('.');
+    if (!signature || !this.safeEqual(signature, this.sign(body))) return null;
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+
+    if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+
+    // Revoking the key invalidates every session minted from it
+    if (typeof payload.kid !== 'string' || !payload.kid) return null;
+    if (payload.kid.startsWith('bootstrap')) {
+      if (payload.kid !== this.bootstrapKid()) return null;
+    } else {
+      const apiKey = await ApiKey.findById(payload.kid).catch(() => null);
+      if (!apiKey || !apiKey.isUsable()) return null;
+    }
+
+    return {
+      id: payload.kid,
+      name: payload.sub,
+      role: payload.role,
+      type: 'session'
+    };
+  }
+
+  /**
+   * Resolve any supported credential (cron secret, API key or session token)
+   * @param {string} credential - Raw credential from the request
+   * @returns {Promise<Object|null>} Principal or null
+   */
+  async authenticate(credential) {
+    if (!credential) return null;
+
+    // Vercel cron sends "Authorization: Bearer $CRON_SECRET"
+    if (this.cronSecret && this.safeEqual(credential, this.cronSecret)) {
+      return { id: 'cron', name: 'vercel-cron', role: 'operator', type: 'cron' };
+    }
+
+    if (this.isBootstrapKey(credential) || credential.startsWith(KEY_PREFIX)) {
+      return this.verifyApiKey(credential);
+    }
+
+    return this.verifySessionToken(credential);
+  }
+
+  sign(body) {
+    return crypto.createHmac('sha256', this.sessionSecret).update(body).digest('base64url');
+  }
+}
+
+const adminAuthService = new AdminAuthService();
+adminAuthService.ROLE_LEVELS = ROLE_LEVELS;
+
+module.exports = adminAuthService;
@@ -0,0 +1,172 @@
+/**
+ * ✅ Commentary Quality Gate
+ *
+ * Checks generated commentary before it is stored:
+ * - structure: Key Points / Impact Analysis / Future Outlook in order, not cut off mid-sentence
+ * - length: word count within bounds
+ * - language: reads as English
+ * - overlap: doesn't repeat the headline or copy long runs of the source
+ * - banned phrases: assistant boilerplate, placeholders, refusals
+ * - numbers: every figure it states appears in the title or abstract
+ */
+
+const HEADINGS = ['Key Points', 'Impact Analysis', 'Future Outlook'];
+
+const MIN_WORDS = parseInt(process.env.COMMENTARY_MIN_WORDS, 10) || 80;
+const MAX_WORDS = parseInt(process.env.COMMENTARY_MAX_WORDS, 10) || 400;
+
+// Longest run of words that may be copied from the source
+const MAX_COPIED_RUN = 10;
+
+const BANNED_PHRASES = [
+  'as an ai',
+  'language model',
+  'i cannot',
+  "i can't",
+  "i'm sorry",
+  'i am sorry',
+  'here is the analysis',
+  "here's the analysis",
+  'here is my analysis',
+  'certainly!',
+  'lorem ipsum',
+  '[insert',
+  'as of my knowledge cutoff',
+  'as of my last update',
+  ...(process.env.COMMENTARY_BANNED_PHRASES || '').split(',').map(phrase => phrase.trim().toLowerCase()).filter(Boolean)
+];
+
+const ENGLISH_STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'is', 'are', 'was', 'were',
+  'be', 'this', 'that', 'it', 'as', 'by', 'could', 'will', 'may', 'its', 'their', 'from', 'has', 'have'
+]);
+
+const words = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+
+/**
+ * Figures in a text, normalized ("$1,200" → "1200", "3.5%" → "3.5")
+ */
+const extractNumbers = (text) => {
+  const matches = (text || '').match(/\d[\d,]*(?:\.\d+)?/g) || [];
+  return matches
+    .map(match => match.replace(/,/g, '').replace(/\.0+$/, ''))
+    .filter(Boolean);
+};
+
+const checkStructure = (text) => {
+  const positions = HEADINGS.map(heading => {
+    const match = new RegExp(`^[\\s#*]*${heading}[\\s*:]*$`, 'mi').exec(text);
+    return match ? match.index : -1;
+  });
+
+  const missing = HEADINGS.filter((heading, i) => positions[i] === -1);
+  if (missing.length > 0) return `Missing section(s): ${missing.join(', ')}`;
+
+  if (positions.some((position, i) => i > 0 && position < positions[i - 1])) {
+    return `Sections out of order (expected ${HEADINGS.join(' → ')})`;
+  }
+
+  // Text after each heading, up to the next one
+  const bodies = positions.map((position, i) => text.slice(position, positions[i + 1]).split('\n').slice(1).join(' ').trim());
+  const empty = HEADINGS.filter((heading, i) => words(bodies[i]).length < 10);
+  if (empty.length > 0) return `Section(s) with almost no text: ${empty.join(', ')}`;
+
+  if (!/[.!?]["')\]]?\s*$/.test(text.trim())) return 'Output ends mid-sentence (truncated)';
+
+  return null;
+};
+
+const checkLength = (text) => {
+  const count = words(text).length;
+  if (count < MIN_WORDS) return `Too short: ${count} words (min ${MIN_WORDS})`;
+  if (count > MAX_WORDS) return `Too long: ${count} words (max ${MAX_WORDS})`;
+  return null;
+};
+
+const checkLanguage = (text) => {
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  const latin = (text.match(/[A-Za-z]/g) || []).length;
+  if (letters === 0 || latin / letters < 0.9) return 'Not written in English (non-Latin script)';
+
+  const tokens = words(text);
+  const stopwords = tokens.filter(token => ENGLISH_STOPWORDS.has(token)).length;
+  if (tokens.length > 0 && stopwords / tokens.length < 0.15) return 'Not written in English (too few common English words)';
+
+  return null;
+};
+
+const checkOverlap = (text, { title, abstract }) => {
+  const titleWords = words(title);
+  const body = ` ${words(text).join(' ')} `;
+
+  if (titleWords.length >= 5 && body.includes(` ${titleWords.join(' ')} `)) {
+    return 'Repeats the headline verbatim';
+  }
+
+  // Any run of MAX_COPIED_RUN + 1 words lifted from the source
+  const source = [...words(title), ...words(abstract)];
+  const runLength = MAX_COPIED_RUN + 1;
+  const sourceRuns = new Set();
+  for (let i = 0; i + runLength <= source.length; i++) {
+    sourceRuns.add(source.slice(i, i + runLength).join(' '));
+  }
+  const tokens = words(text);
+  for (let i = 0; i + runLength <= tokens.length; i++) {
+    if (sourceRuns.has(tokens.slice(i, i + runLength).join(' '))) {
+      return `Copies a run of more than ${MAX_COPIED_RUN} words from the source`;
+    }
+  }
+
+  return null;
+};
+
+const checkBannedPhrases = (text) => {
+  const lower = text.toLowerCase();
+  const found = BANNED_PHRASES.filter(phrase => lower.includes(phrase));
+  return found.length > 0 ? `Contains banned phrase(s): ${found.map(phrase => `"${phrase}"`).join(', ')}` : null;
+};
+
+const checkNumbers = (text, { title, abstract }) => {
+  const known = new Set(extractNumbers(`${title || ''} ${abstract || ''}`));
+  const currentYear = new Date().getFullYear();
+
+  const unsupported = [...new Set(extractNumbers(text))].filter(number => {
+    // Single digits are usually counts ("two-thirds", "3 sections"), the current year is context
+    if (number.length === 1 || number === String(currentYear)) return false;
+    return !known.has(number);
+  });
+
+  return unsupported.length > 0 ? `Figures not in the source: ${unsupported.slice(0, 5).join(', ')}` : null;
+};
+
+const CHECKS = {
+  structure: checkStructure,
+  length: checkLength,
+  language: checkLanguage,
+  overlap: checkOverlap,
+  bannedPhrases: checkBannedPhrases,
+  numbers: checkNumbers
+};
+
+/**
+ * Run every check against a generated commentary
+ * @param {string} text - Generated commentary
+ * @param {Object} source - { title, abstract } the commentary was generated from
+ * @returns {Object} { passed, failures: [{ check, message }] }
+ */
+const validateCommentary = (text, source = {}) => {
+  if (!text || !text.trim()) {
+    return { passed: false, failures: [{ check: 'structure', message: 'Empty output' }] };
+  }
+
+  const failures = Object.entries(CHECKS)
+    .map(([check, run]) => ({ check, message: run(text, source) }))
+    .filter(result => result.message);
+
+  return { passed: failures.length === 0, failures };
+};
+
+module.exports = {
+  HEADINGS,
+  validateCommentary
+};
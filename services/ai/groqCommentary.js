@@ -1,34 +1,10 @@
-const Groq = require('groq-sdk');
 const CacheService = require('../cache');
+const promptRegistry = require('./promptRegistry');
+const llmClient = require('../llm');
 
 class GroqCommentaryService {
   constructor() {
-    this.groq = new Groq({
-      apiKey: process.env.GROQ_API_KEY
-    });
     this.cache = CacheService;
-    this.promptTemplates = {
-      expertise: `You are an expert in {topic}. Provide a brief, insightful commentary on this news article as if you're a knowledgeable Reddit user. Be specific, analytical, and add context that most readers wouldn't know. Keep it under 150 words.
-
-Article: {title}
-Content: {description}
-
-Your expert take:`,
-
-      analysis: `As a subject matter expert, provide 2-3 bullet points analyzing this news story. Focus on implications, context, or insider knowledge that adds value. Be conversational but authoritative.
-
-Article: {title}
-Summary: {description}
-
-Key insights:`,
-
-      perspective: `Give a balanced perspective on this news story. What are people missing? What's the bigger picture? Write as an informed commentator who helps others understand the deeper implications.
-
-Headline: {title}
-Details: {description}
-
-Perspective:`
-    };
   }
 
   async generateCommentary(article, style = 'expertise') {
@@ -48,35 +24,34 @@ Perspective:`
       // Determine topic from article section or title
       const topic = this.extractTopic(article);
       
-      // Select and customize prompt
-      const prompt = this.promptTemplates[style]
-        .replace('{topic}', topic)
-        .replace('{title}', article.title)
-        .replace('{description}', article.description || article.summary || 'No description available');
-
-      // Generate commentary using Groq
-      const completion = await this.groq.chat.completions.create({
+      // Select and customize prompt (style = registry variant)
+      const template = await promptRegistry.select('reddit-commentary', { variant: style, section: article.section });
+      const prompt = promptRegistry.render(template, {
+        topic,
+        title: article.title,
+        description: article.description || article.summary || 'No description available'
+      });
+
+      // Generate commentary (Groq first, then the 'reddit-commentary' fallback chain)
+      const completion = await llmClient.chat('reddit-commentary', {
         messages: [
           {
             role: 'system',
-            content: 'You are an expert commentator who provides insightful, Reddit-style analysis on news articles. Your responses should be informative, engaging, and add genuine value to readers understanding of the topic.'
+            content: prompt.system
           },
           {
             role: 'user',
-            content: prompt
+            content: prompt.user
           }
         ],
-        model: 'llama3-8b-8192', // Fast and cost-effective
-        max_tokens: 200,
-        temperature: 0.7,
-        top_p: 0.9
+        model: prompt.model,
+        maxTokens: prompt.maxTokens,
+        temperature: prompt.temperature,
+        topP: 0.9,
+        section: article.section
       });
 
-      const commentary = completion.choices[0]?.message?.content?.trim();
-      
-      if (!commentary) {
-        throw new Error('No commentary generated');
-      }
+      const commentary = completion.text;
 
       // Cache the result (6 hours TTL)
       this.cache.set(cacheKey, commentary, 21600);
@@ -85,7 +60,9 @@ Perspective:`
         commentary,
         source: 'ai',
         generatedAt: new Date(),
-        model: 'llama3-8b-8192',
+        provider: completion.provider,
+        model: completion.model,
+        promptTemplateId: prompt.templateId,
         topic
       };
 
@@ -0,0 +1,341 @@
+/**
+ * 🧪 Prompt Template Registry
+ *
+ * Versioned prompts from the PromptTemplate collection (seeded from
+ * config/promptTemplates.js), so prompts change without a redeploy.
+ *
+ * - select() picks among the active variants of a key by weight; the same
+ *   assignment key (article id) always lands on the same variant
+ * - templates listing sections override the default for those sections
+ * - render() fills {{variables}} and refuses prompts with missing values
+ * - compare() reports each variant's commentary quality and engagement
+ */
+
+const crypto = require('crypto');
+const PromptTemplate = require('../../models/PromptTemplate');
+const CommentaryVersion = require('../../models/CommentaryVersion');
+const { BUILT_IN_TEMPLATES } = require('../../config/promptTemplates');
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+const CACHE_TTL_MS = 60 * 1000;
+const EDITABLE_FIELDS = ['system', 'user', 'variables', 'model', 'temperature', 'maxTokens', 'sections', 'weight', 'notes'];
+
+// Variables each caller supplies, per key - templates may only use these
+const KEY_VARIABLES = BUILT_IN_TEMPLATES.reduce((keys, template) => {
+  keys[template.key] = [...new Set([...(keys[template.key] || []), ...template.variables])];
+  return keys;
+}, {});
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+};
+
+const asBuiltIn = (template) => ({
+  ...template,
+  version: 1,
+  templateId: `${template.variant}-v1`,
+  sections: [],
+  weight: 100,
+  status: 'active',
+  createdBy: 'system'
+});
+
+const sameSections = (a = [], b = []) => [...a].sort().join(',') === [...b].sort().join(',');
+
+class PromptRegistry {
+  constructor() {
+    this.cache = new Map(); // key -> { templates, expiresAt }
+    this.seeding = null;
+  }
+
+  /**
+   * Insert missing built-in templates as active v1 (once per process)
+   */
+  ensureDefaults() {
+    if (!this.seeding) {
+      this.seeding = PromptTemplate.bulkWrite(BUILT_IN_TEMPLATES.map(template => {
+        const doc = asBuiltIn(template);
+        return { updateOne: { filter: { templateId: doc.templateId }, update: { $setOnInsert: doc }, upsert: true } };
+      }), { ordered: false }).catch(error => {
+        this.seeding = null;
+        throw error;
+      });
+    }
+    return this.seeding;
+  }
+
+  /**
+   * Active templates for a key (cached for a minute; built-ins if MongoDB is down)
+   */
+  async getActive(key) {
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.templates;
+
+    try {
+      await this.ensureDefaults();
+      const templates = await PromptTemplate.find({ key, status: 'active' }).lean();
+      this.cache.set(key, { templates, expiresAt: Date.now() + CACHE_TTL_MS });
+      return templates;
+    } catch (error) {
+      console.error(`❌ Prompt registry unavailable, using built-in "${key}" prompts:`, error.message);
+      return BUILT_IN_TEMPLATES.filter(template => template.key === key).map(asBuiltIn);
+    }
+  }
+
+  /**
+   * Choose the template to use
+   * @param {string} key - commentary | reddit-commentary | tts-script
+   * @param {Object} options - { section, variant (force one variant), assignmentKey (stable A/B bucket) }
+   * @returns {Promise<Object>} PromptTemplate
+   */
+  async select(key, { section = null, variant = null, assignmentKey = null } = {}) {
+    const active = await this.getActive(key);
+    const pool = variant ? active.filter(template => template.variant === variant) : active;
+
+    const sectionName = section ? String(section).toLowerCase() : null;
+    const overrides = sectionName ? pool.filter(template => template.sections?.includes(sectionName)) : [];
+    const candidates = overrides.length > 0 ? overrides : pool.filter(template => !template.sections?.length);
+
+    if (candidates.length === 0) {
+      throw new Error(`PROMPT_NOT_FOUND: no active "${key}" template${variant ? ` for variant ${variant}` : ''}`);
+    }
+
+    return this.pickWeighted(candidates, assignmentKey ? `${key}:${assignmentKey}` : null);
+  }
+
+  /**
+   * Weighted pick - deterministic when a seed is given
+   */
+  pickWeighted(candidates, seed) {
+    const sorted = [...candidates].sort((a, b) => a.templateId.localeCompare(b.templateId));
+    const total = sorted.reduce((sum, template) => sum + (template.weight || 0), 0);
+    if (total <= 0) return sorted[0];
+
+    // The seed's hash as a fraction of [0, 1) - works for fractional weights too
+    const point = seed
+      ? (parseInt(crypto.createHash('md5').update(seed).digest('hex').slice(0, 8), 16) / 0x100000000) * total
+      : Math.random() * total;
+
+    let cumulative = 0;
+    for (const template of sorted) {
+      cumulative += template.weight || 0;
+      if (point < cumulative) return template;
+    }
+    return sorted[sorted.length - 1];
+  }
+
+  /**
+   * Fill a template's placeholders
+   * @param {Object} template - PromptTemplate
+   * @param {Object} variables - Values for every declared variable
+   * @returns {Object} { templateId, system, user, model, temperature, maxTokens }
+   */
+  render(template, variables = {}) {
+    const missing = (template.variables || []).filter(name => variables[name] === undefined || variables[name] === null);
+    if (missing.length > 0) {
+      throw new Error(`PROMPT_VARIABLES_MISSING: ${template.templateId} needs ${missing.join(', ')}`);
+    }
+
+    const fill = (text) => (text || '').replace(PLACEHOLDER, (match, name) => String(variables[name] ?? match));
+
+    return {
+      templateId: template.templateId,
+      system: fill(template.system),
+      user: fill(template.user),
+      model: template.model,
+      temperature: template.temperature,
+      maxTokens: template.maxTokens
+    };
+  }
+
+  /**
+   * Check a template definition
+   * @returns {Array<string>} Problems (empty when valid)
+   */
+  validate(template) {
+    const errors = [];
+    const allowed = KEY_VARIABLES[template.key];
+
+    if (!allowed) errors.push(`Unknown key "${template.key}" (expected one of: ${Object.keys(KEY_VARIABLES).join(', ')})`);
+    if (!template.user) errors.push('user prompt is required');
+
+    const declared = template.variables || [];
+    const used = new Set([...`${template.system || ''}\n${template.user || ''}`.matchAll(PLACEHOLDER)].map(match => match[1]));
+
+    for (const name of used) {
+      if (!declared.includes(name)) errors.push(`Placeholder {{${name}}} is not declared in variables`);
+    }
+    for (const name of declared) {
+      if (!used.has(name)) errors.push(`Variable "${name}" is declared but never used`);
+      if (allowed && !allowed.includes(name)) errors.push(`Variable "${name}" is not supplied for "${template.key}" (available: ${allowed.join(', ')})`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create a new version of a variant (v1 for a new variant)
+   * @param {Object} data - { key, variant, system, user, variables, model, temperature, maxTokens, sections, weight, status, notes }
+   * @param {string} actor - Who made it
+   */
+  async create(data, actor = 'system') {
+    const errors = this.validate(data);
+    if (errors.length > 0) throw validationError(errors.join('; '));
+
+    await this.ensureDefaults();
+
+    const latest = await PromptTemplate.findOne({ variant: data.variant }).sort({ version: -1 }).lean();
+    if (latest && latest.key !== data.key) {
+      throw validationError(`Variant "${data.variant}" already belongs to "${latest.key}"`);
+    }
+
+    const version = (latest?.version || 0) + 1;
+    const template = await PromptTemplate.create({
+      ...Object.fromEntries(EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])),
+      sections: (data.sections || []).map(section => String(section).toLowerCase()),
+      key: data.key,
+      variant: data.variant,
+      version,
+      templateId: `${data.variant}-v${version}`,
+      status: data.status === 'active' ? 'draft' : (data.status || 'draft'),
+      createdBy: actor
+    });
+
+    if (data.status === 'active') {
+      return this.update(template.templateId, { status: 'active' });
+    }
+
+    this.cache.delete(template.key);
+    return template.toObject();
+  }
+
+  /**
+   * Edit prompt text/settings - saved as the variant's next version (old versions are immutable)
+   * @param {string} templateId - Version to start from
+   * @param {Object} changes - Editable fields plus optional status
+   */
+  async revise(templateId, changes, actor = 'system') {
+    const base = await PromptTemplate.findOne({ templateId }).lean();
+    if (!base) return null;
+
+    const merged = { key: base.key, variant: base.variant, status: changes.status || 'draft' };
+    for (const field of EDITABLE_FIELDS) {
+      merged[field] = changes[field] !== undefined ? changes[field] : base[field];
+    }
+    return this.create(merged, actor);
+  }
+
+  /**
+   * Change status / weight / notes in place (prompt text never changes in place).
+   * Activating archives other active versions of the same variant and sections.
+   */
+  async update(templateId, { status, weight, notes } = {}) {
+    const template = await PromptTemplate.findOne({ templateId });
+    if (!template) return null;
+
+    if (status !== undefined) template.status = status;
+    if (weight !== undefined) template.weight = weight;
+    if (notes !== undefined) template.notes = notes;
+    await template.save();
+
+    if (status === 'active') {
+      const siblings = await PromptTemplate.find({
+        variant: template.variant,
+        status: 'active',
+        _id: { $ne: template._id }
+      });
+      for (const sibling of siblings.filter(s => sameSections(s.sections, template.sections))) {
+        sibling.status = 'archived';
+        await sibling.save();
+      }
+    }
+
+    this.cache.delete(template.key);
+    console.log(`🧪 Prompt ${templateId}: status=${template.status}, weight=${template.weight}`);
+    return template.toObject();
+  }
+
+  async get(templateId) {
+    return PromptTemplate.findOne({ templateId }).lean();
+  }
+
+  async list({ key = null, status = null } = {}) {
+    await this.ensureDefaults();
+    const filter = {};
+    if (key) filter.key = key;
+    if (status) filter.status = status;
+    return PromptTemplate.find(filter).sort({ key: 1, variant: 1, version: -1 }).lean();
+  }
+
+  /**
+   * Compare the templates of a key on the commentary they produced
+   * @param {string} key
+   * @param {Object} options - { days }
+   * @returns {Promise<Array<Object>>} One row per template version with generation,
+   *   quality (structure, length, kept as active) and engagement (views, listens) metrics
+   */
+  async compare(key, { days = 14 } = {}) {
+    const templates = await PromptTemplate.find({ key }).lean();
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const stats = await CommentaryVersion.aggregate([
+      { $match: { promptTemplateId: { $in: templates.map(t => t.templateId) }, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: '$promptTemplateId',
+          generated: { $sum: 1 },
+          kept: { $sum: { $cond: ['$isActive', 1, 0] } },
+          complete: {
+            $sum: {
+              $cond: [{
+                $and: ['Key Points', 'Impact Analysis', 'Future Outlook'].map(heading => ({
+                  $regexMatch: { input: '$text', regex: heading }
+                }))
+              }, 1, 0]
+            }
+          },
+          avgLength: { $avg: { $strLenCP: '$text' } },
+          avgTokens: { $avg: '$tokenUsage.totalTokens' },
+          avgLatencyMs: { $avg: '$latencyMs' },
+          views: { $sum: { $ifNull: ['$engagement.views', 0] } },
+          listens: { $sum: { $ifNull: ['$engagement.listens', 0] } }
+        }
+      }
+    ]);
+    const byTemplate = new Map(stats.map(row => [row._id, row]));
+    const round = (value, digits = 0) => (value == null ? null : Number(value.toFixed(digits)));
+
+    return templates
+      .map(template => {
+        const row = byTemplate.get(template.templateId) || { generated: 0, kept: 0, complete: 0, views: 0, listens: 0 };
+        const rate = (count) => (row.generated > 0 ? round(count / row.generated, 3) : null);
+        return {
+          templateId: template.templateId,
+          variant: template.variant,
+          version: template.version,
+          status: template.status,
+          weight: template.weight,
+          sections: template.sections,
+          generated: row.generated,
+          quality: {
+            structureCompleteRate: rate(row.complete),
+            keptActiveRate: rate(row.kept),
+            avgLength: round(row.avgLength),
+            avgTokens: round(row.avgTokens),
+            avgLatencyMs: round(row.avgLatencyMs)
+          },
+          engagement: {
+            views: row.views,
+            listens: row.listens,
+            viewsPerCommentary: rate(row.views),
+            listensPerCommentary: rate(row.listens)
+          }
+        };
+      })
+      .sort((a, b) => a.variant.localeCompare(b.variant) || b.version - a.version);
+  }
+}
+
+module.exports = new PromptRegistry();
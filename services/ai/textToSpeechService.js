@@ -1,4 +1,21 @@
 const axios = require('axios');
+const promptRegistry = require('./promptRegistry');
+const llmClient = require('../llm');
+
+// Article section → anchor genre (unlisted sections get politics)
+const SECTION_ANCHORS = {
+  politics: 'politics',
+  us: 'politics',
+  world: 'politics',
+  technology: 'technology',
+  tech: 'technology',
+  sports: 'sports',
+  entertainment: 'entertainment',
+  arts: 'entertainment',
+  business: 'business',
+  economy: 'business',
+  finance: 'business'
+};
 
 /**
  * Text-to-Speech Service using ElevenLabs API
@@ -10,35 +27,51 @@ class TextToSpeechService {
     this.baseUrl = 'https://api.elevenlabs.io/v1';
     
     // Predefined AI anchor voices for different genres
+    // voiceId: ElevenLabs voice | ttsVoice: edge-tts voice (services/ttsService.js, podcast briefings)
     this.anchorVoices = {
       politics: {
         voiceId: 'pNInz6obpgDQGcFmaJgB', // Adam (serious, authoritative)
+        ttsVoice: 'en-US-MichelleNeural',
         name: 'Lena Cross',
         style: 'serious, urgent, deep tone'
       },
       technology: {
         voiceId: 'EXAVITQu4vr4xnSDxMaL', // Bella (energetic, clear)
+        ttsVoice: 'en-US-ChristopherNeural',
         name: 'Kai Volt', 
         style: 'fast, energetic, futuristic'
       },
       sports: {
         voiceId: 'VR6AewLTigWG4xSOukaG', // Josh (dynamic, passionate)
+        ttsVoice: 'en-US-GuyNeural',
         name: 'Rex Ball',
         style: 'loud, passionate, dynamic'
       },
       entertainment: {
         voiceId: 'jsCqWAovK2LkecY7zXl4', // Freya (upbeat, friendly)
+        ttsVoice: 'en-US-JennyNeural',
         name: 'Zoe Glam',
         style: 'playful, gossipy, upbeat'
       },
       business: {
         voiceId: 'pNInz6obpgDQGcFmaJgB', // Adam (professional)
+        ttsVoice: 'en-US-EricNeural',
         name: 'Marcus Stone',
         style: 'confident, professional, analytical'
       }
     };
   }
 
+  /**
+   * Anchor persona for an article section
+   * @param {string} section - Article section
+   * @returns {Object} { genre, voiceId, ttsVoice, name, style }
+   */
+  anchorFor(section = 'general') {
+    const genre = SECTION_ANCHORS[String(section).toLowerCase()] || 'politics';
+    return { genre, ...this.anchorVoices[genre] };
+  }
+
   /**
    * Generate AI commentary script for an article
    * @param {Object} article - Article object with title, abstract, section
@@ -46,46 +79,35 @@ class TextToSpeechService {
    */
   async generateCommentaryScript(article) {
     try {
-      const prompt = `
-Act as a charismatic news anchor with 20 years of experience. Write a 30-second broadcast script for the following headline:
-
-Title: "${article.title}"
-Summary: "${article.abstract}"
-Section: "${article.section}"
-
-Include:
-- A strong, attention-grabbing opening line
-- 1-2 sentence summary of the key facts
-- One surprising insight or expert perspective
-- End with a thought-provoking question for the audience
-
-Tone: Engaging, authoritative, slightly dramatic — perfect for a news commentary.
-Keep it conversational and under 150 words.
-`;
-
-      // Use Groq API for script generation (you'll need to add this)
-      const response = await axios.post('https://api.groq.com/openai/v1/chat/completions', {
-        model: 'llama3-8b-8192',
+      const template = await promptRegistry.select('tts-script', {
+        section: article.section,
+        assignmentKey: article.url || article.id || article._id
+      });
+      const prompt = promptRegistry.render(template, {
+        title: article.title,
+        abstract: article.abstract || '',
+        section: article.section || 'news'
+      });
+
+      // Script generation goes through the 'tts-script' provider chain
+      const completion = await llmClient.chat('tts-script', {
+        model: prompt.model,
         messages: [
           {
             role: 'system',
-            content: 'You are an expert news broadcaster and script writer.'
+            content: prompt.system
           },
           {
             role: 'user', 
-            content: prompt
+            content: prompt.user
           }
         ],
-        max_tokens: 200,
-        temperature: 0.7
-      }, {
-        headers: {
-          'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
+        maxTokens: prompt.maxTokens,
+        temperature: prompt.temperature,
+        section: article.section
       });
 
-      return response.data.choices[0].message.content.trim();
+      return completion.text;
     } catch (error) {
       console.error('Error generating script:', error.message);
       // Fallback script
@@ -106,21 +128,7 @@ Keep it conversational and under 150 words.
       }
 
       // Map article section to anchor voice
-      const sectionMap = {
-        'politics': 'politics',
-        'us': 'politics', 
-        'world': 'politics',
-        'technology': 'technology',
-        'tech': 'technology',
-        'sports': 'sports',
-        'entertainment': 'entertainment',
-        'arts': 'entertainment',
-        'business': 'business',
-        'economy': 'business'
-      };
-
-      const genre = sectionMap[section.toLowerCase()] || 'politics';
-      const voice = this.anchorVoices[genre];
+      const voice = this.anchorFor(section);
 
       console.log(`🎙️ Using ${voice.name} (${voice.style}) for ${section} article`);
 
@@ -171,14 +179,7 @@ Keep it conversational and under 150 words.
       console.log(`🔊 Generated audio (${audioBuffer.length} bytes)`);
 
       // Step 3: Get anchor info
-      const sectionMap = {
-        'politics': 'politics', 'us': 'politics', 'world': 'politics',
-        'technology': 'technology', 'tech': 'technology',
-        'sports': 'sports', 'entertainment': 'entertainment', 'arts': 'entertainment',
-        'business': 'business', 'economy': 'business'
-      };
-      const genre = sectionMap[article.section?.toLowerCase()] || 'politics';
-      const anchor = this.anchorVoices[genre];
+      const { genre, ...anchor } = this.anchorFor(article.section || undefined);
 
       return {
         script,
@@ -1,96 +1,95 @@
 /**
- * 🤖 AI Service - Pure Groq API Logic with Load Balancing
+ * 🤖 AI Service - Pure LLM generation logic
+ * Calls go through the LLM client (services/llm), which routes each task to a
+ * provider chain - Groq first by default
  * No caching, no queues - just clean AI generation
  */
 
-const groqLoadBalancer = require('./groqLoadBalancer');
-
-if (!groqLoadBalancer) {
-  console.error('❌ Groq Load Balancer not initialized - check API keys');
-}
+const llmClient = require('./llm');
+const promptRegistry = require('./ai/promptRegistry');
 
 /**
- * Generate AI commentary for a news article
- * Uses Forexyy's 3-section format: Key Points → Impact Analysis → Future Outlook
+ * Generate AI commentary for a news article, with generation metadata
+ * The prompt comes from the registry ('commentary' key) - the default is Forexyy's
+ * 3-section format: Key Points → Impact Analysis → Future Outlook
  * @param {string} title - Article title
  * @param {string} content - Article content/abstract
  * @param {string} category - Article category (politics, business, etc.)
- * @returns {Promise<string>} Generated commentary in structured HTML format
+ * @param {Object} options - { assignmentKey, corrections }
+ *   assignmentKey: the article URL, so regenerations keep the same A/B variant
+ *   corrections: quality-gate failures of a previous attempt - retries with a stricter prompt
+ * @returns {Promise<Object>} { text, provider, model, promptTemplateId, usage: { promptTokens, completionTokens, totalTokens }, latencyMs }
  */
-const generateGroqCommentary = async (title, content, category = 'news') => {
-  if (!groqLoadBalancer) {
-    throw new Error('Groq API not available - missing API keys');
+const generateCommentaryWithMeta = async (title, content, category = 'news', { assignmentKey = null, corrections = null } = {}) => {
+  if (!llmClient.isAvailable('commentary')) {
+    throw new Error('AI API not available - no LLM provider configured');
   }
 
-  const prompt = `You are Forexyy News Analyst. Analyze this ${category} article and provide EXACTLY 3 sections of analysis.
-
-Article Title: "${title}"
-Article Summary: "${content.substring(0, 500)}..."
-
-OUTPUT FORMAT (FOLLOW EXACTLY):
-
-Key Points
-Write 2-3 complete sentences explaining what happened in this article. Focus on the main events, decisions, or developments. Be specific and factual.
-
-Impact Analysis
-Write 2-3 complete sentences analyzing the impact and implications of these events. Discuss economic, political, social, or strategic effects. Explain why this matters.
-
-Future Outlook
-Write 2-3 complete sentences predicting what comes next. Discuss potential developments, challenges, opportunities, or reactions. Provide forward-looking insights.
-
-CRITICAL RULES:
-1. Output ALL THREE sections - never skip any section
-2. Each section must have 2-3 COMPLETE sentences (not just one)
-3. Section headers must be exactly: "Key Points", "Impact Analysis", "Future Outlook"
-4. No numbering, no bullet points, no bold formatting
-5. Write in professional analyst tone
-6. Do NOT add any text before "Key Points" or after "Future Outlook"`;
+  const template = await promptRegistry.select('commentary', { section: category, assignmentKey });
+  const prompt = promptRegistry.render(template, {
+    title,
+    content: (content || '').substring(0, 500),
+    category
+  });
+
+  const messages = [
+    { role: 'system', content: prompt.system },
+    { role: 'user', content: prompt.user }
+  ];
+  if (corrections && corrections.length > 0) {
+    messages.push({
+      role: 'user',
+      content: `Your previous answer was rejected for these reasons:
+${corrections.map(reason => `- ${reason}`).join('\n')}
+
+Write the analysis again, following every rule above. Use only facts and figures stated in the article title and summary, do not repeat the headline word for word, and finish every section with complete sentences.`
+    });
+  }
 
   try {
-    const completion = await groqLoadBalancer.createChatCompletion({
-      messages: [
-        { 
-          role: 'system', 
-          content: 'You are an expert news analyst. You MUST provide exactly 3 sections of analysis: Key Points (what happened), Impact Analysis (why it matters), and Future Outlook (what comes next). Each section MUST have 2-3 complete sentences. NEVER skip any section.' 
-        },
-        { role: 'user', content: prompt }
-      ],
-      model: 'llama-3.3-70b-versatile',
-      temperature: 0.5, // Lower temperature for more consistent formatting
-      max_tokens: 600, // Increased to ensure space for all 3 sections
+    const completion = await llmClient.chat('commentary', {
+      messages,
+      model: prompt.model,
+      // Stricter retry: less creative
+      temperature: corrections ? Math.min(prompt.temperature ?? 0.5, 0.2) : prompt.temperature,
+      maxTokens: prompt.maxTokens,
+      section: category
     });
 
-    const commentary = completion.choices[0]?.message?.content?.trim();
-    
-    if (!commentary) {
-      throw new Error('Empty response from Groq API');
-    }
-
-    return commentary;
+    return {
+      text: completion.text,
+      provider: completion.provider,
+      model: completion.model,
+      promptTemplateId: prompt.templateId,
+      usage: completion.usage,
+      latencyMs: completion.latencyMs
+    };
 
   } catch (error) {
-    console.error('❌ Groq API Error:', error.message);
-    
-    // Check for rate limit errors on all keys
-    if (error.message.includes('RATE_LIMIT_ALL_KEYS')) {
-      throw new Error('RATE_LIMIT_ALL_KEYS: All API keys have exhausted their daily limits');
-    }
+    console.error('❌ LLM API Error:', error.message);
     
-    // Check for rate limit errors
-    if (error.message.includes('429') || error.message.includes('rate limit')) {
-      throw new Error('RATE_LIMIT: Groq API rate limit exceeded');
-    }
-    
-    // Check for authentication errors
-    if (error.message.includes('401') || error.message.includes('authentication')) {
-      throw new Error('AUTH_ERROR: Invalid Groq API key');
+    // Every provider in the chain was rate-limited or out of quota
+    if (error.kind === 'quota') {
+      throw error;
     }
     
     // Generic error
-    throw new Error(`GROQ_ERROR: ${error.message}`);
+    throw new Error(`LLM_ERROR: ${error.message}`);
   }
 };
 
+/**
+ * Generate AI commentary for a news article
+ * @param {string} title - Article title
+ * @param {string} content - Article content/abstract
+ * @param {string} category - Article category (politics, business, etc.)
+ * @returns {Promise<string>} Generated commentary in structured HTML format
+ */
+const generateGroqCommentary = async (title, content, category = 'news') => {
+  const { text } = await generateCommentaryWithMeta(title, content, category);
+  return text;
+};
+
 /**
  * Batch generate commentaries for multiple articles
  * NOTE: This should be used carefully to respect rate limits
@@ -137,8 +136,106 @@ Future Outlook
 As this situation continues to evolve, multiple factors will influence the trajectory. Stakeholders will be monitoring developments closely, and additional information is expected to provide clarity on potential paths forward and their broader significance.`;
 };
 
+/**
+ * Extract named entities from a news article
+ * @param {string} title - Article title
+ * @param {string} content - Article content/abstract
+ * @returns {Promise<Object>} { people, organizations, places, topics } arrays of names
+ */
+const extractEntities = async (title, content = '') => {
+  if (!llmClient.isAvailable('entities')) {
+    throw new Error('AI API not available - no LLM provider configured');
+  }
+
+  const prompt = `Extract the named entities from this news article.
+
+Article Title: "${title}"
+Article Summary: "${content.substring(0, 600)}"
+
+Return a JSON object with exactly these keys:
+{"people": [], "organizations": [], "places": [], "topics": []}
+
+- people: full names of real people mentioned
+- organizations: companies, government agencies, parties, teams
+- places: countries, states, cities, regions
+- topics: 1-3 short subject tags such as "Inflation" or "Artificial Intelligence"
+Use canonical full names (e.g. "Federal Reserve", not "the Fed"). At most 8 entries per list.`;
+
+  try {
+    const completion = await llmClient.chat('entities', {
+      messages: [
+        { role: 'system', content: 'You extract named entities from news articles. Respond with JSON only.' },
+        { role: 'user', content: prompt }
+      ],
+      model: 'llama-3.1-8b-instant',
+      temperature: 0,
+      maxTokens: 250,
+      responseFormat: { type: 'json_object' }
+    });
+
+    const parsed = JSON.parse(completion.text);
+    const clean = (list) => (Array.isArray(list) ? list : [])
+      .filter(name => typeof name === 'string' && name.trim().length > 1 && name.length <= 80)
+      .map(name => name.trim())
+      .slice(0, 8);
+
+    return {
+      people: clean(parsed.people),
+      organizations: clean(parsed.organizations),
+      places: clean(parsed.places),
+      topics: clean(parsed.topics).slice(0, 3)
+    };
+  } catch (error) {
+    console.error('❌ LLM entity extraction error:', error.message);
+    throw new Error(`LLM_ERROR: ${error.message}`);
+  }
+};
+
+/**
+ * Generate a short rolling summary of recent coverage about an entity
+ * @param {string} name - Entity name
+ * @param {Array} articles - Recent articles (newest first) with title/abstract
+ * @returns {Promise<string>} 3-4 sentence summary
+ */
+const generateTopicSummary = async (name, articles) => {
+  if (!llmClient.isAvailable('topic-summary')) {
+    throw new Error('AI API not available - no LLM provider configured');
+  }
+
+  const headlines = articles
+    .map(article => `- ${article.title}${article.abstract ? `: ${article.abstract.substring(0, 200)}` : ''}`)
+    .join('\n');
+
+  try {
+    const completion = await llmClient.chat('topic-summary', {
+      messages: [
+        { role: 'system', content: 'You are Forexyy News Analyst. You write neutral, factual summaries of ongoing news coverage.' },
+        {
+          role: 'user',
+          content: `Summarize the latest developments about ${name} in 3-4 complete sentences, based only on these recent headlines (newest first):
+
+${headlines}
+
+Plain text only - no headings, bullet points or bold formatting.`
+        }
+      ],
+      model: 'llama-3.3-70b-versatile',
+      temperature: 0.3,
+      maxTokens: 250
+    });
+
+    return completion.text;
+  } catch (error) {
+    console.error('❌ LLM topic summary error:', error.message);
+    throw new Error(`LLM_ERROR: ${error.message}`);
+  }
+};
+
 module.exports = {
+  generateCommentaryWithMeta,
   generateGroqCommentary,
   batchGenerateCommentary,
-  getFallbackCommentary
+  getFallbackCommentary,
+  extractEntities,
+  generateTopicSummary
 };
@@ -0,0 +1,63 @@
+/**
+ * HTTP Range / conditional request helpers for serving stored audio (RFC 9110)
+ */
+
+/**
+ * Parse a Range header against a resource size
+ * @param {string} header - e.g. "bytes=0-1023", "bytes=1024-", "bytes=-500"
+ * @param {number} size - Resource size in bytes
+ * @returns {Object|null} { start, end } (inclusive), { unsatisfiable: true } for a 416,
+ *   or null when the header should be ignored and the whole resource sent (missing,
+ *   not bytes, malformed, or several ranges)
+ */
+function parseRange(header, size) {
+  if (!header || typeof header !== 'string') return null;
+
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+  if (!match) return null;
+
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  // Multipart responses aren't worth it for audio - send it all
+  if (specs.length !== 1) return null;
+
+  const spec = /^(\d*)-(\d*)$/.exec(specs[0]);
+  if (!spec || (spec[1] === '' && spec[2] === '')) return null;
+
+  // Suffix: the last N bytes
+  if (spec[1] === '') {
+    const suffix = parseInt(spec[2], 10);
+    if (suffix === 0 || size === 0) return { unsatisfiable: true };
+    return { start: Math.max(0, size - suffix), end: size - 1 };
+  }
+
+  const start = parseInt(spec[1], 10);
+  // last < first is a malformed range, not an unsatisfiable one
+  if (spec[2] !== '' && parseInt(spec[2], 10) < start) return null;
+  if (start >= size) return { unsatisfiable: true };
+
+  const end = spec[2] === '' ? size - 1 : parseInt(spec[2], 10);
+
+  return { start, end: Math.min(end, size - 1) };
+}
+
+/**
+ * Whether an If-None-Match / If-Range value matches our (strong) ETag
+ * @param {string} header
+ * @param {string} etag - Quoted, e.g. "\"abc\""
+ * @param {Object} options - { weak: true } for If-None-Match (weak comparison)
+ */
+function etagMatches(header, etag, { weak = false } = {}) {
+  if (!header) return false;
+  if (weak && header.trim() === '*') return true;
+
+  return header.split(',').some(candidate => {
+    const value = candidate.trim();
+    if (value.startsWith('W/')) return weak && value.slice(2) === etag;
+    return value === etag;
+  });
+}
+
+module.exports = {
+  parseRange,
+  etagMatches
+};
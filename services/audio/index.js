@@ -0,0 +1,380 @@
+/**
+ * 🎧 Audio Library
+ *
+ * Rendered TTS audio kept in the configured storage (config/audioStorage.js):
+ * local files or an S3-compatible object store, one AudioAsset per file.
+ * Audio is rendered once per script and voice - by /api/tts/prepare, by a
+ * first /api/tts/stream listen (in the background) or ahead of time by the
+ * pre-render worker - and then served from storage. Above the size / count
+ * quota, the least recently played audio is evicted. Word timings (captions)
+ * are kept on each asset.
+ */
+
+const AudioAsset = require('../../models/AudioAsset');
+const Article = require('../../models/article');
+const ttsService = require('../ttsService');
+const { BACKENDS, STORAGE, QUOTA } = require('../../config/audioStorage');
+const {
+  DEFAULT_VOICE,
+  getTextHash,
+  getAudioId,
+  estimateDuration,
+  constructArticleScript
+} = require('../audioCache');
+const { mp3Duration } = require('./mp3Duration');
+const { fromBoundaries, estimateWordTimings } = require('./wordTimings');
+const moderationService = require('../db/moderationService');
+const LocalStorage = require('./storage/local');
+const S3Storage = require('./storage/s3');
+
+// Background renders at once - each one is a Python process
+const MAX_CONCURRENT = parseInt(process.env.AUDIO_RENDER_CONCURRENCY) || 1;
+// A render that never finished (crashed instance) can be claimed again after this long
+const STALE_RENDER_MS = 10 * 60 * 1000;
+// Play counts and LRU times are written at most this often per asset
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const createStorage = (name, config) => {
+  switch (config.type) {
+    case 'local':
+      return new LocalStorage(name, config);
+    case 's3':
+      return new S3Storage(name, config);
+    default:
+      throw new Error(`Unknown audio storage type: ${config.type}`);
+  }
+};
+
+class AudioLibrary {
+  constructor() {
+    const name = BACKENDS[STORAGE] ? STORAGE : 'local';
+    this.storage = createStorage(name, BACKENDS[name]);
+    this.rendering = new Map(); // audioId -> Promise<asset>
+    this.touched = new Map(); // audioId -> last touch (ms)
+
+    if (!this.storage.isConfigured()) {
+      console.error(`❌ Audio storage "${name}" is not configured - see config/audioStorage.js`);
+    }
+  }
+
+  /**
+   * The script and audioId an article is read out with (unpublished commentary already removed)
+   */
+  articleScript(article, voice = DEFAULT_VOICE) {
+    const script = constructArticleScript(article);
+    return { script, audioId: getAudioId(script, voice) };
+  }
+
+  /**
+   * Stored audio, or null
+   */
+  async find(audioId) {
+    if (!audioId) return null;
+    return AudioAsset.findOne({ audioId, status: 'ready' }).lean();
+  }
+
+  /**
+   * Stored audio for a list of articles, in the same order (null where none is rendered yet)
+   * @returns {Promise<Array<{audioId: string, size: number, duration: number|null}|null>>}
+   */
+  async findArticleAudio(articles) {
+    const ids = articles.map(article => (article?.aiCommentary ? this.articleScript(article).audioId : null));
+    const assets = await AudioAsset.find({ audioId: { $in: ids.filter(Boolean) }, status: 'ready' })
+      .select('audioId size duration')
+      .lean();
+    const byId = new Map(assets.map(asset => [asset.audioId, asset]));
+
+    return ids.map(id => {
+      const asset = id && byId.get(id);
+      return asset ? { audioId: asset.audioId, size: asset.size, duration: asset.duration } : null;
+    });
+  }
+
+  /**
+   * Render a script and store it (or return the stored copy)
+   * @param {Object} options - { script, voice?, article?, source: prepare | stream | prerender }
+   * @returns {Promise<Object>} The ready AudioAsset
+   */
+  async render({ script, voice = DEFAULT_VOICE, article = null, source = null }) {
+    const audioId = getAudioId(script, voice);
+    if (this.rendering.has(audioId)) return this.rendering.get(audioId);
+
+    const existing = await this.find(audioId);
+    if (existing) return existing;
+
+    const render = this.renderNow(audioId, { script, voice, article, source })
+      .finally(() => this.rendering.delete(audioId));
+    this.rendering.set(audioId, render);
+    return render;
+  }
+
+  /**
+   * Start a background render (deduplicated, capped at MAX_CONCURRENT)
+   * @returns {boolean} Whether it was started
+   */
+  request(options) {
+    const audioId = getAudioId(options.script, options.voice || DEFAULT_VOICE);
+    if (this.rendering.has(audioId) || this.rendering.size >= MAX_CONCURRENT) return false;
+
+    this.render(options).catch(() => {}); // Already logged and recorded
+    return true;
+  }
+
+  async renderNow(audioId, { script, voice, article, source }) {
+    const started = Date.now();
+
+    // Claim it - another instance may be rendering the same script
+    const claimed = await AudioAsset.findOneAndUpdate(
+      {
+        audioId,
+        $or: [
+          { status: 'failed' },
+          { status: 'rendering', updatedAt: { $lt: new Date(started - STALE_RENDER_MS) } }
+        ]
+      },
+      {
+        $set: {
+          status: 'rendering',
+          scriptHash: getTextHash(script),
+          voice,
+          article: article?._id || article || null,
+          source,
+          error: null
+        }
+      },
+      { new: true }
+    ).catch(() => null) || await AudioAsset.create({
+      audioId,
+      scriptHash: getTextHash(script),
+      voice,
+      article: article?._id || article || null,
+      source
+    }).catch(error => {
+      if (error.code === 11000) return null; // Someone else is rendering it
+      throw error;
+    });
+
+    if (!claimed) {
+      throw new Error(`Audio ${audioId} is being rendered elsewhere`);
+    }
+
+    try {
+      console.log(`[TTS] Rendering ${audioId} (${source || 'library'}, ${script.length} chars, ${voice})`);
+      const { buffer, boundaries } = await this.synthesizeTimed(script, voice);
+      const key = `${audioId}.mp3`;
+      await this.storage.put(key, buffer, { contentType: 'audio/mpeg' });
+
+      // From the MP3 frames; the words-per-minute guess only if they can't be read
+      const duration = mp3Duration(buffer) ?? estimateDuration(script);
+      const timings = boundaries.length > 0
+        ? { words: fromBoundaries(script, boundaries), source: 'tts' }
+        : { words: estimateWordTimings(script, duration), source: 'estimated' };
+
+      const asset = await AudioAsset.findOneAndUpdate(
+        { audioId },
+        {
+          $set: {
+            status: 'ready',
+            storage: this.storage.name,
+            key,
+            contentType: 'audio/mpeg',
+            size: buffer.length,
+            duration,
+            words: timings.words,
+            wordTimingSource: timings.source,
+            scriptLength: script.length,
+            renderMs: Date.now() - started,
+            lastAccessedAt: new Date()
+          }
+        },
+        { new: true, lean: true }
+      );
+      console.log(`[TTS] Audio stored: ${audioId}, size: ${buffer.length}, duration: ${asset.duration.toFixed(1)}s, ${timings.words.length} words timed (${timings.source})`);
+
+      this.enforceQuota().catch(error => console.error('❌ Audio quota enforcement failed:', error.message));
+      return asset;
+
+    } catch (error) {
+      console.error(`❌ Audio render failed for ${audioId}:`, error.message);
+      await AudioAsset.updateOne({ audioId }, { $set: { status: 'failed', error: error.message } })
+        .catch(err => console.error('❌ Failed to record audio render failure:', err.message));
+      throw error;
+    }
+  }
+
+  /**
+   * Run the TTS script to completion and collect the MP3
+   */
+  async synthesize(script, voice) {
+    const { stream } = await ttsService.getTTSStream(script, voice);
+    return this.collect(stream);
+  }
+
+  /**
+   * synthesize() plus the engine's word boundaries
+   * @returns {Promise<Object>} { buffer, boundaries: [{ text, offset, duration }] } (seconds; [] if none were sent)
+   */
+  async synthesizeTimed(script, voice) {
+    const { stream, boundaries } = await ttsService.getTTSStream(script, voice, { boundaries: true });
+    const buffer = await this.collect(stream);
+    return { buffer, boundaries: await boundaries };
+  }
+
+  /**
+   * Read a TTS stream into one buffer
+   */
+  async collect(stream) {
+    const chunks = [];
+    await new Promise((resolve, reject) => {
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('end', resolve);
+      stream.on('error', reject);
+    });
+
+    const buffer = Buffer.concat(chunks);
+    if (buffer.length === 0) {
+      throw new Error('Empty audio generated');
+    }
+    return buffer;
+  }
+
+  /**
+   * Word timings of stored audio
+   * @returns {Promise<Object|null>} { words: [{ text, start, end }], source: tts | estimated }, or null
+   *   when there are none and the script can't be rebuilt (audio from /api/tts/prepare text)
+   */
+  async wordTimings(asset) {
+    const stored = await AudioAsset.findOne({ _id: asset._id }).select('+words').lean();
+    if (stored?.words?.length) {
+      return { words: stored.words, source: stored.wordTimingSource || 'tts' };
+    }
+
+    // Rendered before timings were kept: article audio can be estimated from its script
+    if (!asset.article || !asset.duration) return null;
+    const article = await Article.findById(asset.article).lean();
+    if (!article) return null;
+    if (!moderationService.isPublishable(article)) article.aiCommentary = null;
+
+    const { script, audioId } = this.articleScript(article, asset.voice);
+    if (audioId !== asset.audioId) return null; // The commentary has changed since
+
+    const words = estimateWordTimings(script, asset.duration);
+    await AudioAsset.updateOne({ _id: asset._id }, { $set: { words, wordTimingSource: 'estimated' } });
+    return { words, source: 'estimated' };
+  }
+
+  /**
+   * Read stored audio
+   * @param {Object} range - { start, end } inclusive, or null for all of it
+   * @returns {Promise<import('stream').Readable|null>} null when the file has gone missing
+   *   (its record is dropped so the audio is rendered again)
+   */
+  async open(asset, range = null) {
+    try {
+      return await this.storage.get(asset.key, range);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.status === 404) {
+        console.warn(`⚠️ Audio file missing for ${asset.audioId} - dropping its record`);
+        await AudioAsset.deleteOne({ _id: asset._id });
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record a play (LRU order and play count)
+   */
+  touch(asset, { play = false } = {}) {
+    const last = this.touched.get(asset.audioId) || 0;
+    if (!play && Date.now() - last < TOUCH_INTERVAL_MS) return;
+    this.touched.set(asset.audioId, Date.now());
+    if (this.touched.size > 10000) this.touched.clear();
+
+    AudioAsset.updateOne(
+      { _id: asset._id },
+      { $set: { lastAccessedAt: new Date() }, ...(play ? { $inc: { plays: 1 } } : {}) }
+    ).catch(error => console.error('❌ Failed to record audio play:', error.message));
+  }
+
+  /**
+   * Delete one asset and its file
+   */
+  async remove(asset) {
+    if (asset.key) {
+      await this.storage.delete(asset.key);
+    }
+    await AudioAsset.deleteOne({ _id: asset._id });
+  }
+
+  /**
+   * Evict least recently played audio until the library fits QUOTA
+   * @returns {Promise<Object>} { evicted, bytesFreed }
+   */
+  async enforceQuota() {
+    let { count, bytes } = await this.totals();
+    let evicted = 0;
+    let bytesFreed = 0;
+
+    while (count > QUOTA.maxAssets || bytes > QUOTA.maxBytes) {
+      const oldest = await AudioAsset.find({ status: 'ready' })
+        .sort({ lastAccessedAt: 1 })
+        .limit(50)
+        .select('audioId key size lastAccessedAt')
+        .lean();
+      if (oldest.length === 0) break;
+
+      for (const asset of oldest) {
+        if (count <= QUOTA.maxAssets && bytes <= QUOTA.maxBytes) break;
+        try {
+          await this.remove(asset);
+        } catch (error) {
+          console.error(`❌ Failed to evict audio ${asset.audioId}:`, error.message);
+          return { evicted, bytesFreed };
+        }
+        count--;
+        bytes -= asset.size;
+        evicted++;
+        bytesFreed += asset.size;
+      }
+    }
+
+    if (evicted > 0) {
+      console.log(`🧹 Evicted ${evicted} audio files (${(bytesFreed / 1024 / 1024).toFixed(1)} MB) to stay within quota`);
+    }
+    return { evicted, bytesFreed };
+  }
+
+  async totals() {
+    const [totals] = await AudioAsset.aggregate([
+      { $match: { status: 'ready' } },
+      { $group: { _id: null, count: { $sum: 1 }, bytes: { $sum: '$size' } } }
+    ]);
+    return { count: totals?.count || 0, bytes: totals?.bytes || 0 };
+  }
+
+  /**
+   * Storage, quota use and render counts
+   */
+  async stats() {
+    const [totals, byStatus] = await Promise.all([
+      this.totals(),
+      AudioAsset.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    return {
+      storage: this.storage.describe(),
+      assets: totals.count,
+      bytes: totals.bytes,
+      quota: {
+        maxAssets: QUOTA.maxAssets,
+        maxBytes: QUOTA.maxBytes,
+        usedPercent: Math.round(Math.max(totals.count / QUOTA.maxAssets, totals.bytes / QUOTA.maxBytes) * 100)
+      },
+      byStatus: Object.fromEntries(byStatus.map(({ _id, count }) => [_id, count])),
+      renderingNow: this.rendering.size
+    };
+  }
+}
+
+module.exports = new AudioLibrary();
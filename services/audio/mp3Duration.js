@@ -0,0 +1,169 @@
+/**
+ * MP3 duration from the frame headers (no decoding). Uses the Xing / Info or
+ * VBRI header when the encoder wrote one, otherwise walks every frame - exact
+ * for CBR and VBR alike, unlike a words-per-minute estimate. audioFrames()
+ * strips a file down to its frames so rendered segments can be joined.
+ */
+
+// kbps by [version][layer] - version 1 = MPEG-1, 2 = MPEG-2 / 2.5; layer 1-3
+const BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+// Hz by version bits (0 = MPEG-2.5, 2 = MPEG-2, 3 = MPEG-1)
+const SAMPLE_RATES = {
+  0: [11025, 12000, 8000],
+  2: [22050, 24000, 16000],
+  3: [44100, 48000, 32000]
+};
+
+/**
+ * Decode the 4-byte frame header at offset
+ * @returns {Object|null} { sampleRate, samples, length, version, mono } or null if it isn't one
+ */
+function readFrameHeader(buffer, offset) {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null; // Reserved / free-format / bad values
+  }
+
+  const version = versionBits === 3 ? 1 : 2;
+  const layer = 4 - layerBits;
+  const bitrate = BITRATES[version][layer][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[versionBits][sampleRateIndex];
+
+  let samples;
+  let length;
+  if (layer === 1) {
+    samples = 384;
+    length = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+  } else {
+    samples = layer === 3 && version === 2 ? 576 : 1152;
+    length = Math.floor(((samples / 8) * bitrate) / sampleRate) + padding;
+  }
+
+  return { sampleRate, samples, length, version, layer, mono: (buffer[offset + 3] >> 6) === 3 };
+}
+
+/**
+ * Size of a leading ID3v2 tag (0 if none)
+ */
+function id3v2Size(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+  // Syncsafe integer: 7 bits per byte
+  const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+  const footer = buffer[5] & 0x10 ? 10 : 0;
+  return 10 + size + footer;
+}
+
+/**
+ * Frame count from a Xing / Info (LAME) or VBRI header in the first frame
+ */
+function vbrFrameCount(buffer, offset, header) {
+  if (header.layer === 3) {
+    const sideInfo = header.version === 1 ? (header.mono ? 17 : 32) : (header.mono ? 9 : 17);
+    const xing = offset + 4 + sideInfo;
+    const tag = xing + 8 <= buffer.length ? buffer.toString('latin1', xing, xing + 4) : '';
+    if ((tag === 'Xing' || tag === 'Info') && buffer.readUInt32BE(xing + 4) & 0x01 && xing + 12 <= buffer.length) {
+      return buffer.readUInt32BE(xing + 8);
+    }
+  }
+
+  const vbri = offset + 4 + 32;
+  if (vbri + 18 <= buffer.length && buffer.toString('latin1', vbri, vbri + 4) === 'VBRI') {
+    return buffer.readUInt32BE(vbri + 14);
+  }
+  return null;
+}
+
+/**
+ * Walk the MPEG frames of a file
+ * @param {Object} options - { stopAtVbrHeader } return as soon as a Xing / Info / VBRI header gives the length
+ * @returns {Object|null} { start, end, frames, seconds, vbrSeconds } - start / end bound the audio frames
+ *   (tags, junk and the silent VBR header frame excluded); null when no MPEG audio frames were found
+ */
+function scanFrames(buffer, { stopAtVbrHeader = false } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+
+  let offset = id3v2Size(buffer);
+  let start = -1;
+  let seconds = 0;
+  let frames = 0;
+  let vbrSeconds = null;
+
+  while (offset + 4 <= buffer.length) {
+    const header = readFrameHeader(buffer, offset);
+    const next = header ? offset + header.length : -1;
+
+    if (start < 0) {
+      // Find the first frame: one whose successor is also a frame (skips false syncs in junk)
+      if (!header || header.length < 4 || (next + 4 <= buffer.length && !readFrameHeader(buffer, next))) {
+        offset++;
+        continue;
+      }
+      start = offset;
+      const vbrFrames = vbrFrameCount(buffer, offset, header);
+      if (vbrFrames) {
+        vbrSeconds = (vbrFrames * header.samples) / header.sampleRate;
+        if (stopAtVbrHeader) break;
+        // The header frame itself is silent - the audio starts after it
+        start = offset = next;
+        continue;
+      }
+    } else if (!header || header.length < 4) {
+      break; // End of the audio (an ID3v1 tag or junk follows)
+    }
+    if (next > buffer.length) break; // Truncated last frame
+
+    seconds += header.samples / header.sampleRate;
+    frames++;
+    offset = next;
+  }
+
+  if (start < 0) return null;
+  return { start, end: Math.max(start, Math.min(offset, buffer.length)), frames, seconds, vbrSeconds };
+}
+
+/**
+ * Duration of an MP3 in seconds
+ * @param {Buffer} buffer - The whole file
+ * @returns {number|null} null when no MPEG audio frames were found
+ */
+function mp3Duration(buffer) {
+  const scan = scanFrames(buffer, { stopAtVbrHeader: true });
+  if (!scan) return null;
+  if (scan.vbrSeconds) return scan.vbrSeconds;
+  return scan.frames > 0 ? scan.seconds : null;
+}
+
+/**
+ * The MPEG frames of an MP3 without its tags or VBR header, for joining files
+ * @returns {Object|null} { data, duration } (duration in seconds, from the frames)
+ */
+function audioFrames(buffer) {
+  const scan = scanFrames(buffer);
+  if (!scan || scan.frames === 0) return null;
+  return { data: buffer.subarray(scan.start, scan.end), duration: scan.seconds };
+}
+
+module.exports = {
+  mp3Duration,
+  audioFrames,
+  readFrameHeader
+};
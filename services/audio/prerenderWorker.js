@@ -0,0 +1,123 @@
+/**
+ * 🎙️ Audio Pre-render Worker
+ * Renders the read-out of newly commented articles ahead of the first listen,
+ * so /api/tts/stream serves stored audio instead of spawning the TTS script.
+ */
+
+const Article = require('../../models/article');
+const AudioAsset = require('../../models/AudioAsset');
+const moderationService = require('../db/moderationService');
+const audioLibrary = require('./index');
+const { PRERENDER } = require('../../config/audioStorage');
+
+class AudioPrerenderWorker {
+  constructor() {
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.workerInterval = null;
+    this.lastRun = null;
+    this.totals = { rendered: 0, failed: 0 };
+  }
+
+  /**
+   * Start the background worker
+   */
+  start(intervalMs = PRERENDER.intervalMs) {
+    if (this.isRunning || !intervalMs) return;
+
+    this.isRunning = true;
+    this.workerInterval = setInterval(() => {
+      this.runOnce().catch(error => console.error('❌ Audio pre-render failed:', error.message));
+    }, intervalMs);
+    this.workerInterval.unref?.();
+    console.log(`🎙️ Audio pre-render worker started (every ${Math.round(intervalMs / 1000)}s)`);
+  }
+
+  /**
+   * Stop the background worker
+   */
+  stop() {
+    if (this.workerInterval) {
+      clearInterval(this.workerInterval);
+      this.workerInterval = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * Render audio for articles commented within the lookback window that don't have it yet
+   * @param {Object} options - { limit } renders at most (default PRERENDER.batchSize)
+   * @returns {Promise<Object>} { candidates, rendered, failed, skipped }
+   */
+  async runOnce({ limit = PRERENDER.batchSize } = {}) {
+    if (this.isProcessing) {
+      return { candidates: 0, rendered: 0, failed: 0, skipped: 0, busy: true };
+    }
+    this.isProcessing = true;
+
+    try {
+      const since = new Date(Date.now() - PRERENDER.lookbackHours * 60 * 60 * 1000);
+      const articles = await Article.find({
+        aiCommentary: { $exists: true, $nin: [null, ''] },
+        commentaryGeneratedAt: { $gte: since },
+        ...moderationService.publicFilter()
+      })
+        .select('title section abstract aiCommentary commentaryStatus commentaryGeneratedAt')
+        .sort({ commentaryGeneratedAt: -1 })
+        .limit(limit * 10)
+        .lean();
+
+      const candidates = articles.map(article => ({ article, ...audioLibrary.articleScript(article) }));
+      const known = await AudioAsset.find({ audioId: { $in: candidates.map(c => c.audioId) } })
+        .select('audioId status updatedAt')
+        .lean();
+      const knownById = new Map(known.map(asset => [asset.audioId, asset]));
+
+      const retryBefore = Date.now() - PRERENDER.retryFailedMs;
+      const todo = candidates.filter(({ audioId }) => {
+        const asset = knownById.get(audioId);
+        if (!asset) return true;
+        return asset.status === 'failed' && new Date(asset.updatedAt).getTime() < retryBefore;
+      });
+
+      let rendered = 0;
+      let failed = 0;
+      // One at a time - each render is a Python process
+      for (const { article, script } of todo.slice(0, limit)) {
+        try {
+          await audioLibrary.render({ script, article: article._id, source: 'prerender' });
+          rendered++;
+        } catch (error) {
+          failed++;
+        }
+      }
+
+      this.totals.rendered += rendered;
+      this.totals.failed += failed;
+      this.lastRun = { at: new Date(), candidates: candidates.length, rendered, failed, skipped: candidates.length - todo.length };
+      if (rendered || failed) {
+        console.log(`🎙️ Pre-rendered ${rendered} article audio files (${failed} failed, ${todo.length - rendered - failed} left for later)`);
+      }
+      return { candidates: candidates.length, rendered, failed, skipped: candidates.length - todo.length };
+
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Get worker statistics
+   */
+  getStats() {
+    return {
+      isRunning: this.isRunning,
+      isProcessing: this.isProcessing,
+      lookbackHours: PRERENDER.lookbackHours,
+      batchSize: PRERENDER.batchSize,
+      lastRun: this.lastRun,
+      totals: this.totals
+    };
+  }
+}
+
+module.exports = new AudioPrerenderWorker();
@@ -0,0 +1,79 @@
+/**
+ * Local storage - audio files in a directory on this machine
+ * (lost on redeploys of ephemeral hosts; use s3 there)
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+class LocalStorage {
+  constructor(name, { dir }) {
+    this.name = name;
+    this.type = 'local';
+    this.dir = dir;
+  }
+
+  isConfigured() {
+    return Boolean(this.dir);
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      configured: this.isConfigured(),
+      dir: this.dir
+    };
+  }
+
+  async verify() {
+    await fsp.mkdir(this.dir, { recursive: true });
+    return true;
+  }
+
+  pathOf(key) {
+    // Keys are generated by us, but never let one point outside the directory
+    return path.join(this.dir, path.basename(key));
+  }
+
+  /**
+   * @returns {Promise<Object>} { size }
+   */
+  async put(key, buffer) {
+    await fsp.mkdir(this.dir, { recursive: true });
+    // Write then rename, so a reader never sees half a file
+    const tmp = `${this.pathOf(key)}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, buffer);
+    await fsp.rename(tmp, this.pathOf(key));
+    return { size: buffer.length };
+  }
+
+  /**
+   * @param {Object} range - { start, end } inclusive byte offsets, or null for the whole file
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async get(key, range = null) {
+    await fsp.access(this.pathOf(key));
+    return fs.createReadStream(this.pathOf(key), range || {});
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { size } or null when missing
+   */
+  async head(key) {
+    try {
+      const stat = await fsp.stat(this.pathOf(key));
+      return { size: stat.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fsp.rm(this.pathOf(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,158 @@
+/**
+ * S3 storage - any S3-compatible object store (AWS S3, MinIO, R2) over its
+ * HTTP API. Requests are signed with AWS Signature Version 4; with an
+ * AUDIO_S3_ENDPOINT objects are addressed path-style (endpoint/bucket/key).
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+// S3 canonical URIs encode everything but unreserved characters (and keep the slashes)
+const encodeKey = (key) => key.split('/').map(part => encodeURIComponent(part).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)).join('/');
+
+class S3Storage {
+  constructor(name, { bucket, region, endpoint, forcePathStyle, prefix, accessKeyId, secretAccessKey, sessionToken, timeoutMs }) {
+    this.name = name;
+    this.type = 's3';
+    this.bucket = bucket;
+    this.region = region;
+    this.forcePathStyle = forcePathStyle;
+    this.endpoint = (endpoint || (forcePathStyle ? `https://s3.${region}.amazonaws.com` : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/+$/, '');
+    this.prefix = prefix || '';
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.sessionToken = sessionToken;
+    this.timeoutMs = timeoutMs;
+  }
+
+  isConfigured() {
+    return Boolean(this.bucket && this.accessKeyId && this.secretAccessKey);
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      configured: this.isConfigured(),
+      bucket: this.bucket,
+      region: this.region,
+      endpoint: this.endpoint,
+      prefix: this.prefix
+    };
+  }
+
+  /**
+   * The bucket is reachable with our credentials
+   */
+  async verify() {
+    await this.request('HEAD', '');
+    return true;
+  }
+
+  /**
+   * @returns {Promise<Object>} { size }
+   */
+  async put(key, buffer, { contentType = 'audio/mpeg' } = {}) {
+    await this.request('PUT', this.prefix + key, {
+      body: buffer,
+      headers: { 'content-type': contentType }
+    });
+    return { size: buffer.length };
+  }
+
+  /**
+   * @param {Object} range - { start, end } inclusive byte offsets, or null for the whole object
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async get(key, range = null) {
+    const response = await this.request('GET', this.prefix + key, {
+      headers: range ? { range: `bytes=${range.start}-${range.end}` } : {},
+      responseType: 'stream'
+    });
+    return response.data;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { size } or null when missing
+   */
+  async head(key) {
+    try {
+      const response = await this.request('HEAD', this.prefix + key);
+      return { size: parseInt(response.headers['content-length'], 10) };
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.request('DELETE', this.prefix + key);
+  }
+
+  async request(method, key, { body = null, headers = {}, responseType = 'arraybuffer' } = {}) {
+    const url = new URL(this.endpoint);
+    const basePath = url.pathname.replace(/\/+$/, '');
+    const objectPath = `${basePath}${this.forcePathStyle ? `/${this.bucket}` : ''}/${encodeKey(key)}`;
+
+    try {
+      return await axios({
+        method,
+        url: `${url.origin}${objectPath}`,
+        data: body,
+        headers: this.signedHeaders(method, url.host, objectPath, headers, body),
+        responseType,
+        timeout: this.timeoutMs,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        // Range reads answer 206
+        validateStatus: status => status >= 200 && status < 300
+      });
+    } catch (error) {
+      const status = error.response?.status || null;
+      const wrapped = new Error(`S3 ${method} ${key || this.bucket}: ${status || error.code || 'error'} ${status ? error.response.statusText || '' : error.message}`.trim());
+      wrapped.status = status;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * AWS Signature Version 4 headers for one request
+   */
+  signedHeaders(method, host, canonicalUri, extraHeaders, body) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || '');
+
+    const headers = {
+      ...extraHeaders,
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...(this.sessionToken ? { 'x-amz-security-token': this.sessionToken } : {})
+    };
+    const signedHeaderNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+    const canonicalHeaders = signedHeaderNames.map(name => `${name}:${lowered[name]}\n`).join('');
+
+    const canonicalRequest = [method, canonicalUri, '', canonicalHeaders, signedHeaderNames.join(';'), payloadHash].join('\n');
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    // axios sets Host itself
+    delete lowered.host;
+    return {
+      ...lowered,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames.join(';')}, Signature=${signature}`
+    };
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,151 @@
+/**
+ * Word timings for TTS audio and WebVTT captions built from them.
+ *
+ * Timings come from the TTS engine's word-boundary events when it sends them,
+ * matched back to the script so captions keep its punctuation. Without them the
+ * words are spread over the measured audio duration by length, with pauses at
+ * punctuation - close enough to follow along, not frame-exact.
+ */
+
+// Caption cue limits (a line of ~42 characters reads comfortably)
+const CUE_MAX_CHARS = 42;
+const CUE_MAX_WORDS = 8;
+// A longer silence between words starts a new cue
+const CUE_MAX_GAP = 1;
+
+// Relative pause after a word ending in this punctuation (in letters' worth of time)
+const PAUSE_WEIGHTS = [
+  [/[.!?]["')\]]*$/, 6],
+  [/[,;:]["')\]]*$/, 3]
+];
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+// Punctuation and symbols around a word, not letters or digits
+const isPunctuation = (char) => /[^\s\p{L}\p{N}]/u.test(char);
+
+/**
+ * Word timings from the engine's word boundaries
+ * @param {string} script - The text that was spoken
+ * @param {Array} events - [{ text, offset, duration }] in seconds (services/ttsService.js)
+ * @returns {Array} [{ text, start, end }] in seconds
+ */
+function fromBoundaries(script, events) {
+  let cursor = 0;
+
+  return events.map(({ text, offset, duration }) => {
+    let display = text;
+    // The spoken word as written, with the punctuation around it
+    const at = script.indexOf(text, cursor);
+    if (text && at >= 0) {
+      let start = at;
+      let end = at + text.length;
+      while (start > cursor && isPunctuation(script[start - 1])) start--;
+      while (end < script.length && isPunctuation(script[end])) end++;
+      display = script.slice(start, end);
+      cursor = end;
+    }
+    return { text: display, start: round(offset), end: round(offset + duration) };
+  }).filter(word => word.text);
+}
+
+/**
+ * Word timings spread over the audio duration
+ * @param {string} script
+ * @param {number} duration - Seconds of audio
+ * @returns {Array} [{ text, start, end }] in seconds
+ */
+function estimateWordTimings(script, duration) {
+  const tokens = String(script || '').split(/\s+/).filter(Boolean);
+  if (tokens.length === 0 || !duration) return [];
+
+  const weights = tokens.map(token => {
+    const pause = PAUSE_WEIGHTS.find(([pattern]) => pattern.test(token));
+    // Every word takes at least a couple of letters' time
+    return { speak: Math.max(token.replace(/[^\p{L}\p{N}]/gu, '').length, 2), pause: pause ? pause[1] : 1 };
+  });
+  const total = weights.reduce((sum, { speak, pause }) => sum + speak + pause, 0);
+  const unit = duration / total;
+
+  let position = 0;
+  return tokens.map((text, index) => {
+    const start = position;
+    const end = start + weights[index].speak * unit;
+    position = end + weights[index].pause * unit;
+    return { text, start: round(start), end: round(end) };
+  });
+}
+
+/**
+ * 83.4 → "00:01:23.400"
+ */
+function vttTime(seconds) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const m = String(Math.floor((ms % 3600000) / 60000)).padStart(2, '0');
+  const s = String(Math.floor((ms % 60000) / 1000)).padStart(2, '0');
+  return `${h}:${m}:${s}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+const escapeVtt = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Group words into caption cues: a sentence end, a long pause or a full line closes a cue
+ */
+function groupCues(words) {
+  const cues = [];
+  let cue = [];
+  let chars = 0;
+
+  for (const word of words) {
+    const previous = cue[cue.length - 1];
+    const full = cue.length >= CUE_MAX_WORDS || chars + 1 + word.text.length > CUE_MAX_CHARS;
+    const gap = previous && word.start - previous.end > CUE_MAX_GAP;
+    const sentenceEnd = previous && /[.!?]["')\]]*$/.test(previous.text);
+
+    if (cue.length > 0 && (full || gap || sentenceEnd)) {
+      cues.push(cue);
+      cue = [];
+      chars = 0;
+    }
+    cue.push(word);
+    chars += (chars ? 1 : 0) + word.text.length;
+  }
+  if (cue.length > 0) cues.push(cue);
+  return cues;
+}
+
+/**
+ * WebVTT captions, with a timestamp tag before each word for read-along highlighting
+ * @param {Array} words - [{ text, start, end }] in seconds
+ * @returns {string}
+ */
+function toWebVTT(words) {
+  const cues = groupCues(words).map((cue, index, all) => {
+    const start = cue[0].start;
+    // Keep cues from overlapping the next one
+    const next = all[index + 1];
+    const end = Math.max(next ? Math.min(cue[cue.length - 1].end, next[0].start) : cue[cue.length - 1].end, start + 0.001);
+
+    // Timestamp tags must increase and stay inside the cue
+    let lastTag = start;
+    const text = cue.map((word, i) => {
+      const tagged = i > 0 && word.start > lastTag && word.start < end;
+      if (tagged) lastTag = word.start;
+      return `${tagged ? `<${vttTime(word.start)}>` : ''}${escapeVtt(word.text)}`;
+    }).join(' ');
+
+    return `${index + 1}\n${vttTime(start)} --> ${vttTime(end)}\n${text}`;
+  });
+
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+module.exports = {
+  fromBoundaries,
+  estimateWordTimings,
+  toWebVTT
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { DEFAULT_LOCALE, LOCALES, voiceFor } = require('../config/locales');
+
+/**
+ * TTS script helpers shared by routes/tts.js, the audio library (services/audio)
+ * and the outbound feeds. An audioId is the hash of the spoken script (and voice).
+ */
+
+const DEFAULT_VOICE = voiceFor(DEFAULT_LOCALE);
+
+// Generate hash for text
+function getTextHash(text) {
+    return crypto.createHash('md5').update(text).digest('hex');
+}
+
+/**
+ * audioId for a script in a voice - the plain script hash for the default voice
+ * (the ids handed out before voices were tracked)
+ */
+function getAudioId(script, voice = DEFAULT_VOICE) {
+    return voice === DEFAULT_VOICE ? getTextHash(script) : getTextHash(`${voice}\n${script}`);
+}
+
+// Get estimated duration from word count (rough estimate: 130 words/min)
+function estimateDuration(text) {
+    const wordCount = text.split(/\s+/).length;
+    return (wordCount / 130) * 60; // seconds
+}
+
+// Removes ##, **, etc. to make commentary readable text
+function cleanMarkdown(text) {
+    if (!text) return '';
+    return text
+        .replace(/#{1,6}\s?/g, '') // Remove headers
+        .replace(/\*\*/g, '')      // Remove bold
+        .replace(/\*/g, '')        // Remove italics/bullets
+        .replace(/- /g, '')        // Remove list hyphens
+        .replace(/\n\n/g, '. ');   // Replace double newlines with pauses
+}
+
+/**
+ * Helper: Constructs news script from raw text
+ * @param {string} locale - Language of the text, for the sign-off (default English)
+ */
+function constructNewsScriptFromText(text, title, locale = DEFAULT_LOCALE) {
+    let script = '';
+    if (title) {
+        script += `${title}. `;
+    }
+    script += cleanMarkdown(text);
+    script += ` ${(LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).signOff}`;
+
+    return script;
+}
+
+/**
+ * Helper: Constructs a natural-sounding news script from the article data
+ * (/api/tts/stream/:articleId and pre-rendered article audio). Pass the article
+ * with unpublished commentary already removed.
+ */
+function constructArticleScript(article) {
+    const sectionName = article.section ? article.section.charAt(0).toUpperCase() + article.section.slice(1) : 'News';
+
+    let script = `Here is the latest update from the ${sectionName} desk. `;
+    script += `${article.title}. `; // Read Headline
+
+    if (article.aiCommentary) {
+        // If we have AI commentary, structure it nicely
+        script += `Here is our detailed analysis. `;
+        script += cleanMarkdown(article.aiCommentary);
+    } else if (article.abstract) {
+        // Fallback to abstract
+        script += article.abstract;
+    }
+
+    script += " That wraps up this report. Check back later for more updates. ";
+
+    return script;
+}
+
+module.exports = {
+    DEFAULT_VOICE,
+    getTextHash,
+    getAudioId,
+    estimateDuration,
+    cleanMarkdown,
+    constructNewsScriptFromText,
+    constructArticleScript
+};
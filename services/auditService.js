@@ -0,0 +1,179 @@
+/**
+ * 📝 Audit Service
+ * Records who/what mutated articles, subscribers and caches.
+ *
+ * Recording never throws - a failed audit write must not break the mutation.
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+// Fields that change on every write and would only add noise to diffs
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+const MAX_VALUE_LENGTH = 500;
+
+class AuditService {
+  /**
+   * Build an audit context from an Express request
+   * @param {Object} req - Express request (req.principal set by adminAuth)
+   * @returns {Object} { actor, actorType, source, ip }
+   */
+  contextFromRequest(req) {
+    const principal = req.principal;
+    return {
+      actor: principal ? principal.name : 'anonymous',
+      actorType: principal ? principal.type : 'public',
+      source: `${req.method} ${req.originalUrl.split('?')[0]}`,
+      ip: req.ip
+    };
+  }
+
+  /**
+   * Build an audit context for background workers and cron jobs
+   * @param {string} name - Worker name, e.g. 'ai-commentary'
+   */
+  workerContext(name) {
+    return {
+      actor: name,
+      actorType: 'worker',
+      source: `worker:${name}`
+    };
+  }
+
+  /**
+   * Compute a shallow field-level diff between two documents
+   * @param {Object|null} before - Document before the change
+   * @param {Object|null} after - Document after the change
+   * @returns {Object} { field: { before, after } } for changed fields only
+   */
+  diff(before, after) {
+    const a = this.toPlain(before) || {};
+    const b = this.toPlain(after) || {};
+    const changes = {};
+
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const field of fields) {
+      if (IGNORED_FIELDS.includes(field)) continue;
+
+      const beforeValue = JSON.stringify(a[field]);
+      const afterValue = JSON.stringify(b[field]);
+      if (beforeValue !== afterValue) {
+        changes[field] = {
+          before: this.truncate(a[field]),
+          after: this.truncate(b[field])
+        };
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Record an audit entry (fire-and-forget safe)
+   * @param {Object} entry - { action, entityType, entityId, before, after, diff, metadata }
+   * @param {Object} context - { actor, actorType, source, ip }
+   * @returns {Promise<Object|null>} Saved entry or null on failure
+   */
+  async record(entry, context = {}) {
+    try {
+      const diff = entry.diff || this.diff(entry.before, entry.after);
+
+      // Nothing actually changed - skip the write
+      if (entry.action.endsWith('.update') && Object.keys(diff).length === 0) {
+        return null;
+      }
+
+      return await AuditLog.create({
+        action: entry.action,
+        entityType: entry.entityType,
+        entityId: entry.entityId != null ? String(entry.entityId) : null,
+        actor: context.actor || 'system',
+        actorType: context.actorType || 'system',
+        source: context.source || 'unknown',
+        diff,
+        metadata: {
+          ...(entry.metadata || {}),
+          ...(context.ip ? { ip: context.ip } : {})
+        },
+        timestamp: new Date()
+      });
+    } catch (error) {
+      console.error(`❌ Audit record failed (${entry.action}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Query audit entries with filters and pagination
+   * @param {Object} filters - { action, entityType, entityId, actor, source, from, to }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { entries, pagination }
+   */
+  async query(filters = {}, { page = 1, limit = 50 } = {}) {
+    // Filters are matched as strings - never as query operators
+    const query = {};
+
+    if (filters.action) query.action = String(filters.action);
+    if (filters.entityType) query.entityType = String(filters.entityType);
+    if (filters.entityId) query.entityId = String(filters.entityId);
+    if (filters.actor) query.actor = String(filters.actor);
+    if (filters.source) query.source = String(filters.source);
+    if (filters.from || filters.to) {
+      query.timestamp = {};
+      if (filters.from) query.timestamp.$gte = new Date(filters.from);
+      if (filters.to) query.timestamp.$lte = new Date(filters.to);
+    }
+
+    const safeLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const safePage = Math.max(parseInt(page) || 1, 1);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ timestamp: -1 })
+        .skip((safePage - 1) * safeLimit)
+        .limit(safeLimit)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page: safePage,
+        limit: safeLimit,
+        total,
+        totalPages: Math.ceil(total / safeLimit),
+        hasMore: safePage * safeLimit < total
+      }
+    };
+  }
+
+  /**
+   * Subscriber fields worth auditing (tokens and sent history are left out)
+   * @param {Object|null} subscriber - Subscriber document
+   */
+  snapshotSubscriber(subscriber) {
+    const plain = this.toPlain(subscriber);
+    if (!plain) return null;
+    return {
+      email: plain.email,
+      name: plain.name,
+      isActive: plain.isActive,
+      preferences: plain.preferences,
+      timezone: plain.timezone
+    };
+  }
+
+  toPlain(doc) {
+    if (!doc) return null;
+    return typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  }
+
+  truncate(value) {
+    if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+      return value.substring(0, MAX_VALUE_LENGTH) + '…';
+    }
+    return value;
+  }
+}
+
+module.exports = new AuditService();
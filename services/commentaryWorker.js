@@ -4,6 +4,7 @@
  */
 
 const { optimizedGroqCall } = require('../middleware/optimizationManager');
+const llmClient = require('./llm');
 const { getAllArticles } = require('../services/db/articleService');
 
 class CommentaryWorker {
@@ -161,28 +162,24 @@ Focus on:
 Keep the tone professional and analytical. Provide only the commentary without any prefacing text.`;
 
     try {
-      const completion = await optimizedGroqCall(async () => {
-        const Groq = require('groq-sdk');
-        const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
-
-        return await groq.chat.completions.create({
-          messages: [
-            {
-              role: "system",
-              content: "You are an expert news analyst who provides insightful commentary on current events. Your analysis should be professional, balanced, and informative."
-            },
-            {
-              role: "user",
-              content: prompt
-            }
-          ],
-          model: "llama-3.1-8b-instant",
-          temperature: 0.7,
-          max_tokens: 500
-        });
-      }, 'background'); // Low priority for background processing
-
-      return completion.choices[0]?.message?.content?.trim() || null;
+      const completion = await optimizedGroqCall(() => llmClient.chat('commentary', {
+        messages: [
+          {
+            role: "system",
+            content: "You are an expert news analyst who provides insightful commentary on current events. Your analysis should be professional, balanced, and informative."
+          },
+          {
+            role: "user",
+            content: prompt
+          }
+        ],
+        model: "llama-3.1-8b-instant",
+        temperature: 0.7,
+        maxTokens: 500,
+        section: item.category
+      }), 'background'); // Low priority for background processing
+
+      return completion.text || null;
     } catch (error) {
       throw error;
     }
@@ -3,6 +3,7 @@ const CacheService = require('./cache');
 const { getTopStories } = require('./storyService');
 const { saveArticles } = require('./db/articleService');
 const DatabaseMonitor = require('./db/databaseMonitor');
+const auditService = require('./auditService');
 
 class CronService {
   static initializeJobs() {
@@ -12,7 +13,7 @@ class CronService {
       try {
         const articles = await getTopStories('home');
         CacheService.set('homepage:latest', articles, 300); // 5 minutes
-        await saveArticles(articles);
+        await saveArticles(articles, auditService.workerContext('cron:homepage-prefetch'));
       } catch (error) {
         console.error('❌ Homepage pre-fetch error:', error);
       }
@@ -26,7 +27,7 @@ class CronService {
         try {
           const articles = await getTopStories(category);
           CacheService.set(`category:${category}`, articles, 600); // 10 minutes
-          await saveArticles(articles);
+          await saveArticles(articles, auditService.workerContext('cron:category-prefetch'));
         } catch (error) {
           console.error(`❌ Category ${category} pre-fetch error:`, error);
         }
@@ -46,13 +47,14 @@ class CronService {
           console.log(`⚠️ Database usage at ${report.database.usage.usagePercentage}% - running conservative cleanup...`);
           
           // Remove duplicates first (they take space unnecessarily)
-          const duplicateCleanup = await DatabaseMonitor.removeDuplicates(false);
+          const duplicateCleanup = await DatabaseMonitor.removeDuplicates(false, auditService.workerContext('cron:db-cleanup'));
           console.log(`🧹 Removed ${duplicateCleanup.deletedCount} duplicate articles`);
           
           // Conservative cleanup: Remove only 5% of oldest articles
           const oldestCleanup = await DatabaseMonitor.cleanupOldestArticles({
             cleanupPercentage: 5,
-            dryRun: false
+            dryRun: false,
+            context: auditService.workerContext('cron:db-cleanup')
           });
           console.log(`🧹 Removed ${oldestCleanup.deletedCount} oldest articles (5% of total)`);
           
@@ -1,35 +1,31 @@
 /**
  * Article Fetcher and Processor
  * 
- * Fetches articles from NYT API or newsdata.io, generates commentary, saves complete articles to DB
+ * Fetches articles from the configured news providers, generates commentary, saves complete articles to DB
  * NEVER sends incomplete articles to client
  * Includes duplicate prevention at API, MongoDB, and Redis levels
  */
 
-const { generateGroqCommentary } = require('../aiService');
+const { generateCommentaryWithMeta } = require('../aiService');
+const tokenLedger = require('../llm/tokenLedger');
+const { requiresReview } = require('../../config/moderationPolicies');
 const Article = require('../../models/article');
 const CacheService = require('../cache');
 const thresholdService = require('./thresholdService');
-const fetch = require('node-fetch');
+const providerRegistry = require('../providers');
+const storyClusterService = require('./storyClusterService');
+const entityService = require('../entities/entityService');
+const commentaryVersionService = require('./commentaryVersionService');
+const auditService = require('../auditService');
 
 class ArticleFetcherService {
   constructor() {
-    // NYT API sections (removed sports - now using newsdata.io)
-    this.nytSections = [
-      'world',
-      'us',
-      'politics',
-      'business',
-      'technology',
-      'health'
-    ];
-    
-    // newsdata.io sections (using newsdata for sports, entertainment, finance)
-    this.newsdataSections = ['entertainment', 'finance', 'sports'];
+    // Section → provider mapping lives in config/newsSources.js
+    this.sections = providerRegistry.getSections();
   }
 
   /**
-   * Fetch articles from NYT or newsdata.io, generate commentary, save complete articles
+   * Fetch articles from the section's providers (with failover), generate commentary, save complete articles
    * @param {string} section - Section name
    * @param {number} articlesToProcess - How many articles to fully process
    */
@@ -37,24 +33,20 @@ class ArticleFetcherService {
     try {
       console.log(`\n🔄 [Article Fetcher] Processing section: ${section.toUpperCase()}`);
       
-      let rawArticles = [];
-      
-      // Choose API based on section
-      if (this.nytSections.includes(section)) {
-        rawArticles = await this.fetchFromNYT(section);
-      } else if (this.newsdataSections.includes(section)) {
-        rawArticles = await this.fetchFromNewsdata(section);
-      } else {
+      if (!this.sections.includes(section)) {
         console.error(`❌ Unknown section: ${section}`);
         return 0;
       }
+
+      // Providers return articles already normalized to the Article schema
+      const { articles: rawArticles, provider } = await providerRegistry.fetchSection(section);
       
       if (rawArticles.length === 0) {
         console.log(`⚠️ No articles fetched for ${section}`);
         return 0;
       }
 
-      console.log(`📥 Fetched ${rawArticles.length} raw articles for ${section}`);
+      console.log(`📥 Fetched ${rawArticles.length} raw articles for ${section} from ${provider}`);
 
       let processedCount = 0;
 
@@ -69,51 +61,68 @@ class ArticleFetcherService {
             continue;
           }
 
-          console.log(`🤖 Generating commentary for: "${rawArticle.title.substring(0, 40)}..."`);
+          if (exists && exists.commentaryPendingReview) {
+            console.log(`⏭️  Article already has commentary waiting for review: "${rawArticle.title.substring(0, 40)}..."`);
+            continue;
+          }
 
-          // 3. Generate commentary BEFORE saving
-          const commentary = await generateGroqCommentary(
-            rawArticle.title,
-            rawArticle.abstract || rawArticle.description || '',
-            section
-          );
+          // 3. Generate commentary BEFORE saving - reuse it when another outlet's version of the story has it
+          const shared = await storyClusterService.findSharedCommentary(exists ? exists.toObject() : rawArticle);
+          let generation;
+
+          if (shared) {
+            console.log(`🧩 Reusing cluster commentary for: "${rawArticle.title.substring(0, 40)}..."`);
+            generation = { text: shared.commentary, source: 'cluster' };
+          } else {
+            // Background work - holds off while the commentary budget is throttled or paused
+            const budget = await tokenLedger.checkBudget({ task: 'commentary', section });
+            if (budget.state !== 'ok') {
+              console.log(`💸 Commentary budget ${budget.state} for ${section}, skipping: "${rawArticle.title.substring(0, 40)}..."`);
+              continue;
+            }
+
+            console.log(`🤖 Generating commentary for: "${rawArticle.title.substring(0, 40)}..."`);
+            generation = {
+              ...(await generateCommentaryWithMeta(rawArticle.title, rawArticle.abstract, section, { assignmentKey: rawArticle.url })),
+              source: 'ai'
+            };
+          }
+          const commentary = generation.text;
 
           if (!commentary) {
             console.log(`⚠️  Commentary generation failed, skipping article`);
             continue;
           }
 
-          // 4. Create COMPLETE article document
+          // 4. Create COMPLETE article document (review-only sections publish commentary on approval)
+          const needsReview = requiresReview(section);
           const completeArticle = {
-            id: rawArticle.id || rawArticle.url,
-            title: rawArticle.title,
-            abstract: rawArticle.abstract || rawArticle.description || '',
-            url: rawArticle.url,
-            publishedDate: rawArticle.publishedDate || rawArticle.pubDate || new Date(),
-            source: rawArticle.source || (this.nytSections.includes(section) ? 'nytimes' : 'newsdata'),
+            ...rawArticle,
             section: section,
-            byline: rawArticle.byline || rawArticle.creator?.[0] || '',
-            imageUrl: rawArticle.imageUrl || rawArticle.image_url || null,
-            multimedia: rawArticle.multimedia || [],
-            keywords: rawArticle.keywords || [],
-            aiCommentary: commentary, // ✅ COMMENTARY INCLUDED
+            ...(needsReview ? {} : { aiCommentary: commentary }), // ✅ COMMENTARY INCLUDED
             createdAt: new Date(),
             updatedAt: new Date()
           };
 
           // 5. Save complete article to DB (with duplicate prevention)
-          await Article.findOneAndUpdate(
+          const savedArticle = await Article.findOneAndUpdate(
             { url: completeArticle.url },
             completeArticle,
             { upsert: true, new: true }
           );
 
+          await commentaryVersionService.recordVersion(savedArticle._id, { ...generation, generator: 'fetcher' }, {
+            context: auditService.workerContext('article-fetcher')
+          });
+          await storyClusterService.assignArticle(savedArticle);
+          await entityService.processArticle(savedArticle);
+
           console.log(`✅ Saved complete article with commentary: "${rawArticle.title.substring(0, 40)}..."`);
 
           // 6. Check threshold before caching (only cache after 8-10 articles per section)
           const thresholdStatus = await thresholdService.checkThreshold();
           
-          if (thresholdStatus.thresholdMet) {
+          if (thresholdStatus.thresholdMet && !needsReview) {
             // ✅ DUPLICATE CHECK #2: Check Redis cache before caching
             const cacheKey = `article:${completeArticle.id}`;
             const cached = await CacheService.get(cacheKey);
@@ -169,93 +178,6 @@ class ArticleFetcherService {
     }
   }
 
-  /**
-   * Fetch articles from NYT API
-   */
-  async fetchFromNYT(section) {
-    try {
-      const nytUrl = `https://api.nytimes.com/svc/topstories/v2/${section}.json?api-key=${process.env.NYT_API_KEY}`;
-      const response = await fetch(nytUrl);
-      
-      if (!response.ok) {
-        console.error(`❌ NYT API error for ${section}: ${response.status}`);
-        return [];
-      }
-
-      const data = await response.json();
-      const articles = (data.results || []).map(article => ({
-        id: article.uri || article.url,
-        title: article.title,
-        abstract: article.abstract,
-        url: article.url,
-        publishedDate: article.published_date,
-        byline: article.byline,
-        imageUrl: article.multimedia?.[0]?.url,
-        multimedia: article.multimedia || [],
-        keywords: article.des_facet || [],
-        source: 'nytimes'
-      }));
-
-      return articles;
-    } catch (error) {
-      console.error(`❌ NYT API error:`, error.message);
-      return [];
-    }
-  }
-
-  /**
-   * Fetch articles from newsdata.io API
-   */
-  async fetchFromNewsdata(section) {
-    try {
-      const newsdataLoadBalancer = require('../newsdataLoadBalancer');
-      
-      const category = section === 'finance' ? 'business' : (section === 'sports' ? 'sports' : 'entertainment');
-      
-      // Use tryAllKeys for automatic retry with different keys
-      const response = await newsdataLoadBalancer.tryAllKeys(async (apiKey) => {
-        console.log(`🔑 Trying Newsdata Key for ${section}...`);
-        const newsdataUrl = `https://newsdata.io/api/1/news?apikey=${apiKey}&category=${category}&language=en&country=us`;
-        
-        const result = await fetch(newsdataUrl);
-        
-        if (!result.ok) {
-          throw new Error(`HTTP ${result.status}: ${result.statusText}`);
-        }
-
-        const data = await result.json();
-        
-        if (data.status === 'error') {
-          throw new Error(data.results?.message || 'API returned error status');
-        }
-        
-        return data;
-      });
-      
-      const articles = (response.results || []).map(article => ({
-        id: article.article_id,
-        title: article.title,
-        description: article.description,
-        url: article.link,
-        pubDate: article.pubDate,
-        creator: article.creator,
-        // Convert newsdata.io image_url to multimedia array format (NYT compatible)
-        multimedia: article.image_url ? [{
-          url: article.image_url,
-          format: 'Large Thumbnail',
-          height: 150,
-          width: 150
-        }] : [],
-        source: 'newsdata'
-      }));
-
-      return articles;
-    } catch (error) {
-      console.error(`❌ All newsdata.io API keys failed for ${section}:`, error.message);
-      return [];
-    }
-  }
-
   /**
    * Process all sections in rotation
    */
@@ -1,5 +1,6 @@
 const Article = require('../../models/article');
 const { connectToMongoDB, isConnected } = require('../../config/database');
+const auditService = require('../auditService');
 
 /**
  * Helper function to ensure articles have consistent ID fields
@@ -48,12 +49,15 @@ const ensureConnection = async () => {
 /**
  * Save an article to the database
  * @param {Object} articleData - Article data to save
+ * @param {Object} context - Audit context { actor, actorType, source }
  * @returns {Promise<Object>} Saved article
  */
-const saveArticle = async (articleData) => {
+const saveArticle = async (articleData, context = {}) => {
   try {
     // Ensure we're connected to MongoDB
     await ensureConnection();
+
+    const before = await Article.findOne({ url: articleData.url }).lean();
     
     // Use findOneAndUpdate with upsert to avoid version conflicts
     const updatedArticle = await Article.findOneAndUpdate(
@@ -67,6 +71,8 @@ const saveArticle = async (articleData) => {
         overwrite: false
       }
     );
+
+    await recordArticleSave(before, updatedArticle, context);
     
     return updatedArticle;
   } catch (error) {
@@ -75,6 +81,7 @@ const saveArticle = async (articleData) => {
       console.log(`⚠️ Version conflict for article ${articleData.url}, retrying...`);
       // Retry once with fresh data
       try {
+        const before = await Article.findOne({ url: articleData.url }).lean();
         const retryArticle = await Article.findOneAndUpdate(
           { url: articleData.url },
           { $set: articleData },
@@ -84,6 +91,7 @@ const saveArticle = async (articleData) => {
             runValidators: true
           }
         );
+        await recordArticleSave(before, retryArticle, context);
         return retryArticle;
       } catch (retryError) {
         console.log(`⚠️ Retry failed for article ${articleData.url}, skipping...`);
@@ -96,12 +104,28 @@ const saveArticle = async (articleData) => {
   }
 };
 
+/**
+ * Audit an upsert as either a create or an update
+ */
+const recordArticleSave = async (before, after, context) => {
+  if (!after) return;
+  await auditService.record({
+    action: before ? 'article.update' : 'article.create',
+    entityType: 'article',
+    entityId: after._id,
+    before,
+    after,
+    metadata: { url: after.url, title: after.title }
+  }, context);
+};
+
 /**
  * Save multiple articles to the database
  * @param {Array<Object>} articles - Array of article data
+ * @param {Object} context - Audit context { actor, actorType, source }
  * @returns {Promise<Array<Object>>} Saved articles
  */
-const saveArticles = async (articles) => {
+const saveArticles = async (articles, context = {}) => {
   try {
     // Ensure we're connected to MongoDB
     await ensureConnection();
@@ -110,7 +134,7 @@ const saveArticles = async (articles) => {
     
     // Process articles in batches to avoid overwhelming the database
     for (const article of articles) {
-      const savedArticle = await saveArticle(article);
+      const savedArticle = await saveArticle(article, context);
       if (savedArticle) {
         savedArticles.push(savedArticle);
       }
@@ -127,9 +151,11 @@ const saveArticles = async (articles) => {
  * Get articles by section
  * @param {string} section - Section name
  * @param {number} limit - Maximum number of articles to return
+ * @param {Object} options - { since: only articles published after this date,
+ *   canonicalOnly: skip the other outlets' versions of a clustered story }
  * @returns {Promise<Array<Object>>} Articles in the section WITH commentary
  */
-const getArticlesBySection = async (section, limit = 10) => {
+const getArticlesBySection = async (section, limit = 10, { since = null, canonicalOnly = false } = {}) => {
   try {
     // Ensure we're connected to MongoDB
     if (!isConnected()) {
@@ -139,7 +165,10 @@ const getArticlesBySection = async (section, limit = 10) => {
     // ONLY return articles WITH commentary
     const articles = await Article.find({ 
       section,
-      aiCommentary: { $exists: true, $ne: null, $ne: '' }
+      aiCommentary: { $exists: true, $ne: null, $ne: '' },
+      ...(since ? { publishedDate: { $gt: since } } : {}),
+      // Listings show one article per story cluster
+      ...(canonicalOnly ? { isClusterCanonical: { $ne: false } } : {})
     })
       .sort({ publishedDate: -1 })
       .limit(limit);
@@ -365,20 +394,34 @@ const findArticleByIdentifier = async (identifier) => {
  * Update article by ID
  * @param {string} id - Article ID
  * @param {Object} updateData - Data to update
+ * @param {Object} context - Audit context { actor, actorType, source }
  * @returns {Promise<Object|null>} Updated article or null if not found
  */
-const updateArticleById = async (id, updateData) => {
+const updateArticleById = async (id, updateData, context = {}) => {
   try {
     // Ensure we're connected to MongoDB
     if (!isConnected()) {
       await connectToMongoDB();
     }
+
+    const before = await Article.findById(id).lean();
     
     const updatedArticle = await Article.findByIdAndUpdate(
       id,
       { $set: updateData },
       { new: true, runValidators: true }
     );
+
+    if (updatedArticle) {
+      await auditService.record({
+        action: 'article.update',
+        entityType: 'article',
+        entityId: id,
+        before,
+        after: updatedArticle,
+        metadata: { url: updatedArticle.url, title: updatedArticle.title }
+      }, context);
+    }
     
     return updatedArticle;
   } catch (error) {
@@ -421,16 +464,29 @@ const createOrUpdateArticle = async (articleData) => {
 /**
  * Delete article by URL
  * @param {string} url - URL of the article to delete
+ * @param {Object} context - Audit context { actor, actorType, source }
  * @returns {Promise<boolean>} Whether the deletion was successful
  */
-const deleteArticleByUrl = async (url) => {
+const deleteArticleByUrl = async (url, context = {}) => {
   try {
     // Ensure we're connected to MongoDB
     if (!isConnected()) {
       await connectToMongoDB();
     }
     
-    await Article.findOneAndDelete({ url });
+    const deleted = await Article.findOneAndDelete({ url });
+
+    if (deleted) {
+      await auditService.record({
+        action: 'article.delete',
+        entityType: 'article',
+        entityId: deleted._id,
+        before: deleted,
+        after: null,
+        metadata: { url, title: deleted.title }
+      }, context);
+    }
+
     return true;
   } catch (error) {
     console.error(`Error deleting article with URL ${url}:`, error);
@@ -438,6 +494,58 @@ const deleteArticleByUrl = async (url) => {
   }
 };
 
+/**
+ * Normalize article data format for frontend consistency (id, imageUrl/multimedia, fallbacks)
+ * @param {Object} article - Mongoose document or plain object
+ * @returns {Object} Plain article object
+ */
+const normalizeArticleFormat = (article) => {
+  const articleObj = article.toObject ? article.toObject() : { ...article };
+
+  // FIXED: Use MongoDB _id as primary identifier for clean URLs
+  // This prevents ugly URLs like /article/https%3A%2F%2Fwww.nytimes.com%2F...
+  if (articleObj._id) {
+    articleObj.id = articleObj._id.toString();
+  } else if (articleObj.uri) {
+    // Use last part of URI if available
+    const uriParts = articleObj.uri.split('/');
+    articleObj.id = uriParts[uriParts.length - 1] || articleObj.uri;
+  }
+  // Note: We deliberately DON'T use articleObj.url as id anymore to avoid URL-encoded slugs
+
+  // CRITICAL: Ensure imageUrl field exists (for home category compatibility)
+  if (!articleObj.imageUrl && articleObj.multimedia && articleObj.multimedia.length > 0) {
+    const media = articleObj.multimedia[0];
+    if (media.url) {
+      articleObj.imageUrl = media.url;
+    }
+  }
+
+  // CRITICAL: Ensure multimedia array exists (for politics category compatibility)
+  if (!articleObj.multimedia && articleObj.imageUrl) {
+    articleObj.multimedia = [{
+      url: articleObj.imageUrl,
+      format: 'superJumbo',
+      height: 1366,
+      width: 2048,
+      caption: ''
+    }];
+  }
+
+  // Ensure basic fields have fallbacks
+  articleObj.title = articleObj.title || 'Untitled';
+  articleObj.abstract = articleObj.abstract || '';
+  articleObj.author = articleObj.author || articleObj.byline || 'Staff Writer';
+  articleObj.section = articleObj.section || 'news';
+
+  // FUTURE-PROOF: Ensure commentary field exists (prepare for future commentary integration)
+  if (!articleObj.commentary) {
+    articleObj.commentary = null; // Will be populated by commentary service
+  }
+
+  return articleObj;
+};
+
 module.exports = {
   saveArticle,
   saveArticles,
@@ -449,5 +557,6 @@ module.exports = {
   getArticleByUrl,
   findArticleByIdentifier,
   updateArticleById,
-  createOrUpdateArticle
+  createOrUpdateArticle,
+  normalizeArticleFormat
 };
@@ -0,0 +1,322 @@
+/**
+ * 🗂️ Commentary Versions
+ *
+ * Every generated commentary is stored as a CommentaryVersion with its provider, model,
+ * prompt template, token usage, latency and generator. Article.aiCommentary
+ * always holds the active version:
+ * - a pinned article keeps its version until an admin pins another or rolls back
+ * - a fallback never replaces real commentary
+ * - only approved / auto-published versions are activated; the rest wait in
+ *   the review queue (services/db/moderationService.js)
+ *
+ * Changing the active version drops the article's commentary:* / article:*
+ * cache entries (and its section listings when it replaces older text).
+ */
+
+const Article = require('../../models/article');
+const CommentaryVersion = require('../../models/CommentaryVersion');
+const cacheService = require('../cache');
+const { updateArticleById } = require('./articleService');
+const { requiresReview, PUBLISHABLE_STATES } = require('../../config/moderationPolicies');
+
+const MAX_DIFF_TOKENS = 3000;
+const PREVIEW_LENGTH = 200;
+
+/**
+ * Word-level diff (LCS) - commentaries are a few hundred words
+ * @returns {Array<{type: 'equal'|'insert'|'delete', text: string}>}
+ */
+const diffWords = (before, after) => {
+  const a = before.split(/(\s+)/).filter(Boolean).slice(0, MAX_DIFF_TOKENS);
+  const b = after.split(/(\s+)/).filter(Boolean).slice(0, MAX_DIFF_TOKENS);
+
+  // lengths[i][j] = LCS length of a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  const push = (type, text) => {
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) last.text += text;
+    else changes.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+
+  return changes;
+};
+
+const toSummary = (version) => ({
+  version: version.version,
+  source: version.source,
+  generator: version.generator,
+  provider: version.provider || null,
+  model: version.model || null,
+  promptTemplateId: version.promptTemplateId || null,
+  tokenUsage: version.tokenUsage,
+  latencyMs: version.latencyMs ?? null,
+  createdBy: version.createdBy,
+  createdAt: version.createdAt,
+  isActive: version.isActive,
+  activatedAt: version.activatedAt || null,
+  quality: version.quality || null,
+  moderationStatus: version.moderationStatus || 'auto_published',
+  moderatedBy: version.moderatedBy || null,
+  moderatedAt: version.moderatedAt || null,
+  moderationNote: version.moderationNote || null
+});
+
+/**
+ * Moderation state for a new version (see config/moderationPolicies.js)
+ */
+const initialModerationStatus = (generation, section) => {
+  if (generation.moderationStatus) return generation.moderationStatus;
+  if (['fallback', 'legacy'].includes(generation.source)) return 'auto_published';
+  if (generation.quality?.passed === false) return 'pending_review';
+  return requiresReview(section) ? 'pending_review' : 'auto_published';
+};
+
+class CommentaryVersionService {
+  /**
+   * Store a generated commentary and activate it unless the article is pinned,
+   * it is a fallback replacing real commentary, or it needs review (section
+   * policy or failed quality gate)
+   * @param {string|ObjectId} articleId
+   * @param {Object} generation - { text, source, generator, provider, model, promptTemplateId, usage, latencyMs, quality, moderationStatus }
+   * @param {Object} options - { context (audit context), activate }
+   * @returns {Promise<Object|null>} { version, activated } or null when the article does not exist
+   */
+  async recordVersion(articleId, generation, { context = {}, activate = true } = {}) {
+    const article = await Article.findById(articleId)
+      .select('aiCommentary commentarySource commentaryPinned commentaryVersion section')
+      .lean();
+    if (!article) return null;
+
+    let latest = await CommentaryVersion.findOne({ article: article._id }).sort({ version: -1 }).lean();
+
+    // Commentary written before versioning becomes v1 so it can be rolled back to
+    if (!latest && article.aiCommentary && article.aiCommentary !== generation.text) {
+      latest = (await CommentaryVersion.create({
+        article: article._id,
+        version: 1,
+        text: article.aiCommentary,
+        source: 'legacy',
+        generator: 'legacy',
+        isActive: true,
+        activatedAt: new Date()
+      })).toObject();
+    }
+
+    // Identical text (e.g. a cached copy written back) is not a new version
+    if (latest && latest.text === generation.text) {
+      return { version: latest, activated: latest.isActive };
+    }
+
+    let version = null;
+    for (let attempt = 0; !version; attempt++) {
+      try {
+        version = await CommentaryVersion.create({
+          article: article._id,
+          version: (latest?.version || 0) + 1,
+          text: generation.text,
+          source: generation.source || 'ai',
+          generator: generation.generator,
+          provider: generation.provider,
+          model: generation.model,
+          promptTemplateId: generation.promptTemplateId,
+          tokenUsage: generation.usage,
+          latencyMs: generation.latencyMs,
+          quality: generation.quality,
+          moderationStatus: initialModerationStatus(generation, article.section),
+          createdBy: context.actor || 'system'
+        });
+      } catch (error) {
+        // Another writer took this version number - retry with the next one
+        if (error.code !== 11000 || attempt >= 2) throw error;
+        latest = await CommentaryVersion.findOne({ article: article._id }).sort({ version: -1 }).lean();
+      }
+    }
+
+    const replacesRealCommentary = version.source === 'fallback'
+      && article.aiCommentary && article.commentarySource !== 'fallback';
+
+    if (version.moderationStatus === 'pending_review') {
+      await updateArticleById(article._id, { commentaryPendingReview: true }, context);
+      console.log(`📝 Commentary v${version.version} for ${article._id} waiting for review`);
+      return { version: version.toObject(), activated: false };
+    }
+
+    if (!activate || article.commentaryPinned || replacesRealCommentary) {
+      console.log(`🗂️ Stored commentary v${version.version} for ${article._id} (active stays v${article.commentaryVersion || latest?.version || '-'})`);
+      return { version: version.toObject(), activated: false };
+    }
+
+    const activated = await this.activate(article._id, version.version, { context });
+    return { version: activated || version.toObject(), activated: !!activated };
+  }
+
+  /**
+   * Make a version the article's active commentary
+   * @param {string|ObjectId} articleId
+   * @param {number} versionNumber
+   * @param {Object} options - { pin (true/false sets Article.commentaryPinned), context }
+   * @returns {Promise<Object|null>} Activated version, or null if it does not exist
+   * @throws {Error} ModerationError when the version is pending review or rejected
+   */
+  async activate(articleId, versionNumber, { pin, context = {} } = {}) {
+    const version = await CommentaryVersion.findOne({ article: articleId, version: versionNumber }).lean();
+    if (!version) return null;
+
+    const status = version.moderationStatus || 'auto_published';
+    if (!PUBLISHABLE_STATES.includes(status)) {
+      const error = new Error(`Version ${versionNumber} is ${status} - approve it before publishing`);
+      error.name = 'ModerationError';
+      throw error;
+    }
+
+    const before = await Article.findById(articleId).select('aiCommentary section').lean();
+
+    await CommentaryVersion.updateMany(
+      { article: articleId, isActive: true, version: { $ne: versionNumber } },
+      { $set: { isActive: false } }
+    );
+    const activatedAt = new Date();
+    await CommentaryVersion.updateOne({ _id: version._id }, { $set: { isActive: true, activatedAt } });
+
+    const update = {
+      aiCommentary: version.text,
+      commentaryVersion: version.version,
+      commentarySource: version.source,
+      commentaryGeneratedAt: version.createdAt,
+      commentaryStatus: status
+    };
+    if (pin !== undefined) update.commentaryPinned = pin;
+    await updateArticleById(articleId, update, context);
+
+    await this.invalidateCache(articleId, before?.aiCommentary && before.aiCommentary !== version.text ? before.section : null);
+
+    console.log(`🗂️ Activated commentary v${version.version} for ${articleId}${pin ? ' (pinned)' : ''}`);
+    return { ...version, isActive: true, activatedAt };
+  }
+
+  /**
+   * Activate the given version, or the latest published non-fallback version before the
+   * active one, and pin it so automatic regeneration does not undo the rollback
+   * @returns {Promise<Object|null>} Activated version, or null when there is nothing to roll back to
+   */
+  async rollback(articleId, { to = null, context = {} } = {}) {
+    let target = to;
+
+    if (!target) {
+      const article = await Article.findById(articleId).select('commentaryVersion').lean();
+      const previous = await CommentaryVersion.findOne({
+        article: articleId,
+        version: { $lt: article?.commentaryVersion || Number.MAX_SAFE_INTEGER },
+        source: { $ne: 'fallback' },
+        moderationStatus: { $nin: ['pending_review', 'rejected'] }
+      }).sort({ version: -1 }).lean();
+      target = previous?.version;
+    }
+
+    if (!target) return null;
+    return this.activate(articleId, target, { pin: true, context });
+  }
+
+  /**
+   * Let automatic regeneration replace the active version again
+   */
+  async unpin(articleId, { context = {} } = {}) {
+    return updateArticleById(articleId, { commentaryPinned: false }, context);
+  }
+
+  /**
+   * Versions newest first, with a text preview
+   */
+  async listVersions(articleId) {
+    const versions = await CommentaryVersion.find({ article: articleId }).sort({ version: -1 }).lean();
+    return versions.map(version => ({
+      ...toSummary(version),
+      length: version.text.length,
+      preview: version.text.length > PREVIEW_LENGTH ? `${version.text.substring(0, PREVIEW_LENGTH)}...` : version.text
+    }));
+  }
+
+  /**
+   * A single version with full text
+   */
+  async getVersion(articleId, versionNumber) {
+    const version = await CommentaryVersion.findOne({ article: articleId, version: versionNumber }).lean();
+    return version ? { ...toSummary(version), text: version.text } : null;
+  }
+
+  /**
+   * Word-level diff between two versions
+   * @returns {Promise<Object|null>} { from, to, changes, stats } or null if either version is missing
+   */
+  async diff(articleId, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      CommentaryVersion.findOne({ article: articleId, version: fromVersion }).lean(),
+      CommentaryVersion.findOne({ article: articleId, version: toVersion }).lean()
+    ]);
+    if (!from || !to) return null;
+
+    const changes = diffWords(from.text, to.text);
+    const countWords = (type) => changes
+      .filter(change => change.type === type)
+      .reduce((sum, change) => sum + (change.text.match(/\S+/g) || []).length, 0);
+
+    return {
+      from: toSummary(from),
+      to: toSummary(to),
+      changes,
+      stats: { wordsAdded: countWords('insert'), wordsRemoved: countWords('delete') }
+    };
+  }
+
+  /**
+   * Count a view or listen against the article's active version
+   * @param {string|ObjectId} articleId
+   * @param {'views'|'listens'} field
+   */
+  async recordEngagement(articleId, field) {
+    await CommentaryVersion.updateOne(
+      { article: articleId, isActive: true },
+      { $inc: { [`engagement.${field}`]: 1 } }
+    );
+  }
+
+  /**
+   * Drop cached commentary for an article; section listings too when visible text changed
+   */
+  async invalidateCache(articleId, section = null) {
+    // commentary:<id> and the per-style commentary:<id>:<style> (services/ai/groqCommentary.js)
+    await cacheService.del(`commentary:${articleId}`);
+    await cacheService.delPattern(`commentary:${articleId}:*`);
+    await cacheService.del(`article:${articleId}`);
+
+    if (section) {
+      const sectionArticleService = require('./sectionArticleService');
+      await sectionArticleService.clearSectionCache(section);
+    }
+  }
+}
+
+module.exports = new CommentaryVersionService();
@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
 const Article = require('../../models/article');
+const Entity = require('../../models/Entity');
+const CommentaryVersion = require('../../models/CommentaryVersion');
+const PromptTemplate = require('../../models/PromptTemplate');
+const TokenUsage = require('../../models/TokenUsage');
+const ArticleTranslation = require('../../models/ArticleTranslation');
+const ReadingProfile = require('../../models/ReadingProfile');
+const NewsletterEvent = require('../../models/NewsletterEvent');
+const OutboundEmail = require('../../models/OutboundEmail');
+const EmailBounce = require('../../models/EmailBounce');
+const Subscriber = require('../../models/Subscriber');
+const AudioAsset = require('../../models/AudioAsset');
+const PodcastEpisode = require('../../models/PodcastEpisode');
+const auditService = require('../auditService');
 
 class DatabaseMonitor {
   /**
@@ -119,12 +132,14 @@ class DatabaseMonitor {
 
   /**
    * Clean up oldest articles by insertion order (createdAt), not publication date
+   * options.context is the audit context { actor, actorType, source }
    */
   static async cleanupOldestArticles(options = {}) {
     const {
       cleanupPercentage = 5, // 5% of total articles
       maxToDelete = 100,     // Safety limit
-      dryRun = false
+      dryRun = false,
+      context = {}
     } = options;
 
     try {
@@ -161,7 +176,7 @@ class DatabaseMonitor {
       const oldestArticles = await Article.find()
         .sort({ createdAt: 1 }) // 1 = ascending (oldest first)
         .limit(articlesToDelete)
-        .select('_id title createdAt publishedDate');
+        .select('_id title url createdAt publishedDate');
 
       if (dryRun) {
         console.log(`🔍 DRY RUN: Would delete ${oldestArticles.length} oldest articles (${cleanupPercentage}% of ${totalArticles})`);
@@ -186,6 +201,11 @@ class DatabaseMonitor {
       });
 
       console.log(`🧹 Cleaned up ${deleteResult.deletedCount} oldest articles (${cleanupPercentage}% of ${totalArticles})`);
+
+      await DatabaseMonitor.recordBulkDelete('cleanup_oldest', oldestArticles, deleteResult.deletedCount, context, {
+        cleanupPercentage,
+        totalArticles
+      });
       
       return {
         dryRun: false,
@@ -207,7 +227,8 @@ class DatabaseMonitor {
   static async cleanupOldArticles(options = {}) {
     const {
       cleanupPercentage = 5, // Clean up 5% of oldest articles
-      dryRun = false
+      dryRun = false,
+      context = {}
     } = options;
 
     try {
@@ -224,7 +245,7 @@ class DatabaseMonitor {
       const oldestArticles = await Article.find()
         .sort({ createdAt: 1 }) // Oldest first
         .limit(articlesToDelete)
-        .select('_id title createdAt category');
+        .select('_id title url createdAt category');
 
       if (dryRun) {
         console.log(`🔍 DRY RUN: Would delete ${articlesToDelete} oldest articles (${cleanupPercentage}% of ${totalArticles})`);
@@ -251,6 +272,11 @@ class DatabaseMonitor {
       });
 
       console.log(`🧹 Cleaned up ${deleteResult.deletedCount} oldest articles (${cleanupPercentage}% of total)`);
+
+      await DatabaseMonitor.recordBulkDelete('cleanup_old', oldestArticles, deleteResult.deletedCount, context, {
+        cleanupPercentage,
+        totalArticles
+      });
       
       return {
         deletedCount: deleteResult.deletedCount,
@@ -267,8 +293,10 @@ class DatabaseMonitor {
 
   /**
    * Remove duplicate articles based on URL
+   * @param {boolean} dryRun - Only report what would be removed
+   * @param {Object} context - Audit context { actor, actorType, source }
    */
-  static async removeDuplicates(dryRun = false) {
+  static async removeDuplicates(dryRun = false, context = {}) {
     try {
       // Find duplicates by URL
       const duplicates = await Article.aggregate([
@@ -306,6 +334,22 @@ class DatabaseMonitor {
       }
 
       console.log(`🧹 Removed ${totalToDelete} duplicate articles`);
+
+      if (totalToDelete > 0) {
+        await auditService.record({
+          action: 'article.bulk_delete',
+          entityType: 'article',
+          entityId: null,
+          diff: {},
+          metadata: {
+            reason: 'remove_duplicates',
+            deletedCount: totalToDelete,
+            duplicateGroups: duplicates.length,
+            urls: deletionResults.map(r => r.url)
+          }
+        }, context);
+      }
+
       return {
         deletedCount: totalToDelete,
         duplicateGroups: duplicates.length,
@@ -317,6 +361,24 @@ class DatabaseMonitor {
     }
   }
 
+  /**
+   * Audit a bulk deletion with the ids/urls that were removed
+   */
+  static async recordBulkDelete(reason, articles, deletedCount, context, extra = {}) {
+    await auditService.record({
+      action: 'article.bulk_delete',
+      entityType: 'article',
+      entityId: null,
+      diff: {},
+      metadata: {
+        reason,
+        deletedCount,
+        ...extra,
+        articles: articles.map(a => ({ id: a._id.toString(), url: a.url, title: a.title }))
+      }
+    }, context);
+  }
+
   /**
    * Optimize database indexes
    */
@@ -333,9 +395,11 @@ class DatabaseMonitor {
       const requiredIndexes = [
         { url: 1 }, // For finding by URL
         { publishedDate: -1 }, // For sorting by date
+        { publishedDate: -1, _id: -1 }, // For cursor pagination
+        { section: 1, publishedDate: -1, _id: -1 }, // For section cursor pagination
+        { entities: 1, publishedDate: -1, _id: -1 }, // For topic page timelines
         { category: 1, publishedDate: -1 }, // For category queries
-        { createdAt: 1 }, // For cleanup operations
-        { title: 'text', content: 'text' } // For search
+        { createdAt: 1 } // For cleanup operations
       ];
 
       for (const indexSpec of requiredIndexes) {
@@ -349,7 +413,32 @@ class DatabaseMonitor {
         }
       }
 
-      return { success: true, indexesChecked: requiredIndexes.length };
+      // Weighted text index for search (defined on the Article schema)
+      const searchService = require('../search/searchService');
+      const searchIndex = await searchService.ensureSearchIndex();
+      console.log(`✅ Ensured search index: ${searchIndex.name}`);
+
+      // Unique entity slugs for topic pages, unique version numbers per article, unique prompt template ids,
+      // unique token usage buckets (+ TTL on hourly ones), one translation per article and locale,
+      // one reading profile per visitor / subscriber, newsletter open/click events (+ TTL),
+      // outbound email idempotency keys and send queue (+ TTL), bounces per address,
+      // subscribers by next newsletter due time, audio assets by id and last play (LRU eviction),
+      // one podcast episode per section and day
+      await Entity.createIndexes();
+      await CommentaryVersion.createIndexes();
+      await PromptTemplate.createIndexes();
+      await TokenUsage.createIndexes();
+      await ArticleTranslation.createIndexes();
+      await ReadingProfile.createIndexes();
+      await NewsletterEvent.createIndexes();
+      await OutboundEmail.createIndexes();
+      await EmailBounce.createIndexes();
+      await Subscriber.createIndexes();
+      await AudioAsset.createIndexes();
+      await PodcastEpisode.createIndexes();
+      console.log('✅ Ensured entity, commentary version, prompt template, token usage, translation, reading profile, newsletter event, outbound email, email bounce, subscriber, audio asset and podcast episode indexes');
+
+      return { success: true, indexesChecked: requiredIndexes.length + 1 };
     } catch (error) {
       console.error('Failed to optimize indexes:', error);
       throw error;
@@ -0,0 +1,316 @@
+/**
+ * 🛡️ Commentary Moderation
+ *
+ * Every CommentaryVersion has a moderation state:
+ *   pending_review → approved | rejected
+ *   auto_published → rejected
+ *   approved ⇄ rejected
+ *
+ * New versions start as pending_review or auto_published depending on the
+ * section policy (config/moderationPolicies.js) and the quality gate. Only
+ * approved / auto-published text is ever copied to Article.aiCommentary, and
+ * public routes check Article.commentaryStatus before serving it.
+ */
+
+const Article = require('../../models/article');
+const CommentaryVersion = require('../../models/CommentaryVersion');
+const commentaryVersionService = require('./commentaryVersionService');
+const auditService = require('../auditService');
+const { updateArticleById } = require('./articleService');
+const { validateCommentary } = require('../ai/commentaryValidator');
+const {
+  DEFAULT_POLICY,
+  TRANSITIONS,
+  PUBLISHABLE_STATES,
+  sectionPolicies
+} = require('../../config/moderationPolicies');
+
+const MAX_BULK = 100;
+
+const moderationError = (message) => {
+  const error = new Error(message);
+  error.name = 'ModerationError';
+  return error;
+};
+
+class ModerationService {
+  /**
+   * Whether an article's aiCommentary may be shown publicly
+   * (unset status = written before moderation existed)
+   */
+  isPublishable(article) {
+    return !!article && (!article.commentaryStatus || PUBLISHABLE_STATES.includes(article.commentaryStatus));
+  }
+
+  /**
+   * The article's commentary if it may be shown publicly, otherwise null
+   */
+  publicCommentary(article) {
+    return article && article.aiCommentary && this.isPublishable(article) ? article.aiCommentary : null;
+  }
+
+  /**
+   * Query filter for public listings of articles with commentary
+   */
+  publicFilter() {
+    return { commentaryStatus: { $nin: ['pending_review', 'rejected'] } };
+  }
+
+  getPolicies() {
+    return { default: DEFAULT_POLICY, sections: sectionPolicies };
+  }
+
+  /**
+   * Versions waiting for review, oldest first
+   * @param {Object} options - { section, limit }
+   * @returns {Promise<Object>} { items, total }
+   */
+  async listPending({ section = null, limit = 50 } = {}) {
+    const filter = { moderationStatus: 'pending_review' };
+
+    if (section) {
+      const articles = await Article.find({ section, commentaryPendingReview: true }).select('_id').lean();
+      filter.article = { $in: articles.map(article => article._id) };
+    }
+
+    const [versions, total] = await Promise.all([
+      CommentaryVersion.find(filter)
+        .sort({ createdAt: 1 })
+        .limit(limit)
+        .populate('article', 'title abstract section url commentaryVersion commentaryPinned')
+        .lean(),
+      CommentaryVersion.countDocuments(filter)
+    ]);
+
+    const items = versions.map(version => ({
+      id: version._id,
+      article: version.article && {
+        _id: version.article._id,
+        title: version.article.title,
+        section: version.article.section,
+        url: version.article.url,
+        activeVersion: version.article.commentaryVersion || null,
+        pinned: !!version.article.commentaryPinned
+      },
+      version: version.version,
+      source: version.source,
+      generator: version.generator,
+      promptTemplateId: version.promptTemplateId || null,
+      quality: version.quality || null,
+      createdBy: version.createdBy,
+      createdAt: version.createdAt,
+      text: version.text
+    }));
+
+    return { items, total };
+  }
+
+  /**
+   * Move a version to a new moderation state
+   * - approved: becomes the active commentary (unless the article is pinned or
+   *   already shows a newer real version)
+   * - rejected: if it was active, the previous published version takes over,
+   *   or the article's commentary is withdrawn
+   * @param {string} versionId - CommentaryVersion _id
+   * @param {'approved'|'rejected'} to
+   * @param {Object} options - { note, context }
+   * @returns {Promise<Object|null>} { version, activated, withdrawn } or null if the version does not exist
+   * @throws {Error} ModerationError for a transition the state machine does not allow
+   */
+  async transition(versionId, to, { note = null, context = {} } = {}) {
+    const current = await CommentaryVersion.findById(versionId).lean();
+    if (!current) return null;
+
+    const from = current.moderationStatus || 'auto_published';
+    if (!(TRANSITIONS[from] || []).includes(to)) {
+      throw moderationError(`Cannot move v${current.version} from ${from} to ${to}`);
+    }
+
+    const version = await CommentaryVersion.findOneAndUpdate(
+      { _id: versionId, moderationStatus: current.moderationStatus ?? null },
+      { $set: { moderationStatus: to, moderatedBy: context.actor || 'system', moderatedAt: new Date(), moderationNote: note } },
+      { new: true }
+    ).lean();
+    if (!version) {
+      throw moderationError(`v${current.version} was moderated by someone else - reload and retry`);
+    }
+
+    let activated = false;
+    let withdrawn = false;
+
+    if (to === 'approved') {
+      activated = await this.publishIfCurrent(version, context);
+    } else if (version.isActive) {
+      withdrawn = await this.withdraw(version, context);
+    }
+
+    await this.syncPendingFlag(version.article, context);
+
+    await auditService.record({
+      action: `commentary.${to === 'approved' ? 'approve' : 'reject'}`,
+      entityType: 'commentary',
+      entityId: version._id,
+      diff: { moderationStatus: { before: from, after: to } },
+      metadata: { article: String(version.article), version: version.version, note, activated, withdrawn }
+    }, context);
+
+    console.log(`🛡️ Commentary v${version.version} for ${version.article}: ${from} → ${to} by ${context.actor || 'system'}`);
+    return { version, activated, withdrawn };
+  }
+
+  approve(versionId, options = {}) {
+    return this.transition(versionId, 'approved', options);
+  }
+
+  reject(versionId, options = {}) {
+    return this.transition(versionId, 'rejected', options);
+  }
+
+  /**
+   * Approve several versions; each one succeeds or fails on its own
+   * @returns {Promise<Array<Object>>} [{ id, success, version, activated, error }]
+   */
+  async approveMany(versionIds, options = {}) {
+    const results = [];
+    for (const id of versionIds.slice(0, MAX_BULK)) {
+      try {
+        const result = await this.approve(id, options);
+        results.push(result
+          ? { id, success: true, article: result.version.article, version: result.version.version, activated: result.activated }
+          : { id, success: false, error: 'Version not found' });
+      } catch (error) {
+        results.push({ id, success: false, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Save a reviewer's edit as a new version (source 'edited'). The edited
+   * version is approved straight away when `approve` is set, otherwise it is
+   * queued for review; a pending original is rejected as superseded.
+   * @param {string} versionId - Version the edit starts from
+   * @param {string} text - New commentary text
+   * @param {Object} options - { approve, note, context }
+   * @returns {Promise<Object|null>} { original, version, activated, quality } or null if the version does not exist
+   */
+  async edit(versionId, text, { approve = false, note = null, context = {} } = {}) {
+    const original = await CommentaryVersion.findById(versionId).lean();
+    if (!original) return null;
+
+    if (original.text.trim() === text.trim()) {
+      const error = new Error('Text is unchanged - approve the version instead');
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    const article = await Article.findById(original.article).select('title abstract').lean();
+    if (!article) return null;
+
+    // Reported to the reviewer, not enforced - the edit is a human decision
+    const quality = validateCommentary(text, { title: article.title, abstract: article.abstract });
+
+    const recorded = await commentaryVersionService.recordVersion(original.article, {
+      text,
+      source: 'edited',
+      generator: 'manual',
+      quality: { ...quality, attempts: 1 },
+      moderationStatus: approve ? 'approved' : 'pending_review'
+    }, { context });
+
+    if (approve) {
+      await CommentaryVersion.updateOne(
+        { _id: recorded.version._id },
+        { $set: { moderatedBy: context.actor || 'system', moderatedAt: new Date(), moderationNote: note } }
+      );
+    }
+
+    if (original.moderationStatus === 'pending_review') {
+      await CommentaryVersion.updateOne(
+        { _id: original._id, moderationStatus: 'pending_review' },
+        {
+          $set: {
+            moderationStatus: 'rejected',
+            moderatedBy: context.actor || 'system',
+            moderatedAt: new Date(),
+            moderationNote: `Edited as v${recorded.version.version}`
+          }
+        }
+      );
+    }
+
+    await this.syncPendingFlag(original.article, context);
+
+    await auditService.record({
+      action: 'commentary.edit',
+      entityType: 'commentary',
+      entityId: recorded.version._id,
+      diff: { text: { before: auditService.truncate(original.text), after: auditService.truncate(text) } },
+      metadata: { article: String(original.article), from: original.version, version: recorded.version.version, approved: approve, note }
+    }, context);
+
+    return {
+      original: { id: original._id, version: original.version },
+      version: { id: recorded.version._id, version: recorded.version.version, moderationStatus: recorded.version.moderationStatus },
+      activated: recorded.activated,
+      quality
+    };
+  }
+
+  /**
+   * Activate an approved version unless the article is pinned or already shows
+   * a newer non-fallback version
+   */
+  async publishIfCurrent(version, context) {
+    const article = await Article.findById(version.article)
+      .select('commentaryPinned commentaryVersion commentarySource')
+      .lean();
+    if (!article || article.commentaryPinned) return false;
+
+    const newerIsLive = article.commentaryVersion > version.version && article.commentarySource !== 'fallback';
+    if (newerIsLive) return false;
+
+    return !!(await commentaryVersionService.activate(version.article, version.version, { context }));
+  }
+
+  /**
+   * A rejected version was live: fall back to the latest other published version,
+   * or withdraw the article's commentary entirely
+   */
+  async withdraw(version, context) {
+    const article = await Article.findById(version.article).select('section').lean();
+    const previous = await CommentaryVersion.findOne({
+      article: version.article,
+      _id: { $ne: version._id },
+      moderationStatus: { $nin: ['pending_review', 'rejected'] }
+    }).sort({ version: -1 }).lean();
+
+    if (previous) {
+      await commentaryVersionService.activate(version.article, previous.version, { context });
+    } else {
+      await CommentaryVersion.updateOne({ _id: version._id }, { $set: { isActive: false } });
+      await updateArticleById(version.article, {
+        aiCommentary: null,
+        commentaryVersion: null,
+        commentarySource: null,
+        commentaryStatus: 'rejected'
+      }, context);
+      await commentaryVersionService.invalidateCache(version.article, article?.section);
+    }
+
+    // Feeds are cached separately from article/section listings
+    const syndicationService = require('../syndicationService');
+    await syndicationService.invalidate(article?.section);
+    return true;
+  }
+
+  /**
+   * Keep Article.commentaryPendingReview in step with the review queue
+   */
+  async syncPendingFlag(articleId, context = {}) {
+    const pending = await CommentaryVersion.exists({ article: articleId, moderationStatus: 'pending_review' });
+    await updateArticleById(articleId, { commentaryPendingReview: !!pending }, context);
+  }
+}
+
+module.exports = new ModerationService();
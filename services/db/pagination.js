@@ -0,0 +1,113 @@
+/**
+ * Cursor pagination for article listings
+ *
+ * Listings sort by (publishedDate desc, _id desc). A cursor is an opaque
+ * base64url token of the last article's sort key, so articles inserted by the
+ * rotation worker never shift pages the way skip/offset does.
+ */
+
+const mongoose = require('mongoose');
+const Article = require('../../models/article');
+
+const SORT = { publishedDate: -1, _id: -1 };
+
+// Fields clients may request via ?fields= (internal clustering fingerprint excluded)
+const ALLOWED_FIELDS = Object.keys(Article.schema.paths)
+  .filter(path => !['__v', 'fingerprint'].includes(path));
+
+// Needed to build the next cursor, so always returned
+const REQUIRED_FIELDS = ['_id', 'publishedDate'];
+
+/**
+ * @param {Object} article - Last article of a page (needs publishedDate and _id)
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (article) => Buffer
+  .from(`${new Date(article.publishedDate).getTime()}:${article._id}`)
+  .toString('base64url');
+
+/**
+ * @param {string} cursor
+ * @returns {{publishedDate: Date, id: ObjectId}|null} null when malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const [time, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split(':');
+    const publishedDate = new Date(parseInt(time));
+    if (!/^\d+$/.test(time) || isNaN(publishedDate.getTime()) || !mongoose.isValidObjectId(id)) return null;
+    return { publishedDate, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parse ?fields=title,url,imageUrl into a projection
+ * @param {string} fields - Comma-separated field names
+ * @returns {{projection: Object|null, fields: string|null, invalid: Array<string>}}
+ *   fields is the normalized (sorted) list, used in cache keys
+ */
+const parseFields = (fields) => {
+  if (!fields) return { projection: null, fields: null, invalid: [] };
+
+  const requested = [...new Set(String(fields).split(',').map(f => f.trim()).filter(Boolean))];
+  const invalid = requested.filter(f => !ALLOWED_FIELDS.includes(f));
+  const selected = [...new Set([...REQUIRED_FIELDS, ...requested.filter(f => ALLOWED_FIELDS.includes(f))])].sort();
+
+  return {
+    projection: Object.fromEntries(selected.map(f => [f, 1])),
+    fields: selected.join(','),
+    invalid
+  };
+};
+
+/**
+ * Cache key for a listing page - offset pages keep the historical
+ * `articles:category:limit:offset` shape, cursor/projection pages extend it
+ */
+const listingCacheKey = (category = 'home', limit = 20, offset = 0, { cursor = null, fields = null } = {}) => {
+  let key = `articles:${category}:${limit}:${cursor ? `cursor:${cursor}` : offset}`;
+  if (fields) key += `:fields:${fields}`;
+  return key;
+};
+
+/**
+ * Fetch one page of articles
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} options - { limit, offset, cursor, projection } (offset ignored when cursor is set)
+ * @returns {Promise<{articles: Array<Object>, nextCursor: string|null}>}
+ */
+const paginate = async (filter, { limit = 20, offset = 0, cursor = null, projection = null } = {}) => {
+  const decoded = cursor ? decodeCursor(cursor) : null;
+  const query = decoded
+    ? {
+      $and: [filter, {
+        $or: [
+          { publishedDate: { $lt: decoded.publishedDate } },
+          { publishedDate: decoded.publishedDate, _id: { $lt: decoded.id } }
+        ]
+      }]
+    }
+    : filter;
+
+  let find = Article.find(query).sort(SORT).limit(limit + 1).lean();
+  if (!decoded && offset > 0) find = find.skip(offset);
+  if (projection) find = find.select(projection);
+
+  const results = await find;
+  const articles = results.slice(0, limit);
+
+  return {
+    articles,
+    nextCursor: results.length > limit ? encodeCursor(articles[articles.length - 1]) : null
+  };
+};
+
+module.exports = {
+  ALLOWED_FIELDS,
+  encodeCursor,
+  decodeCursor,
+  parseFields,
+  listingCacheKey,
+  paginate
+};
@@ -10,6 +10,7 @@
 
 const Article = require('../../models/article');
 const CacheService = require('../cache');
+const { paginate, listingCacheKey } = require('./pagination');
 
 class SectionArticleService {
   constructor() {
@@ -77,6 +78,39 @@ class SectionArticleService {
     }
   }
 
+  /**
+   * Get one page of a section listing (ONLY with commentary), cursor or offset based
+   * @param {string} section - Section name, or 'all' for every section
+   * @param {Object} options - { limit, offset, cursor, projection, fields } from middleware/pagination
+   * @returns {Promise<{articles: Array, nextCursor: string|null}>}
+   */
+  async getArticlesPage(section, { limit = 20, offset = 0, cursor = null, projection = null, fields = null } = {}) {
+    const normalizedSection = section.toLowerCase();
+    const cacheKey = listingCacheKey(normalizedSection, limit, offset, { cursor, fields });
+
+    try {
+      const cached = await CacheService.get(cacheKey);
+      if (cached && Array.isArray(cached.articles)) {
+        return cached;
+      }
+
+      // One article per story cluster (services/db/storyClusterService.js)
+      const query = { aiCommentary: { $exists: true, $nin: [null, ''] }, isClusterCanonical: { $ne: false } };
+      if (normalizedSection !== 'all') query.section = normalizedSection;
+
+      const page = await paginate(query, { limit, offset, cursor, projection });
+
+      if (page.articles.length > 0) {
+        await CacheService.set(cacheKey, page, 1800);
+      }
+
+      return page;
+    } catch (error) {
+      console.error(`❌ Error fetching page for section ${section}:`, error);
+      return { articles: [], nextCursor: null };
+    }
+  }
+
   /**
    * Get count of articles with commentary per section
    * @returns {Promise<Object>} Section counts
@@ -143,6 +177,7 @@ class SectionArticleService {
     try {
       const articles = await Article.find({
         section: section,
+        commentaryPendingReview: { $ne: true }, // already generated, waiting for an editor
         $or: [
           { aiCommentary: { $exists: false } },
           { aiCommentary: null },
@@ -168,11 +203,10 @@ class SectionArticleService {
    */
   async clearSectionCache(section) {
     try {
-      // Clear all pagination caches for this section
-      const keys = await CacheService.keys(`section:${section}:*`);
-      for (const key of keys) {
-        await CacheService.del(key);
-      }
+      // Clear all pagination caches for this section (offset and cursor pages)
+      await CacheService.delPattern(`section:${section}:*`);
+      await CacheService.delPattern(`articles:${section}:*`);
+      await CacheService.delPattern('articles:all:*');
       console.log(`🧹 Cleared cache for section: ${section}`);
     } catch (error) {
       console.error(`❌ Error clearing section cache:`, error);
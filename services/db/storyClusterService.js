@@ -0,0 +1,377 @@
+/**
+ * 🧩 Story Clustering
+ *
+ * Groups near-duplicate articles (the same event covered by NYT, newsdata.io
+ * and RSS outlets) into StoryClusters. Title + abstract are reduced to a
+ * MinHash signature; articles published within the clustering window whose
+ * estimated Jaccard similarity passes the threshold share a cluster.
+ *
+ * Each cluster has one canonical article - the one shown on the homepage and
+ * in feeds - and commentary is generated once per cluster and shared.
+ */
+
+const mongoose = require('mongoose');
+const Article = require('../../models/article');
+const StoryCluster = require('../../models/StoryCluster');
+
+const NUM_HASHES = 64;
+const MIN_TOKENS = 4; // Shorter texts match too easily to cluster reliably
+const SIMILARITY_THRESHOLD = parseFloat(process.env.CLUSTER_SIMILARITY_THRESHOLD) || 0.4;
+const WINDOW_HOURS = parseInt(process.env.CLUSTER_WINDOW_HOURS) || 48;
+const MAX_CANDIDATES = 500;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+  'our', 'out', 'has', 'his', 'how', 'its', 'may', 'new', 'now', 'who', 'did', 'get', 'him', 'she',
+  'too', 'use', 'that', 'with', 'have', 'this', 'will', 'your', 'from', 'they', 'been', 'were',
+  'said', 'says', 'what', 'when', 'where', 'which', 'their', 'there', 'them', 'than', 'then',
+  'into', 'over', 'after', 'about', 'could', 'would', 'should', 'also', 'more', 'most', 'some',
+  'such', 'only', 'other', 'just', 'while', 'amid', 'being', 'here', 'news', 'report', 'reports'
+]);
+
+// Deterministic per-position seeds so signatures stay comparable across restarts
+const SEEDS = (() => {
+  let state = 0x9e3779b9;
+  return Array.from({ length: NUM_HASHES }, () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state;
+  });
+})();
+
+const fnv1a = (str) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+// murmur3 finalizer - cheap independent hash per seed
+const mix = (hash, seed) => {
+  let x = (hash ^ seed) >>> 0;
+  x ^= x >>> 16;
+  x = Math.imul(x, 0x85ebca6b);
+  x ^= x >>> 13;
+  x = Math.imul(x, 0xc2b2ae35);
+  x ^= x >>> 16;
+  return x >>> 0;
+};
+
+const hasCommentary = (article) => !!(article && article.aiCommentary && article.aiCommentary.trim());
+
+const toCoverageLink = (article) => ({
+  id: article._id.toString(),
+  title: article.title,
+  url: article.url,
+  source: article.source,
+  publishedDate: article.publishedDate
+});
+
+class StoryClusterService {
+  /**
+   * Normalize text into a set of word shingles (stopwords removed, light stemming)
+   * @param {string} text
+   * @returns {Set<string>}
+   */
+  tokenize(text) {
+    const words = (text || '')
+      .toLowerCase()
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 2 && !STOPWORDS.has(word))
+      .map(word => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word));
+
+    return new Set(words);
+  }
+
+  /**
+   * MinHash signature of an article's title + abstract
+   * @param {Object} article - { title, abstract }
+   * @returns {Array<number>} Signature, or [] when the text is too short
+   */
+  fingerprint(article) {
+    const tokens = this.tokenize(`${article.title || ''} ${article.abstract || ''}`);
+    if (tokens.size < MIN_TOKENS) return [];
+
+    const signature = new Array(NUM_HASHES).fill(0xffffffff);
+    for (const token of tokens) {
+      const base = fnv1a(token);
+      for (let i = 0; i < NUM_HASHES; i++) {
+        const value = mix(base, SEEDS[i]);
+        if (value < signature[i]) signature[i] = value;
+      }
+    }
+    return signature;
+  }
+
+  /**
+   * Estimated Jaccard similarity of two signatures (0-1)
+   */
+  similarity(a, b) {
+    if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) equal++;
+    }
+    return equal / a.length;
+  }
+
+  /**
+   * Find the most similar fingerprinted article published within the clustering window
+   * @param {Array<number>} signature
+   * @param {Object} options - { excludeId, publishedDate }
+   * @returns {Promise<{article: Object, similarity: number}|null>}
+   */
+  async findMatch(signature, { excludeId = null, publishedDate = null } = {}) {
+    const around = publishedDate ? new Date(publishedDate) : new Date();
+    const windowMs = WINDOW_HOURS * 60 * 60 * 1000;
+
+    const query = {
+      'fingerprint.0': { $exists: true },
+      publishedDate: {
+        $gte: new Date(around.getTime() - windowMs),
+        $lte: new Date(around.getTime() + windowMs)
+      }
+    };
+    if (excludeId && mongoose.isValidObjectId(excludeId)) query._id = { $ne: excludeId };
+
+    const candidates = await Article.find(query)
+      .select('+fingerprint title clusterId aiCommentary')
+      .sort({ publishedDate: -1 })
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    let best = null;
+    for (const candidate of candidates) {
+      const score = this.similarity(signature, candidate.fingerprint);
+      if (score >= SIMILARITY_THRESHOLD && (!best || score > best.similarity)) {
+        best = { article: candidate, similarity: score };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Fingerprint a saved article and join it to a matching cluster (creating one if needed).
+   * Never throws - clustering must not break ingestion.
+   * @param {Object} article - Saved article (needs _id, title, abstract, publishedDate)
+   * @returns {Promise<Object|null>} The article's cluster, or null when it has no near-duplicates
+   */
+  async assignArticle(article) {
+    try {
+      if (!article || !article._id) return null;
+      if (article.clusterId) return StoryCluster.findById(article.clusterId).lean();
+
+      const signature = this.fingerprint(article);
+      const match = signature.length > 0
+        ? await this.findMatch(signature, { excludeId: article._id, publishedDate: article.publishedDate })
+        : null;
+
+      if (!match) {
+        // Store the (possibly empty) fingerprint so the backfill does not revisit it
+        await Article.updateOne({ _id: article._id }, { fingerprint: signature });
+        return null;
+      }
+
+      let clusterId = match.article.clusterId;
+      if (!clusterId || !(await StoryCluster.exists({ _id: clusterId }))) {
+        const cluster = await StoryCluster.create({
+          canonicalArticle: match.article._id,
+          articles: [match.article._id]
+        });
+        clusterId = cluster._id;
+        await Article.updateOne({ _id: match.article._id }, { clusterId });
+      }
+
+      await Article.updateOne({ _id: article._id }, { fingerprint: signature, clusterId });
+      const cluster = await this.refreshCluster(clusterId);
+
+      console.log(`🧩 Clustered "${(article.title || '').substring(0, 40)}..." with "${(match.article.title || '').substring(0, 40)}..." (similarity ${match.similarity.toFixed(2)}, ${cluster ? cluster.articles.length : 0} articles)`);
+
+      return cluster;
+    } catch (error) {
+      console.error('❌ Story clustering failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Pick the canonical article: has commentary, then richest abstract, then earliest published
+   * @param {Array<Object>} members - Cluster member articles
+   */
+  chooseCanonical(members) {
+    return [...members].sort((a, b) =>
+      (hasCommentary(b) - hasCommentary(a)) ||
+      ((b.abstract || '').length - (a.abstract || '').length) ||
+      (new Date(a.publishedDate) - new Date(b.publishedDate))
+    )[0];
+  }
+
+  /**
+   * Recompute a cluster's members, sources and canonical article
+   * @param {string|ObjectId} clusterId
+   * @returns {Promise<Object|null>} Updated cluster, or null if it has no members left
+   */
+  async refreshCluster(clusterId) {
+    const members = await Article.find({ clusterId })
+      .select('title abstract source section publishedDate aiCommentary')
+      .lean();
+
+    if (members.length === 0) {
+      await StoryCluster.deleteOne({ _id: clusterId });
+      return null;
+    }
+
+    const canonical = this.chooseCanonical(members);
+
+    await Article.updateMany({ clusterId, _id: { $ne: canonical._id } }, { isClusterCanonical: false });
+    await Article.updateOne({ _id: canonical._id }, { isClusterCanonical: true });
+
+    return StoryCluster.findByIdAndUpdate(clusterId, {
+      canonicalArticle: canonical._id,
+      articles: members.map(m => m._id),
+      sources: [...new Set(members.map(m => m.source).filter(Boolean))],
+      title: canonical.title,
+      section: canonical.section,
+      lastArticleAt: new Date(Math.max(...members.map(m => new Date(m.publishedDate).getTime() || 0)))
+    }, { new: true }).lean();
+  }
+
+  /**
+   * Commentary already generated for the same story, so it can be reused instead of calling Groq.
+   * Works for saved articles (via clusterId) and unsaved ones (via fingerprint match).
+   * @param {Object} article - { _id?, clusterId?, title, abstract, publishedDate }
+   * @returns {Promise<{commentary: string, articleId: ObjectId}|null>}
+   */
+  async findSharedCommentary(article) {
+    try {
+      let clusterId = article.clusterId;
+
+      if (!clusterId) {
+        const signature = this.fingerprint(article);
+        if (signature.length === 0) return null;
+
+        const match = await this.findMatch(signature, { excludeId: article._id, publishedDate: article.publishedDate });
+        if (!match) return null;
+        if (hasCommentary(match.article)) {
+          return { commentary: match.article.aiCommentary, articleId: match.article._id };
+        }
+        clusterId = match.article.clusterId;
+        if (!clusterId) return null;
+      }
+
+      const query = { clusterId, aiCommentary: { $exists: true, $nin: [null, ''] } };
+      if (article._id && mongoose.isValidObjectId(article._id)) query._id = { $ne: article._id };
+
+      const sibling = await Article.findOne(query).select('aiCommentary').lean();
+      return sibling ? { commentary: sibling.aiCommentary, articleId: sibling._id } : null;
+    } catch (error) {
+      console.error('❌ Cluster commentary lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Other outlets covering the same story
+   * @param {Object} article - Article (clusterId is looked up when missing)
+   * @returns {Promise<Array<Object>>} [{ id, title, url, source, publishedDate }]
+   */
+  async getAlsoCoveredBy(article) {
+    try {
+      let clusterId = article.clusterId;
+      if (!clusterId && mongoose.isValidObjectId(article._id)) {
+        const doc = await Article.findById(article._id).select('clusterId').lean();
+        clusterId = doc && doc.clusterId;
+      }
+      if (!clusterId) return [];
+
+      const members = await Article.find({ clusterId, _id: { $ne: article._id } })
+        .select('title url source publishedDate')
+        .sort({ publishedDate: 1 })
+        .lean();
+
+      return members.map(toCoverageLink);
+    } catch (error) {
+      console.error('❌ Also-covered-by lookup failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Keep the first article per cluster (list order is preserved) and attach alsoCoveredBy links
+   * @param {Array<Object>} articles - Articles with _id or id
+   * @returns {Promise<Array<Object>>}
+   */
+  async dedupe(articles) {
+    try {
+      const idOf = (article) => String(article._id || article.id || '');
+      const ids = articles.map(idOf).filter(id => mongoose.isValidObjectId(id));
+      if (ids.length === 0) return articles;
+
+      const docs = await Article.find({ _id: { $in: ids }, clusterId: { $ne: null } })
+        .select('clusterId')
+        .lean();
+      if (docs.length === 0) return articles;
+
+      const clusterOf = new Map(docs.map(doc => [doc._id.toString(), doc.clusterId.toString()]));
+      const members = await Article.find({ clusterId: { $in: [...new Set(clusterOf.values())] } })
+        .select('title url source publishedDate clusterId')
+        .sort({ publishedDate: 1 })
+        .lean();
+
+      const seen = new Set();
+      const result = [];
+      for (const article of articles) {
+        const id = idOf(article);
+        const clusterId = clusterOf.get(id);
+        if (!clusterId) {
+          result.push(article);
+          continue;
+        }
+        if (seen.has(clusterId)) continue;
+        seen.add(clusterId);
+
+        result.push({
+          ...article,
+          alsoCoveredBy: members
+            .filter(m => m.clusterId.toString() === clusterId && m._id.toString() !== id)
+            .map(toCoverageLink)
+        });
+      }
+      return result;
+    } catch (error) {
+      console.error('❌ Cluster dedupe failed:', error.message);
+      return articles;
+    }
+  }
+
+  /**
+   * Backfill: cluster recent articles saved by paths that do not cluster on write
+   * @param {Object} options - { hours, limit }
+   * @returns {Promise<{processed: number, clustered: number}>}
+   */
+  async clusterUnassigned({ hours = WINDOW_HOURS, limit = 100 } = {}) {
+    const articles = await Article.find({
+      fingerprint: { $exists: false },
+      publishedDate: { $gte: new Date(Date.now() - hours * 60 * 60 * 1000) }
+    })
+      .select('title abstract publishedDate clusterId')
+      .sort({ publishedDate: 1 })
+      .limit(limit)
+      .lean();
+
+    let clustered = 0;
+    for (const article of articles) {
+      if (await this.assignArticle(article)) clustered++;
+    }
+
+    if (articles.length > 0) {
+      console.log(`🧩 Fingerprinted ${articles.length} article(s), ${clustered} joined a cluster`);
+    }
+    return { processed: articles.length, clustered };
+  }
+}
+
+module.exports = new StoryClusterService();
@@ -0,0 +1,195 @@
+/**
+ * 📭 Bounce Service
+ *
+ * Records bounces and spam complaints (EmailBounce) from every source - the
+ * webhook (SES via SNS, or a generic JSON format), bounce mail parsed as DSNs,
+ * and SMTP rejections at send time - and keeps the list clean:
+ * - a hard bounce or a complaint deactivates the subscriber at once and
+ *   suppresses the address (the outbound queue won't send to it)
+ * - SOFT_BOUNCE_LIMIT soft bounces within BOUNCE_WINDOW_DAYS do the same
+ * Suppression is lifted when the address subscribes again.
+ */
+
+const EmailBounce = require('../../models/EmailBounce');
+const OutboundEmail = require('../../models/OutboundEmail');
+const Subscriber = require('../../models/Subscriber');
+const AllUsers = require('../../models/AllUsers');
+const auditService = require('../auditService');
+const dsnParser = require('./dsnParser');
+const { SOFT_BOUNCE_LIMIT, BOUNCE_WINDOW_DAYS } = require('../../config/emailTransport');
+
+const DEACTIVATION_REASONS = {
+  hard: 'hard_bounce',
+  complaint: 'complaint',
+  soft: 'soft_bounce_limit'
+};
+
+class BounceService {
+  /**
+   * Record one bounce or complaint and deactivate the subscriber when it calls for it
+   * @param {Object} event - { email, type: bounce|complaint, permanent, status, diagnosticCode, feedbackType,
+   *   messageId, providerMessageId, outboundEmailId }
+   * @param {Object} options - { source: webhook|ses|dsn|smtp, context: audit context }
+   * @returns {Promise<Object>} { bounce, deactivated }
+   */
+  async record(event, { source, context = auditService.workerContext('email-bounces') } = {}) {
+    const email = String(event.email || '').toLowerCase().trim();
+    if (!email) throw new Error('Bounce has no email address');
+
+    const outbound = event.outboundEmailId
+      ? await OutboundEmail.findById(event.outboundEmailId).select('subscriber messageId').lean()
+      : await this.findOutbound(event.messageId, event.providerMessageId);
+    const subscriber = outbound?.subscriber
+      ? { _id: outbound.subscriber }
+      : await Subscriber.findOne({ email }).select('_id').lean();
+
+    const hard = event.type === 'bounce' && Boolean(event.permanent);
+    let reason = event.type === 'complaint' ? DEACTIVATION_REASONS.complaint : (hard ? DEACTIVATION_REASONS.hard : null);
+
+    if (!reason && event.type === 'bounce') {
+      const since = new Date(Date.now() - BOUNCE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+      const recent = await EmailBounce.countDocuments({ email, type: 'bounce', createdAt: { $gte: since } });
+      // This one makes recent + 1
+      if (recent + 1 >= SOFT_BOUNCE_LIMIT) reason = DEACTIVATION_REASONS.soft;
+    }
+
+    const bounce = await EmailBounce.create({
+      email,
+      type: event.type,
+      permanent: hard,
+      status: event.status || null,
+      diagnosticCode: event.diagnosticCode ? String(event.diagnosticCode).substring(0, 1000) : null,
+      feedbackType: event.feedbackType || null,
+      source,
+      messageId: event.messageId || outbound?.messageId || null,
+      outboundEmail: outbound?._id || event.outboundEmailId || null,
+      subscriber: subscriber?._id || null,
+      suppressed: Boolean(reason)
+    });
+
+    console.log(`📭 ${hard ? 'Hard bounce' : event.type === 'complaint' ? 'Complaint' : 'Soft bounce'} for ${email} (${source}${event.status ? `, ${event.status}` : ''})`);
+
+    const deactivated = reason ? await this.deactivate(email, reason, context) : false;
+    return { bounce, deactivated };
+  }
+
+  /**
+   * Deactivate an address's subscription (kept, unlike an unsubscribe, so the reason is on record)
+   * @returns {Promise<boolean>} Whether an active subscriber was deactivated
+   */
+  async deactivate(email, reason, context) {
+    const before = await Subscriber.findOneAndUpdate(
+      { email, isActive: true },
+      { $set: { isActive: false, deactivatedReason: reason, deactivatedAt: new Date() } }
+    );
+    if (!before) return false;
+
+    await AllUsers.updateOne(
+      { email },
+      {
+        isCurrentlySubscribed: false,
+        lastUnsubscribeAt: new Date(),
+        $push: { subscriptionHistory: { action: 'deactivate', reason, timestamp: new Date() } }
+      }
+    ).catch(error => console.warn(`⚠️ Failed to update AllUsers for ${email}:`, error.message));
+
+    await auditService.record({
+      action: 'subscriber.deactivate',
+      entityType: 'subscriber',
+      entityId: email,
+      before: auditService.snapshotSubscriber(before),
+      after: { ...auditService.snapshotSubscriber(before), isActive: false },
+      metadata: { reason }
+    }, context);
+
+    console.log(`🚫 Deactivated subscriber ${email} (${reason})`);
+    return true;
+  }
+
+  /**
+   * Whether nothing should be sent to the address. Confirmation emails still go to a
+   * bounced address - confirming is what lifts the suppression - but never after a complaint
+   * @param {string} email
+   * @param {Object} options - { category: the outbound email's category }
+   */
+  async isSuppressed(email, { category } = {}) {
+    return Boolean(await EmailBounce.exists({
+      email: String(email || '').toLowerCase(),
+      suppressed: true,
+      ...(category === 'confirmation' ? { type: 'complaint' } : {})
+    }));
+  }
+
+  /**
+   * Lift suppression (the owner of the address confirmed a new subscription)
+   */
+  async clearSuppression(email) {
+    await EmailBounce.updateMany({ email: String(email || '').toLowerCase(), suppressed: true }, { $set: { suppressed: false } });
+  }
+
+  /**
+   * Record every recipient in a bounce / complaint email
+   * @param {string} raw - The full message
+   * @returns {Promise<Array<Object>>} record() results
+   */
+  async processBounceMail(raw, options = {}) {
+    const results = [];
+    for (const event of dsnParser.parse(raw)) {
+      results.push(await this.record(event, { ...options, source: 'dsn' }));
+    }
+    return results;
+  }
+
+  /**
+   * Turn an SES bounce / complaint notification (the SNS Message, or an SES event) into events
+   * @returns {Array<Object>} Events for record()
+   */
+  sesEvents(notification) {
+    const kind = notification?.notificationType || notification?.eventType;
+    const messageId = notification?.mail?.commonHeaders?.messageId
+      || notification?.mail?.headers?.find(header => header.name?.toLowerCase() === 'message-id')?.value
+      || null;
+    const providerMessageId = notification?.mail?.messageId || null;
+
+    if (kind === 'Bounce') {
+      const { bounceType, bouncedRecipients = [] } = notification.bounce || {};
+      return bouncedRecipients.map(recipient => ({
+        email: recipient.emailAddress,
+        type: 'bounce',
+        permanent: bounceType === 'Permanent',
+        status: recipient.status || null,
+        diagnosticCode: recipient.diagnosticCode || null,
+        messageId,
+        providerMessageId
+      }));
+    }
+    if (kind === 'Complaint') {
+      const { complainedRecipients = [], complaintFeedbackType } = notification.complaint || {};
+      return complainedRecipients.map(recipient => ({
+        email: recipient.emailAddress,
+        type: 'complaint',
+        feedbackType: complaintFeedbackType || null,
+        messageId,
+        providerMessageId
+      }));
+    }
+    return [];
+  }
+
+  /**
+   * The queued message a bounce refers to, by our Message-ID or the transport's id
+   */
+  async findOutbound(messageId, providerMessageId = null) {
+    const filters = [
+      ...(messageId ? [{ messageId }] : []),
+      ...(providerMessageId ? [{ providerMessageId }] : [])
+    ];
+    if (filters.length === 0) return null;
+    return OutboundEmail.findOne({ $or: filters }).select('subscriber messageId').lean();
+  }
+}
+
+const bounceService = new BounceService();
+bounceService.DEACTIVATION_REASONS = DEACTIVATION_REASONS;
+
+module.exports = bounceService;
@@ -0,0 +1,113 @@
+/**
+ * Bounce mail parser
+ *
+ * Reads the raw text of a delivery status notification (RFC 3464) or a spam
+ * complaint in Abuse Reporting Format (RFC 5965), as found in the bounce
+ * mailbox, and returns one entry per affected recipient.
+ */
+
+const { enhancedStatusOf, isHardBounce } = require('./emailError');
+
+/**
+ * Header-style fields ("Name: value", continuation lines folded in)
+ */
+const fieldsOf = (text) => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const fields = [];
+  for (const line of lines) {
+    if (/^[ \t]/.test(line) && fields.length > 0) {
+      fields[fields.length - 1].value += ` ${line.trim()}`;
+      continue;
+    }
+    const match = line.match(/^([A-Za-z][A-Za-z0-9-]*):\s*(.*)$/);
+    fields.push(match ? { name: match[1].toLowerCase(), value: match[2].trim() } : { name: null, value: line });
+  }
+  return fields;
+};
+
+// "rfc822; user@example.com" → "user@example.com"
+const addressOf = (value) => {
+  const match = String(value || '').match(/([^\s;<>"]+@[^\s;<>"]+)/);
+  return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * The original message's Message-ID: Original-Message-ID, else the last
+ * Message-ID header (the bounce's own comes first, the returned headers after)
+ */
+const originalMessageIdOf = (fields) => {
+  const original = fields.find(field => field.name === 'original-message-id');
+  if (original) return original.value;
+  const ids = fields.filter(field => field.name === 'message-id');
+  return ids.length > 1 ? ids[ids.length - 1].value : null;
+};
+
+/**
+ * To: of the returned original message (the message/rfc822 or text/rfc822-headers
+ * part) - never the report's own To:, which is the abuse desk's mailbox
+ */
+const originalToOf = (fields) => {
+  const part = fields.findIndex(field => field.name === 'content-type' && /^(message\/rfc822|text\/rfc822-headers)\b/i.test(field.value));
+  return part >= 0 ? fields.slice(part + 1).find(field => field.name === 'to') : null;
+};
+
+/**
+ * @param {string} raw - Full bounce message (headers and body)
+ * @returns {Array<Object>} [{ email, type: bounce|complaint, permanent, status, diagnosticCode, feedbackType, messageId }]
+ *   (empty when the message is neither a failure DSN nor a complaint)
+ */
+const parse = (raw) => {
+  const fields = fieldsOf(String(raw || ''));
+  const messageId = originalMessageIdOf(fields);
+
+  // Complaint (ARF): Feedback-Type plus the complaining recipient
+  const feedback = fields.find(field => field.name === 'feedback-type');
+  if (feedback) {
+    const recipient = fields.find(field => field.name === 'original-rcpt-to') || originalToOf(fields);
+    const email = addressOf(recipient?.value);
+    return email ? [{
+      email,
+      type: 'complaint',
+      permanent: false,
+      status: null,
+      diagnosticCode: null,
+      feedbackType: feedback.value.toLowerCase(),
+      messageId
+    }] : [];
+  }
+
+  // DSN: one group of fields per recipient, starting at Final-Recipient
+  const recipients = [];
+  let current = null;
+  for (const field of fields) {
+    if (field.name === 'final-recipient') {
+      current = { email: addressOf(field.value), action: null, status: null, diagnosticCode: null };
+      recipients.push(current);
+      continue;
+    }
+    if (!current) continue;
+    if (field.name === 'action') current.action = field.value.toLowerCase();
+    if (field.name === 'status') current.status = enhancedStatusOf(field.value);
+    if (field.name === 'diagnostic-code') current.diagnosticCode = field.value.replace(/^smtp;\s*/i, '');
+  }
+
+  return recipients
+    // "delayed" / "delivered" / "relayed" reports are not bounces
+    .filter(recipient => recipient.email && recipient.action === 'failed')
+    .map(recipient => {
+      const status = recipient.status || enhancedStatusOf(recipient.diagnosticCode);
+      return {
+        email: recipient.email,
+        type: 'bounce',
+        permanent: Boolean(status?.startsWith('5')) && isHardBounce(null, status),
+        status,
+        diagnosticCode: recipient.diagnosticCode,
+        feedbackType: null,
+        messageId
+      };
+    });
+};
+
+module.exports = {
+  parse
+};
@@ -0,0 +1,46 @@
+/**
+ * Email transport errors
+ *
+ * permanent tells the outbound queue not to retry: the receiving side refused
+ * the message for good (SMTP 5xx, an invalid address, a rejected sender).
+ * Everything else - timeouts, 4xx, throttling, 5xx from an HTTP API - is retried.
+ * bounce marks a permanent failure caused by the recipient's address, which
+ * counts as a hard bounce.
+ */
+
+// Enhanced status codes (RFC 3463) that mean the address itself is bad
+const HARD_BOUNCE_STATUSES = ['5.1.1', '5.1.2', '5.1.3', '5.1.10', '5.2.1', '5.4.1'];
+
+const emailError = (message, { permanent = false, bounce = false, code = null, responseCode = null, transport = null } = {}) => {
+  const error = new Error(message);
+  error.name = 'EmailError';
+  error.permanent = permanent;
+  error.bounce = bounce;
+  error.code = code;
+  error.responseCode = responseCode;
+  error.transport = transport;
+  return error;
+};
+
+/**
+ * Enhanced status code (e.g. "5.1.1") in an SMTP reply or DSN diagnostic
+ */
+const enhancedStatusOf = (text) => {
+  const match = String(text || '').match(/\b([245]\.\d{1,3}\.\d{1,3})\b/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Whether an SMTP reply rejects the recipient's address for good
+ */
+const isHardBounce = (responseCode, text) => {
+  const status = enhancedStatusOf(text);
+  if (status) return HARD_BOUNCE_STATUSES.includes(status);
+  return responseCode === 550 || responseCode === 551 || responseCode === 553;
+};
+
+module.exports = {
+  emailError,
+  enhancedStatusOf,
+  isHardBounce
+};
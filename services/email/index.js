@@ -0,0 +1,84 @@
+/**
+ * ✉️ Email Client
+ *
+ * One send() over the configured transport (config/emailTransport.js):
+ * SMTP (relays, Gmail, Mailpit), the SES v2 HTTP API, or a JSON file sink.
+ * Callers normally go through the outbound queue (./outboundQueue), which
+ * adds rate limiting, retries and idempotency on top of this.
+ */
+
+const crypto = require('crypto');
+const { TRANSPORTS, TRANSPORT, EMAIL_FROM } = require('../../config/emailTransport');
+const SmtpTransport = require('./transports/smtp');
+const SesTransport = require('./transports/ses');
+const FileTransport = require('./transports/file');
+
+const MESSAGE_ID_DOMAIN = 'forexyy.com';
+
+const createTransport = (name, config) => {
+  switch (config.type) {
+    case 'smtp':
+      return new SmtpTransport(name, config);
+    case 'ses':
+      return new SesTransport(name, config);
+    case 'file':
+      return new FileTransport(name, config);
+    default:
+      throw new Error(`Unknown email transport type: ${config.type}`);
+  }
+};
+
+class EmailClient {
+  constructor() {
+    const name = TRANSPORTS[TRANSPORT] ? TRANSPORT : 'file';
+    this.transport = createTransport(name, TRANSPORTS[name]);
+    this.from = EMAIL_FROM;
+
+    if (!this.transport.isConfigured()) {
+      console.error(`❌ Email transport "${name}" is not configured - see config/emailTransport.js`);
+    } else if (name === 'file') {
+      console.log(`📁 Email transport: file (${this.transport.dir}) - nothing is actually sent`);
+    }
+    if (!this.from) {
+      console.warn('⚠️ EMAIL_FROM not set - outgoing email has no sender');
+    }
+  }
+
+  /**
+   * A Message-ID for a new message (kept with it, so bounces can be matched back)
+   */
+  newMessageId() {
+    return `<${Date.now()}.${crypto.randomBytes(8).toString('hex')}@${MESSAGE_ID_DOMAIN}>`;
+  }
+
+  /**
+   * Send one message now (no queue, no retries)
+   * @param {Object} message - { to, subject, html, text?, headers?, messageId?, from? }
+   * @returns {Promise<Object>} { transport, messageId, providerMessageId, response }
+   * @throws {Error} EmailError (permanent / bounce flags, see ./emailError)
+   */
+  async send(message) {
+    if (!this.transport.isConfigured()) {
+      throw new Error(`Email transport "${this.transport.name}" is not configured`);
+    }
+
+    const from = message.from || this.from;
+    if (!from) {
+      throw new Error('No sender - set EMAIL_FROM');
+    }
+
+    const messageId = message.messageId || this.newMessageId();
+    const result = await this.transport.send({ ...message, from, messageId });
+    return { transport: this.transport.name, messageId, ...result };
+  }
+
+  async verify() {
+    return this.transport.verify();
+  }
+
+  describe() {
+    return { ...this.transport.describe(), from: this.from };
+  }
+}
+
+module.exports = new EmailClient();
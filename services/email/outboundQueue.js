@@ -0,0 +1,302 @@
+/**
+ * 📤 Outbound Email Queue
+ *
+ * Every email goes out through here (OutboundEmail in MongoDB - the newsletter
+ * runs on Vercel, where BullMQ workers are disabled):
+ * - idempotency: enqueueing a key that already exists returns the existing message
+ *   instead of sending it again (e.g. one newsletter per subscriber per run)
+ * - rate limiting: sends from this instance are spaced to QUEUE.ratePerSecond
+ * - retries: temporary failures are retried with exponential backoff, up to
+ *   QUEUE.maxAttempts, by later drain() calls (the newsletter run, the admin
+ *   endpoint, or EMAIL_OUTBOX_POLL_MS on a long-running server)
+ * - suppression: addresses with a hard bounce or complaint are never sent to (checked
+ *   again before every attempt), and recipients the SMTP server rejects outright
+ *   count as hard bounces
+ */
+
+const crypto = require('crypto');
+const OutboundEmail = require('../../models/OutboundEmail');
+const Subscriber = require('../../models/Subscriber');
+const NewsletterHistory = require('../../models/NewsletterHistory');
+const emailClient = require('./index');
+const bounceService = require('./bounceService');
+const { QUEUE } = require('../../config/emailTransport');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class OutboundQueue {
+  constructor() {
+    this.nextSlotAt = 0;
+    this.draining = false;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Add a message to the queue (no-op when its idempotency key is already there)
+   * @param {Object} message - { to, subject, html, text?, headers?, messageId?, idempotencyKey?, category?,
+   *   subscriber?, newsletterId?, history? }
+   * @returns {Promise<Object>} { email: OutboundEmail, duplicate }
+   */
+  async enqueue(message) {
+    if (!message?.to || !message.subject) {
+      throw new Error('An email needs a recipient and a subject');
+    }
+
+    const suppressed = await bounceService.isSuppressed(message.to, { category: message.category });
+    const idempotencyKey = message.idempotencyKey || `${message.category || 'transactional'}:${crypto.randomUUID()}`;
+
+    const result = await OutboundEmail.findOneAndUpdate(
+      { idempotencyKey },
+      {
+        $setOnInsert: {
+          idempotencyKey,
+          category: message.category || 'transactional',
+          to: message.to,
+          from: message.from || emailClient.from,
+          subject: message.subject,
+          html: message.html,
+          text: message.text,
+          headers: message.headers || {},
+          messageId: message.messageId || emailClient.newMessageId(),
+          status: suppressed ? 'suppressed' : 'queued',
+          lastError: suppressed ? 'Address suppressed after a bounce or complaint' : null,
+          maxAttempts: QUEUE.maxAttempts,
+          nextAttemptAt: new Date(),
+          subscriber: message.subscriber || null,
+          newsletterId: message.newsletterId || null,
+          history: message.history || null
+        }
+      },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+
+    const duplicate = Boolean(result.lastErrorObject?.updatedExisting);
+    if (duplicate) {
+      console.log(`♻️ Email ${idempotencyKey} already queued (${result.value.status}) - not sending again`);
+    } else if (suppressed) {
+      console.log(`🚫 Not sending to suppressed address ${message.to}`);
+    }
+    return { email: result.value, duplicate };
+  }
+
+  /**
+   * enqueue() and make the first attempt right away
+   * @returns {Promise<Object>} { email, duplicate } - email.status is sent, queued (retry later), failed or suppressed
+   */
+  async send(message) {
+    const { email, duplicate } = await this.enqueue(message);
+    if (duplicate || email.status !== 'queued') return { email, duplicate };
+    return { email: await this.deliver(email._id, { ignoreSchedule: true }), duplicate };
+  }
+
+  /**
+   * Attempt one queued message (claimed first, so concurrent senders never both send it)
+   * @param {ObjectId|string} id
+   * @param {Object} options - { ignoreSchedule: don't wait for nextAttemptAt }
+   * @returns {Promise<Object|null>} The message after the attempt (unchanged if someone else has it)
+   */
+  async deliver(id, { ignoreSchedule = false } = {}) {
+    const now = new Date();
+    const email = await OutboundEmail.findOneAndUpdate(
+      {
+        _id: id,
+        status: 'queued',
+        ...(ignoreSchedule ? {} : { nextAttemptAt: { $lte: now } })
+      },
+      { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + QUEUE.lockMs) }, $inc: { attempts: 1 } },
+      { new: true }
+    ).lean();
+    if (!email) return OutboundEmail.findById(id).lean();
+
+    // A bounce or complaint may have come in since it was queued
+    if (await bounceService.isSuppressed(email.to, { category: email.category })) {
+      console.log(`🚫 Not sending to suppressed address ${email.to}`);
+      const suppressed = await OutboundEmail.findByIdAndUpdate(email._id, {
+        $set: { status: 'suppressed', lockedUntil: null, lastError: 'Address suppressed after a bounce or complaint' }
+      }, { new: true }).lean();
+      await this.settleNewsletter(suppressed);
+      return suppressed;
+    }
+
+    await this.waitForSlot();
+
+    try {
+      const result = await emailClient.send({
+        from: email.from,
+        to: email.to,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+        headers: email.headers,
+        messageId: email.messageId
+      });
+
+      const sent = await OutboundEmail.findByIdAndUpdate(email._id, {
+        $set: {
+          status: 'sent',
+          sentAt: new Date(),
+          transport: result.transport,
+          providerMessageId: result.providerMessageId || null,
+          lockedUntil: null,
+          lastError: null
+        }
+      }, { new: true }).lean();
+
+      await this.settleNewsletter(sent);
+      return sent;
+    } catch (error) {
+      const giveUp = error.permanent || email.attempts >= email.maxAttempts;
+      const retryInMs = QUEUE.retryBaseMs * Math.pow(2, email.attempts - 1);
+
+      console.error(`❌ Email to ${email.to} failed (attempt ${email.attempts}/${email.maxAttempts}${giveUp ? ', giving up' : `, retry in ${Math.round(retryInMs / 1000)}s`}):`, error.message);
+
+      const failed = await OutboundEmail.findByIdAndUpdate(email._id, {
+        $set: {
+          status: giveUp ? 'failed' : 'queued',
+          nextAttemptAt: giveUp ? email.nextAttemptAt : new Date(Date.now() + retryInMs),
+          lockedUntil: null,
+          lastError: error.message.substring(0, 1000),
+          transport: error.transport || email.transport
+        }
+      }, { new: true }).lean();
+
+      if (error.bounce) {
+        await bounceService.record({
+          email: email.to,
+          type: 'bounce',
+          permanent: true,
+          diagnosticCode: error.message,
+          messageId: email.messageId,
+          outboundEmailId: email._id
+        }, { source: 'smtp' }).catch(err => console.error('❌ Failed to record SMTP bounce:', err.message));
+      }
+
+      if (giveUp) await this.settleNewsletter(failed);
+      return failed;
+    }
+  }
+
+  /**
+   * Send every message that is due, respecting the rate limit
+   * @param {Object} options - { limit, timeBudgetMs: stop starting new sends after this long }
+   * @returns {Promise<Object>} { attempted, sent, retrying, failed, suppressed, released }
+   */
+  async drain({ limit = 200, timeBudgetMs = 50 * 1000 } = {}) {
+    const stats = { attempted: 0, sent: 0, retrying: 0, failed: 0, suppressed: 0, released: 0 };
+    if (this.draining) return { ...stats, skipped: 'already draining' };
+
+    this.draining = true;
+    const startedAt = Date.now();
+    try {
+      // Messages claimed by a sender that died mid-send go back in the queue
+      const released = await OutboundEmail.updateMany(
+        { status: 'sending', lockedUntil: { $lt: new Date() } },
+        { $set: { status: 'queued', lockedUntil: null } }
+      );
+      stats.released = released.modifiedCount || 0;
+
+      const due = await OutboundEmail.find({ status: 'queued', nextAttemptAt: { $lte: new Date() } })
+        .select('_id')
+        .sort({ nextAttemptAt: 1 })
+        .limit(limit)
+        .lean();
+
+      for (const { _id } of due) {
+        if (Date.now() - startedAt > timeBudgetMs) break;
+        const result = await this.deliver(_id);
+        if (!result) continue;
+        stats.attempted++;
+        if (result.status === 'sent') stats.sent++;
+        else if (result.status === 'queued') stats.retrying++;
+        else if (result.status === 'failed') stats.failed++;
+        else if (result.status === 'suppressed') stats.suppressed++;
+      }
+
+      if (stats.attempted > 0) {
+        console.log(`📤 Outbox drained: ${stats.sent} sent, ${stats.retrying} to retry, ${stats.failed} failed`);
+      }
+      return stats;
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Drain every intervalMs (long-running servers only)
+   */
+  startPolling(intervalMs) {
+    if (this.pollTimer || !intervalMs) return;
+    this.pollTimer = setInterval(() => {
+      this.drain().catch(error => console.error('❌ Outbox drain failed:', error.message));
+    }, intervalMs);
+    this.pollTimer.unref?.();
+    console.log(`📤 Outbox polling every ${Math.round(intervalMs / 1000)}s`);
+  }
+
+  stopPolling() {
+    if (this.pollTimer) clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Message counts by status, plus the oldest waiting message
+   */
+  async stats() {
+    const counts = await OutboundEmail.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+    const oldestQueued = await OutboundEmail.findOne({ status: 'queued' })
+      .select('nextAttemptAt createdAt attempts')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return {
+      counts: Object.fromEntries(counts.map(entry => [entry._id, entry.count])),
+      oldestQueuedAt: oldestQueued?.createdAt || null,
+      ratePerSecond: QUEUE.ratePerSecond,
+      maxAttempts: QUEUE.maxAttempts
+    };
+  }
+
+  /**
+   * Wait for this instance's next send slot
+   */
+  async waitForSlot() {
+    const interval = 1000 / QUEUE.ratePerSecond;
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlotAt);
+    this.nextSlotAt = slot + interval;
+    if (slot > now) await sleep(slot - now);
+  }
+
+  /**
+   * Carry a newsletter email's final outcome to the subscriber's history entry, and -
+   * when it needed retries - to its NewsletterHistory run (which counted it as queued)
+   */
+  async settleNewsletter(email) {
+    if (!email?.subscriber || !email.newsletterId) return;
+
+    const sent = email.status === 'sent';
+    try {
+      await Subscriber.updateOne(
+        { _id: email.subscriber, 'newsletterHistory.newsletterId': email.newsletterId },
+        {
+          $set: {
+            'newsletterHistory.$.status': sent ? 'sent' : 'failed',
+            'newsletterHistory.$.errorMessage': sent ? null : email.lastError,
+            ...(sent ? { 'newsletterHistory.$.sentAt': email.sentAt } : {})
+          }
+        }
+      );
+
+      if (email.history && email.attempts > 1) {
+        await NewsletterHistory.updateOne(
+          { _id: email.history },
+          { $inc: { emailsQueued: -1, [sent ? 'emailsSent' : 'emailsFailed']: 1 } }
+        );
+      }
+    } catch (error) {
+      console.warn(`⚠️ Failed to update newsletter history for ${email.to}:`, error.message);
+    }
+  }
+}
+
+module.exports = new OutboundQueue();
@@ -0,0 +1,60 @@
+/**
+ * File transport - writes each message to EMAIL_FILE_DIR as JSON instead of
+ * sending it (tests, local development without an SMTP server)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+class FileTransport {
+  constructor(name, { dir }) {
+    this.name = name;
+    this.type = 'file';
+    this.dir = dir;
+  }
+
+  isConfigured() {
+    return Boolean(this.dir);
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      configured: this.isConfigured(),
+      dir: this.dir
+    };
+  }
+
+  async verify() {
+    await fs.mkdir(this.dir, { recursive: true });
+    return true;
+  }
+
+  /**
+   * @param {Object} message - { from, to, subject, html, text, headers, messageId }
+   * @returns {Promise<Object>} { providerMessageId, response }
+   */
+  async send({ from, to, subject, html, text, headers, messageId }) {
+    const providerMessageId = `file-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const file = path.join(this.dir, `${providerMessageId}.json`);
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({
+      providerMessageId,
+      messageId,
+      from,
+      to,
+      subject,
+      headers: headers || {},
+      html: html || null,
+      text: text || null,
+      savedAt: new Date().toISOString()
+    }, null, 2));
+
+    return { providerMessageId, response: file };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,124 @@
+/**
+ * SES transport - the SES v2 SendEmail HTTP API (raw MIME), or any service
+ * that implements it (EMAIL_SES_ENDPOINT, e.g. LocalStack). Requests are
+ * signed with AWS Signature Version 4.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { emailError } = require('../emailError');
+
+const SEND_PATH = '/v2/email/outbound-emails';
+// SES error types that will fail the same way on every retry
+const PERMANENT_ERRORS = ['MessageRejected', 'MailFromDomainNotVerifiedException', 'AccountSuspendedException', 'BadRequestException'];
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+class SesTransport {
+  constructor(name, { region, endpoint, accessKeyId, secretAccessKey, sessionToken, configurationSet, timeoutMs }) {
+    this.name = name;
+    this.type = 'ses';
+    this.region = region;
+    this.endpoint = (endpoint || `https://email.${region}.amazonaws.com`).replace(/\/+$/, '');
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.sessionToken = sessionToken;
+    this.configurationSet = configurationSet;
+    this.timeoutMs = timeoutMs;
+
+    // Builds the raw MIME message (headers included) without sending it
+    this.composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  isConfigured() {
+    return Boolean(this.accessKeyId && this.secretAccessKey);
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      configured: this.isConfigured(),
+      region: this.region,
+      endpoint: this.endpoint,
+      configurationSet: this.configurationSet
+    };
+  }
+
+  async verify() {
+    return this.isConfigured();
+  }
+
+  /**
+   * @param {Object} message - { from, to, subject, html, text, headers, messageId }
+   * @returns {Promise<Object>} { providerMessageId, response }
+   */
+  async send({ from, to, subject, html, text, headers, messageId }) {
+    const composed = await this.composer.sendMail({ from, to, subject, html, text, headers, messageId });
+    const body = JSON.stringify({
+      FromEmailAddress: from,
+      Destination: { ToAddresses: [to] },
+      Content: { Raw: { Data: composed.message.toString('base64') } },
+      ...(this.configurationSet ? { ConfigurationSetName: this.configurationSet } : {})
+    });
+
+    try {
+      const response = await axios.post(`${this.endpoint}${SEND_PATH}`, body, {
+        headers: this.signedHeaders(body),
+        timeout: this.timeoutMs
+      });
+      return { providerMessageId: response.data?.MessageId || null, response: `${response.status}` };
+    } catch (error) {
+      const status = error.response?.status || null;
+      const type = error.response?.headers?.['x-amzn-errortype']?.split(':')[0] || error.response?.data?.__type || null;
+      const permanent = PERMANENT_ERRORS.includes(type);
+
+      throw emailError(`SES ${status || error.code || 'error'}${type ? ` ${type}` : ''}: ${error.response?.data?.message || error.message}`, {
+        permanent,
+        code: type || error.code || null,
+        responseCode: status,
+        transport: this.name
+      });
+    }
+  }
+
+  /**
+   * AWS Signature Version 4 headers for a POST to SEND_PATH
+   */
+  signedHeaders(body) {
+    const host = new URL(this.endpoint).host;
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const headers = {
+      'content-type': 'application/json',
+      host,
+      'x-amz-date': amzDate,
+      ...(this.sessionToken ? { 'x-amz-security-token': this.sessionToken } : {})
+    };
+    const signedHeaderNames = Object.keys(headers).sort();
+    const canonicalHeaders = signedHeaderNames.map(name => `${name}:${headers[name]}\n`).join('');
+
+    const canonicalRequest = ['POST', SEND_PATH, '', canonicalHeaders, signedHeaderNames.join(';'), sha256(body)].join('\n');
+    const scope = `${dateStamp}/${this.region}/ses/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['ses', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    // axios sets Host itself
+    const sent = { ...headers };
+    delete sent.host;
+    return {
+      ...sent,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames.join(';')}, Signature=${signature}`
+    };
+  }
+}
+
+module.exports = SesTransport;
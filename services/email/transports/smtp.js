@@ -0,0 +1,74 @@
+/**
+ * SMTP transport - any SMTP relay, Gmail, or a local catcher such as Mailpit
+ */
+
+const nodemailer = require('nodemailer');
+const { emailError, isHardBounce } = require('../emailError');
+
+class SmtpTransport {
+  constructor(name, { service, host, port, secure, user, pass, timeoutMs }) {
+    this.name = name;
+    this.type = 'smtp';
+    this.service = service;
+    this.host = host;
+    this.port = port;
+    this.user = user;
+
+    this.transporter = this.isConfigured() ? nodemailer.createTransport({
+      ...(service ? { service } : { host, port: port || (secure ? 465 : 587), secure }),
+      ...(user && pass ? { auth: { user, pass } } : {}),
+      connectionTimeout: timeoutMs,
+      greetingTimeout: timeoutMs,
+      socketTimeout: timeoutMs
+    }) : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.service || this.host);
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      configured: this.isConfigured(),
+      service: this.service,
+      host: this.host,
+      port: this.port,
+      user: this.user
+    };
+  }
+
+  async verify() {
+    await this.transporter.verify();
+    return true;
+  }
+
+  /**
+   * @param {Object} message - { from, to, subject, html, text, headers, messageId }
+   * @returns {Promise<Object>} { providerMessageId, response }
+   */
+  async send({ from, to, subject, html, text, headers, messageId }) {
+    try {
+      const info = await this.transporter.sendMail({ from, to, subject, html, text, headers, messageId });
+      return { providerMessageId: info.messageId, response: info.response };
+    } catch (error) {
+      const responseCode = error.responseCode || null;
+      // 5xx replies are final; connection problems, timeouts and 4xx are worth retrying
+      const permanent = responseCode >= 500 && responseCode < 600;
+      // A rejected RCPT TO means the address itself is bad
+      const bounce = permanent && (error.code === 'EENVELOPE' || error.command === 'RCPT TO')
+        && isHardBounce(responseCode, error.response);
+
+      throw emailError(`SMTP ${responseCode || error.code || 'error'}: ${error.response || error.message}`, {
+        permanent,
+        bounce,
+        code: error.code || null,
+        responseCode,
+        transport: this.name
+      });
+    }
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,327 @@
+/**
+ * 🏷️ Entity Service
+ *
+ * Fills per/org/geo/des facets for every ingested article. NYT articles
+ * arrive with facets; everything else goes through LLM extraction, or the
+ * local gazetteer rules (./ruleExtractor) when no provider is available or over
+ * its daily budget. Names are normalized into the Entity collection and
+ * each article stores the slugs it mentions, which drive topic pages:
+ * article timeline, co-occurring entities and a rolling AI summary.
+ */
+
+const Article = require('../../models/article');
+const Entity = require('../../models/Entity');
+const cacheService = require('../cache');
+const llmClient = require('../llm');
+const { extractEntities, generateTopicSummary } = require('../aiService');
+const ruleExtractor = require('./ruleExtractor');
+const { paginate } = require('../db/pagination');
+
+// Entity type -> Article facet field / extractor output key
+const FACETS = { person: 'per_facet', organization: 'org_facet', place: 'geo_facet', topic: 'des_facet' };
+const EXTRACTED_KEYS = { person: 'people', organization: 'organizations', place: 'places', topic: 'topics' };
+
+const GROQ_DAILY_LIMIT = parseInt(process.env.ENTITY_GROQ_DAILY_LIMIT) || 300;
+const SUMMARY_REFRESH_HOURS = parseInt(process.env.TOPIC_SUMMARY_REFRESH_HOURS) || 6;
+const SUMMARY_ARTICLES = 8;
+const RELATED_LIMIT = 10;
+const RELATED_SAMPLE = 200; // Most recent articles scanned for co-occurrence
+const TOPIC_CACHE_TTL = 300;
+// Timeline fields unless the client asks for others via ?fields=
+const TIMELINE_PROJECTION = Object.fromEntries(
+  ['title', 'abstract', 'url', 'section', 'source', 'byline', 'multimedia', 'publishedDate', 'clusterId'].map(f => [f, 1])
+);
+
+class EntityService {
+  constructor() {
+    this.groqUsage = { day: null, calls: 0 };
+    this.refreshingSummaries = new Set();
+  }
+
+  /**
+   * Normalize a facet / extractor name for display
+   *   "Powell, Jerome H"          -> "Jerome Powell"
+   *   "Inflation (Economics)"     -> "Inflation"
+   *   "Apple Inc."                -> "Apple"
+   * @param {string} raw
+   * @param {string} type - person | organization | place | topic
+   */
+  normalizeName(raw, type) {
+    let name = String(raw || '')
+      .replace(/\s*\([^)]*\)/g, '')
+      .replace(/^the\s+/i, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (type === 'person') {
+      // NYT per_facet is "Last, First Middle [Jr]"
+      const inverted = name.match(/^([^,]+),\s*(.+?)(?:\s+(Jr|Sr|II|III|IV)\.?)?$/);
+      if (inverted) {
+        name = [inverted[2], inverted[1], inverted[3]].filter(Boolean).join(' ');
+      }
+      // Drop middle initials so "Jerome H. Powell" and "Jerome Powell" merge
+      const parts = name.split(' ');
+      name = parts.filter((part, i) => i === 0 || i === parts.length - 1 || !/^[A-Z]\.?$/.test(part)).join(' ');
+    }
+
+    if (type === 'organization') {
+      name = name.replace(/,?\s+(Inc|Corp|Corporation|Co|Ltd|LLC|PLC)\.?$/i, '');
+    }
+
+    return name;
+  }
+
+  /**
+   * URL slug for an entity name ("São Paulo" -> "sao-paulo")
+   */
+  slugify(name) {
+    return String(name)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Whether the LLM can take another extraction/summary call today
+   */
+  canUseGroq() {
+    if (!llmClient.isAvailable('entities')) return false;
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (this.groqUsage.day !== today) {
+      this.groqUsage = { day: today, calls: 0 };
+    }
+    return this.groqUsage.calls < GROQ_DAILY_LIMIT;
+  }
+
+  /**
+   * Raw entity names for an article, by type
+   * @returns {Promise<{names: Object, method: string}>} method: provider | groq | rules
+   */
+  async extract(article) {
+    const providerNames = Object.fromEntries(
+      Object.entries(FACETS).map(([type, facet]) => [type, article[facet] || []])
+    );
+    if (Object.values(providerNames).some(names => names.length > 0)) {
+      return { names: providerNames, method: 'provider' };
+    }
+
+    let extracted = null;
+    let method = 'rules';
+
+    if (this.canUseGroq()) {
+      this.groqUsage.calls++;
+      try {
+        extracted = await extractEntities(article.title, article.abstract || article.content || '');
+        method = 'groq';
+      } catch (error) {
+        console.warn(`⚠️ Groq entity extraction failed, using rules: ${error.message}`);
+      }
+    }
+
+    if (!extracted) {
+      extracted = ruleExtractor.extract(article);
+    }
+
+    return {
+      names: Object.fromEntries(Object.entries(EXTRACTED_KEYS).map(([type, key]) => [type, extracted[key] || []])),
+      method
+    };
+  }
+
+  /**
+   * Extract entities for an article, fill its empty facets and upsert Entity docs.
+   * Runs once per article and never throws - ingestion must not fail on it.
+   * @param {Object} article - Saved article (document or lean object with _id)
+   * @returns {Promise<{method: string, entities: Array<string>}|null>}
+   */
+  async processArticle(article) {
+    if (!article?._id || article.entitiesExtractedAt) return null;
+
+    try {
+      const { names, method } = await this.extract(article);
+
+      const bySlug = new Map();
+      const facetUpdates = {};
+      for (const [type, rawNames] of Object.entries(names)) {
+        const display = [];
+        for (const raw of rawNames) {
+          const name = this.normalizeName(raw, type);
+          const slug = this.slugify(name);
+          if (!slug || name.length < 2) continue;
+
+          if (!bySlug.has(slug)) {
+            bySlug.set(slug, { slug, name, type, aliases: new Set() });
+            display.push(name);
+          }
+          bySlug.get(slug).aliases.add(String(raw).trim());
+        }
+        if (method !== 'provider' && display.length > 0) {
+          facetUpdates[FACETS[type]] = display;
+        }
+      }
+
+      const slugs = [...bySlug.keys()];
+      const result = await Article.updateOne(
+        { _id: article._id, entitiesExtractedAt: null },
+        { $set: { ...facetUpdates, entities: slugs, entitiesExtractedAt: new Date() } }
+      );
+      if (result.matchedCount === 0) return null; // Processed concurrently
+
+      if (slugs.length > 0) {
+        const seenAt = article.publishedDate ? new Date(article.publishedDate) : new Date();
+        await Entity.bulkWrite([...bySlug.values()].map(entity => ({
+          updateOne: {
+            filter: { slug: entity.slug },
+            update: {
+              $setOnInsert: { name: entity.name, type: entity.type, firstSeenAt: seenAt },
+              $addToSet: { aliases: { $each: [...entity.aliases] } },
+              $inc: { articleCount: 1 },
+              $max: { lastSeenAt: seenAt }
+            },
+            upsert: true
+          }
+        })), { ordered: false });
+      }
+
+      return { method, entities: slugs };
+    } catch (error) {
+      console.error(`❌ Entity extraction failed for article ${article._id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Backfill articles ingested without entity extraction (newest first)
+   * @param {Object} options - { limit }
+   */
+  async processPending({ limit = 25 } = {}) {
+    const articles = await Article.find({ entitiesExtractedAt: null })
+      .select('title abstract content publishedDate des_facet per_facet org_facet geo_facet entitiesExtractedAt')
+      .sort({ publishedDate: -1 })
+      .limit(limit)
+      .lean();
+
+    const methods = { provider: 0, groq: 0, rules: 0 };
+    for (const article of articles) {
+      const result = await this.processArticle(article);
+      if (result) methods[result.method]++;
+    }
+
+    if (articles.length > 0) {
+      console.log(`🏷️ Extracted entities for ${articles.length} article(s):`, methods);
+    }
+    return { processed: articles.length, methods };
+  }
+
+  /**
+   * Topic page data: entity, article timeline page and related entities
+   * @param {string} slug
+   * @param {Object} pagination - { limit, cursor, projection, fields } (see middleware/pagination)
+   * @returns {Promise<Object|null>} null when the entity is unknown
+   */
+  async getTopic(slug, { limit = 20, cursor = null, projection = null, fields = null } = {}) {
+    const cacheKey = `topic:${slug}:${limit}:${cursor || 'first'}${fields ? `:fields:${fields}` : ''}`;
+
+    return cacheService.getOrSet(cacheKey, async () => {
+      const entity = await Entity.findOne({ slug }).lean();
+      if (!entity) return null;
+
+      const [page, relatedEntities] = await Promise.all([
+        paginate({ entities: slug }, { limit, cursor, projection: projection || TIMELINE_PROJECTION }),
+        this.getRelatedEntities(slug)
+      ]);
+
+      return { entity, ...page, relatedEntities };
+    }, TOPIC_CACHE_TTL);
+  }
+
+  /**
+   * Entities most often mentioned alongside this one in recent articles
+   * @returns {Promise<Array<{name, slug, type, sharedArticles}>>}
+   */
+  async getRelatedEntities(slug, limit = RELATED_LIMIT) {
+    const counts = await Article.aggregate([
+      { $match: { entities: slug } },
+      { $sort: { publishedDate: -1 } },
+      { $limit: RELATED_SAMPLE },
+      { $unwind: '$entities' },
+      { $match: { entities: { $ne: slug } } },
+      { $group: { _id: '$entities', sharedArticles: { $sum: 1 } } },
+      { $sort: { sharedArticles: -1, _id: 1 } },
+      { $limit: limit }
+    ]);
+
+    const entities = await Entity.find({ slug: { $in: counts.map(c => c._id) } })
+      .select('name slug type')
+      .lean();
+    const bySlug = new Map(entities.map(entity => [entity.slug, entity]));
+
+    return counts
+      .filter(count => bySlug.has(count._id))
+      .map(count => {
+        const { name, type } = bySlug.get(count._id);
+        return { name, slug: count._id, type, sharedArticles: count.sharedArticles };
+      });
+  }
+
+  /**
+   * Regenerate the rolling summary when new articles arrived since the last
+   * one and it is older than TOPIC_SUMMARY_REFRESH_HOURS. Never throws.
+   * @param {Object} entity - Entity doc (lean)
+   * @returns {Promise<string|null>} New summary, or null when not refreshed
+   */
+  async refreshSummary(entity) {
+    const ageMs = entity.summaryUpdatedAt ? Date.now() - new Date(entity.summaryUpdatedAt).getTime() : Infinity;
+    const stale = !entity.summary
+      || (entity.articleCount > (entity.summaryArticleCount || 0) && ageMs > SUMMARY_REFRESH_HOURS * 60 * 60 * 1000);
+
+    if (!stale || this.refreshingSummaries.has(entity.slug) || !this.canUseGroq()) return null;
+
+    this.refreshingSummaries.add(entity.slug);
+    try {
+      const articles = await Article.find({ entities: entity.slug })
+        .select('title abstract')
+        .sort({ publishedDate: -1 })
+        .limit(SUMMARY_ARTICLES)
+        .lean();
+      if (articles.length === 0) return null;
+
+      this.groqUsage.calls++;
+      const summary = await generateTopicSummary(entity.name, articles);
+
+      await Entity.updateOne({ slug: entity.slug }, {
+        $set: { summary, summaryUpdatedAt: new Date(), summaryArticleCount: entity.articleCount }
+      });
+      await cacheService.delPattern(`topic:${entity.slug}:*`);
+
+      console.log(`📝 Refreshed topic summary: ${entity.name}`);
+      return summary;
+    } catch (error) {
+      console.error(`❌ Topic summary failed for ${entity.slug}:`, error.message);
+      return null;
+    } finally {
+      this.refreshingSummaries.delete(entity.slug);
+    }
+  }
+
+  /**
+   * Most-covered entities mentioned recently (topic index / sitemap)
+   * @param {Object} options - { type, limit, days }
+   */
+  async listTopics({ type = null, limit = 50, days = 7 } = {}) {
+    const filter = { lastSeenAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } };
+    if (type) filter.type = type;
+
+    return Entity.find(filter)
+      .select('name slug type articleCount lastSeenAt')
+      .sort({ articleCount: -1, lastSeenAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+}
+
+module.exports = new EntityService();
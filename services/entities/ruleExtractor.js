@@ -0,0 +1,87 @@
+/**
+ * Local entity extractor - used when Groq is unavailable or over budget
+ *
+ * Places, organizations and topics come from the gazetteer in
+ * config/entityGazetteer.js; people are found with capitalization rules
+ * ("Senator Jane Doe", "Jane Doe said") on the abstract/body only, since
+ * title-case headlines make every word look like a name.
+ */
+
+const { PLACES, ORGANIZATIONS, TOPICS, PERSON_TITLES } = require('../../config/entityGazetteer');
+const { toPlainText } = require('../search/analyzer');
+
+const MAX_PER_TYPE = 8;
+const MAX_TOPICS = 3;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One regex per canonical name, matching the name or any alias as a whole word
+const compile = (gazetteer, flags) => Object.entries(gazetteer).map(([name, aliases]) => ({
+  name,
+  pattern: new RegExp(`(?<![\\w.])(?:${[name, ...aliases].map(escapeRegex).join('|')})(?!\\w)`, flags)
+}));
+
+const PLACE_PATTERNS = compile(PLACES, '');
+const ORGANIZATION_PATTERNS = compile(ORGANIZATIONS, '');
+const TOPIC_PATTERNS = compile(TOPICS, 'gi');
+
+const NAME_WORD = "[A-Z][a-z]+(?:[-'][A-Z][a-z]+)?";
+const NAME = `${NAME_WORD}(?:\\s+[A-Z]\\.)?(?:\\s+${NAME_WORD}){1,2}`;
+const TITLED_PERSON = new RegExp(`\\b(?:${PERSON_TITLES.map(escapeRegex).join('|')})\\s+(${NAME})`, 'g');
+const SPEAKER = new RegExp(`(${NAME}),?\\s+(?:said|says|told|added|wrote|announced)\\b`, 'g');
+
+// Capitalized words that are never part of a person's name
+const NON_NAME_WORDS = new Set([
+  'The', 'A', 'An', 'This', 'That', 'These', 'Those', 'In', 'On', 'At', 'For', 'But', 'And', 'As',
+  'After', 'Before', 'While', 'When', 'Officials', 'Police', 'Some', 'Many', 'Critics', 'Experts',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+  'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+  'October', 'November', 'December', 'North', 'South', 'East', 'West', 'New', 'United',
+  'House', 'Senate', 'Court', 'Department', 'Company', 'University', 'Party', 'State', 'City',
+  // "Treasury Secretary Jane Doe said" - the titled rule already captures the name
+  ...PERSON_TITLES.flatMap(title => title.replace(/\./g, '').split(' '))
+]);
+
+const isKnownName = (name) => PLACE_PATTERNS.some(({ pattern }) => pattern.test(name))
+  || ORGANIZATION_PATTERNS.some(({ pattern }) => pattern.test(name));
+
+const findPeople = (text) => {
+  const people = new Set();
+  for (const pattern of [TITLED_PERSON, SPEAKER]) {
+    for (const match of text.matchAll(pattern)) {
+      const name = match[1].trim();
+      if (name.split(/\s+/).some(word => NON_NAME_WORDS.has(word))) continue;
+      if (isKnownName(name)) continue;
+      people.add(name);
+    }
+  }
+  return [...people].slice(0, MAX_PER_TYPE);
+};
+
+/**
+ * Extract entities from an article without any network calls
+ * @param {Object} article - { title, abstract, content }
+ * @returns {{people: Array<string>, organizations: Array<string>, places: Array<string>, topics: Array<string>}}
+ */
+const extract = (article) => {
+  const body = toPlainText(`${article.abstract || ''} ${(article.content || '').substring(0, 3000)}`);
+  const text = `${toPlainText(article.title)}. ${body}`;
+
+  const topics = TOPIC_PATTERNS
+    .map(({ name, pattern }) => ({ name, hits: (text.match(pattern) || []).length }))
+    .filter(topic => topic.hits > 0)
+    .sort((a, b) => b.hits - a.hits)
+    .slice(0, MAX_TOPICS)
+    .map(topic => topic.name);
+
+  return {
+    people: findPeople(body),
+    organizations: ORGANIZATION_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(o => o.name).slice(0, MAX_PER_TYPE),
+    places: PLACE_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(p => p.name).slice(0, MAX_PER_TYPE),
+    topics
+  };
+};
+
+module.exports = {
+  extract
+};
@@ -78,6 +78,8 @@ class GroqLoadBalancer {
 
       // console.log(`✅ Key ${client.id} used ${tokensUsed} tokens (Total: ${client.tokensUsed}/${client.dailyLimit})`);
 
+      // Which key served it, for the token ledger
+      response.keyId = client.id;
       return response;
 
     } catch (error) {
@@ -92,7 +94,10 @@ class GroqLoadBalancer {
         const nextClient = this.getClient();
 
         if (nextClient.id !== client.id) {
-          return await nextClient.client.chat.completions.create(params);
+          const response = await nextClient.client.chat.completions.create(params);
+          nextClient.tokensUsed += response.usage?.total_tokens || 600;
+          response.keyId = nextClient.id;
+          return response;
         }
 
         // All keys exhausted
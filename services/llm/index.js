@@ -0,0 +1,202 @@
+/**
+ * 🧠 LLM Client
+ *
+ * One chat-completion interface over several providers (config/llmProviders.js):
+ * - per-task routing: each task ('commentary', 'entities', ...) has its own chain
+ * - fallback: the next provider in the chain is tried when one errors or runs
+ *   out of quota; rate-limited / unreachable providers sit out a cooldown
+ * - token accounting: usage counted the same way for every provider, by
+ *   provider, model and task - in memory since startup, and persisted per
+ *   API key and section by the token ledger (./tokenLedger)
+ */
+
+const { PROVIDERS, COOLDOWN_MS, routes, routeFor } = require('../../config/llmProviders');
+const { COOLDOWN_KINDS, llmError } = require('./llmError');
+const tokenLedger = require('./tokenLedger');
+const GroqProvider = require('./providers/groq');
+const OpenAICompatibleProvider = require('./providers/openaiCompatible');
+const MockProvider = require('./providers/mock');
+
+const emptyUsage = () => ({
+  requests: 0,
+  failures: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0
+});
+
+const createProvider = (name, config) => {
+  switch (config.type) {
+    case 'groq':
+      return new GroqProvider(name);
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider(name, config);
+    case 'mock':
+      return new MockProvider(name, config);
+    default:
+      throw new Error(`Unknown LLM provider type: ${config.type}`);
+  }
+};
+
+class LLMClient {
+  constructor() {
+    this.providers = Object.fromEntries(
+      Object.entries(PROVIDERS).map(([name, config]) => [name, createProvider(name, config)])
+    );
+    this.cooldowns = {};
+    this.resetUsage();
+
+    const configured = Object.values(this.providers).filter(provider => provider.isConfigured() && provider.type !== 'mock');
+    if (configured.length === 0 && !process.env.LLM_FORCE_PROVIDER) {
+      console.error('❌ No LLM providers configured - set GROQ_API_KEY, LLM_OPENAI_BASE_URL or LLM_LOCAL_BASE_URL');
+    }
+  }
+
+  resetUsage() {
+    this.usage = { since: new Date(), providers: {}, models: {}, tasks: {} };
+  }
+
+  /**
+   * The task's fallback chain, limited to configured providers
+   * @returns {Array<Object>} [{ provider, model }]
+   */
+  chainFor(task) {
+    return routeFor(task).filter(entry => this.providers[entry.provider]?.isConfigured());
+  }
+
+  /**
+   * Whether any provider can serve the task
+   */
+  isAvailable(task = 'default') {
+    return this.chainFor(task).length > 0;
+  }
+
+  isCoolingDown(name) {
+    return (this.cooldowns[name] || 0) > Date.now();
+  }
+
+  /**
+   * Run a chat completion for a task, falling back along its provider chain
+   * @param {string} task - Routing key ('commentary', 'entities', 'topic-summary', ...)
+   * @param {Object} request - { messages, model, temperature, maxTokens, topP, responseFormat, section }
+   *   model: what the caller (usually a prompt template) asked for; a route entry's model wins
+   *   section: article section the tokens are charged to (section budgets)
+   * @returns {Promise<Object>} { text, provider, model, usage: { promptTokens, completionTokens, totalTokens }, latencyMs, fallbacks }
+   * @throws {Error} LLMError once every provider has failed (kind 'quota' if all were out of quota)
+   */
+  async chat(task, { messages, model = null, temperature = 0.5, maxTokens = 500, topP, responseFormat, section = null } = {}) {
+    const chain = this.chainFor(task);
+    if (chain.length === 0) {
+      throw llmError(`LLM_UNAVAILABLE: no provider configured for ${task}`, { kind: 'unavailable' });
+    }
+
+    // Providers on cooldown are tried last rather than skipped, so a chain never fails without trying
+    const ordered = [
+      ...chain.filter(entry => !this.isCoolingDown(entry.provider)),
+      ...chain.filter(entry => this.isCoolingDown(entry.provider))
+    ];
+
+    const failures = [];
+    const startedAt = Date.now();
+
+    for (const entry of ordered) {
+      const provider = this.providers[entry.provider];
+      // Prompt templates name Groq models - other providers use their own default
+      const resolvedModel = entry.model || (provider.type === 'groq' ? model : provider.defaultModel);
+
+      try {
+        const result = await provider.complete({
+          messages,
+          model: resolvedModel,
+          temperature,
+          maxTokens,
+          topP,
+          responseFormat
+        });
+        if (!result.text) {
+          throw llmError(`${provider.name}: empty response`, { kind: 'empty', provider: provider.name });
+        }
+
+        this.record(task, provider.name, result.model, result.usage, { section, keyId: result.keyId });
+        if (failures.length > 0) {
+          console.log(`🔀 ${task} served by ${provider.name} after ${failures.map(f => f.provider).join(', ')} failed`);
+        }
+
+        return {
+          text: result.text,
+          provider: provider.name,
+          model: result.model,
+          usage: result.usage,
+          latencyMs: Date.now() - startedAt,
+          fallbacks: failures.length
+        };
+      } catch (error) {
+        const kind = error.kind || 'error';
+        this.record(task, provider.name, resolvedModel, null, { section });
+
+        if (COOLDOWN_KINDS.includes(kind)) {
+          this.cooldowns[provider.name] = Date.now() + COOLDOWN_MS;
+        }
+        console.warn(`⚠️ LLM ${provider.name} failed for ${task} (${kind}): ${error.message}`);
+        failures.push({ provider: provider.name, kind, message: error.message });
+      }
+    }
+
+    const allQuota = failures.every(failure => ['quota', 'rate_limit'].includes(failure.kind));
+    const error = llmError(
+      `${allQuota ? 'RATE_LIMIT_ALL_KEYS' : 'LLM_UNAVAILABLE'}: all providers failed for ${task} - ${failures.map(f => `${f.provider}: ${f.message}`).join('; ')}`,
+      { kind: allQuota ? 'quota' : 'unavailable' }
+    );
+    error.failures = failures;
+    throw error;
+  }
+
+  /**
+   * Count a call (usage null = failed call) here and in the persistent ledger
+   */
+  record(task, providerName, model, usage, { section = null, keyId = null } = {}) {
+    tokenLedger.record({ task, section, provider: providerName, keyId, model, usage });
+
+    const buckets = [
+      this.usage.providers[providerName] ||= emptyUsage(),
+      this.usage.models[model || 'unknown'] ||= emptyUsage(),
+      this.usage.tasks[task] ||= emptyUsage()
+    ];
+
+    for (const bucket of buckets) {
+      bucket.requests++;
+      if (!usage) {
+        bucket.failures++;
+        continue;
+      }
+      bucket.promptTokens += usage.promptTokens || 0;
+      bucket.completionTokens += usage.completionTokens || 0;
+      bucket.totalTokens += usage.totalTokens || 0;
+    }
+  }
+
+  /**
+   * Providers, routes and token usage since startup
+   */
+  getStats() {
+    const totals = Object.values(this.usage.providers).reduce((sum, bucket) => {
+      Object.keys(sum).forEach(key => { sum[key] += bucket[key]; });
+      return sum;
+    }, emptyUsage());
+
+    return {
+      since: this.usage.since,
+      totals,
+      providers: Object.values(this.providers).map(provider => ({
+        ...provider.describe(),
+        coolingDownUntil: this.isCoolingDown(provider.name) ? new Date(this.cooldowns[provider.name]) : null,
+        usage: this.usage.providers[provider.name] || emptyUsage()
+      })),
+      routes: Object.fromEntries(Object.keys(routes).map(task => [task, this.chainFor(task)])),
+      models: this.usage.models,
+      tasks: this.usage.tasks
+    };
+  }
+}
+
+module.exports = new LLMClient();
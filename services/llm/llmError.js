@@ -0,0 +1,36 @@
+/**
+ * LLM provider errors
+ *
+ * kind tells the client whether to move down the fallback chain and whether
+ * to put the provider on cooldown:
+ * - rate_limit / quota / unavailable → fall back, cool down
+ * - auth / empty / error             → fall back
+ */
+
+const COOLDOWN_KINDS = ['rate_limit', 'quota', 'unavailable'];
+
+const llmError = (message, { kind = 'error', status = null, provider = null } = {}) => {
+  const error = new Error(message);
+  error.name = 'LLMError';
+  error.kind = kind;
+  error.status = status;
+  error.provider = provider;
+  return error;
+};
+
+/**
+ * Classify an HTTP / network failure
+ */
+const kindFromStatus = (status, code) => {
+  if (code === 'insufficient_quota') return 'quota';
+  if (status === 429) return 'rate_limit';
+  if (status === 401 || status === 403) return 'auth';
+  if (!status || status >= 500) return 'unavailable';
+  return 'error';
+};
+
+module.exports = {
+  COOLDOWN_KINDS,
+  llmError,
+  kindFromStatus
+};
@@ -0,0 +1,56 @@
+/**
+ * Groq provider - goes through groqLoadBalancer, which rotates API keys and
+ * fails over between them on 429s
+ */
+
+const groqLoadBalancer = require('../../groqLoadBalancer');
+const { llmError, kindFromStatus } = require('../llmError');
+
+class GroqProvider {
+  constructor(name) {
+    this.name = name;
+    this.type = 'groq';
+  }
+
+  isConfigured() {
+    return !!groqLoadBalancer;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      configured: this.isConfigured(),
+      keys: groqLoadBalancer ? groqLoadBalancer.clients.length : 0
+    };
+  }
+
+  async complete({ messages, model, temperature, maxTokens, topP, responseFormat }) {
+    const params = { messages, model, temperature, max_tokens: maxTokens };
+    if (topP !== undefined) params.top_p = topP;
+    if (responseFormat) params.response_format = responseFormat;
+
+    let completion;
+    try {
+      completion = await groqLoadBalancer.createChatCompletion(params);
+    } catch (error) {
+      const kind = error.message?.includes('RATE_LIMIT_ALL_KEYS')
+        ? 'quota'
+        : kindFromStatus(error.status, error.error?.error?.code);
+      throw llmError(error.message, { kind, status: error.status || null, provider: this.name });
+    }
+
+    return {
+      text: completion.choices[0]?.message?.content?.trim() || '',
+      model: completion.model || model,
+      keyId: completion.keyId ? `groq:${completion.keyId}` : null,
+      usage: {
+        promptTokens: completion.usage?.prompt_tokens || 0,
+        completionTokens: completion.usage?.completion_tokens || 0,
+        totalTokens: completion.usage?.total_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = GroqProvider;
@@ -0,0 +1,76 @@
+/**
+ * Mock provider - deterministic canned responses with no network, so the
+ * commentary pipeline can be run and tested without API keys
+ * (LLM_FORCE_PROVIDER=mock). Set LLM_MOCK_FAIL to exercise fallback chains.
+ */
+
+const { llmError } = require('../llmError');
+
+const COMMENTARY = `Key Points
+The report describes a development that matters to the people and organisations directly involved. It sets out what changed and who is expected to act on it in the coming weeks.
+
+Impact Analysis
+The decision could shift priorities for businesses, officials and households that follow this area closely. Observers will want to see how quickly the change is put into practice and whether it holds up.
+
+Future Outlook
+Further announcements are likely as the details are worked out and the reaction becomes clearer. Readers should watch for official statements and independent analysis over the next few weeks.`;
+
+const SUMMARY = 'Recent coverage has focused on a series of related developments. Officials and analysts have offered differing views on what comes next. Further updates are expected as the story develops.';
+
+// Rough token estimate, for usage accounting
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+class MockProvider {
+  constructor(name, { latencyMs = 0, failWith = null } = {}) {
+    this.name = name;
+    this.type = 'mock';
+    this.defaultModel = 'mock';
+    this.latencyMs = latencyMs;
+    this.failWith = failWith;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  describe() {
+    return { name: this.name, type: this.type, configured: true, failWith: this.failWith };
+  }
+
+  respond(messages, responseFormat) {
+    if (responseFormat?.type === 'json_object') {
+      // Translations echo the source back
+      if (messages[0]?.content.startsWith('Translate')) {
+        return messages[messages.length - 1].content;
+      }
+      return JSON.stringify({ people: [], organizations: [], places: [], topics: ['General News'] });
+    }
+    const prompt = messages.map(message => message.content).join('\n');
+    return prompt.includes('Key Points') ? COMMENTARY : SUMMARY;
+  }
+
+  async complete({ messages, model, responseFormat }) {
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    if (this.failWith === 'rate_limit') {
+      throw llmError('mock: rate limit exceeded', { kind: 'rate_limit', status: 429, provider: this.name });
+    }
+    if (this.failWith) {
+      throw llmError('mock: simulated failure', { kind: 'unavailable', status: 503, provider: this.name });
+    }
+
+    const text = this.respond(messages, responseFormat);
+    const promptTokens = estimateTokens(messages.map(message => message.content).join('\n'));
+    const completionTokens = estimateTokens(text);
+
+    return {
+      text,
+      model: model || 'mock',
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+}
+
+module.exports = MockProvider;
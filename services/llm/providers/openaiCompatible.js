@@ -0,0 +1,77 @@
+/**
+ * OpenAI-compatible provider - any /v1/chat/completions endpoint: OpenAI,
+ * hosted gateways, or a local llama.cpp / Ollama server
+ */
+
+const axios = require('axios');
+const { llmError, kindFromStatus } = require('../llmError');
+
+class OpenAICompatibleProvider {
+  constructor(name, { baseURL, apiKey, defaultModel, timeoutMs }) {
+    this.name = name;
+    this.type = 'openai-compatible';
+    this.baseURL = baseURL ? baseURL.replace(/\/+$/, '') : null;
+    this.apiKey = apiKey;
+    this.defaultModel = defaultModel;
+    this.timeoutMs = timeoutMs;
+  }
+
+  isConfigured() {
+    return !!this.baseURL;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      configured: this.isConfigured(),
+      baseURL: this.baseURL,
+      defaultModel: this.defaultModel
+    };
+  }
+
+  async complete({ messages, model, temperature, maxTokens, topP, responseFormat }) {
+    const body = {
+      model: model || this.defaultModel,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: false
+    };
+    if (topP !== undefined) body.top_p = topP;
+    if (responseFormat) body.response_format = responseFormat;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    let response;
+    try {
+      response = await axios.post(`${this.baseURL}/chat/completions`, body, {
+        headers,
+        timeout: this.timeoutMs
+      });
+    } catch (error) {
+      const status = error.response?.status || null;
+      const apiError = error.response?.data?.error;
+      const message = apiError?.message || (typeof apiError === 'string' ? apiError : error.message);
+      throw llmError(`${this.name}: ${message}`, {
+        kind: kindFromStatus(status, apiError?.code),
+        status,
+        provider: this.name
+      });
+    }
+
+    const data = response.data || {};
+    return {
+      text: data.choices?.[0]?.message?.content?.trim() || '',
+      model: data.model || body.model,
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: data.usage?.completion_tokens || 0,
+        totalTokens: data.usage?.total_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
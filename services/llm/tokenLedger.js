@@ -0,0 +1,382 @@
+/**
+ * 📒 Token Ledger
+ *
+ * Every LLM call is added to hourly, daily and monthly TokenUsage rollups per
+ * provider / API key / model / task / section, so usage survives restarts and
+ * midnight resets. The ledger also:
+ * - checks task and section budgets (config/tokenBudgets.js) for the commentary queue
+ * - reports burn rates and when each budget (and the Groq key pool) is projected to run out
+ * - restores today's per-key Groq counters into groqLoadBalancer after a restart
+ */
+
+const TokenUsage = require('../../models/TokenUsage');
+const groqLoadBalancer = require('../groqLoadBalancer');
+const { PERIODS, THROTTLE_AT, budgets } = require('../../config/tokenBudgets');
+
+const HOUR_MS = 60 * 60 * 1000;
+const HOURLY_RETENTION_MS = 7 * 24 * HOUR_MS;
+const BURN_WINDOW_HOURS = parseInt(process.env.TOKEN_BURN_WINDOW_HOURS, 10) || 6;
+// Budget checks reuse the day/month totals for this long (local calls are added in between)
+const SNAPSHOT_TTL_MS = 30000;
+
+// Budget period → rollup period
+const ROLLUP = { daily: 'day', monthly: 'month' };
+const SCOPES = { tasks: 'task', sections: 'section' };
+const SUM_FIELDS = ['requests', 'failures', 'promptTokens', 'completionTokens', 'totalTokens'];
+const GROUP_FIELDS = ['provider', 'keyId', 'model', 'task', 'section'];
+
+const startOf = (period, date = new Date()) => {
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth();
+  if (period === 'month') return new Date(Date.UTC(y, m, 1));
+  if (period === 'day') return new Date(Date.UTC(y, m, date.getUTCDate()));
+  return new Date(Date.UTC(y, m, date.getUTCDate(), date.getUTCHours()));
+};
+
+// When a budget period starts over (UTC)
+const resetOf = (budgetPeriod, date = new Date()) => {
+  const start = startOf(ROLLUP[budgetPeriod], date);
+  return budgetPeriod === 'monthly'
+    ? new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1))
+    : new Date(start.getTime() + 24 * HOUR_MS);
+};
+
+const normalizeSection = (section) => String(section || 'none').toLowerCase();
+
+class TokenLedger {
+  constructor() {
+    this.snapshotData = null;
+    this.snapshotPromise = null;
+  }
+
+  /**
+   * Add one LLM call to the rollups (failed calls count as requests + failures)
+   * @param {Object} entry - { task, section, provider, keyId, model, usage } - usage null for a failed call
+   * @returns {Promise<void>} Never rejects - a ledger outage must not fail generation
+   */
+  async record({ task = 'default', section = null, provider, keyId = null, model = null, usage = null }) {
+    const now = new Date();
+    const key = {
+      provider,
+      keyId: keyId || provider,
+      model: model || 'unknown',
+      task,
+      section: normalizeSection(section)
+    };
+    const inc = {
+      requests: 1,
+      failures: usage ? 0 : 1,
+      promptTokens: usage?.promptTokens || 0,
+      completionTokens: usage?.completionTokens || 0,
+      totalTokens: usage?.totalTokens || 0
+    };
+
+    this.addToSnapshot(key, inc.totalTokens, now);
+
+    const ops = ['hour', 'day', 'month'].map(period => ({
+      updateOne: {
+        filter: { period, periodStart: startOf(period, now), ...key },
+        update: {
+          $inc: inc,
+          ...(period === 'hour' ? { $setOnInsert: { expiresAt: new Date(now.getTime() + HOURLY_RETENTION_MS) } } : {})
+        },
+        upsert: true
+      }
+    }));
+
+    try {
+      await TokenUsage.bulkWrite(ops, { ordered: false });
+    } catch (error) {
+      // Two writers created the same bucket at once - the retry finds it
+      if (error.code === 11000) {
+        await TokenUsage.bulkWrite(ops, { ordered: false }).catch(retryError => {
+          console.warn('⚠️ Token ledger write failed:', retryError.message);
+        });
+        return;
+      }
+      console.warn('⚠️ Token ledger write failed:', error.message);
+    }
+  }
+
+  /**
+   * Today's and this month's totals by task and section (cached for SNAPSHOT_TTL_MS)
+   */
+  async snapshot() {
+    const now = new Date();
+    const dayStart = startOf('day', now);
+    const fresh = this.snapshotData
+      && this.snapshotData.dayStart.getTime() === dayStart.getTime()
+      && now - this.snapshotData.loadedAt < SNAPSHOT_TTL_MS;
+    if (fresh) return this.snapshotData;
+
+    if (!this.snapshotPromise) {
+      this.snapshotPromise = this.loadSnapshot(now).finally(() => {
+        this.snapshotPromise = null;
+      });
+    }
+    return this.snapshotPromise;
+  }
+
+  async loadSnapshot(now) {
+    const dayStart = startOf('day', now);
+    const monthStart = startOf('month', now);
+
+    const rows = await TokenUsage.aggregate([
+      {
+        $match: {
+          $or: [
+            { period: 'day', periodStart: dayStart },
+            { period: 'month', periodStart: monthStart }
+          ]
+        }
+      },
+      {
+        $group: {
+          _id: { period: '$period', task: '$task', section: '$section' },
+          totalTokens: { $sum: '$totalTokens' }
+        }
+      }
+    ]);
+
+    const data = {
+      loadedAt: now,
+      dayStart,
+      monthStart,
+      day: { total: 0, tasks: {}, sections: {} },
+      month: { total: 0, tasks: {}, sections: {} }
+    };
+    for (const row of rows) {
+      const bucket = data[row._id.period];
+      bucket.total += row.totalTokens;
+      bucket.tasks[row._id.task] = (bucket.tasks[row._id.task] || 0) + row.totalTokens;
+      bucket.sections[row._id.section] = (bucket.sections[row._id.section] || 0) + row.totalTokens;
+    }
+
+    this.snapshotData = data;
+    return data;
+  }
+
+  /**
+   * Keep a cached snapshot current between reloads
+   */
+  addToSnapshot(key, tokens, now) {
+    const data = this.snapshotData;
+    if (!data || data.dayStart.getTime() !== startOf('day', now).getTime()) return;
+
+    for (const period of ['day', 'month']) {
+      data[period].total += tokens;
+      data[period].tasks[key.task] = (data[period].tasks[key.task] || 0) + tokens;
+      data[period].sections[key.section] = (data[period].sections[key.section] || 0) + tokens;
+    }
+  }
+
+  /**
+   * Budgets that apply to a call, with current usage
+   * @returns {Array<Object>} [{ scope, name, period, limit, used }]
+   */
+  applicableBudgets(data, { task, section }) {
+    const names = { tasks: task, sections: normalizeSection(section) };
+    const applicable = [];
+
+    for (const [scope, name] of Object.entries(names)) {
+      const limits = budgets[scope][name];
+      if (!limits) continue;
+      for (const period of PERIODS) {
+        if (!limits[period]) continue;
+        applicable.push({
+          scope: SCOPES[scope],
+          name,
+          period,
+          limit: limits[period],
+          used: data[ROLLUP[period]][scope][name] || 0
+        });
+      }
+    }
+    return applicable;
+  }
+
+  /**
+   * Whether a task may spend more tokens for a section
+   * @param {Object} target - { task, section }
+   * @returns {Promise<Object>} { state: 'ok' | 'throttle' | 'pause', resumeAt, budgets }
+   *   resumeAt: when the exceeded budget resets (pause only)
+   */
+  async checkBudget({ task = 'default', section = null } = {}) {
+    let data;
+    try {
+      data = await this.snapshot();
+    } catch (error) {
+      // Without the ledger we can't tell - keep generating
+      console.warn('⚠️ Token budget check skipped:', error.message);
+      return { state: 'ok', resumeAt: null, budgets: [], error: error.message };
+    }
+
+    const checked = this.applicableBudgets(data, { task, section }).map(budget => ({
+      ...budget,
+      ratio: budget.used / budget.limit,
+      resetsAt: resetOf(budget.period)
+    }));
+
+    const exceeded = checked.filter(budget => budget.ratio >= 1);
+    if (exceeded.length > 0) {
+      const resumeAt = new Date(Math.max(...exceeded.map(budget => budget.resetsAt.getTime())));
+      return { state: 'pause', resumeAt, budgets: checked };
+    }
+
+    const state = checked.some(budget => budget.ratio >= THROTTLE_AT) ? 'throttle' : 'ok';
+    return { state, resumeAt: null, budgets: checked };
+  }
+
+  /**
+   * Usage rollups for reporting
+   * @param {Object} options - { period: 'hour'|'day'|'month', from, to, groupBy: ['provider', 'keyId', 'model', 'task', 'section'] }
+   * @returns {Promise<Array<Object>>} [{ periodStart, ...groupBy fields, requests, failures, promptTokens, completionTokens, totalTokens }]
+   */
+  async usage({ period = 'day', from = null, to = null, groupBy = ['provider'] } = {}) {
+    const fields = groupBy.filter(field => GROUP_FIELDS.includes(field));
+    const match = { period };
+    if (from || to) {
+      match.periodStart = {};
+      if (from) match.periodStart.$gte = startOf(period, from);
+      if (to) match.periodStart.$lte = to;
+    }
+
+    const rows = await TokenUsage.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { periodStart: '$periodStart', ...Object.fromEntries(fields.map(field => [field, `$${field}`])) },
+          ...Object.fromEntries(SUM_FIELDS.map(field => [field, { $sum: `$${field}` }]))
+        }
+      },
+      { $sort: { '_id.periodStart': 1, totalTokens: -1 } }
+    ]);
+
+    return rows.map(({ _id, ...sums }) => ({ ..._id, ...sums }));
+  }
+
+  /**
+   * Tokens per hour over the last BURN_WINDOW_HOURS, overall and by task / section / provider
+   */
+  async burnRates(now = new Date()) {
+    const windowStart = startOf('hour', new Date(now.getTime() - (BURN_WINDOW_HOURS - 1) * HOUR_MS));
+    const hours = Math.max((now - windowStart) / HOUR_MS, 1 / 60);
+
+    const rows = await TokenUsage.aggregate([
+      { $match: { period: 'hour', periodStart: { $gte: windowStart } } },
+      {
+        $group: {
+          _id: { task: '$task', section: '$section', provider: '$provider' },
+          totalTokens: { $sum: '$totalTokens' }
+        }
+      }
+    ]);
+
+    const rates = { windowHours: Number(hours.toFixed(2)), total: 0, tasks: {}, sections: {}, providers: {} };
+    for (const row of rows) {
+      const perHour = row.totalTokens / hours;
+      rates.total += perHour;
+      rates.tasks[row._id.task] = (rates.tasks[row._id.task] || 0) + perHour;
+      rates.sections[row._id.section] = (rates.sections[row._id.section] || 0) + perHour;
+      rates.providers[row._id.provider] = (rates.providers[row._id.provider] || 0) + perHour;
+    }
+    return rates;
+  }
+
+  /**
+   * Budget usage, burn rates and projected exhaustion times
+   * @returns {Promise<Object>} { generatedAt, burnRate, budgets, groqKeys, totals }
+   */
+  async report() {
+    const now = new Date();
+    const [data, rates] = await Promise.all([this.loadSnapshot(now), this.burnRates(now)]);
+
+    const project = (remaining, perHour, resetsAt) => {
+      if (remaining <= 0) return { projectedExhaustionAt: now, exhaustsBeforeReset: true };
+      if (perHour <= 0) return { projectedExhaustionAt: null, exhaustsBeforeReset: false };
+      const at = new Date(now.getTime() + (remaining / perHour) * HOUR_MS);
+      return { projectedExhaustionAt: at, exhaustsBeforeReset: at < resetsAt };
+    };
+
+    const budgetRows = [];
+    for (const scope of Object.keys(SCOPES)) {
+      for (const name of Object.keys(budgets[scope])) {
+        const target = scope === 'tasks' ? { task: name, section: '__none__' } : { task: '__none__', section: name };
+        for (const budget of this.applicableBudgets(data, target)) {
+          const perHour = rates[scope][name] || 0;
+          const resetsAt = resetOf(budget.period, now);
+          const ratio = budget.used / budget.limit;
+          budgetRows.push({
+            ...budget,
+            remaining: Math.max(budget.limit - budget.used, 0),
+            percentUsed: Number((ratio * 100).toFixed(1)),
+            state: ratio >= 1 ? 'pause' : ratio >= THROTTLE_AT ? 'throttle' : 'ok',
+            burnRatePerHour: Math.round(perHour),
+            resetsAt,
+            ...project(budget.limit - budget.used, perHour, resetsAt)
+          });
+        }
+      }
+    }
+
+    // The Groq key pool has its own daily limit per key (counters include other processes' usage)
+    let groqKeys = null;
+    if (groqLoadBalancer) {
+      await this.restoreKeyUsage();
+      const stats = groqLoadBalancer.getStats();
+      const perHour = rates.providers.groq || 0;
+      groqKeys = {
+        totalKeys: stats.totalKeys,
+        availableKeys: stats.availableKeys,
+        dailyLimit: stats.totalDailyLimit,
+        used: stats.totalTokensUsed,
+        remaining: stats.remainingTokens,
+        burnRatePerHour: Math.round(perHour),
+        resetsAt: stats.resetTime,
+        ...project(stats.remainingTokens, perHour, stats.resetTime)
+      };
+    }
+
+    return {
+      generatedAt: now,
+      throttleAt: THROTTLE_AT,
+      burnRate: {
+        windowHours: rates.windowHours,
+        total: Math.round(rates.total),
+        tasks: Object.fromEntries(Object.entries(rates.tasks).map(([name, rate]) => [name, Math.round(rate)])),
+        sections: Object.fromEntries(Object.entries(rates.sections).map(([name, rate]) => [name, Math.round(rate)]))
+      },
+      totals: { today: data.day.total, month: data.month.total },
+      budgets: budgetRows,
+      groqKeys
+    };
+  }
+
+  /**
+   * Seed groqLoadBalancer's per-key counters with today's persisted usage,
+   * so a restart doesn't hand out keys that are already near their limit
+   */
+  async restoreKeyUsage() {
+    if (!groqLoadBalancer) return 0;
+
+    const rows = await TokenUsage.aggregate([
+      { $match: { period: 'day', periodStart: startOf('day'), provider: 'groq' } },
+      { $group: { _id: '$keyId', totalTokens: { $sum: '$totalTokens' } } }
+    ]);
+
+    let restored = 0;
+    for (const row of rows) {
+      const client = groqLoadBalancer.clients.find(candidate => `groq:${candidate.id}` === row._id);
+      if (client && row.totalTokens > client.tokensUsed) {
+        client.tokensUsed = row.totalTokens;
+        restored++;
+      }
+    }
+    if (restored > 0) {
+      console.log(`📒 Restored today's token usage for ${restored} Groq key(s)`);
+    }
+    return restored;
+  }
+}
+
+module.exports = new TokenLedger();
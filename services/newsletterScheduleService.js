@@ -0,0 +1,190 @@
+/**
+ * 🗓️ Newsletter Schedule Service
+ *
+ * Works out when each subscriber's next newsletter is due, in their own timezone
+ * (config/newsletterSchedule.js), and whether a due send is still worth sending.
+ * Times are computed with Intl (no timezone library): a local wall-clock time is
+ * turned into an instant by measuring the zone's UTC offset at that moment.
+ */
+
+const {
+  DEFAULT_SEND_HOUR,
+  DEFAULT_SEND_DAY,
+  DEFAULT_TIMEZONE,
+  EARLY_MINUTES,
+  CATCH_UP_HOURS,
+  FREQUENCIES
+} = require('../config/newsletterSchedule');
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class NewsletterScheduleService {
+  constructor() {
+    // One formatter per timezone (they are slow to create)
+    this.formatters = new Map();
+  }
+
+  /**
+   * Whether Intl knows the IANA timezone name
+   */
+  isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+      this.formatterFor(timezone);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  timezoneOf(subscriber) {
+    return this.isValidTimezone(subscriber?.timezone) ? subscriber.timezone : DEFAULT_TIMEZONE;
+  }
+
+  frequencyOf(subscriber) {
+    const frequency = subscriber?.preferences?.frequency;
+    return FREQUENCIES[frequency] ? frequency : 'hourly';
+  }
+
+  /**
+   * The subscriber's schedule with defaults filled in
+   * @returns {Object} { frequency, timezone, sendHour, sendDay, nextDueAt }
+   */
+  describe(subscriber) {
+    const frequency = this.frequencyOf(subscriber);
+    return {
+      frequency,
+      timezone: this.timezoneOf(subscriber),
+      sendHour: frequency === 'hourly' ? null : this.sendHourOf(subscriber),
+      sendDay: frequency === 'weekly' ? this.sendDayOf(subscriber) : null,
+      nextDueAt: subscriber?.nextDueAt || null
+    };
+  }
+
+  /**
+   * The first planned send for the subscriber strictly after `after`
+   * @param {Object} subscriber - { preferences: { frequency, sendHour?, sendDay? }, timezone }
+   * @param {Date} after
+   * @returns {Date}
+   */
+  nextDueAt(subscriber, after = new Date()) {
+    const timezone = this.timezoneOf(subscriber);
+    const frequency = this.frequencyOf(subscriber);
+    const afterMs = after.getTime();
+    const local = this.localParts(after, timezone);
+
+    if (frequency === 'hourly') {
+      let slot = this.zonedTime(timezone, local.year, local.month, local.day, local.hour, 0).getTime();
+      while (slot <= afterMs) slot += HOUR_MS;
+      return new Date(slot);
+    }
+
+    const sendHour = this.sendHourOf(subscriber);
+    const sendDay = frequency === 'weekly' ? this.sendDayOf(subscriber) : null;
+
+    // Today, or up to a week ahead for weekly
+    for (let offset = 0; offset <= 8; offset++) {
+      const weekday = new Date(Date.UTC(local.year, local.month - 1, local.day + offset)).getUTCDay();
+      if (sendDay !== null && weekday !== sendDay) continue;
+
+      const slot = this.zonedTime(timezone, local.year, local.month, local.day + offset, sendHour, 0);
+      if (slot.getTime() > afterMs) return slot;
+    }
+
+    // Unreachable for valid input - fall back to a day later rather than never
+    return new Date(afterMs + 24 * HOUR_MS);
+  }
+
+  /**
+   * Where a subscriber stands at `now`
+   * @returns {string} unscheduled | later | due | missed (more than the frequency's catch-up window late)
+   */
+  classify(subscriber, now = new Date()) {
+    const dueAt = subscriber?.nextDueAt ? new Date(subscriber.nextDueAt).getTime() : null;
+    if (!dueAt) return 'unscheduled';
+    if (dueAt > now.getTime() + EARLY_MINUTES * 60 * 1000) return 'later';
+
+    const catchUpMs = (CATCH_UP_HOURS[this.frequencyOf(subscriber)] || 0) * HOUR_MS;
+    return now.getTime() - dueAt > catchUpMs ? 'missed' : 'due';
+  }
+
+  /**
+   * How far back to look for articles: since the last newsletter, within the frequency's lookback
+   */
+  articleWindow(subscriber, now = new Date()) {
+    const { articles, lookbackHours } = FREQUENCIES[this.frequencyOf(subscriber)];
+    const earliest = now.getTime() - lookbackHours * HOUR_MS;
+    const lastSent = subscriber?.lastNewsletterSent ? new Date(subscriber.lastNewsletterSent).getTime() : 0;
+    return { since: new Date(Math.max(earliest, Math.min(lastSent, now.getTime()))), limit: articles };
+  }
+
+  sendHourOf(subscriber) {
+    const hour = subscriber?.preferences?.sendHour;
+    return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : DEFAULT_SEND_HOUR;
+  }
+
+  sendDayOf(subscriber) {
+    const day = subscriber?.preferences?.sendDay;
+    return Number.isInteger(day) && day >= 0 && day <= 6 ? day : DEFAULT_SEND_DAY;
+  }
+
+  formatterFor(timezone) {
+    if (!this.formatters.has(timezone)) {
+      this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+      }));
+    }
+    return this.formatters.get(timezone);
+  }
+
+  /**
+   * Wall-clock fields of an instant in a timezone
+   * @returns {Object} { year, month (1-12), day, hour, minute, weekday (0 = Sunday) }
+   */
+  localParts(date, timezone) {
+    const parts = {};
+    for (const { type, value } of this.formatterFor(timezone).formatToParts(date)) {
+      parts[type] = value;
+    }
+    return {
+      year: parseInt(parts.year, 10),
+      month: parseInt(parts.month, 10),
+      day: parseInt(parts.day, 10),
+      hour: parseInt(parts.hour, 10) % 24,
+      minute: parseInt(parts.minute, 10),
+      weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+  }
+
+  /**
+   * The instant a local wall-clock time occurs in a timezone (day / hour overflow rolls over;
+   * a time skipped by a DST change lands an hour off, which is fine for a newsletter)
+   */
+  zonedTime(timezone, year, month, day, hour, minute) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    let instant = wallClock - this.offsetAt(wallClock, timezone);
+    // The offset can differ at the actual instant when a DST change falls in between
+    const correction = this.offsetAt(instant, timezone);
+    instant = wallClock - correction;
+    return new Date(instant);
+  }
+
+  /**
+   * The zone's offset from UTC in milliseconds at an instant
+   */
+  offsetAt(instant, timezone) {
+    const local = this.localParts(new Date(instant), timezone);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+    return asUtc - Math.floor(instant / 60000) * 60000;
+  }
+}
+
+module.exports = new NewsletterScheduleService();
@@ -0,0 +1,262 @@
+/**
+ * 📬 Newsletter Tracking Service
+ * Open pixels and click redirects for newsletter emails.
+ *
+ * Links in an email point at /t/click/:token and the pixel at /t/open/:token,
+ * where the token is a signed payload (subscriber, newsletter, history run,
+ * article and target URL) - nothing in it can be changed without the secret,
+ * so the redirect only ever goes where the email said it would.
+ *
+ * Subscribers with trackingOptOut get plain links and no pixel, and events
+ * arriving for them after they opt out are ignored.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const NewsletterEvent = require('../models/NewsletterEvent');
+const NewsletterHistory = require('../models/NewsletterHistory');
+const Subscriber = require('../models/Subscriber');
+const readingProfileService = require('./personalization/readingProfileService');
+
+const TRACKING_BASE_URL = process.env.NEWSLETTER_TRACKING_URL || process.env.BACKEND_URL || 'https://forexyy.com';
+// Where invalid click links land
+const FALLBACK_URL = 'https://www.forexyy.com/';
+
+class NewsletterTrackingService {
+  constructor() {
+    this.secret = process.env.NEWSLETTER_TRACKING_SECRET || null;
+
+    if (!this.secret) {
+      console.warn('⚠️ NEWSLETTER_TRACKING_SECRET not set - newsletter open/click tracking is disabled');
+    }
+  }
+
+  get fallbackUrl() {
+    return FALLBACK_URL;
+  }
+
+  /**
+   * Whether an email to this subscriber gets the pixel and tracked links
+   */
+  isEnabledFor(subscriber) {
+    return Boolean(this.secret && subscriber?._id && !subscriber.trackingOptOut);
+  }
+
+  /**
+   * Sign a tracking payload
+   * Format: base64url(payload).base64url(hmac-sha256)
+   * @param {Object} payload - { sid, nid, hid, aid?, url? }
+   */
+  issueToken(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${this.sign(body)}`;
+  }
+
+  /**
+   * @returns {Object|null} Payload, or null when the token is malformed or not signed by us
+   */
+  verifyToken(token) {
+    if (!this.secret || typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [body, signature] = token.split('.');
+    if (!signature || !this.safeEqual(signature, this.sign(body))) return null;
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      return payload?.sid && payload.nid ? payload : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Tracking context for one email
+   * @param {Object} subscriber - Subscriber (needs _id)
+   * @param {string} newsletterId - Subscriber.newsletterHistory[].newsletterId
+   * @param {string|null} historyId - NewsletterHistory run
+   */
+  contextFor(subscriber, newsletterId, historyId = null) {
+    return { sid: String(subscriber._id), nid: newsletterId, hid: historyId ? String(historyId) : null };
+  }
+
+  /**
+   * Tracked version of a link in the email
+   */
+  clickUrl(context, url, articleId = null) {
+    const token = this.issueToken({ ...context, aid: articleId ? String(articleId) : null, url });
+    return `${TRACKING_BASE_URL}/t/click/${token}`;
+  }
+
+  pixelUrl(context) {
+    return `${TRACKING_BASE_URL}/t/open/${this.issueToken(context)}`;
+  }
+
+  /**
+   * Count an email sent with tracking towards its run's open/click rates
+   */
+  async markTracked(historyId) {
+    if (!historyId) return;
+    await NewsletterHistory.updateOne({ _id: historyId }, { $inc: { 'engagement.tracked': 1 } })
+      .catch(error => console.warn('⚠️ Failed to count tracked newsletter:', error.message));
+  }
+
+  /**
+   * Record a pixel load
+   * @param {Object} payload - Verified token payload
+   * @param {Object} meta - { userAgent }
+   * @returns {Promise<boolean>} Whether it was recorded (never rejects)
+   */
+  async recordOpen(payload, { userAgent = null } = {}) {
+    try {
+      const subscriber = await this.trackableSubscriber(payload);
+      if (!subscriber) return false;
+
+      const emailFilter = { subscriber: subscriber._id, newsletterId: payload.nid };
+      const firstOpen = !(await NewsletterEvent.exists({ ...emailFilter, type: 'open' }));
+      const firstEvent = firstOpen && !(await NewsletterEvent.exists({ ...emailFilter, type: 'click' }));
+
+      await NewsletterEvent.create({
+        type: 'open',
+        subscriber: subscriber._id,
+        newsletterId: payload.nid,
+        history: this.historyIdOf(payload),
+        unique: firstOpen,
+        userAgent
+      });
+
+      const now = new Date();
+      await this.updateSubscriberEntry(subscriber._id, payload.nid, {
+        $inc: { 'newsletterHistory.$.opens': 1 },
+        $min: { 'newsletterHistory.$.firstOpenedAt': now }
+      });
+      await this.updateRun(payload, {
+        $inc: { 'engagement.opens': 1, 'engagement.uniqueOpens': firstEvent ? 1 : 0 },
+        $set: { 'engagement.lastEventAt': now }
+      });
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to record newsletter open:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Record a link click, and a newsletter_click reading signal for the article
+   * @param {Object} payload - Verified token payload
+   * @param {Object} reader - req.reader of the click (visitor id, DNT)
+   * @param {Object} meta - { userAgent }
+   * @returns {Promise<boolean>} Whether it was recorded (never rejects)
+   */
+  async recordClick(payload, reader = null, { userAgent = null } = {}) {
+    try {
+      const subscriber = await this.trackableSubscriber(payload);
+      if (!subscriber) return false;
+
+      const emailFilter = { subscriber: subscriber._id, newsletterId: payload.nid };
+      const firstClick = !(await NewsletterEvent.exists({ ...emailFilter, type: 'click' }));
+      // A click proves an open even when images were blocked
+      const firstEvent = firstClick && !(await NewsletterEvent.exists({ ...emailFilter, type: 'open' }));
+      const firstOnLink = firstClick || !(await NewsletterEvent.exists({
+        ...emailFilter,
+        type: 'click',
+        ...(payload.aid ? { articleId: payload.aid } : { url: payload.url })
+      }));
+
+      await NewsletterEvent.create({
+        type: 'click',
+        subscriber: subscriber._id,
+        newsletterId: payload.nid,
+        history: this.historyIdOf(payload),
+        articleId: payload.aid || null,
+        url: payload.url || null,
+        unique: firstOnLink,
+        userAgent
+      });
+
+      const now = new Date();
+      await this.updateSubscriberEntry(subscriber._id, payload.nid, {
+        $inc: { 'newsletterHistory.$.clicks': 1 },
+        $set: { 'newsletterHistory.$.lastClickedAt': now },
+        $min: { 'newsletterHistory.$.firstOpenedAt': now }
+      });
+
+      await this.updateRun(payload, {
+        $inc: {
+          'engagement.clicks': 1,
+          'engagement.uniqueClicks': firstClick ? 1 : 0,
+          'engagement.uniqueOpens': firstEvent ? 1 : 0
+        },
+        $set: { 'engagement.lastEventAt': now }
+      });
+
+      if (payload.aid && mongoose.isValidObjectId(payload.aid)) {
+        await readingProfileService.recordSignal({
+          visitorId: reader?.visitorId || null,
+          subscriberToken: subscriber.unsubscribeToken,
+          trackingAllowed: reader ? reader.trackingAllowed : true
+        }, payload.aid, 'newsletter_click');
+      }
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to record newsletter click:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Where a click token sends the reader: its signed URL, if it's an http(s) URL
+   */
+  redirectUrl(payload) {
+    try {
+      const url = new URL(payload?.url);
+      return ['https:', 'http:'].includes(url.protocol) ? url.toString() : FALLBACK_URL;
+    } catch {
+      return FALLBACK_URL;
+    }
+  }
+
+  /**
+   * Turn tracking off (or back on) for a subscriber
+   * @param {string} token - unsubscribeToken
+   * @param {boolean} optOut
+   * @returns {Promise<Object|null>} The subscriber before the change, or null if unknown
+   */
+  async setOptOut(token, optOut) {
+    if (!token || typeof token !== 'string') return null;
+    return Subscriber.findOneAndUpdate(
+      { unsubscribeToken: token },
+      { $set: { trackingOptOut: Boolean(optOut) } }
+    );
+  }
+
+  async trackableSubscriber(payload) {
+    if (!mongoose.isValidObjectId(payload.sid)) return null;
+    const subscriber = await Subscriber.findById(payload.sid).select('trackingOptOut unsubscribeToken').lean();
+    return subscriber && !subscriber.trackingOptOut ? subscriber : null;
+  }
+
+  historyIdOf(payload) {
+    return payload.hid && mongoose.isValidObjectId(payload.hid) ? payload.hid : null;
+  }
+
+  async updateSubscriberEntry(subscriberId, newsletterId, update) {
+    await Subscriber.updateOne({ _id: subscriberId, 'newsletterHistory.newsletterId': newsletterId }, update);
+  }
+
+  async updateRun(payload, update) {
+    const historyId = this.historyIdOf(payload);
+    if (historyId) await NewsletterHistory.updateOne({ _id: historyId }, update);
+  }
+
+  safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+  }
+
+  sign(body) {
+    return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+  }
+}
+
+module.exports = new NewsletterTrackingService();
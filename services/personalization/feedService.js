@@ -0,0 +1,181 @@
+/**
+ * 📰 Feed Service
+ *
+ * - topStories(): the shared "Top 20" hot path (Redis list homepage:top20,
+ *   article:ID cache, DB on miss) behind GET /api/articles/top20
+ * - personalized(): recent articles ranked for one reader by affinity to their
+ *   interest profile (./readingProfileService), freshness and diversity; readers
+ *   without enough history get topStories() instead
+ */
+
+const Article = require('../../models/article');
+const cache = require('../cache');
+const readingProfileService = require('./readingProfileService');
+const { findArticleByIdentifier } = require('../db/articleService');
+
+// Signals needed before the feed is personalized
+const MIN_SIGNALS = parseInt(process.env.FEED_MIN_SIGNALS) || 3;
+// Share of the score from affinity (the rest is freshness)
+const AFFINITY_WEIGHT = parseFloat(process.env.FEED_AFFINITY_WEIGHT) || 0.6;
+// Section vs entity share of affinity
+const SECTION_SHARE = 0.6;
+// Freshness halves every FRESHNESS_HALF_LIFE_HOURS
+const FRESHNESS_HALF_LIFE_HOURS = 12;
+// Each article already picked from a section multiplies the next one's score by this
+const SECTION_REPEAT_PENALTY = 0.75;
+const CANDIDATE_HOURS = [48, 7 * 24];
+const MAX_CANDIDATES = 300;
+
+const CANDIDATE_FIELDS = 'title abstract url section subsection byline source publishedDate imageUrl multimedia entities clusterId';
+
+class FeedService {
+  /**
+   * The homepage:top20 articles, in list order, from cache or the DB
+   * @param {number} limit
+   * @returns {Promise<Array<Object>|null>} Raw articles, or null when the list is empty
+   */
+  async topStories(limit = 20) {
+    // 1. Article IDs from the Redis list
+    const articleIds = await cache.getFromList('homepage:top20', 0, limit - 1);
+    if (articleIds.length === 0) return null;
+
+    // 2. Full articles from cache (article:ID), 3. the DB on a miss (re-cached)
+    const articles = [];
+    for (const id of articleIds) {
+      let article = await cache.get(`article:${id}`);
+      // GET /api/articles/:id caches the same key as a JSON string
+      if (typeof article === 'string') {
+        try {
+          article = JSON.parse(article);
+        } catch {
+          article = null;
+        }
+      }
+      if (!article) {
+        article = await findArticleByIdentifier(id);
+        if (article) await cache.set(`article:${id}`, article, 'article');
+      }
+      if (article) articles.push(article);
+    }
+    return articles;
+  }
+
+  /**
+   * Rank recent articles for a reader
+   * @param {Object} reader - req.reader (middleware/reader.js)
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} { personalized, reason, articles, interests }
+   *   personalized false = topStories() (or latest articles) because there is no usable history
+   */
+  async personalized(reader, { limit = 20 } = {}) {
+    if (!reader?.trackingAllowed) return this.fallback(limit, 'tracking_disabled');
+
+    const profile = await readingProfileService.getProfile(reader);
+    const interests = profile ? readingProfileService.interests(profile) : null;
+    if (!interests || interests.totalSignals < MIN_SIGNALS) return this.fallback(limit, 'not_enough_history');
+
+    const alreadyRead = new Set(profile.recentArticles || []);
+    const candidates = (await this.candidates()).filter(article => !alreadyRead.has(String(article._id)));
+    if (candidates.length === 0) return this.fallback(limit, 'no_candidates');
+
+    return {
+      personalized: true,
+      reason: null,
+      articles: this.rank(candidates, interests, limit),
+      interests: {
+        sections: interests.sections.slice(0, 5),
+        entities: interests.entities.slice(0, 10),
+        totalSignals: interests.totalSignals
+      }
+    };
+  }
+
+  /**
+   * Recent articles, widening the window when the newest one is thin
+   */
+  async candidates() {
+    let articles = [];
+    for (const hours of CANDIDATE_HOURS) {
+      articles = await Article.find({ publishedDate: { $gte: new Date(Date.now() - hours * 60 * 60 * 1000) } })
+        .select(CANDIDATE_FIELDS)
+        .sort({ publishedDate: -1 })
+        .limit(MAX_CANDIDATES)
+        .lean();
+      if (articles.length >= MAX_CANDIDATES / 3) break;
+    }
+    return articles;
+  }
+
+  /**
+   * Score by affinity and freshness, then pick greedily with a penalty for
+   * repeating a section and at most one article per story cluster
+   */
+  rank(candidates, interests, limit) {
+    const sectionScores = new Map(interests.sections.map(entry => [entry.name, entry.score]));
+    const entityScores = new Map(interests.entities.map(entry => [entry.name, entry.score]));
+    const maxSection = interests.sections[0]?.score || 1;
+    const maxEntity = interests.entities[0]?.score || 1;
+    const now = Date.now();
+
+    const scored = candidates.map(article => {
+      const sectionAffinity = (sectionScores.get((article.section || '').toLowerCase()) || 0) / maxSection;
+      const entityAffinity = Math.min(1, (article.entities || [])
+        .reduce((sum, slug) => sum + (entityScores.get(slug) || 0), 0) / maxEntity);
+      const affinity = SECTION_SHARE * sectionAffinity + (1 - SECTION_SHARE) * entityAffinity;
+
+      const ageHours = Math.max(0, now - new Date(article.publishedDate || now).getTime()) / (60 * 60 * 1000);
+      const freshness = Math.pow(0.5, ageHours / FRESHNESS_HALF_LIFE_HOURS);
+
+      return { article, affinity, freshness, score: AFFINITY_WEIGHT * affinity + (1 - AFFINITY_WEIGHT) * freshness };
+    });
+
+    const picked = [];
+    const perSection = new Map();
+    const clusters = new Set();
+    const remaining = [...scored];
+
+    while (picked.length < limit && remaining.length > 0) {
+      let bestIndex = 0;
+      let bestScore = -Infinity;
+      remaining.forEach((entry, index) => {
+        const adjusted = entry.score * Math.pow(SECTION_REPEAT_PENALTY, perSection.get(entry.article.section) || 0);
+        if (adjusted > bestScore) {
+          bestScore = adjusted;
+          bestIndex = index;
+        }
+      });
+
+      const [best] = remaining.splice(bestIndex, 1);
+      const clusterId = best.article.clusterId ? String(best.article.clusterId) : null;
+      if (clusterId && clusters.has(clusterId)) continue;
+      if (clusterId) clusters.add(clusterId);
+
+      perSection.set(best.article.section, (perSection.get(best.article.section) || 0) + 1);
+      picked.push({
+        ...best.article,
+        feedScore: {
+          score: Math.round(bestScore * 1000) / 1000,
+          affinity: Math.round(best.affinity * 1000) / 1000,
+          freshness: Math.round(best.freshness * 1000) / 1000
+        }
+      });
+    }
+    return picked;
+  }
+
+  /**
+   * Non-personalized feed: the top 20, or the latest articles when that list is empty
+   */
+  async fallback(limit, reason) {
+    let articles = await this.topStories(limit).catch(error => {
+      console.error('❌ Top stories failed:', error.message);
+      return null;
+    });
+    if (!articles || articles.length === 0) {
+      articles = await Article.find({}).select(CANDIDATE_FIELDS).sort({ publishedDate: -1 }).limit(limit).lean();
+    }
+    return { personalized: false, reason, articles, interests: null };
+  }
+}
+
+module.exports = new FeedService();
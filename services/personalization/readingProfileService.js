@@ -0,0 +1,186 @@
+/**
+ * 👤 Reading Profiles
+ *
+ * Collects reading signals - article views, TTS plays, dwell-time beacons and
+ * newsletter clicks - into per-reader interest scores over sections and
+ * entities (ReadingProfile). Anonymous readers are keyed by a first-party
+ * visitor id (middleware/reader.js), newsletter subscribers by their
+ * Subscriber id. Readers sending DNT / Sec-GPC are never profiled.
+ *
+ * Scores decay with a half-life of INTEREST_HALF_LIFE_DAYS. To keep updates
+ * a single atomic $inc, a signal at time t is stored as weight × 2^((t − EPOCH) / halfLife)
+ * and read back divided by the same factor for "now".
+ */
+
+const Article = require('../../models/article');
+const ReadingProfile = require('../../models/ReadingProfile');
+const Subscriber = require('../../models/Subscriber');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EPOCH = Date.UTC(2026, 0, 1);
+const HALF_LIFE_DAYS = parseFloat(process.env.INTEREST_HALF_LIFE_DAYS) || 14;
+
+// Interest added per signal (dwell: per minute read, capped)
+const SIGNAL_WEIGHTS = { view: 1, listen: 3, dwell: 1, newsletter_click: 2 };
+const SIGNAL_TYPES = Object.keys(SIGNAL_WEIGHTS);
+const MIN_DWELL_SECONDS = 10;
+const MAX_DWELL_WEIGHT = 3;
+
+const ENTITIES_PER_ARTICLE = 10;
+const MAX_ENTITIES = 200;
+const MAX_RECENT_ARTICLES = 100;
+
+const growth = (time = Date.now()) => Math.pow(2, (time - EPOCH) / (HALF_LIFE_DAYS * DAY_MS));
+
+// Map keys can't contain "." or start with "$"
+const safeKey = (key) => String(key).replace(/[.$]/g, '_');
+
+const signalWeight = (type, { seconds = 0 } = {}) => {
+  if (type !== 'dwell') return SIGNAL_WEIGHTS[type];
+  if (!(seconds >= MIN_DWELL_SECONDS)) return 0;
+  return Math.min(seconds / 60, MAX_DWELL_WEIGHT) * SIGNAL_WEIGHTS.dwell;
+};
+
+class ReadingProfileService {
+  get signalTypes() {
+    return SIGNAL_TYPES;
+  }
+
+  /**
+   * Subscriber id for an unsubscribeToken, or null
+   */
+  async subscriberIdFor(token) {
+    if (!token) return null;
+    const subscriber = await Subscriber.findOne({ unsubscribeToken: token, isActive: true }).select('_id').lean();
+    return subscriber?._id || null;
+  }
+
+  /**
+   * Query filter for the reader's profile: the subscriber's when known, else the visitor's.
+   * The first time a visitor is identified as a subscriber their anonymous profile is
+   * claimed for the subscriber (unless the subscriber already has one).
+   * @param {Object} reader - req.reader (middleware/reader.js)
+   * @returns {Promise<Object|null>} Filter, or null when the reader can't be identified
+   */
+  async profileFilter(reader) {
+    const subscriberId = await this.subscriberIdFor(reader?.subscriberToken);
+    if (subscriberId) {
+      if (reader.visitorId && !(await ReadingProfile.exists({ subscriber: subscriberId }))) {
+        await ReadingProfile.updateOne(
+          { visitorId: reader.visitorId, subscriber: { $exists: false } },
+          { $set: { subscriber: subscriberId } }
+        ).catch(error => console.warn('⚠️ Failed to link reading profile:', error.message));
+      }
+      return { subscriber: subscriberId };
+    }
+    return reader?.visitorId ? { visitorId: reader.visitorId } : null;
+  }
+
+  /**
+   * Add a reading signal to the reader's profile (created on first signal)
+   * @param {Object} reader - req.reader
+   * @param {Object|string} articleOrId - Article with _id, section and entities, or its id
+   * @param {string} type - view | listen | dwell | newsletter_click
+   * @param {Object} options - { seconds } for dwell
+   * @returns {Promise<boolean>} Whether anything was recorded (never rejects)
+   */
+  async recordSignal(reader, articleOrId, type, { seconds = 0 } = {}) {
+    try {
+      if (!reader?.trackingAllowed || !SIGNAL_TYPES.includes(type)) return false;
+
+      const weight = signalWeight(type, { seconds });
+      if (weight <= 0) return false;
+
+      const filter = await this.profileFilter(reader);
+      if (!filter) return false;
+
+      const article = articleOrId?._id && articleOrId.section !== undefined
+        ? articleOrId
+        : await Article.findById(articleOrId).select('section entities').lean();
+      if (!article) return false;
+
+      const scaled = weight * growth();
+      const inc = { [`signals.${type}`]: 1 };
+      if (article.section) {
+        inc[`sections.${safeKey(article.section.toLowerCase())}`] = scaled;
+      }
+      // Spread the entity share so articles tagged with many entities don't dominate
+      const entities = (article.entities || []).slice(0, ENTITIES_PER_ARTICLE);
+      entities.forEach(slug => {
+        inc[`entities.${safeKey(slug)}`] = scaled / Math.sqrt(entities.length);
+      });
+
+      const update = { $inc: inc, $set: { lastSeenAt: new Date() } };
+      // Dwell beacons follow a view - the article is already in the list
+      if (type !== 'dwell') {
+        update.$push = { recentArticles: { $each: [String(article._id)], $slice: -MAX_RECENT_ARTICLES } };
+      }
+
+      try {
+        await ReadingProfile.updateOne(filter, update, { upsert: true });
+      } catch (error) {
+        // Two first signals raced to create the profile - the second one can now update it
+        if (error.code !== 11000) throw error;
+        await ReadingProfile.updateOne(filter, update);
+      }
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to record ${type} signal:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * The reader's profile, or null
+   */
+  async getProfile(reader) {
+    const filter = await this.profileFilter(reader);
+    return filter ? ReadingProfile.findOne(filter).lean() : null;
+  }
+
+  /**
+   * Current (decayed) interest scores, strongest first
+   * @param {Object} profile - ReadingProfile (lean)
+   * @returns {Object} { sections: [{ name, score }], entities: [{ name, score }], totalSignals }
+   */
+  interests(profile) {
+    const now = growth();
+    const ranked = (scores) => Object.entries(scores || {})
+      .map(([name, stored]) => ({ name, score: Math.round((stored / now) * 1000) / 1000 }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const entities = ranked(profile?.entities);
+    if (entities.length > MAX_ENTITIES && profile?._id) {
+      this.prune(profile._id, entities.slice(MAX_ENTITIES).map(entry => entry.name));
+    }
+
+    return {
+      sections: ranked(profile?.sections),
+      entities: entities.slice(0, MAX_ENTITIES),
+      totalSignals: Object.values(profile?.signals || {}).reduce((sum, count) => sum + count, 0)
+    };
+  }
+
+  /**
+   * Drop the weakest entities (fire-and-forget)
+   */
+  prune(profileId, names) {
+    const unset = Object.fromEntries(names.map(name => [`entities.${name}`, '']));
+    ReadingProfile.updateOne({ _id: profileId }, { $unset: unset })
+      .catch(error => console.warn('⚠️ Failed to prune reading profile:', error.message));
+  }
+
+  /**
+   * Delete the reader's profile ("forget me")
+   * @returns {Promise<boolean>} Whether there was one
+   */
+  async forget(reader) {
+    const filter = await this.profileFilter(reader);
+    if (!filter) return false;
+    const result = await ReadingProfile.deleteOne(filter);
+    return result.deletedCount > 0;
+  }
+}
+
+module.exports = new ReadingProfileService();
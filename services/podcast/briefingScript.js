@@ -0,0 +1,124 @@
+/**
+ * Anchor script for a daily briefing: an intro, one segment per story (with a
+ * transition into it) and a sign-off. Each segment is rendered on its own and
+ * becomes a chapter of the episode. Stories are cut at sentence boundaries so
+ * the whole script fits PODCAST.maxMinutes.
+ */
+
+const { cleanMarkdown } = require('../audioCache');
+const { PODCAST, SHOW } = require('../../config/podcasts');
+
+const TRANSITIONS = [
+  'Next up.',
+  'Also making news today.',
+  'Meanwhile.',
+  'Turning to another story.',
+  'In other news.'
+];
+
+const countWords = (text) => String(text || '').split(/\s+/).filter(Boolean).length;
+
+const sectionLabel = (section) => (section === 'us'
+  ? 'U.S.'
+  : section.charAt(0).toUpperCase() + section.slice(1));
+
+/**
+ * "Monday, October 19" for an episode date (YYYY-MM-DD)
+ */
+const dateLabel = (date) => new Intl.DateTimeFormat('en-US', {
+  weekday: 'long',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC'
+}).format(new Date(`${date}T12:00:00Z`));
+
+/**
+ * Commentary as plain spoken sentences (section headings dropped, one sentence per bullet)
+ */
+function speakable(markdown) {
+  return String(markdown || '').split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !/^#{1,6}\s/.test(line))
+    .map(line => cleanMarkdown(line).trim())
+    .filter(Boolean)
+    .map(line => (/[.!?]["')]?$/.test(line) ? line : `${line}.`))
+    .join(' ');
+}
+
+/**
+ * Leading sentences of text, up to maxWords (always at least one sentence)
+ */
+function fitWords(text, maxWords) {
+  const sentences = text.match(/[^.!?]+[.!?]+["')]*\s*/g) || [text];
+  let fitted = '';
+  let words = 0;
+
+  for (const sentence of sentences) {
+    const sentenceWords = countWords(sentence);
+    if (words > 0 && words + sentenceWords > maxWords) break;
+    fitted += sentence;
+    words += sentenceWords;
+  }
+  return fitted.trim();
+}
+
+/**
+ * Write a briefing
+ * @param {Object} options - { section, date (YYYY-MM-DD), articles (ranked, with aiCommentary), anchor }
+ * @returns {Object} { title, segments: [{ title, text, article }], words }
+ */
+function writeBriefing({ section, date, articles, anchor }) {
+  const label = sectionLabel(section);
+  const day = dateLabel(date);
+  const count = articles.length;
+
+  const intro = {
+    title: 'Introduction',
+    text: `Good morning. This is the ${SHOW.title}, ${label} edition, for ${day}. ` +
+      `I'm ${anchor.name}, and here are the ${count} stories we're following today.`,
+    article: null
+  };
+  const outro = {
+    title: 'Wrap-up',
+    text: `That's the ${label} briefing for ${day}. ` +
+      'For the full analysis of every story, follow the links in the show notes. ' +
+      `I'm ${anchor.name}. Thanks for listening, and see you tomorrow.`,
+    article: null
+  };
+
+  const maxWords = PODCAST.maxMinutes * PODCAST.wordsPerMinute;
+  const perStory = Math.floor((maxWords - countWords(intro.text) - countWords(outro.text)) / Math.max(count, 1));
+
+  const stories = articles.map((article, index) => {
+    let transition;
+    if (index === 0) transition = 'Our top story.';
+    else if (index === count - 1 && count > 2) transition = 'And finally.';
+    else transition = TRANSITIONS[(index - 1) % TRANSITIONS.length];
+
+    const lead = `${transition} ${article.title.replace(/[.!?]*$/, '')}.`;
+    const body = [article.abstract, speakable(article.aiCommentary)]
+      .filter(Boolean)
+      .map(text => (/[.!?]$/.test(text.trim()) ? text.trim() : `${text.trim()}.`))
+      .join(' ');
+
+    return {
+      title: article.title,
+      text: body ? `${lead} ${fitWords(body, perStory - countWords(lead))}` : lead,
+      article
+    };
+  });
+
+  const segments = [intro, ...stories, outro];
+  return {
+    title: `${label} Briefing - ${day}`,
+    segments,
+    words: segments.reduce((sum, segment) => sum + countWords(segment.text), 0)
+  };
+}
+
+module.exports = {
+  writeBriefing,
+  sectionLabel,
+  dateLabel,
+  countWords
+};
@@ -0,0 +1,89 @@
+/**
+ * ID3v2.3 tag with chapter markers (CHAP / CTOC, the ID3 chapter addendum) -
+ * what Apple Podcasts, Overcast and most players read as MP3 chapters.
+ */
+
+// Tag and frame sizes are capped well below the syncsafe limit
+const MAX_CHAPTERS = 255;
+
+/**
+ * UTF-16 text (encoding 1, with BOM) so titles in any script survive
+ */
+const encodeText = (text) => Buffer.concat([
+  Buffer.from([0x01, 0xff, 0xfe]),
+  Buffer.from(String(text || ''), 'utf16le')
+]);
+
+function frame(id, data) {
+  const header = Buffer.alloc(10);
+  header.write(id, 0, 'latin1');
+  header.writeUInt32BE(data.length, 4); // v2.3 frame sizes are plain 32-bit
+  return Buffer.concat([header, data]);
+}
+
+const textFrame = (id, text) => frame(id, encodeText(text));
+
+// User-defined URL: no description, latin1 URL (anything else percent-encoded)
+const urlFrame = (url) => frame('WXXX', Buffer.concat([
+  Buffer.from([0x00, 0x00]),
+  Buffer.from(url.replace(/[^\x21-\x7e]/g, char => encodeURIComponent(char)), 'latin1')
+]));
+
+function chapterFrame(elementId, { title, start, end, link }) {
+  const times = Buffer.alloc(16);
+  times.writeUInt32BE(Math.round(start * 1000), 0);
+  times.writeUInt32BE(Math.round(end * 1000), 4);
+  // Byte offsets unused - players seek by time
+  times.writeUInt32BE(0xffffffff, 8);
+  times.writeUInt32BE(0xffffffff, 12);
+
+  return frame('CHAP', Buffer.concat([
+    Buffer.from(`${elementId}\0`, 'latin1'),
+    times,
+    textFrame('TIT2', title),
+    ...(link ? [urlFrame(link)] : [])
+  ]));
+}
+
+function tableOfContents(elementIds) {
+  return frame('CTOC', Buffer.concat([
+    Buffer.from('toc\0', 'latin1'),
+    Buffer.from([0x03, elementIds.length]), // Top-level, ordered
+    ...elementIds.map(id => Buffer.from(`${id}\0`, 'latin1'))
+  ]));
+}
+
+/**
+ * Build the tag to put in front of the audio frames
+ * @param {Object} options - { title, artist, album, year, chapters: [{ title, start, end, link? }] } (seconds)
+ * @returns {Buffer}
+ */
+function id3Tag({ title, artist, album, year, chapters = [] }) {
+  const marked = chapters.slice(0, MAX_CHAPTERS);
+  const elementIds = marked.map((_, index) => `ch${index}`);
+
+  const frames = Buffer.concat([
+    textFrame('TIT2', title),
+    textFrame('TPE1', artist),
+    textFrame('TALB', album),
+    ...(year ? [textFrame('TYER', String(year))] : []),
+    textFrame('TCON', 'Podcast'),
+    ...(marked.length > 0 ? [tableOfContents(elementIds)] : []),
+    ...marked.map((chapter, index) => chapterFrame(elementIds[index], chapter))
+  ]);
+
+  const header = Buffer.alloc(10);
+  header.write('ID3', 0, 'latin1');
+  header[3] = 3; // v2.3.0
+  // Syncsafe size: 7 bits per byte
+  header[6] = (frames.length >> 21) & 0x7f;
+  header[7] = (frames.length >> 14) & 0x7f;
+  header[8] = (frames.length >> 7) & 0x7f;
+  header[9] = frames.length & 0x7f;
+
+  return Buffer.concat([header, frames]);
+}
+
+module.exports = {
+  id3Tag
+};
@@ -0,0 +1,487 @@
+/**
+ * 🎙️ Podcast Service
+ *
+ * Daily audio briefings per section (config/podcasts.js): the top commented
+ * articles of the day are written into an anchor script (briefingScript.js),
+ * rendered segment by segment in the section anchor's voice, joined into one
+ * MP3 with ID3 chapter markers and published as an iTunes-compatible RSS feed
+ * at /podcast/:section.xml. Episode audio lives in the audio library's storage.
+ */
+
+const crypto = require('crypto');
+const Article = require('../../models/article');
+const PodcastEpisode = require('../../models/PodcastEpisode');
+const audioLibrary = require('../audio');
+const { audioFrames } = require('../audio/mp3Duration');
+const textToSpeechService = require('../ai/textToSpeechService');
+const syndicationService = require('../syndicationService');
+const storyClusterService = require('../db/storyClusterService');
+const moderationService = require('../db/moderationService');
+const newsletterScheduleService = require('../newsletterScheduleService');
+const cacheService = require('../cache');
+const { writeBriefing, sectionLabel, dateLabel } = require('./briefingScript');
+const { id3Tag } = require('./id3Chapters');
+const { PODCAST, SHOW } = require('../../config/podcasts');
+
+const SITE_URL = 'https://forexyy.com';
+const FEED_TTL = 300; // 5 minutes - matches the public GET Cache-Control
+// A render that never finished (crashed instance) can be claimed again after this long
+const STALE_RENDER_MS = 30 * 60 * 1000;
+
+const escapeXml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// CDATA cannot contain "]]>" - split it across sections
+const cdata = (text) => `<![CDATA[${String(text || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * 83.4 → "1:23", 3725 → "1:02:05"
+ */
+const formatTime = (seconds) => {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+class PodcastService {
+  get sections() {
+    return PODCAST.sections;
+  }
+
+  /**
+   * Today's episode date (YYYY-MM-DD) in PODCAST.timezone
+   */
+  episodeDate(now = new Date()) {
+    // en-CA formats as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: PODCAST.timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(now);
+  }
+
+  showTitle(section) {
+    return `${SHOW.title} - ${sectionLabel(section)}`;
+  }
+
+  /**
+   * Top commented articles of a section commented between two times: one per story
+   * cluster, the most widely covered stories first, then the most recent
+   */
+  async selectArticles(section, since, until = new Date()) {
+    const articles = await Article.find({
+      section,
+      aiCommentary: { $exists: true, $nin: [null, ''] },
+      commentaryGeneratedAt: { $gte: since, $lte: until },
+      isClusterCanonical: { $ne: false },
+      ...moderationService.publicFilter()
+    })
+      .select('id title abstract section url aiCommentary commentaryStatus commentaryGeneratedAt publishedDate clusterId')
+      .sort({ commentaryGeneratedAt: -1 })
+      .limit(100)
+      .lean();
+
+    const stories = await storyClusterService.dedupe(articles);
+    return stories
+      .sort((a, b) => ((b.alsoCoveredBy?.length || 0) - (a.alsoCoveredBy?.length || 0)) ||
+        (new Date(b.commentaryGeneratedAt) - new Date(a.commentaryGeneratedAt)))
+      .slice(0, PODCAST.maxStories);
+  }
+
+  /**
+   * Generate (or regenerate with force) a section's briefing for a day
+   * @param {string} section
+   * @param {Object} options - { date: YYYY-MM-DD (default today), force: replace a published episode }
+   * @returns {Promise<Object>} { episode } when published, { skipped: reason } otherwise
+   */
+  async generate(section, { date = this.episodeDate(), force = false } = {}) {
+    if (!this.sections.includes(section)) {
+      throw new Error(`No podcast for section: ${section}. Available: ${this.sections.join(', ')}`);
+    }
+
+    const started = Date.now();
+    const staleBefore = new Date(started - STALE_RENDER_MS);
+
+    // Claim the day - another instance (or an earlier run) may have it. A published episode
+    // stays published while it is re-rendered (renderingSince) and is only replaced on success.
+    const claimed = (force && await PodcastEpisode.findOneAndUpdate(
+      { section, date, status: 'ready', renderingSince: { $not: { $gt: staleBefore } } },
+      { $set: { renderingSince: new Date(started) } },
+      { new: true }
+    ).lean()) || await PodcastEpisode.findOneAndUpdate(
+      { section, date, $or: [{ status: 'failed' }, { status: 'rendering', updatedAt: { $lt: staleBefore } }] },
+      { $set: { status: 'rendering', renderingSince: new Date(started), error: null } },
+      { new: true }
+    ).lean() || await PodcastEpisode.create({ section, date, renderingSince: new Date(started) }).then(doc => doc.toObject()).catch(error => {
+      if (error.code === 11000) return null;
+      throw error;
+    });
+
+    if (!claimed) {
+      const existing = await PodcastEpisode.findOne({ section, date }).select('status renderingSince').lean();
+      return { skipped: existing?.status === 'ready' && !(force && existing.renderingSince) ? 'published' : 'rendering' };
+    }
+    const republish = claimed.status === 'ready';
+    // A new file for a re-render - the published one is still being served
+    const key = republish ? `podcast-${section}-${date}-${started.toString(36)}.mp3` : `podcast-${section}-${date}.mp3`;
+    let stored = false;
+
+    try {
+      // The lookback window up to now, or to the end of the episode's day when it's an earlier one
+      const [year, month, day] = date.split('-').map(Number);
+      const until = new Date(Math.min(started, newsletterScheduleService.zonedTime(PODCAST.timezone, year, month, day + 1, 0, 0).getTime()));
+      const since = new Date(until.getTime() - PODCAST.lookbackHours * 60 * 60 * 1000);
+      const articles = await this.selectArticles(section, since, until);
+      if (articles.length < PODCAST.minStories) {
+        throw Object.assign(new Error(`Only ${articles.length} commented articles (need ${PODCAST.minStories})`), { skip: 'not_enough_articles' });
+      }
+
+      const anchor = textToSpeechService.anchorFor(section);
+      const briefing = writeBriefing({ section, date, articles, anchor });
+      console.log(`🎙️ Rendering ${section} briefing for ${date}: ${articles.length} stories, ${briefing.words} words, ${anchor.name} (${anchor.ttsVoice})`);
+
+      // One TTS run per segment - each becomes a chapter
+      const parts = [];
+      for (const [index, segment] of briefing.segments.entries()) {
+        const frames = audioFrames(await audioLibrary.synthesize(segment.text, anchor.ttsVoice));
+        if (!frames) {
+          throw new Error(`Segment ${index + 1} ("${segment.title}") produced no MP3 audio`);
+        }
+        parts.push(frames);
+      }
+
+      let position = 0;
+      const chapters = briefing.segments.map((segment, index) => {
+        const start = position;
+        position += parts[index].duration;
+        return {
+          title: segment.title,
+          start: Math.round(start * 1000) / 1000,
+          end: Math.round(position * 1000) / 1000,
+          ...(segment.article ? { link: syndicationService.articleLink(segment.article) } : {})
+        };
+      });
+      const duration = position;
+
+      const buffer = Buffer.concat([
+        id3Tag({
+          title: briefing.title,
+          artist: anchor.name,
+          album: this.showTitle(section),
+          year: date.slice(0, 4),
+          chapters
+        }),
+        ...parts.map(part => part.data)
+      ]);
+      await audioLibrary.storage.put(key, buffer, { contentType: 'audio/mpeg' });
+      stored = true;
+
+      const stories = briefing.segments.filter(segment => segment.article);
+      const episode = await PodcastEpisode.findOneAndUpdate(
+        { _id: claimed._id },
+        {
+          $set: {
+            status: 'ready',
+            renderingSince: null,
+            title: briefing.title,
+            description: `${anchor.name} with the top ${sectionLabel(section)} stories for ${dateLabel(date)}: ` +
+              `${stories.map(({ article }) => article.title).join('; ')}.`,
+            showNotes: this.showNotes({ section, date, anchor, chapters, stories }),
+            anchor: { name: anchor.name, genre: anchor.genre, voice: anchor.ttsVoice },
+            articles: stories.map(({ article }) => ({
+              article: article._id,
+              title: article.title,
+              link: syndicationService.articleLink(article)
+            })),
+            chapters,
+            storage: audioLibrary.storage.name,
+            key,
+            size: buffer.length,
+            duration,
+            scriptWords: briefing.words,
+            renderMs: Date.now() - started,
+            error: null,
+            publishedAt: claimed.publishedAt || new Date()
+          }
+        },
+        { new: true, lean: true }
+      );
+
+      const minutes = (duration / 60).toFixed(1);
+      console.log(`🎙️ Published ${section} briefing for ${date}: ${minutes} min, ${(buffer.length / 1024 / 1024).toFixed(1)} MB`);
+      if (duration < PODCAST.minMinutes * 60) {
+        console.warn(`⚠️ ${section} briefing for ${date} is ${minutes} min - shorter than the ${PODCAST.minMinutes} min target`);
+      }
+
+      if (claimed.key && claimed.key !== key) {
+        await audioLibrary.storage.delete(claimed.key)
+          .catch(error => console.warn(`⚠️ Could not delete replaced podcast audio ${claimed.key}:`, error.message));
+      }
+
+      await this.invalidate(section);
+      this.prune(section).catch(error => console.error(`❌ Podcast prune failed for ${section}:`, error.message));
+      return { episode };
+
+    } catch (error) {
+      if (!error.skip) {
+        console.error(`❌ ${section} briefing for ${date} failed:`, error.message);
+      }
+      if (stored && key !== claimed.key) {
+        await audioLibrary.storage.delete(key).catch(() => {});
+      }
+      // A published episode keeps its current audio
+      await PodcastEpisode.updateOne(
+        { _id: claimed._id },
+        { $set: { status: republish ? 'ready' : 'failed', renderingSince: null, error: error.message } }
+      ).catch(err => console.error('❌ Failed to record podcast failure:', err.message));
+      if (error.skip) {
+        console.log(`⏭️ No ${section} briefing for ${date}: ${error.message}`);
+        return { skipped: error.skip, reason: error.message };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Generate today's briefing for every podcast section, one at a time
+   * @returns {Promise<Array<Object>>} { section, status: published | skipped | failed, reason? }
+   */
+  async runDaily({ date = this.episodeDate(), force = false } = {}) {
+    const results = [];
+    for (const section of this.sections) {
+      try {
+        const result = await this.generate(section, { date, force });
+        results.push(result.episode
+          ? { section, status: 'published', duration: result.episode.duration }
+          : { section, status: 'skipped', reason: result.reason || result.skipped });
+      } catch (error) {
+        results.push({ section, status: 'failed', reason: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * HTML show notes: the stories in order, each linked back to its article, with chapter times
+   */
+  showNotes({ section, date, anchor, chapters, stories }) {
+    const items = stories.map(({ article }) => {
+      const link = syndicationService.articleLink(article);
+      const chapter = chapters.find(c => c.link === link);
+      return `<li><a href="${escapeHtml(link)}">${escapeHtml(article.title)}</a>` +
+        `${chapter ? ` (${formatTime(chapter.start)})` : ''}` +
+        `${article.abstract ? ` - ${escapeHtml(article.abstract)}` : ''}</li>`;
+    });
+
+    return [
+      `<p>${escapeHtml(anchor.name)} with the top ${escapeHtml(sectionLabel(section))} stories for ${escapeHtml(dateLabel(date))}.</p>`,
+      `<ol>\n${items.join('\n')}\n</ol>`,
+      `<p>Read the full analysis of every story on <a href="${SITE_URL}/category/${encodeURIComponent(section)}">${escapeHtml(SHOW.author)}</a>.</p>`
+    ].join('\n');
+  }
+
+  /**
+   * A published episode
+   */
+  async findEpisode(section, date) {
+    return PodcastEpisode.findOne({ section, date, status: 'ready' }).lean();
+  }
+
+  /**
+   * Episodes, newest first (admin)
+   * @param {Object} options - { section, status, limit }
+   */
+  async listEpisodes({ section, status, limit = 50 } = {}) {
+    const filter = {};
+    if (section) filter.section = section;
+    if (status) filter.status = status;
+    return PodcastEpisode.find(filter)
+      .select('-showNotes')
+      .sort({ date: -1, section: 1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Read an episode's audio
+   * @param {Object} range - { start, end } inclusive, or null for all of it
+   * @returns {Promise<import('stream').Readable|null>} null when the file has gone missing
+   */
+  async open(episode, range = null) {
+    try {
+      return await audioLibrary.storage.get(episode.key, range);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.status === 404) {
+        console.warn(`⚠️ Podcast audio missing for ${episode.section} ${episode.date}`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Podcasting 2.0 JSON chapters (podcast:chapters)
+   */
+  chaptersJson(episode) {
+    return {
+      version: '1.2.0',
+      title: episode.title,
+      podcastName: this.showTitle(episode.section),
+      chapters: episode.chapters.map(chapter => ({
+        startTime: chapter.start,
+        endTime: chapter.end,
+        title: chapter.title,
+        ...(chapter.link ? { url: chapter.link } : {})
+      }))
+    };
+  }
+
+  /**
+   * Delete an episode and its audio
+   */
+  async remove(episode) {
+    if (episode.key) {
+      await audioLibrary.storage.delete(episode.key);
+    }
+    await PodcastEpisode.deleteOne({ _id: episode._id });
+    await this.invalidate(episode.section);
+  }
+
+  /**
+   * Keep the newest PODCAST.keepEpisodes episodes of a section
+   * @returns {Promise<number>} Episodes deleted
+   */
+  async prune(section) {
+    const old = await PodcastEpisode.find({ section })
+      .sort({ date: -1 })
+      .skip(PODCAST.keepEpisodes)
+      .select('section date key')
+      .lean();
+
+    for (const episode of old) {
+      await this.remove(episode);
+    }
+    if (old.length > 0) {
+      console.log(`🧹 Deleted ${old.length} old ${section} podcast episodes`);
+    }
+    return old.length;
+  }
+
+  /**
+   * Get the rendered podcast feed, from Redis when possible
+   * @param {string} section
+   * @param {string} apiUrl - Public base URL of this API (enclosure and chapter URLs)
+   * @returns {Promise<{body: string, etag: string, lastModified: string}>}
+   */
+  async getFeed(section, apiUrl) {
+    // Links embed the base URL - one cached copy per public URL
+    const cacheKey = `podcast:${section}:rss:${crypto.createHash('md5').update(apiUrl).digest('hex').slice(0, 8)}`;
+    const cached = await cacheService.get(cacheKey);
+    if (cached && cached.body) {
+      return cached;
+    }
+
+    const episodes = await PodcastEpisode.find({ section, status: 'ready' })
+      .sort({ date: -1 })
+      .limit(PODCAST.keepEpisodes)
+      .lean();
+
+    const body = this.renderFeed(section, episodes, apiUrl);
+    const feed = {
+      body,
+      etag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+      lastModified: (episodes[0] ? new Date(episodes[0].updatedAt) : new Date()).toUTCString()
+    };
+
+    await cacheService.set(cacheKey, feed, FEED_TTL);
+    return feed;
+  }
+
+  /**
+   * iTunes-compatible podcast RSS (with Podcasting 2.0 chapters)
+   */
+  renderFeed(section, episodes, apiUrl) {
+    const title = this.showTitle(section);
+    const homeUrl = `${SITE_URL}/category/${section}`;
+    const summary = `The top ${sectionLabel(section)} stories of the day with expert analysis, ` +
+      `read by ${textToSpeechService.anchorFor(section).name}. A new ${PODCAST.minMinutes}-${PODCAST.maxMinutes} minute briefing every morning.`;
+    const explicit = SHOW.explicit ? 'true' : 'false';
+
+    const items = episodes.map(episode => {
+      const base = `${apiUrl}/podcast/${section}/${episode.date}`;
+      return `    <item>
+      <title>${escapeXml(episode.title)}</title>
+      <itunes:title>${escapeXml(episode.title)}</itunes:title>
+      <link>${homeUrl}</link>
+      <guid isPermaLink="false">forexyy-podcast-${section}-${episode.date}</guid>
+      <pubDate>${new Date(episode.publishedAt || episode.createdAt).toUTCString()}</pubDate>
+      <description>${cdata(episode.showNotes)}</description>
+      <content:encoded>${cdata(episode.showNotes)}</content:encoded>
+      <itunes:summary>${escapeXml(episode.description)}</itunes:summary>
+      <itunes:author>${escapeXml(episode.anchor?.name || SHOW.author)}</itunes:author>
+      <enclosure url="${escapeXml(`${base}.mp3`)}" length="${episode.size}" type="audio/mpeg"/>
+      <itunes:duration>${Math.round(episode.duration || 0)}</itunes:duration>
+      <itunes:episodeType>full</itunes:episodeType>
+      <itunes:explicit>${explicit}</itunes:explicit>
+      <podcast:chapters url="${escapeXml(`${base}.chapters.json`)}" type="application/json+chapters"/>
+    </item>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+     xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"
+     xmlns:podcast="https://podcastindex.org/namespace/1.0"
+     xmlns:content="http://purl.org/rss/1.0/modules/content/"
+     xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${homeUrl}</link>
+    <description>${escapeXml(summary)}</description>
+    <language>${SHOW.language}</language>
+    <lastBuildDate>${(episodes[0] ? new Date(episodes[0].updatedAt) : new Date()).toUTCString()}</lastBuildDate>
+    <ttl>${FEED_TTL / 60}</ttl>
+    <atom:link href="${escapeXml(`${apiUrl}/podcast/${section}.xml`)}" rel="self" type="application/rss+xml"/>
+    <image>
+      <url>${escapeXml(SHOW.imageUrl)}</url>
+      <title>${escapeXml(title)}</title>
+      <link>${homeUrl}</link>
+    </image>
+    <itunes:author>${escapeXml(SHOW.author)}</itunes:author>
+    <itunes:summary>${escapeXml(summary)}</itunes:summary>
+    <itunes:owner>
+      <itunes:name>${escapeXml(SHOW.author)}</itunes:name>
+      <itunes:email>${escapeXml(SHOW.ownerEmail)}</itunes:email>
+    </itunes:owner>
+    <itunes:image href="${escapeXml(SHOW.imageUrl)}"/>
+    <itunes:category text="${escapeXml(SHOW.category)}">
+      <itunes:category text="${escapeXml(SHOW.subcategory)}"/>
+    </itunes:category>
+    <itunes:explicit>${explicit}</itunes:explicit>
+    <itunes:type>episodic</itunes:type>
+${items.join('\n')}
+  </channel>
+</rss>`;
+  }
+
+  /**
+   * Drop a section's cached feed (after an episode is published or deleted)
+   */
+  async invalidate(section) {
+    await cacheService.delPattern(`podcast:${section}:*`);
+  }
+}
+
+module.exports = new PodcastService();
@@ -0,0 +1,86 @@
+/**
+ * 🎙️ Podcast Worker
+ * Generates the daily briefing of every podcast section on PODCAST.cron
+ * (in PODCAST.timezone) on a long-running server.
+ */
+
+const cron = require('node-cron');
+const podcastService = require('./index');
+const { PODCAST } = require('../../config/podcasts');
+
+class PodcastWorker {
+  constructor() {
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.task = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the daily schedule
+   */
+  start(schedule = PODCAST.cron) {
+    if (this.isRunning || !schedule || schedule === 'off') return;
+
+    if (!cron.validate(schedule)) {
+      console.error(`❌ Invalid PODCAST_CRON "${schedule}" - podcast worker not started`);
+      return;
+    }
+
+    this.task = cron.schedule(schedule, () => {
+      this.runOnce().catch(error => console.error('❌ Podcast run failed:', error.message));
+    }, { timezone: PODCAST.timezone });
+    this.isRunning = true;
+    console.log(`🎙️ Podcast worker started (${schedule} ${PODCAST.timezone}, sections: ${PODCAST.sections.join(', ')})`);
+  }
+
+  /**
+   * Stop the daily schedule
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * Generate today's briefings now
+   * @param {Object} options - { date, force } (see podcastService.runDaily)
+   * @returns {Promise<Object>} { date, results }
+   */
+  async runOnce({ date = podcastService.episodeDate(), force = false } = {}) {
+    if (this.isProcessing) {
+      return { date, results: [], busy: true };
+    }
+    this.isProcessing = true;
+
+    try {
+      const results = await podcastService.runDaily({ date, force });
+      const published = results.filter(result => result.status === 'published').length;
+      this.lastRun = { at: new Date(), date, results };
+      console.log(`🎙️ Podcast run for ${date}: ${published}/${results.length} briefings published`);
+      return { date, results };
+
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Get worker statistics
+   */
+  getStats() {
+    return {
+      isRunning: this.isRunning,
+      isProcessing: this.isProcessing,
+      schedule: PODCAST.cron,
+      timezone: PODCAST.timezone,
+      sections: PODCAST.sections,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new PodcastWorker();
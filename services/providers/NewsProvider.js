@@ -0,0 +1,136 @@
+/**
+ * News Provider Base Class
+ *
+ * Every news source implements this interface and registers itself in
+ * services/providers/index.js. Sections are mapped to providers in
+ * config/newsSources.js.
+ */
+
+class NewsProvider {
+  /**
+   * @param {string} name - Provider id used in config/newsSources.js
+   * @param {Object} options - { dailyLimit }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.dailyLimit = options.dailyLimit || null;
+    this.requestsToday = 0;
+    this.resetTime = this.getNextMidnightUTC();
+    this.cooldownUntil = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether the provider is configured (API keys present etc.)
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Whether this provider can serve a section
+   * @param {string} section - Section name
+   * @returns {boolean}
+   */
+  supportsSection(section) {
+    return true;
+  }
+
+  /**
+   * Fetch latest articles for a section
+   * @param {string} section - Section name
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array<Object>>} Articles normalized to the Article schema
+   */
+  async fetchBySection(section, options = {}) {
+    throw new Error(`${this.name}: fetchBySection not implemented`);
+  }
+
+  /**
+   * Search articles by keyword
+   * @param {string} query - Search query
+   * @param {Object} options - { limit, section }
+   * @returns {Promise<Array<Object>>} Articles normalized to the Article schema
+   */
+  async search(query, options = {}) {
+    return [];
+  }
+
+  /**
+   * Convert a raw provider record into the Article schema shape
+   * @param {Object} raw - Raw record from the upstream API
+   * @param {string} section - Section the article is filed under
+   * @returns {Object} Article-shaped object
+   */
+  normalize(raw, section) {
+    throw new Error(`${this.name}: normalize not implemented`);
+  }
+
+  /**
+   * Report quota usage
+   * @returns {Object} { provider, configured, dailyLimit, used, remaining, resetsAt, coolingDown, lastError }
+   */
+  getQuota() {
+    this.resetIfNeeded();
+    return {
+      provider: this.name,
+      configured: this.isConfigured(),
+      dailyLimit: this.dailyLimit,
+      used: this.requestsToday,
+      remaining: this.dailyLimit ? Math.max(this.dailyLimit - this.requestsToday, 0) : null,
+      resetsAt: this.resetTime.toISOString(),
+      coolingDown: this.isCoolingDown(),
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Whether the provider can take another request right now
+   * @returns {boolean}
+   */
+  isAvailable() {
+    this.resetIfNeeded();
+    if (!this.isConfigured()) return false;
+    if (this.isCoolingDown()) return false;
+    if (this.dailyLimit && this.requestsToday >= this.dailyLimit) return false;
+    return true;
+  }
+
+  /**
+   * Count an upstream request against the daily quota
+   */
+  recordRequest() {
+    this.resetIfNeeded();
+    this.requestsToday++;
+  }
+
+  /**
+   * Back off after a rate-limit or upstream error
+   * @param {number} seconds - Cooldown duration
+   * @param {string} reason - Error message
+   */
+  markCooldown(seconds, reason) {
+    this.cooldownUntil = Date.now() + seconds * 1000;
+    this.lastError = reason;
+  }
+
+  isCoolingDown() {
+    return !!this.cooldownUntil && this.cooldownUntil > Date.now();
+  }
+
+  resetIfNeeded() {
+    if (Date.now() >= this.resetTime.getTime()) {
+      this.requestsToday = 0;
+      this.resetTime = this.getNextMidnightUTC();
+    }
+  }
+
+  getNextMidnightUTC() {
+    const tomorrow = new Date();
+    tomorrow.setUTCHours(24, 0, 0, 0);
+    return tomorrow;
+  }
+}
+
+module.exports = NewsProvider;
@@ -0,0 +1,139 @@
+/**
+ * News Provider Registry
+ *
+ * Resolves sections to their configured providers and fails over
+ * automatically: a provider that errors, returns nothing or is out of
+ * quota is skipped in favour of the next one in the section's list.
+ *
+ * Adding a source = one module extending NewsProvider + register() below
+ * + listing it for sections in config/newsSources.js.
+ */
+
+const newsSources = require('../../config/newsSources');
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a provider instance
+   * @param {NewsProvider} provider
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * All configured sections, in rotation order
+   */
+  getSections() {
+    return newsSources.sections;
+  }
+
+  /**
+   * Ordered providers for a section (unknown names are skipped)
+   * @param {string} section - Section name
+   * @returns {Array<NewsProvider>}
+   */
+  getProvidersForSection(section) {
+    const names = newsSources.sectionProviders[section] || [];
+    return names
+      .map(name => this.get(name))
+      .filter(provider => provider && provider.supportsSection(section));
+  }
+
+  /**
+   * Fetch a section, failing over through its providers
+   * @param {string} section - Section name
+   * @param {Object} options - Passed to provider.fetchBySection
+   * @returns {Promise<{articles: Array<Object>, provider: string|null, attempts: Array<Object>}>}
+   */
+  async fetchSection(section, options = {}) {
+    const providers = this.getProvidersForSection(section);
+    const attempts = [];
+
+    if (providers.length === 0) {
+      console.error(`❌ No providers configured for section: ${section}`);
+      return { articles: [], provider: null, attempts };
+    }
+
+    for (const provider of providers) {
+      if (!provider.isAvailable()) {
+        const quota = provider.getQuota();
+        const reason = !quota.configured ? 'not configured' : (quota.coolingDown ? 'cooling down' : 'out of quota');
+        attempts.push({ provider: provider.name, skipped: true, reason });
+        continue;
+      }
+
+      try {
+        const articles = await provider.fetchBySection(section, options);
+        attempts.push({ provider: provider.name, count: articles.length });
+
+        if (articles.length > 0) {
+          if (attempts.length > 1) {
+            console.log(`🔀 [${section}] Failed over to ${provider.name}`);
+          }
+          return { articles, provider: provider.name, attempts };
+        }
+      } catch (error) {
+        console.error(`❌ [${section}] Provider ${provider.name} failed:`, error.message);
+        attempts.push({ provider: provider.name, error: error.message });
+      }
+    }
+
+    return { articles: [], provider: null, attempts };
+  }
+
+  /**
+   * Search the first provider that returns results
+   * @param {string} query - Search query
+   * @param {Object} options - { limit, section, providers }
+   * @returns {Promise<{articles: Array<Object>, provider: string|null}>}
+   */
+  async search(query, options = {}) {
+    const names = options.providers
+      || (options.section && newsSources.sectionProviders[options.section])
+      || Array.from(this.providers.keys());
+
+    for (const name of names) {
+      const provider = this.get(name);
+      if (!provider || !provider.isAvailable()) continue;
+
+      try {
+        const articles = await provider.search(query, options);
+        if (articles.length > 0) {
+          return { articles, provider: name };
+        }
+      } catch (error) {
+        console.error(`❌ Search via ${name} failed:`, error.message);
+      }
+    }
+
+    return { articles: [], provider: null };
+  }
+
+  /**
+   * Quota + section mapping for status endpoints
+   */
+  getStatus() {
+    return {
+      sections: newsSources.sectionProviders,
+      providers: Array.from(this.providers.values()).map(p => p.getQuota())
+    };
+  }
+}
+
+const registry = new ProviderRegistry();
+
+registry
+  .register(require('./nytProvider'))
+  .register(require('./newsdataProvider'))
+  .register(require('./rssProvider'));
+
+module.exports = registry;
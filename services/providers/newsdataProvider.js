@@ -0,0 +1,106 @@
+/**
+ * newsdata.io Provider
+ * Uses the newsdata load balancer to rotate between API keys.
+ * Free tier: 200 credits/day per key.
+ */
+
+const fetch = require('node-fetch');
+const NewsProvider = require('./NewsProvider');
+const newsdataLoadBalancer = require('../newsdataLoadBalancer');
+
+const CREDITS_PER_KEY = 200;
+
+// Our section → newsdata.io category
+const CATEGORY_MAP = {
+  world: 'world',
+  us: 'top',
+  politics: 'politics',
+  business: 'business',
+  technology: 'technology',
+  health: 'health',
+  sports: 'sports',
+  entertainment: 'entertainment',
+  finance: 'business',
+  science: 'science'
+};
+
+class NewsdataProvider extends NewsProvider {
+  constructor() {
+    super('newsdata', { dailyLimit: newsdataLoadBalancer.apiKeys.length * CREDITS_PER_KEY });
+    this.baseUrl = 'https://newsdata.io/api/1/news';
+  }
+
+  isConfigured() {
+    return newsdataLoadBalancer.apiKeys.length > 0;
+  }
+
+  supportsSection(section) {
+    return !!CATEGORY_MAP[section];
+  }
+
+  async fetchBySection(section) {
+    const category = CATEGORY_MAP[section];
+    const data = await this.request(`category=${category}&language=en&country=us`, section);
+    return (data.results || [])
+      .filter(article => article.link && article.title)
+      .map(article => this.normalize(article, section));
+  }
+
+  async search(query, options = {}) {
+    const { limit = 10, section } = options;
+    const data = await this.request(`q=${encodeURIComponent(query)}&language=en`, section || 'search');
+    return (data.results || [])
+      .filter(article => article.link && article.title)
+      .slice(0, limit)
+      .map(article => this.normalize(article, section || article.category?.[0] || 'news'));
+  }
+
+  normalize(article, section) {
+    return {
+      id: article.article_id || article.link,
+      title: article.title,
+      abstract: article.description || '',
+      url: article.link,
+      publishedDate: article.pubDate ? new Date(article.pubDate) : new Date(),
+      source: 'newsdata',
+      section,
+      byline: article.creator?.[0] || '',
+      imageUrl: article.image_url || null,
+      // Convert newsdata.io image_url to multimedia array format (NYT compatible)
+      multimedia: article.image_url ? [{
+        url: article.image_url,
+        format: 'Large Thumbnail',
+        height: 150,
+        width: 150
+      }] : [],
+      keywords: article.keywords || []
+    };
+  }
+
+  async request(query, label) {
+    // Use tryAllKeys for automatic retry with different keys
+    return newsdataLoadBalancer.tryAllKeys(async (apiKey) => {
+      console.log(`🔑 Trying Newsdata Key for ${label}...`);
+      this.recordRequest();
+
+      const result = await fetch(`${this.baseUrl}?apikey=${apiKey}&${query}`);
+
+      if (!result.ok) {
+        throw new Error(`HTTP ${result.status}: ${result.statusText}`);
+      }
+
+      const data = await result.json();
+
+      if (data.status === 'error') {
+        throw new Error(data.results?.message || 'API returned error status');
+      }
+
+      return data;
+    }).catch(error => {
+      this.markCooldown(300, error.message);
+      throw error;
+    });
+  }
+}
+
+module.exports = new NewsdataProvider();
@@ -0,0 +1,113 @@
+/**
+ * NYT Provider - Top Stories + Article Search APIs
+ * Limits: 500 requests/day, 5 requests/minute
+ */
+
+const fetch = require('node-fetch');
+const NewsProvider = require('./NewsProvider');
+
+const TOP_STORIES_SECTIONS = [
+  'arts', 'automobiles', 'books', 'business', 'fashion', 'food', 'health',
+  'home', 'insider', 'magazine', 'movies', 'nyregion', 'obituaries', 'opinion',
+  'politics', 'realestate', 'science', 'sports', 'sundayreview', 'technology',
+  'theater', 't-magazine', 'travel', 'upshot', 'us', 'world'
+];
+
+class NYTProvider extends NewsProvider {
+  constructor() {
+    super('nyt', { dailyLimit: 500 });
+    this.baseUrl = 'https://api.nytimes.com/svc';
+  }
+
+  isConfigured() {
+    return !!process.env.NYT_API_KEY;
+  }
+
+  supportsSection(section) {
+    return TOP_STORIES_SECTIONS.includes(section);
+  }
+
+  async fetchBySection(section) {
+    const data = await this.request(`/topstories/v2/${section}.json`);
+    return (data.results || [])
+      .filter(article => article.url && article.title)
+      .map(article => this.normalize(article, section));
+  }
+
+  async search(query, options = {}) {
+    const { limit = 10 } = options;
+    const data = await this.request(`/search/v2/articlesearch.json?q=${encodeURIComponent(query)}&sort=newest`);
+    return (data.response?.docs || [])
+      .slice(0, limit)
+      .map(doc => this.normalizeSearchDoc(doc, options.section));
+  }
+
+  normalize(article, section) {
+    return {
+      id: article.uri || article.url,
+      title: article.title,
+      abstract: article.abstract || '',
+      url: article.url,
+      publishedDate: article.published_date ? new Date(article.published_date) : new Date(),
+      source: 'nytimes',
+      section,
+      subsection: article.subsection || '',
+      byline: article.byline || '',
+      imageUrl: article.multimedia?.[0]?.url || null,
+      multimedia: article.multimedia || [],
+      keywords: article.des_facet || [],
+      des_facet: article.des_facet || [],
+      org_facet: article.org_facet || [],
+      per_facet: article.per_facet || [],
+      geo_facet: article.geo_facet || []
+    };
+  }
+
+  /**
+   * Article Search docs use a different shape than Top Stories
+   */
+  normalizeSearchDoc(doc, section) {
+    const multimedia = (doc.multimedia || []).map(m => ({
+      url: m.url?.startsWith('http') ? m.url : `https://www.nytimes.com/${m.url}`,
+      format: m.subtype || m.type,
+      height: m.height,
+      width: m.width,
+      caption: m.caption || ''
+    }));
+
+    return {
+      id: doc.uri || doc._id || doc.web_url,
+      title: doc.headline?.main || '',
+      abstract: doc.abstract || doc.snippet || '',
+      url: doc.web_url,
+      publishedDate: doc.pub_date ? new Date(doc.pub_date) : new Date(),
+      source: 'nytimes',
+      section: section || (doc.section_name || 'news').toLowerCase(),
+      byline: doc.byline?.original || '',
+      imageUrl: multimedia[0]?.url || null,
+      multimedia,
+      keywords: (doc.keywords || []).map(k => k.value)
+    };
+  }
+
+  async request(path) {
+    this.recordRequest();
+
+    const separator = path.includes('?') ? '&' : '?';
+    const response = await fetch(`${this.baseUrl}${path}${separator}api-key=${process.env.NYT_API_KEY}`);
+
+    if (response.status === 429) {
+      this.markCooldown(60, 'HTTP 429: rate limited');
+      throw new Error('NYT rate limit hit (429)');
+    }
+
+    if (!response.ok) {
+      this.lastError = `HTTP ${response.status}`;
+      throw new Error(`NYT API error: ${response.status}`);
+    }
+
+    return response.json();
+  }
+}
+
+module.exports = new NYTProvider();
@@ -0,0 +1,28 @@
+/**
+ * RSS/Atom Provider
+ * Serves sections from feeds in the Feed collection (see services/rss).
+ * Only feeds that are due are fetched - conditional GET and backoff
+ * are handled by the ingestion service.
+ */
+
+const NewsProvider = require('./NewsProvider');
+const feedIngestionService = require('../rss/feedIngestionService');
+
+class RSSProvider extends NewsProvider {
+  constructor() {
+    super('rss');
+  }
+
+  async fetchBySection(section) {
+    // Only articles this poll inserted - stored ones were already served.
+    // Commentary for these is generated inline by the article fetcher
+    const results = await feedIngestionService.pollDueFeeds({ section, queueCommentary: false });
+    return results.flatMap(result => result.articles).map(({ _id, __v, ...article }) => article);
+  }
+
+  normalize(item, feed) {
+    return feedIngestionService.normalizeItem(item, feed);
+  }
+}
+
+module.exports = new RSSProvider();
@@ -0,0 +1,266 @@
+/**
+ * 📡 RSS/Atom Feed Ingestion
+ *
+ * Polls feeds from the Feed collection on their own schedule using
+ * ETag/Last-Modified conditional requests, normalizes entries into the
+ * Article model and deduplicates on the unique url index.
+ * Failing feeds back off exponentially (interval × 2^failures, max 24h).
+ */
+
+const fetch = require('node-fetch');
+const Feed = require('../../models/Feed');
+const Article = require('../../models/article');
+const { parseFeed } = require('./feedParser');
+const storyClusterService = require('../db/storyClusterService');
+const entityService = require('../entities/entityService');
+const auditService = require('../auditService');
+
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_BACKOFF_MINUTES = 24 * 60;
+const MAX_ITEMS_PER_POLL = 50;
+const USER_AGENT = 'ForexyyFeedFetcher/1.0 (+https://forexyy.com)';
+
+class FeedIngestionService {
+  /**
+   * Normalize a parsed feed item into the Article schema
+   * @param {Object} item - Item from feedParser
+   * @param {Object} feed - Feed document
+   * @returns {Object|null} Article-shaped object or null if unusable
+   */
+  normalizeItem(item, feed) {
+    if (!item.title || !item.link) return null;
+
+    return {
+      id: item.guid || item.link,
+      title: item.title,
+      abstract: item.summary.substring(0, 1000),
+      content: item.content || undefined,
+      url: item.link,
+      publishedDate: item.published || new Date(),
+      source: feed.source || feed.name,
+      section: feed.section,
+      byline: item.author ? (item.author.startsWith('By ') ? item.author : `By ${item.author}`) : '',
+      multimedia: item.images.map(image => ({
+        url: image.url,
+        format: 'Large',
+        height: image.height,
+        width: image.width,
+        caption: image.caption
+      })),
+      keywords: item.categories
+    };
+  }
+
+  /**
+   * Conditionally fetch and parse one feed, updating its schedule
+   * @param {Object} feed - Feed document
+   * @returns {Promise<{status: number, articles: Array<Object>}>} Normalized articles (empty on 304)
+   */
+  async fetchFeed(feed) {
+    const headers = {
+      'User-Agent': USER_AGENT,
+      'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8'
+    };
+    if (feed.etag) headers['If-None-Match'] = feed.etag;
+    if (feed.lastModified) headers['If-Modified-Since'] = feed.lastModified;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(feed.url, { headers, signal: controller.signal });
+
+      if (response.status === 304) {
+        await this.markSuccess(feed, 304, 0);
+        return { status: 304, articles: [] };
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const parsed = parseFeed(await response.text());
+      const articles = parsed.items
+        .slice(0, MAX_ITEMS_PER_POLL)
+        .map(item => this.normalizeItem(item, feed))
+        .filter(Boolean);
+
+      await this.markSuccess(feed, response.status, articles.length, {
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified')
+      });
+
+      return { status: response.status, articles };
+    } catch (error) {
+      const message = error.name === 'AbortError' ? `Timed out after ${FETCH_TIMEOUT_MS}ms` : error.message;
+      await this.markFailure(feed, message);
+      throw new Error(`Feed ${feed.name} failed: ${message}`);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Insert articles that are not stored yet (existing urls are left untouched)
+   * @param {Array<Object>} articles - Normalized articles
+   * @param {Object} context - Audit context (defaults to the ingestion worker)
+   * @returns {Promise<Array<Object>>} Newly inserted article documents
+   */
+  async ingestArticles(articles, context = auditService.workerContext('rss-ingestion')) {
+    if (articles.length === 0) return [];
+
+    const result = await Article.bulkWrite(
+      articles.map(article => ({
+        updateOne: {
+          filter: { url: article.url },
+          update: { $setOnInsert: { ...article, createdAt: new Date(), updatedAt: new Date() } },
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+
+    const insertedIds = Object.values(result.upsertedIds || {});
+    if (insertedIds.length === 0) return [];
+
+    const inserted = await Article.find({ _id: { $in: insertedIds } }).lean();
+    for (const article of inserted) {
+      await auditService.record({
+        action: 'article.create',
+        entityType: 'article',
+        entityId: article._id,
+        before: null,
+        after: article,
+        metadata: { url: article.url, title: article.title, source: article.source }
+      }, context);
+    }
+    return inserted;
+  }
+
+  /**
+   * Poll a single feed: fetch, dedupe/insert, optionally queue commentary
+   * @param {Object} feed - Feed document
+   * @param {Object} options - { queueCommentary, context: audit context for inserted articles }
+   * @returns {Promise<Object>} { feed, status, fetched, inserted, articles: the newly inserted ones }
+   */
+  async pollFeed(feed, { queueCommentary = true, context } = {}) {
+    const { status, articles } = await this.fetchFeed(feed);
+    const inserted = await this.ingestArticles(articles, context);
+
+    if (inserted.length > 0) {
+      await Feed.updateOne({ _id: feed._id }, { $inc: { totalIngested: inserted.length } });
+
+      // Cluster before queuing so duplicates of known stories reuse existing commentary
+      for (const article of inserted) {
+        await storyClusterService.assignArticle(article);
+        await entityService.processArticle(article);
+      }
+
+      if (queueCommentary) {
+        const { addBatchToQueue } = require('../../workers/commentaryQueue');
+        await addBatchToQueue(inserted, { priority: 4 });
+      }
+    }
+
+    console.log(`📡 [${feed.section}] ${feed.name}: ${status === 304 ? 'not modified' : `${articles.length} items, ${inserted.length} new`}`);
+
+    return {
+      feed: feed.name,
+      status,
+      fetched: articles.length,
+      inserted: inserted.length,
+      articles: inserted
+    };
+  }
+
+  /**
+   * Poll every active feed whose nextPollAt has passed
+   * @param {Object} options - { section, queueCommentary, limit }
+   * @returns {Promise<Array<Object>>} Per-feed results
+   */
+  async pollDueFeeds({ section = null, queueCommentary = true, limit = 10 } = {}) {
+    const query = { isActive: true, nextPollAt: { $lte: new Date() } };
+    if (section) query.section = section;
+
+    const feeds = await Feed.find(query).sort({ nextPollAt: 1 }).limit(limit);
+    const results = [];
+
+    for (const feed of feeds) {
+      try {
+        results.push(await this.pollFeed(feed, { queueCommentary }));
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        results.push({ feed: feed.name, error: error.message, fetched: 0, inserted: 0, articles: [] });
+      }
+    }
+
+    return results;
+  }
+
+  async markSuccess(feed, status, itemCount, validators = {}) {
+    const now = new Date();
+    const update = {
+      lastFetchedAt: now,
+      lastSuccessAt: now,
+      lastStatus: status,
+      consecutiveFailures: 0,
+      lastError: null,
+      nextPollAt: new Date(now.getTime() + feed.pollIntervalMinutes * 60 * 1000)
+    };
+
+    if (status !== 304) {
+      update.lastItemCount = itemCount;
+      update.etag = validators.etag || null;
+      update.lastModified = validators.lastModified || null;
+    }
+
+    await Feed.updateOne({ _id: feed._id }, update);
+  }
+
+  async markFailure(feed, message) {
+    const failures = (feed.consecutiveFailures || 0) + 1;
+    const backoffMinutes = Math.min(feed.pollIntervalMinutes * Math.pow(2, failures), MAX_BACKOFF_MINUTES);
+    const now = new Date();
+
+    await Feed.updateOne({ _id: feed._id }, {
+      lastFetchedAt: now,
+      consecutiveFailures: failures,
+      lastError: message,
+      nextPollAt: new Date(now.getTime() + backoffMinutes * 60 * 1000)
+    });
+
+    console.log(`⏸️  Feed ${feed.name} backing off ${backoffMinutes} min after ${failures} failure(s)`);
+  }
+
+  // ----- Feed management -----
+
+  async listFeeds(filter = {}) {
+    return Feed.find(filter).sort({ section: 1, name: 1 }).lean();
+  }
+
+  async addFeed({ name, url, section, source, pollIntervalMinutes }) {
+    return Feed.create({ name, url, section, source, pollIntervalMinutes });
+  }
+
+  async updateFeed(id, updates) {
+    const allowed = ['name', 'section', 'source', 'pollIntervalMinutes', 'isActive'];
+    const update = {};
+    for (const key of allowed) {
+      if (updates[key] !== undefined) update[key] = updates[key];
+    }
+
+    // Re-enabling a feed clears its backoff
+    if (updates.isActive === true) {
+      update.consecutiveFailures = 0;
+      update.nextPollAt = new Date();
+    }
+
+    return Feed.findByIdAndUpdate(id, update, { new: true, runValidators: true });
+  }
+
+  async removeFeed(id) {
+    return Feed.findByIdAndDelete(id);
+  }
+}
+
+module.exports = new FeedIngestionService();
@@ -0,0 +1,184 @@
+/**
+ * RSS 2.0 / Atom / RSS 1.0 (RDF) parser
+ *
+ * Produces a uniform item shape regardless of format:
+ * { title, link, summary, content, author, published, guid, categories, images[] }
+ *
+ * Images are collected from media:content, media:thumbnail, media:group,
+ * <enclosure type="image/*"> and Atom <link rel="enclosure">.
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+
+const ARRAY_TAGS = new Set([
+  'item', 'entry', 'link', 'category', 'enclosure',
+  'media:content', 'media:thumbnail', 'media:group', 'author', 'dc:creator'
+]);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  trimValues: true,
+  // Keep titles like "E1" or "2026" as strings
+  parseTagValue: false,
+  processEntities: true,
+  htmlEntities: true,
+  isArray: (name) => ARRAY_TAGS.has(name)
+});
+
+/**
+ * Text of a node that may be a string, number or { '#text': ... }
+ */
+const text = (node) => {
+  if (node === undefined || node === null) return '';
+  if (Array.isArray(node)) return text(node[0]);
+  if (typeof node === 'object') return text(node['#text']);
+  return String(node).trim();
+};
+
+const stripHtml = (html) => html
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+};
+
+const isImage = (type, medium, url) => {
+  if (medium === 'image') return true;
+  if (type && type.startsWith('image/')) return true;
+  return !type && !medium && /\.(jpe?g|png|gif|webp)(\?|$)/i.test(url || '');
+};
+
+/**
+ * Collect images from media RSS, enclosures and Atom enclosure links
+ */
+const extractImages = (item) => {
+  const images = [];
+  const seen = new Set();
+
+  const add = (url, width, height, caption) => {
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+    images.push({
+      url,
+      width: width ? parseInt(width) : undefined,
+      height: height ? parseInt(height) : undefined,
+      caption: caption || ''
+    });
+  };
+
+  const fromMedia = (node) => {
+    for (const media of node['media:content'] || []) {
+      if (isImage(media['@_type'], media['@_medium'], media['@_url'])) {
+        add(media['@_url'], media['@_width'], media['@_height'], text(media['media:description'] || media['media:title']));
+      }
+    }
+    for (const thumb of node['media:thumbnail'] || []) {
+      add(thumb['@_url'], thumb['@_width'], thumb['@_height']);
+    }
+  };
+
+  fromMedia(item);
+  for (const group of item['media:group'] || []) {
+    fromMedia(group);
+  }
+
+  for (const enclosure of item.enclosure || []) {
+    if (isImage(enclosure['@_type'], null, enclosure['@_url'])) {
+      add(enclosure['@_url']);
+    }
+  }
+
+  // Atom: <link rel="enclosure" type="image/jpeg" href="..."/>
+  for (const link of Array.isArray(item.link) ? item.link : []) {
+    if (link && typeof link === 'object' && link['@_rel'] === 'enclosure' && isImage(link['@_type'], null, link['@_href'])) {
+      add(link['@_href']);
+    }
+  }
+
+  return images;
+};
+
+const parseRssItem = (item) => {
+  const content = text(item['content:encoded']);
+  const description = text(item.description);
+  const links = item.link || [];
+
+  return {
+    title: stripHtml(text(item.title)),
+    link: text(links) || (typeof item.guid === 'object' && item.guid['@_isPermaLink'] !== 'false' ? text(item.guid) : ''),
+    summary: stripHtml(description || content),
+    content: content ? stripHtml(content) : '',
+    author: text(item['dc:creator']) || text(item.author),
+    published: toDate(text(item.pubDate) || text(item['dc:date'])),
+    guid: text(item.guid),
+    categories: (item.category || []).map(text).filter(Boolean),
+    images: extractImages(item)
+  };
+};
+
+const parseAtomEntry = (entry) => {
+  const links = entry.link || [];
+  const alternate = links.find(l => typeof l === 'object' && (!l['@_rel'] || l['@_rel'] === 'alternate'));
+  const content = text(entry.content);
+  const summary = text(entry.summary);
+
+  return {
+    title: stripHtml(text(entry.title)),
+    link: alternate ? alternate['@_href'] : (links[0]?.['@_href'] || ''),
+    summary: stripHtml(summary || content),
+    content: content ? stripHtml(content) : '',
+    author: (entry.author || []).map(a => text(a.name)).filter(Boolean).join(', '),
+    published: toDate(text(entry.published) || text(entry.updated)),
+    guid: text(entry.id),
+    categories: (entry.category || []).map(c => c['@_term'] || text(c)).filter(Boolean),
+    images: extractImages(entry)
+  };
+};
+
+/**
+ * Parse an RSS 2.0, RSS 1.0 (RDF) or Atom document
+ * @param {string} xml - Raw feed body
+ * @returns {{format: string, title: string, items: Array<Object>}}
+ */
+const parseFeed = (xml) => {
+  const doc = parser.parse(xml);
+
+  if (doc.rss && doc.rss.channel) {
+    const channel = Array.isArray(doc.rss.channel) ? doc.rss.channel[0] : doc.rss.channel;
+    return {
+      format: 'rss',
+      title: text(channel.title),
+      items: (channel.item || []).map(parseRssItem)
+    };
+  }
+
+  if (doc.feed) {
+    return {
+      format: 'atom',
+      title: text(doc.feed.title),
+      items: (doc.feed.entry || []).map(parseAtomEntry)
+    };
+  }
+
+  if (doc['rdf:RDF']) {
+    const rdf = doc['rdf:RDF'];
+    return {
+      format: 'rdf',
+      title: text(rdf.channel?.title),
+      items: (rdf.item || []).map(parseRssItem)
+    };
+  }
+
+  throw new Error('Unrecognized feed format (expected RSS or Atom)');
+};
+
+module.exports = {
+  parseFeed,
+  stripHtml
+};
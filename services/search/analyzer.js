@@ -0,0 +1,60 @@
+/**
+ * Text analysis shared by search ranking and highlighting
+ *
+ * Lowercases, strips HTML/markdown, drops stopwords and applies a light
+ * suffix stemmer so "rates", "rating" and "rate" all match.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from',
+  'as', 'is', 'it', 'its', 'be', 'are', 'was', 'were', 'been', 'has', 'have', 'had', 'that', 'this',
+  'these', 'those', 'not', 'no', 'he', 'she', 'they', 'we', 'you', 'his', 'her', 'their', 'our',
+  'will', 'would', 'can', 'could', 'should', 'may', 'into', 'over', 'about', 'after', 'than', 'then',
+  'so', 'if', 'do', 'does', 'did', 'said', 'says', 'who', 'what', 'which', 'when', 'where', 'how'
+]);
+
+const WORD_PATTERN = /[a-z0-9]+/gi;
+
+/**
+ * Light English stemmer (plural, -ing, -ed, trailing e)
+ * @param {string} word - Lowercase word
+ */
+const stem = (word) => {
+  if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+  let result = word;
+  if (result.endsWith('ies') && result.length > 4) result = result.slice(0, -3) + 'y';
+  else if (result.endsWith('ing') && result.length > 5) result = result.slice(0, -3);
+  else if (result.endsWith('ed') && result.length > 4) result = result.slice(0, -2);
+  else if (/(ss|x|ch|sh)es$/.test(result)) result = result.slice(0, -2);
+  else if (result.endsWith('s') && !result.endsWith('ss')) result = result.slice(0, -1);
+
+  if (result.endsWith('e') && result.length > 4) result = result.slice(0, -1);
+  return result;
+};
+
+/**
+ * Strip HTML tags and markdown emphasis/headings
+ */
+const toPlainText = (text) => String(text || '')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/[#*_`>]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Tokenize text into stemmed terms (duplicates kept for term frequency)
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const tokenize = (text) => (toPlainText(text).toLowerCase().match(WORD_PATTERN) || [])
+  .filter(word => word.length > 1 && !STOPWORDS.has(word))
+  .map(stem);
+
+module.exports = {
+  STOPWORDS,
+  WORD_PATTERN,
+  stem,
+  toPlainText,
+  tokenize
+};
@@ -0,0 +1,152 @@
+/**
+ * Search query syntax
+ *
+ *   fed rates section:business person:"Powell" after:2026-01-01 -crypto
+ *
+ * - bare words are ranked full-text terms, "quoted text" must appear as a phrase
+ * - -word / -"phrase" excludes matches
+ * - field:value or field:"multi word value" filters
+ *     section, source           (any of the given values)
+ *     person, org, geo, topic   (NYT facets - all given values must match)
+ *     after, before             (YYYY, YYYY-MM, YYYY-MM-DD or relative 24h / 7d / 4w)
+ */
+
+const { STOPWORDS, stem } = require('./analyzer');
+
+const FIELD_ALIASES = {
+  section: 'section',
+  category: 'section',
+  source: 'source',
+  person: 'person',
+  people: 'person',
+  org: 'org',
+  organization: 'org',
+  company: 'org',
+  geo: 'geo',
+  place: 'geo',
+  location: 'geo',
+  topic: 'topic',
+  subject: 'topic',
+  after: 'after',
+  since: 'after',
+  before: 'before',
+  until: 'before'
+};
+
+const RELATIVE_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const MAX_TERMS = 8;
+
+// Optional "-", optional "field:", then a quoted or bare value
+const TOKEN_PATTERN = /(-?)(?:([a-zA-Z]+):)?(?:"([^"]*)"?|(\S+))/g;
+
+/**
+ * Parse an absolute or relative date
+ * @param {string} value - 2026, 2026-01, 2026-01-15, ISO string, or 24h / 7d / 4w
+ * @returns {Date|null}
+ */
+const parseDate = (value) => {
+  const relative = value.match(/^(\d+)([hdw])$/i);
+  if (relative) {
+    return new Date(Date.now() - parseInt(relative[1]) * RELATIVE_UNITS[relative[2].toLowerCase()]);
+  }
+
+  const partial = value.match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/);
+  if (partial) {
+    const [, year, month = '01', day = '01'] = partial;
+    const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const quoteIfNeeded = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+/**
+ * Parse a raw query string
+ * @param {string} input
+ * @returns {Object} { words, terms, phrases, excluded, filters, after, before, textSearch, warnings }
+ */
+const parseQuery = (input = '') => {
+  const parsed = {
+    words: [],
+    terms: [],
+    phrases: [],
+    excluded: [],
+    filters: { section: [], source: [], person: [], org: [], geo: [], topic: [] },
+    after: null,
+    before: null,
+    textSearch: '',
+    warnings: []
+  };
+
+  for (const match of String(input).matchAll(TOKEN_PATTERN)) {
+    const [raw, negate, rawField, quoted, bare] = match;
+    if (!raw.trim()) continue;
+
+    const value = (quoted !== undefined ? quoted : bare || '').trim();
+    const field = rawField ? FIELD_ALIASES[rawField.toLowerCase()] : null;
+
+    if (rawField && !field) {
+      // Not a known field (e.g. "covid:" or a URL) - search it as text
+      parsed.words.push(...`${rawField} ${value}`.split(/\s+/).filter(Boolean));
+      continue;
+    }
+
+    if (!value) continue;
+
+    if (field) {
+      if (negate) {
+        parsed.warnings.push(`Negated filters are not supported: ${raw}`);
+      } else if (field === 'after' || field === 'before') {
+        const date = parseDate(value);
+        if (date) parsed[field] = date;
+        else parsed.warnings.push(`Invalid date for ${rawField}: ${value}`);
+      } else {
+        parsed.filters[field].push(value);
+      }
+      continue;
+    }
+
+    if (negate) {
+      parsed.excluded.push(value);
+    } else if (quoted !== undefined) {
+      parsed.phrases.push(value);
+    } else {
+      parsed.words.push(value);
+    }
+  }
+
+  // Ranked terms: words + phrase words, stopwords dropped, deduplicated by stem
+  const seen = new Set();
+  for (const word of [...parsed.words, ...parsed.phrases.flatMap(p => p.split(/\s+/))]) {
+    const clean = word.toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (clean.length < 2 || STOPWORDS.has(clean)) continue;
+
+    const termStem = stem(clean);
+    if (seen.has(termStem)) continue;
+    seen.add(termStem);
+    parsed.terms.push({ word: clean, stem: termStem });
+
+    if (parsed.terms.length === MAX_TERMS) break;
+  }
+
+  if (parsed.terms.length > 0) {
+    parsed.textSearch = [
+      ...parsed.words.filter(word => /[a-z0-9]/i.test(word)),
+      ...parsed.phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`),
+      ...parsed.excluded.map(word => `-${quoteIfNeeded(word)}`)
+    ].join(' ');
+  } else if (parsed.excluded.length > 0) {
+    // MongoDB $text needs at least one positive term
+    parsed.warnings.push('Exclusions need at least one search term');
+  }
+
+  return parsed;
+};
+
+module.exports = {
+  parseQuery,
+  parseDate
+};
@@ -0,0 +1,363 @@
+/**
+ * 🔍 Article Search
+ *
+ * MongoDB's text index retrieves candidates (title, abstract, content,
+ * commentary and NYT facets); candidates are then re-ranked in-process with
+ * BM25F - per-field weights and length normalization, IDF from collection
+ * document frequencies. Returns facet counts, highlighted snippets and an
+ * opaque cursor for the next page.
+ */
+
+const Article = require('../../models/article');
+const cacheService = require('../cache');
+const { tokenize, stem, toPlainText, WORD_PATTERN } = require('./analyzer');
+const { parseQuery } = require('./queryParser');
+
+const MAX_CANDIDATES = 500;
+const MAX_LIMIT = 50;
+const FACET_LIMIT = 10;
+const SNIPPET_LENGTH = 240;
+const DF_CACHE_TTL = 3600; // Document frequencies move slowly
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Mirrors the text index weights in models/article.js
+const FIELD_WEIGHTS = {
+  title: 10,
+  facets: 5,
+  abstract: 4,
+  aiCommentary: 1,
+  content: 1
+};
+
+// Query syntax facet filters → Article fields
+const FACET_FIELDS = {
+  person: 'per_facet',
+  org: 'org_facet',
+  geo: 'geo_facet',
+  topic: 'des_facet'
+};
+
+const DATE_BUCKETS = [
+  { value: 'past24h', maxAgeMs: 24 * 60 * 60 * 1000 },
+  { value: 'pastWeek', maxAgeMs: 7 * 24 * 60 * 60 * 1000 },
+  { value: 'pastMonth', maxAgeMs: 30 * 24 * 60 * 60 * 1000 },
+  { value: 'older', maxAgeMs: Infinity }
+];
+
+const CANDIDATE_FIELDS = Object.fromEntries(
+  ['id', 'title', 'abstract', 'content', 'aiCommentary', 'url', 'source', 'section', 'subsection', 'byline',
+    'publishedDate', 'multimedia', 'des_facet', 'per_facet', 'org_facet', 'geo_facet', 'clusterId'].map(field => [field, 1])
+);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const containsRegex = (value) => new RegExp(escapeRegex(value), 'i');
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class SearchService {
+  /**
+   * Search articles
+   * @param {string} rawQuery - Query using the syntax in queryParser.js
+   * @param {Object} options - { section, limit, cursor } (cursor must be valid - see decodeCursor)
+   * @returns {Promise<Object>} { query, warnings, total, articles, facets, nextCursor }
+   */
+  async search(rawQuery, { section = null, limit = 10, cursor = null } = {}) {
+    const parsed = parseQuery(rawQuery);
+    if (section) parsed.filters.section.push(section);
+
+    const safeLimit = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_LIMIT);
+    const after = cursor ? this.decodeCursor(cursor) : null;
+    const hasText = parsed.textSearch.length > 0;
+    const filter = this.buildFilter(parsed);
+
+    const [candidates, total] = await this.withSearchIndex(() => Promise.all([
+      this.findCandidates(filter, hasText),
+      Article.countDocuments(filter)
+    ]));
+
+    // Text queries rank by BM25, filter-only queries by recency
+    const ranked = hasText
+      ? await this.rank(candidates, parsed.terms)
+      : candidates.map(article => ({ article, key: new Date(article.publishedDate).getTime() || 0 }));
+
+    ranked.sort((a, b) => (b.key - a.key) || String(b.article._id).localeCompare(String(a.article._id)));
+
+    const start = after
+      ? ranked.findIndex(r => r.key < after.k || (r.key === after.k && String(r.article._id) < after.id))
+      : 0;
+    const page = start === -1 ? [] : ranked.slice(start, start + safeLimit);
+    const hasMore = start !== -1 && start + safeLimit < ranked.length;
+    const stems = new Set(parsed.terms.map(t => t.stem));
+
+    return {
+      query: {
+        text: parsed.textSearch,
+        phrases: parsed.phrases,
+        excluded: parsed.excluded,
+        filters: parsed.filters,
+        after: parsed.after,
+        before: parsed.before
+      },
+      warnings: parsed.warnings,
+      total,
+      articles: page.map(({ article, key }) => this.formatResult(article, hasText ? key : null, stems)),
+      facets: this.buildFacets(candidates),
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null
+    };
+  }
+
+  /**
+   * Translate a parsed query into a MongoDB filter
+   */
+  buildFilter(parsed) {
+    const filter = {};
+    const { filters } = parsed;
+
+    if (parsed.textSearch) filter.$text = { $search: parsed.textSearch };
+    if (filters.section.length > 0) filter.section = { $in: filters.section.map(s => s.toLowerCase()) };
+    if (filters.source.length > 0) filter.source = { $in: filters.source.map(containsRegex) };
+
+    for (const [key, field] of Object.entries(FACET_FIELDS)) {
+      if (filters[key].length > 0) filter[field] = { $all: filters[key].map(containsRegex) };
+    }
+
+    if (parsed.after || parsed.before) {
+      filter.publishedDate = {};
+      if (parsed.after) filter.publishedDate.$gte = parsed.after;
+      if (parsed.before) filter.publishedDate.$lt = parsed.before;
+    }
+
+    return filter;
+  }
+
+  async findCandidates(filter, hasText) {
+    const query = Article.find(filter).limit(MAX_CANDIDATES).lean();
+
+    if (hasText) {
+      // textScore pre-sort keeps the best candidates when there are more than MAX_CANDIDATES
+      return query
+        .select({ ...CANDIDATE_FIELDS, textScore: { $meta: 'textScore' } })
+        .sort({ textScore: { $meta: 'textScore' } });
+    }
+
+    return query.select(CANDIDATE_FIELDS).sort({ publishedDate: -1, _id: -1 });
+  }
+
+  /**
+   * Run a query, creating the text index once if MongoDB reports it missing
+   */
+  async withSearchIndex(run) {
+    try {
+      return await run();
+    } catch (error) {
+      if (!/text index required/i.test(error.message)) throw error;
+      await this.ensureSearchIndex();
+      return run();
+    }
+  }
+
+  /**
+   * Create the text index from the Article schema definition. MongoDB allows a single
+   * text index per collection, so any other one - like the pre-search
+   * title_text_content_text_section_text - is dropped first. Runs at startup, from
+   * optimizeIndexes and from POST /api/database/search-index.
+   * @returns {Promise<{created: boolean, name: string, dropped: string|null}>}
+   */
+  async ensureSearchIndex() {
+    const [fields, options] = Article.schema.indexes().find(([spec]) => Object.values(spec).includes('text'));
+    const sortedWeights = (weights) => JSON.stringify(Object.entries(weights || {}).sort());
+
+    const existing = (await Article.collection.indexes()).find(index => index.textIndexVersion);
+    if (existing && existing.name === options.name && sortedWeights(existing.weights) === sortedWeights(options.weights)) {
+      return { created: false, name: existing.name, dropped: null };
+    }
+
+    if (existing) {
+      console.log(`🔁 Replacing text index ${existing.name} with ${options.name}`);
+      await Article.collection.dropIndex(existing.name).catch(error => {
+        // IndexNotFound: another instance dropped it first
+        if (error.code !== 27) throw error;
+      });
+    }
+
+    await Article.collection.createIndex(fields, options);
+    console.log(`✅ Created text index ${options.name}`);
+    return { created: true, name: options.name, dropped: existing ? existing.name : null };
+  }
+
+  /**
+   * Number of articles containing a term (cached)
+   */
+  async documentFrequency(word) {
+    return cacheService.getOrSet(`search:df:${word}`, () =>
+      Article.countDocuments({ $text: { $search: word } }), DF_CACHE_TTL);
+  }
+
+  /**
+   * BM25F score for each candidate
+   * @param {Array<Object>} candidates - Lean articles
+   * @param {Array<{word: string, stem: string}>} terms - Parsed query terms
+   * @returns {Promise<Array<{article: Object, key: number}>>}
+   */
+  async rank(candidates, terms) {
+    if (candidates.length === 0) return [];
+
+    const [totalDocs, frequencies] = await Promise.all([
+      Article.estimatedDocumentCount(),
+      Promise.all(terms.map(term => this.documentFrequency(term.word)))
+    ]);
+
+    const idf = new Map(terms.map((term, i) => {
+      const df = Math.min(frequencies[i] || 0, totalDocs);
+      return [term.stem, Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5))];
+    }));
+
+    // Term counts per field, then average field lengths across candidates
+    const docs = candidates.map(article => {
+      const fields = {
+        title: tokenize(article.title),
+        facets: tokenize([article.des_facet, article.per_facet, article.org_facet, article.geo_facet].flat().filter(Boolean).join(' ')),
+        abstract: tokenize(article.abstract),
+        aiCommentary: tokenize(article.aiCommentary),
+        content: tokenize(article.content)
+      };
+
+      const counts = {};
+      for (const [field, tokens] of Object.entries(fields)) {
+        counts[field] = { length: tokens.length, tf: new Map() };
+        for (const token of tokens) {
+          if (idf.has(token)) counts[field].tf.set(token, (counts[field].tf.get(token) || 0) + 1);
+        }
+      }
+      return { article, counts };
+    });
+
+    const avgLength = {};
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      avgLength[field] = docs.reduce((sum, d) => sum + d.counts[field].length, 0) / docs.length || 1;
+    }
+
+    return docs.map(({ article, counts }) => {
+      let score = 0;
+      for (const [termStem, termIdf] of idf) {
+        let weightedTf = 0;
+        for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+          const { length, tf } = counts[field];
+          const freq = tf.get(termStem) || 0;
+          if (freq > 0) weightedTf += weight * freq / (1 - B + B * length / avgLength[field]);
+        }
+        score += termIdf * (weightedTf * (K1 + 1)) / (weightedTf + K1);
+      }
+      return { article, key: score };
+    });
+  }
+
+  /**
+   * Facet counts over the candidate set
+   */
+  buildFacets(candidates) {
+    const count = (values) => {
+      const counts = new Map();
+      for (const value of values) {
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+      }
+      return Array.from(counts, ([value, total]) => ({ value, count: total }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+        .slice(0, FACET_LIMIT);
+    };
+
+    const now = Date.now();
+    const dates = DATE_BUCKETS.map(bucket => ({ value: bucket.value, count: 0 }));
+    for (const article of candidates) {
+      const age = now - new Date(article.publishedDate).getTime();
+      const index = DATE_BUCKETS.findIndex(bucket => age <= bucket.maxAgeMs);
+      dates[index === -1 ? dates.length - 1 : index].count++;
+    }
+
+    return {
+      section: count(candidates.map(a => a.section)),
+      source: count(candidates.map(a => a.source)),
+      date: dates,
+      people: count(candidates.flatMap(a => a.per_facet || [])),
+      organizations: count(candidates.flatMap(a => a.org_facet || []))
+    };
+  }
+
+  /**
+   * Escape text and wrap words matching the query terms in <mark>
+   */
+  highlight(text, stems) {
+    const source = String(text || '');
+    if (stems.size === 0) return escapeHtml(source);
+
+    let result = '';
+    let last = 0;
+    for (const match of source.matchAll(WORD_PATTERN)) {
+      if (!stems.has(stem(match[0].toLowerCase()))) continue;
+      result += escapeHtml(source.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+    return result + escapeHtml(source.slice(last));
+  }
+
+  /**
+   * Best-matching sentence from abstract, commentary or content, trimmed around the first match
+   */
+  snippet(article, stems) {
+    let best = { text: article.abstract || '', score: 0 };
+
+    for (const field of ['abstract', 'aiCommentary', 'content']) {
+      const sentences = toPlainText(article[field]).split(/(?<=[.!?])\s+/);
+      for (const sentence of sentences) {
+        const score = new Set(tokenize(sentence).filter(token => stems.has(token))).size;
+        if (score > best.score) best = { text: sentence, score };
+      }
+    }
+
+    let text = toPlainText(best.text);
+    if (text.length > SNIPPET_LENGTH) {
+      const firstMatch = [...text.matchAll(WORD_PATTERN)].find(m => stems.has(stem(m[0].toLowerCase())));
+      const from = Math.max(0, Math.min((firstMatch ? firstMatch.index : 0) - 60, text.length - SNIPPET_LENGTH));
+      text = `${from > 0 ? '…' : ''}${text.substring(from, from + SNIPPET_LENGTH).trim()}${from + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+    }
+    return text;
+  }
+
+  formatResult(article, score, stems) {
+    const { content, textScore, ...rest } = article;
+    return {
+      ...rest,
+      id: article.id || article._id.toString(),
+      score: score === null ? null : Math.round(score * 1000) / 1000,
+      highlights: {
+        title: this.highlight(article.title, stems),
+        snippet: this.highlight(this.snippet(article, stems), stems)
+      }
+    };
+  }
+
+  encodeCursor({ article, key }) {
+    return Buffer.from(JSON.stringify({ k: key, id: String(article._id) })).toString('base64url');
+  }
+
+  /**
+   * @returns {Object|null} { k, id } or null when the cursor is malformed
+   */
+  decodeCursor(cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      return typeof decoded.k === 'number' && typeof decoded.id === 'string' ? decoded : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = new SearchService();
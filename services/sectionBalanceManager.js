@@ -134,6 +134,7 @@ class SectionBalanceManager {
         // Find articles without commentary in this section
         const articlesWithoutCommentary = await Article.find({
           section: sectionStat.section,
+          commentaryPendingReview: { $ne: true }, // already generated, waiting for an editor
           $or: [
             { aiCommentary: { $exists: false } },
             { aiCommentary: null },
@@ -0,0 +1,614 @@
+/**
+ * ✉️ Subscription Service
+ *
+ * Newsletter sign-up with double opt-in, and the preference center.
+ *
+ * Subscribing creates a pending (inactive) subscriber and emails a signed
+ * confirmation link (/newsletter/confirm/:token); nothing else is sent until
+ * it is followed. Unconfirmed requests get reminders at
+ * NEWSLETTER_CONFIRM_REMINDER_HOURS and are deleted after
+ * NEWSLETTER_CONFIRM_TTL_HOURS (processPendingConfirmations, run with the
+ * newsletter cron). Without NEWSLETTER_CONFIRM_SECRET, subscribing activates
+ * at once as it used to.
+ *
+ * The preference center (/newsletter/preferences/:token) is authenticated by
+ * the subscriber's unsubscribeToken, like the unsubscribe link. Every change
+ * lands in AllUsers.subscriptionHistory and the audit log.
+ */
+
+const crypto = require('crypto');
+const Subscriber = require('../models/Subscriber');
+const AllUsers = require('../models/AllUsers');
+const NewsletterEvent = require('../models/NewsletterEvent');
+const ReadingProfile = require('../models/ReadingProfile');
+const OutboundEmail = require('../models/OutboundEmail');
+const EmailBounce = require('../models/EmailBounce');
+const auditService = require('./auditService');
+const newsletterScheduleService = require('./newsletterScheduleService');
+const bounceService = require('./email/bounceService');
+const outboundQueue = require('./email/outboundQueue');
+
+const PAGES_URL = process.env.BACKEND_URL || 'https://www.forexyy.com';
+const CONFIRM_TTL_HOURS = parseInt(process.env.NEWSLETTER_CONFIRM_TTL_HOURS, 10) || 72;
+// Hours after the request to remind, e.g. "24,48" (each within the TTL)
+const REMINDER_HOURS = (process.env.NEWSLETTER_CONFIRM_REMINDER_HOURS || '24')
+  .split(',')
+  .map(hours => parseFloat(hours))
+  .filter(hours => hours > 0 && hours < CONFIRM_TTL_HOURS)
+  .sort((a, b) => a - b);
+// Asking again sooner than this doesn't send another confirmation email
+const RESEND_COOLDOWN_MS = 10 * 60 * 1000;
+const MAX_PAUSE_DAYS = 90;
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_GENRES = ['politics', 'business', 'technology'];
+const GENRES = Subscriber.schema.path('preferences.genres').options.enum;
+const FREQUENCIES = ['hourly', 'daily', 'weekly'];
+
+class SubscriptionService {
+  constructor() {
+    this.secret = process.env.NEWSLETTER_CONFIRM_SECRET || null;
+
+    if (!this.secret) {
+      console.warn('⚠️ NEWSLETTER_CONFIRM_SECRET not set - newsletter double opt-in is disabled');
+    }
+  }
+
+  get doubleOptIn() {
+    return Boolean(this.secret);
+  }
+
+  get genres() {
+    return GENRES;
+  }
+
+  get frequencies() {
+    return FREQUENCIES;
+  }
+
+  get confirmTtlHours() {
+    return CONFIRM_TTL_HOURS;
+  }
+
+  get maxPauseDays() {
+    return MAX_PAUSE_DAYS;
+  }
+
+  /**
+   * Check preference changes
+   * @param {Object} changes - { genres?, frequency?, timezone?, sendHour?, sendDay?, name? }
+   * @returns {string|null} What is wrong, or null
+   */
+  validatePreferences({ genres, frequency, timezone, sendHour, sendDay, name }) {
+    if (genres !== undefined && (!Array.isArray(genres) || genres.length === 0 || genres.some(genre => !GENRES.includes(genre)))) {
+      return `genres must be one or more of: ${GENRES.join(', ')}`;
+    }
+    if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+      return 'frequency must be hourly, daily or weekly';
+    }
+    if (timezone && !newsletterScheduleService.isValidTimezone(timezone)) {
+      return `Unknown timezone: ${timezone}`;
+    }
+    if (sendHour !== undefined && sendHour !== null && !(Number.isInteger(sendHour) && sendHour >= 0 && sendHour <= 23)) {
+      return 'sendHour must be an hour from 0 to 23';
+    }
+    if (sendDay !== undefined && sendDay !== null && !(Number.isInteger(sendDay) && sendDay >= 0 && sendDay <= 6)) {
+      return 'sendDay must be a weekday from 0 (Sunday) to 6';
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+      return 'name must be 1-100 characters';
+    }
+    return null;
+  }
+
+  /**
+   * Sign a confirmation token
+   * Format: base64url(payload).base64url(hmac-sha256)
+   */
+  issueConfirmationToken(subscriber) {
+    const payload = {
+      sid: String(subscriber._id),
+      exp: new Date(subscriber.confirmation.requestedAt).getTime() + CONFIRM_TTL_HOURS * HOUR_MS
+    };
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${this.sign(body)}`;
+  }
+
+  /**
+   * @returns {Object|null} { sid, exp }, or null when the token is malformed or not signed by us
+   */
+  verifyConfirmationToken(token) {
+    if (!this.secret || typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [body, signature] = token.split('.');
+    if (!signature || !this.safeEqual(signature, this.sign(body))) return null;
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      return payload?.sid && payload.exp ? payload : null;
+    } catch {
+      return null;
+    }
+  }
+
+  confirmUrl(subscriber) {
+    return `${PAGES_URL}/newsletter/confirm/${this.issueConfirmationToken(subscriber)}`;
+  }
+
+  preferencesUrl(subscriber) {
+    return `${PAGES_URL}/newsletter/preferences/${subscriber.unsubscribeToken}`;
+  }
+
+  /**
+   * Start a subscription: pending with a confirmation email, or active at once without double opt-in
+   * @param {Object} request - { email, name, preferences: { genres, frequency, sendHour, sendDay }, timezone }
+   * @param {Object} context - Audit context
+   * @returns {Promise<Object>} { status: pending | active | already_active, subscriber, confirmationSent }
+   */
+  async subscribe({ email, name, preferences = {}, timezone = null }, context) {
+    const existing = await Subscriber.findOne({ email });
+    if (existing?.isActive) {
+      return { status: 'already_active', subscriber: existing };
+    }
+
+    const now = new Date();
+    const subscriberPreferences = {
+      genres: preferences.genres || DEFAULT_GENRES,
+      frequency: preferences.frequency || 'hourly',
+      sendHour: preferences.sendHour ?? null,
+      sendDay: preferences.sendDay ?? null
+    };
+
+    // Already waiting for confirmation: send the link again (not more often than the cooldown)
+    if (existing?.confirmationStatus === 'pending' && this.doubleOptIn && !this.isExpired(existing, now)) {
+      const lastSent = existing.confirmation?.sentAt ? new Date(existing.confirmation.sentAt).getTime() : 0;
+      const resend = now.getTime() - lastSent > RESEND_COOLDOWN_MS;
+      if (resend) {
+        await this.sendConfirmation(existing);
+      }
+      return { status: 'pending', subscriber: existing, confirmationSent: resend };
+    }
+
+    // Permanent record of the request
+    await AllUsers.findOneAndUpdate(
+      { email },
+      {
+        $setOnInsert: {
+          name: name || 'Subscriber',
+          firstSubscribedAt: now,
+          totalSubscriptions: 0,
+          isCurrentlySubscribed: false
+        },
+        $push: {
+          subscriptionHistory: {
+            action: 'subscribe',
+            reason: this.doubleOptIn ? 'awaiting_confirmation' : null,
+            timestamp: now,
+            preferences: { genres: subscriberPreferences.genres, frequency: subscriberPreferences.frequency }
+          }
+        }
+      },
+      { upsert: true }
+    );
+
+    const pending = {
+      preferences: subscriberPreferences,
+      ...(timezone ? { timezone } : {}),
+      ...(name ? { name } : {}),
+      confirmationStatus: 'pending',
+      confirmation: { requestedAt: now, sentAt: null, reminders: 0, confirmedAt: null }
+    };
+
+    let subscriber;
+    if (existing) {
+      // Previously deactivated (bounces, complaint) or an expired request being retried
+      subscriber = await Subscriber.findByIdAndUpdate(existing._id, { $set: pending }, { new: true });
+    } else {
+      subscriber = await Subscriber.create({
+        email,
+        name: name || 'Subscriber',
+        unsubscribeToken: crypto.randomUUID(),
+        isActive: false,
+        ...pending
+      });
+    }
+
+    if (!this.doubleOptIn) {
+      const activated = await this.activate(subscriber, context, { doubleOptIn: false, reactivated: Boolean(existing) });
+      return { status: 'active', subscriber: activated };
+    }
+
+    // Not sent to an address with a spam complaint
+    const confirmation = await this.sendConfirmation(subscriber);
+    console.log(`📨 Confirmation requested for ${email}`);
+    return { status: 'pending', subscriber, confirmationSent: confirmation?.status !== 'suppressed' };
+  }
+
+  /**
+   * Email the confirmation link (first time or as a reminder)
+   * @param {number} reminder - 0 for the first email, else the reminder number
+   */
+  async sendConfirmation(subscriber, { reminder = 0 } = {}) {
+    const sentAt = new Date();
+    const url = this.confirmUrl(subscriber);
+    const expiresAt = new Date(new Date(subscriber.confirmation.requestedAt).getTime() + CONFIRM_TTL_HOURS * HOUR_MS);
+    const expiresText = expiresAt.toLocaleString('en-US', {
+      timeZone: newsletterScheduleService.timezoneOf(subscriber),
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
+
+    const { email } = await outboundQueue.send({
+      category: 'confirmation',
+      idempotencyKey: `confirm:${subscriber._id}:${sentAt.getTime()}`,
+      to: subscriber.email,
+      subject: reminder ? 'Reminder: confirm your Forexyy Newsletter subscription' : 'Confirm your Forexyy Newsletter subscription',
+      text: `Please confirm your subscription to the Forexyy Newsletter: ${url}\n\nThe link expires ${expiresText}. If you didn't ask to subscribe, ignore this email and you won't hear from us again.`,
+      html: `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 480px; margin: 0 auto; padding: 32px 24px; color: #111827;">
+        <h1 style="font-size: 22px; margin: 0 0 16px 0;">Confirm your subscription</h1>
+        <p style="color: #4b5563; line-height: 1.6;">Someone - hopefully you - asked to receive the Forexyy Newsletter at <strong>${subscriber.email}</strong>.</p>
+        <p style="margin: 28px 0;"><a href="${url}" style="background: #2563eb; color: #ffffff; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: 600;">Confirm subscription</a></p>
+        <p style="color: #6b7280; font-size: 14px; line-height: 1.6;">The link expires ${expiresText}. If you didn't ask to subscribe, ignore this email and you won't hear from us again.</p>
+    </div>`,
+      headers: {
+        'X-Subscriber-ID': String(subscriber._id)
+      },
+      subscriber: subscriber._id
+    });
+
+    await Subscriber.updateOne(
+      { _id: subscriber._id },
+      { $set: { 'confirmation.sentAt': sentAt, ...(reminder ? { 'confirmation.reminders': reminder } : {}) } }
+    );
+    return email;
+  }
+
+  /**
+   * Follow a confirmation link
+   * @returns {Promise<Object>} { status: confirmed | already_confirmed | expired | invalid, subscriber }
+   */
+  async confirm(token, context) {
+    const payload = this.verifyConfirmationToken(token);
+    if (!payload) return { status: 'invalid' };
+
+    const subscriber = await Subscriber.findById(payload.sid);
+    if (!subscriber) {
+      // Deleted when the request expired
+      return { status: Date.now() > payload.exp ? 'expired' : 'invalid' };
+    }
+    if (subscriber.confirmationStatus === 'confirmed' && subscriber.isActive) {
+      return { status: 'already_confirmed', subscriber };
+    }
+    if (subscriber.confirmationStatus !== 'pending') {
+      return { status: 'invalid' };
+    }
+    if (Date.now() > payload.exp) {
+      return { status: 'expired', subscriber };
+    }
+
+    const activated = await this.activate(subscriber, context, { doubleOptIn: true });
+    return activated ? { status: 'confirmed', subscriber: activated } : { status: 'already_confirmed', subscriber };
+  }
+
+  /**
+   * Make a pending subscriber active: schedule them, record it, send the welcome newsletter
+   * @returns {Promise<Object|null>} The subscriber, or null if someone else activated them first
+   */
+  async activate(subscriber, context, { doubleOptIn, reactivated = false }) {
+    const now = new Date();
+    const activated = await Subscriber.findOneAndUpdate(
+      { _id: subscriber._id, confirmationStatus: 'pending' },
+      {
+        $set: {
+          isActive: true,
+          confirmationStatus: 'confirmed',
+          'confirmation.confirmedAt': now,
+          subscribedAt: now,
+          deactivatedReason: null,
+          deactivatedAt: null,
+          pausedUntil: null,
+          nextDueAt: newsletterScheduleService.nextDueAt(subscriber, now)
+        }
+      },
+      { new: true }
+    );
+    if (!activated) return null;
+
+    // Following the confirmation link proves the address is wanted again: lift any bounce or
+    // complaint suppression. Without double opt-in anyone could submit it, so it stays.
+    if (doubleOptIn) {
+      await bounceService.clearSuppression(activated.email);
+    }
+
+    await AllUsers.updateOne(
+      { email: activated.email },
+      {
+        $set: { isCurrentlySubscribed: true, lastSubscriptionAt: now },
+        $inc: { totalSubscriptions: 1 },
+        ...(doubleOptIn ? { $push: { subscriptionHistory: { action: 'confirm', timestamp: now } } } : {})
+      }
+    );
+
+    await auditService.record({
+      action: 'subscriber.subscribe',
+      entityType: 'subscriber',
+      entityId: activated.email,
+      before: reactivated || doubleOptIn ? auditService.snapshotSubscriber(subscriber) : null,
+      after: auditService.snapshotSubscriber(activated),
+      metadata: { doubleOptIn, ...(reactivated ? { reactivated: true } : {}) }
+    }, context);
+
+    console.log(`✅ Subscriber active: ${activated.email}${doubleOptIn ? ' (confirmed)' : ''}`);
+
+    // Welcome email with fresh news (loaded here - NewsletterService links back to this service)
+    try {
+      const NewsletterService = require('./NewsletterService');
+      await new NewsletterService().sendNewsletterToSubscriber(activated);
+      console.log(`✅ Welcome email sent to ${activated.email}`);
+    } catch (emailError) {
+      console.log(`⚠️ Welcome email failed for ${activated.email}:`, emailError.message);
+      // Don't fail the subscription if email fails
+    }
+
+    return activated;
+  }
+
+  /**
+   * Remind pending subscribers and delete requests that were never confirmed
+   * @returns {Promise<Object>} { reminded, expired }
+   */
+  async processPendingConfirmations(now = new Date()) {
+    if (!this.doubleOptIn) return { reminded: 0, expired: 0 };
+
+    const context = auditService.workerContext('newsletter-confirmations');
+    const expiredBefore = new Date(now.getTime() - CONFIRM_TTL_HOURS * HOUR_MS);
+    let reminded = 0;
+    let expired = 0;
+
+    const stale = await Subscriber.find({
+      confirmationStatus: 'pending',
+      'confirmation.requestedAt': { $lt: expiredBefore }
+    }).limit(500);
+
+    for (const subscriber of stale) {
+      const deleted = await Subscriber.findOneAndDelete({ _id: subscriber._id, confirmationStatus: 'pending' });
+      if (!deleted) continue;
+
+      await AllUsers.updateOne(
+        { email: subscriber.email },
+        { $push: { subscriptionHistory: { action: 'expire', reason: 'not_confirmed', timestamp: now } } }
+      );
+      await auditService.record({
+        action: 'subscriber.expire',
+        entityType: 'subscriber',
+        entityId: subscriber.email,
+        before: auditService.snapshotSubscriber(subscriber),
+        after: null,
+        metadata: { requestedAt: subscriber.confirmation?.requestedAt }
+      }, context);
+      expired++;
+    }
+
+    for (const [index, hours] of REMINDER_HOURS.entries()) {
+      const due = await Subscriber.find({
+        confirmationStatus: 'pending',
+        'confirmation.reminders': index,
+        'confirmation.requestedAt': { $lte: new Date(now.getTime() - hours * HOUR_MS), $gte: expiredBefore }
+      }).limit(200);
+
+      for (const subscriber of due) {
+        try {
+          await this.sendConfirmation(subscriber, { reminder: index + 1 });
+          reminded++;
+        } catch (error) {
+          console.warn(`⚠️ Confirmation reminder to ${subscriber.email} failed:`, error.message);
+        }
+      }
+    }
+
+    if (reminded || expired) {
+      console.log(`📨 Confirmations: ${reminded} reminders sent, ${expired} unconfirmed requests expired`);
+    }
+    return { reminded, expired };
+  }
+
+  /**
+   * The confirmed subscriber a preference center / unsubscribe token belongs to
+   */
+  async findByToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    // Subscribers from before double opt-in have no confirmationStatus stored (the schema
+    // default only applies once loaded), so match anything that isn't pending
+    return Subscriber.findOne({ unsubscribeToken: token, confirmationStatus: { $ne: 'pending' } });
+  }
+
+  /**
+   * Change genres, frequency, send time, timezone or name
+   * @param {Object} changes - Already validated (validatePreferences)
+   * @returns {Promise<Object>} { subscriber, changed: [field] }
+   */
+  async updatePreferences(subscriber, changes, context) {
+    const current = {
+      genres: subscriber.preferences?.genres || [],
+      frequency: subscriber.preferences?.frequency,
+      sendHour: subscriber.preferences?.sendHour ?? null,
+      sendDay: subscriber.preferences?.sendDay ?? null,
+      timezone: subscriber.timezone,
+      name: subscriber.name
+    };
+    const next = { ...current };
+    for (const field of Object.keys(current)) {
+      if (changes[field] !== undefined) next[field] = field === 'name' ? changes.name.trim() : changes[field];
+    }
+
+    const diff = {};
+    for (const field of Object.keys(current)) {
+      if (JSON.stringify(current[field]) !== JSON.stringify(next[field])) {
+        diff[field] = { before: current[field], after: next[field] };
+      }
+    }
+    if (Object.keys(diff).length === 0) return { subscriber, changed: [] };
+
+    const preferences = { genres: next.genres, frequency: next.frequency, sendHour: next.sendHour, sendDay: next.sendDay };
+    const update = { preferences, timezone: next.timezone, name: next.name };
+
+    // A new schedule takes effect from the next slot (or the end of a pause)
+    if (['frequency', 'sendHour', 'sendDay', 'timezone'].some(field => diff[field]) && subscriber.isActive) {
+      update.nextDueAt = newsletterScheduleService.nextDueAt({ preferences, timezone: next.timezone }, this.resumeFrom(subscriber));
+    }
+
+    const updated = await Subscriber.findByIdAndUpdate(subscriber._id, { $set: update }, { new: true });
+
+    await AllUsers.updateOne(
+      { email: subscriber.email },
+      {
+        ...(diff.name ? { $set: { name: next.name } } : {}),
+        $push: {
+          subscriptionHistory: {
+            action: 'preferences',
+            timestamp: new Date(),
+            preferences: { genres: next.genres, frequency: next.frequency }
+          }
+        }
+      }
+    );
+
+    await auditService.record({
+      action: 'subscriber.preferences',
+      entityType: 'subscriber',
+      entityId: subscriber.email,
+      diff
+    }, context);
+
+    return { subscriber: updated, changed: Object.keys(diff) };
+  }
+
+  /**
+   * Stop delivery for a number of days (the schedule picks up again afterwards)
+   */
+  async pause(subscriber, days, context) {
+    const pausedUntil = new Date(Date.now() + days * 24 * HOUR_MS);
+    const updated = await Subscriber.findByIdAndUpdate(subscriber._id, {
+      $set: { pausedUntil, nextDueAt: newsletterScheduleService.nextDueAt(subscriber, pausedUntil) }
+    }, { new: true });
+
+    await AllUsers.updateOne(
+      { email: subscriber.email },
+      { $push: { subscriptionHistory: { action: 'pause', reason: `until ${pausedUntil.toISOString()}`, timestamp: new Date() } } }
+    );
+    await auditService.record({
+      action: 'subscriber.pause',
+      entityType: 'subscriber',
+      entityId: subscriber.email,
+      diff: { pausedUntil: { before: subscriber.pausedUntil || null, after: pausedUntil } }
+    }, context);
+
+    return updated;
+  }
+
+  async resume(subscriber, context) {
+    const updated = await Subscriber.findByIdAndUpdate(subscriber._id, {
+      $set: { pausedUntil: null, nextDueAt: newsletterScheduleService.nextDueAt(subscriber, new Date()) }
+    }, { new: true });
+
+    await AllUsers.updateOne(
+      { email: subscriber.email },
+      { $push: { subscriptionHistory: { action: 'resume', timestamp: new Date() } } }
+    );
+    await auditService.record({
+      action: 'subscriber.resume',
+      entityType: 'subscriber',
+      entityId: subscriber.email,
+      diff: { pausedUntil: { before: subscriber.pausedUntil || null, after: null } }
+    }, context);
+
+    return updated;
+  }
+
+  /**
+   * Everything stored about the subscriber, for download
+   */
+  async exportData(subscriber) {
+    const [record, events, profile, emails, bounces] = await Promise.all([
+      AllUsers.findOne({ email: subscriber.email }).lean(),
+      NewsletterEvent.find({ subscriber: subscriber._id }).select('-_id -__v -subscriber').sort({ createdAt: 1 }).lean(),
+      ReadingProfile.findOne({ subscriber: subscriber._id }).select('-_id -__v -subscriber -visitorId').lean(),
+      OutboundEmail.find({ to: subscriber.email }).select('category subject status attempts sentAt createdAt').sort({ createdAt: 1 }).lean(),
+      EmailBounce.find({ email: subscriber.email }).select('-_id -__v -outboundEmail -subscriber').sort({ createdAt: 1 }).lean()
+    ]);
+
+    const plain = typeof subscriber.toObject === 'function' ? subscriber.toObject() : { ...subscriber };
+    delete plain.unsubscribeToken;
+    delete plain.__v;
+
+    return {
+      exportedAt: new Date(),
+      subscriber: plain,
+      subscriptionHistory: record?.subscriptionHistory || [],
+      newsletterEvents: events,
+      readingProfile: profile,
+      emails: emails.map(({ _id, ...email }) => email),
+      bounces
+    };
+  }
+
+  /**
+   * Erase the subscriber and everything stored about them
+   * @returns {Promise<Object>} Deleted counts
+   */
+  async deleteData(subscriber, context) {
+    const [events, profiles, emails, bounces, records] = await Promise.all([
+      NewsletterEvent.deleteMany({ subscriber: subscriber._id }),
+      ReadingProfile.deleteMany({ subscriber: subscriber._id }),
+      OutboundEmail.deleteMany({ to: subscriber.email }),
+      EmailBounce.deleteMany({ email: subscriber.email }),
+      AllUsers.deleteOne({ email: subscriber.email })
+    ]);
+    await Subscriber.deleteOne({ _id: subscriber._id });
+
+    const deleted = {
+      newsletterEvents: events.deletedCount,
+      readingProfiles: profiles.deletedCount,
+      emails: emails.deletedCount,
+      bounces: bounces.deletedCount,
+      subscriptionRecords: records.deletedCount
+    };
+
+    // Recorded by id only - the address is part of what was erased
+    await auditService.record({
+      action: 'subscriber.delete',
+      entityType: 'subscriber',
+      entityId: String(subscriber._id),
+      metadata: { deleted }
+    }, context);
+
+    console.log(`🗑️ Deleted subscriber ${subscriber._id} and their data`);
+    return deleted;
+  }
+
+  isExpired(subscriber, now = new Date()) {
+    const requestedAt = subscriber.confirmation?.requestedAt;
+    return !requestedAt || now.getTime() - new Date(requestedAt).getTime() > CONFIRM_TTL_HOURS * HOUR_MS;
+  }
+
+  /**
+   * Where the schedule continues from: the end of a pause, or now
+   */
+  resumeFrom(subscriber) {
+    const pausedUntil = subscriber.pausedUntil ? new Date(subscriber.pausedUntil) : null;
+    return pausedUntil && pausedUntil > new Date() ? pausedUntil : new Date();
+  }
+
+  sign(body) {
+    return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+  }
+
+  safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+  }
+}
+
+module.exports = new SubscriptionService();
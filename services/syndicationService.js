@@ -0,0 +1,358 @@
+/**
+ * 📰 Syndication Service
+ * Renders section feeds as RSS 2.0, Atom 1.0 and JSON Feed 1.1.
+ *
+ * Rendered feeds are cached in Redis together with their ETag and
+ * Last-Modified so conditional GETs never touch MongoDB.
+ */
+
+const crypto = require('crypto');
+const Article = require('../models/article');
+const cacheService = require('./cache');
+const audioLibrary = require('./audio');
+const storyClusterService = require('./db/storyClusterService');
+const moderationService = require('./db/moderationService');
+
+const SITE_URL = 'https://forexyy.com';
+const SITE_NAME = 'Forexyy';
+const FEED_LIMIT = 50;
+const FEED_TTL = 300; // 5 minutes - matches the public GET Cache-Control
+
+const FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+const escapeXml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// CDATA cannot contain "]]>" - split it across sections
+const cdata = (text) => `<![CDATA[${String(text || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Minimal markdown → HTML for commentary (headings, bold, italics, bullets, paragraphs)
+ */
+const commentaryToHtml = (markdown) => {
+  const inline = (line) => escapeHtml(line)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(.+?)\*/g, '<em>$1</em>');
+
+  const html = [];
+  let list = null;
+
+  const closeList = () => {
+    if (list) {
+      html.push(`<ul>${list.join('')}</ul>`);
+      list = null;
+    }
+  };
+
+  for (const raw of String(markdown || '').split('\n')) {
+    const line = raw.trim();
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^[-*]\s+(.*)$/);
+
+    if (!line) {
+      closeList();
+    } else if (heading) {
+      closeList();
+      const level = Math.min(heading[1].length + 1, 6);
+      html.push(`<h${level}>${inline(heading[2])}</h${level}>`);
+    } else if (bullet) {
+      list = list || [];
+      list.push(`<li>${inline(bullet[1])}</li>`);
+    } else {
+      closeList();
+      html.push(`<p>${inline(line)}</p>`);
+    }
+  }
+  closeList();
+
+  return html.join('\n');
+};
+
+/**
+ * "Also covered by" paragraph linking the other outlets in the story cluster
+ */
+const coverageToHtml = (links) => {
+  if (!links || links.length === 0) return '';
+  const items = links.map(link => `<a href="${escapeXml(link.url)}">${escapeHtml(link.source || link.title)}</a>`);
+  return `\n<p><em>Also covered by:</em> ${items.join(', ')}</p>`;
+};
+
+const imageMimeType = (url) => {
+  const ext = (url.split('?')[0].split('.').pop() || '').toLowerCase();
+  if (ext === 'png') return 'image/png';
+  if (ext === 'gif') return 'image/gif';
+  if (ext === 'webp') return 'image/webp';
+  return 'image/jpeg';
+};
+
+// Same slug scheme as the sitemaps in routes/seo.js
+const articleSlug = (article) => (article.url
+  ? article.url.split('/').pop().replace(/\.html?$/, '')
+  : article.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''));
+
+class SyndicationService {
+  get formats() {
+    return Object.keys(FORMATS);
+  }
+
+  contentType(format) {
+    return FORMATS[format];
+  }
+
+  /**
+   * Public URL of an article on the site
+   */
+  articleLink(article) {
+    return `${SITE_URL}/article/${encodeURIComponent(articleSlug(article))}`;
+  }
+
+  /**
+   * Load feed articles (published commentary only, newest first, one per story cluster) and attach links/enclosures
+   * @param {string} section - Section name or 'all'
+   * @param {string} apiUrl - Public base URL of this API (for audio enclosures)
+   */
+  async getItems(section, apiUrl) {
+    const query = {
+      aiCommentary: { $exists: true, $nin: [null, ''] },
+      isClusterCanonical: { $ne: false },
+      ...moderationService.publicFilter()
+    };
+    if (section !== 'all') query.section = section;
+
+    const articles = await storyClusterService.dedupe(
+      await Article.find(query)
+        .sort({ publishedDate: -1 })
+        .limit(FEED_LIMIT)
+        .lean()
+    );
+
+    // Pre-rendered read-outs become podcast-style enclosures
+    const audioFiles = await audioLibrary.findArticleAudio(articles);
+
+    return articles.map((article, index) => {
+      const audio = audioFiles[index];
+      const images = (article.multimedia || [])
+        .filter(m => m && m.url)
+        // Largest image first
+        .sort((a, b) => (b.width || 0) - (a.width || 0));
+
+      return {
+        article,
+        id: article.id || article._id.toString(),
+        link: this.articleLink(article),
+        published: new Date(article.publishedDate || article.createdAt),
+        updated: new Date(article.commentaryGeneratedAt || article.updatedAt || article.publishedDate || article.createdAt),
+        html: commentaryToHtml(article.aiCommentary) + coverageToHtml(article.alsoCoveredBy),
+        images,
+        audio: audio ? {
+          url: `${apiUrl}/api/tts/audio/${audio.audioId}`,
+          size: audio.size,
+          duration: audio.duration ? Math.round(audio.duration) : null
+        } : null
+      };
+    });
+  }
+
+  feedMeta(section, format, apiUrl) {
+    const label = section === 'all' ? 'Latest News' : section.charAt(0).toUpperCase() + section.slice(1);
+    return {
+      title: `${SITE_NAME} - ${label}`,
+      description: `${label} with expert AI commentary from ${SITE_NAME}`,
+      homeUrl: section === 'all' ? SITE_URL : `${SITE_URL}/category/${section}`,
+      feedUrl: `${apiUrl}/feeds/${section}.${format}`
+    };
+  }
+
+  renderRss(section, items, apiUrl) {
+    const meta = this.feedMeta(section, 'rss', apiUrl);
+    const lastBuild = items[0] ? items[0].updated : new Date();
+
+    const entries = items.map(({ article, id, link, published, html, images, audio }) => {
+      const enclosures = [];
+      if (images[0]) {
+        enclosures.push(`      <enclosure url="${escapeXml(images[0].url)}" length="0" type="${imageMimeType(images[0].url)}"/>`);
+      }
+      if (audio) {
+        enclosures.push(`      <enclosure url="${escapeXml(audio.url)}" length="${audio.size}" type="audio/mpeg"/>`);
+      }
+
+      const media = images.map(image => `      <media:content url="${escapeXml(image.url)}" medium="image"${image.width ? ` width="${image.width}"` : ''}${image.height ? ` height="${image.height}"` : ''}>${image.caption ? `
+        <media:description>${escapeXml(image.caption)}</media:description>
+      ` : ''}</media:content>`);
+
+      return `    <item>
+      <title>${escapeXml(article.title)}</title>
+      <link>${escapeXml(link)}</link>
+      <guid isPermaLink="false">${escapeXml(id)}</guid>
+      <pubDate>${published.toUTCString()}</pubDate>
+      <description>${escapeXml(article.abstract)}</description>
+      <content:encoded>${cdata(html)}</content:encoded>${article.byline ? `
+      <dc:creator>${escapeXml(article.byline.replace(/^By\s+/i, ''))}</dc:creator>` : ''}
+      <category>${escapeXml(article.section)}</category>
+${[...enclosures, ...media].join('\n')}
+    </item>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+     xmlns:atom="http://www.w3.org/2005/Atom"
+     xmlns:content="http://purl.org/rss/1.0/modules/content/"
+     xmlns:dc="http://purl.org/dc/elements/1.1/"
+     xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(meta.title)}</title>
+    <link>${meta.homeUrl}</link>
+    <description>${escapeXml(meta.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>
+    <ttl>${FEED_TTL / 60}</ttl>
+    <atom:link href="${escapeXml(meta.feedUrl)}" rel="self" type="application/rss+xml"/>
+${entries.join('\n')}
+  </channel>
+</rss>`;
+  }
+
+  renderAtom(section, items, apiUrl) {
+    const meta = this.feedMeta(section, 'atom', apiUrl);
+    const updated = items[0] ? items[0].updated : new Date();
+
+    const entries = items.map(({ article, id, link, published, updated, html, images, audio }) => {
+      const links = [`    <link rel="alternate" type="text/html" href="${escapeXml(link)}"/>`];
+      images.forEach(image => {
+        links.push(`    <link rel="enclosure" type="${imageMimeType(image.url)}" href="${escapeXml(image.url)}"/>`);
+      });
+      if (audio) {
+        links.push(`    <link rel="enclosure" type="audio/mpeg" length="${audio.size}" href="${escapeXml(audio.url)}"/>`);
+      }
+
+      return `  <entry>
+    <title>${escapeXml(article.title)}</title>
+    <id>urn:forexyy:article:${escapeXml(id)}</id>
+${links.join('\n')}
+    <published>${published.toISOString()}</published>
+    <updated>${updated.toISOString()}</updated>${article.byline ? `
+    <author><name>${escapeXml(article.byline.replace(/^By\s+/i, ''))}</name></author>` : ''}
+    <category term="${escapeXml(article.section)}"/>
+    <summary>${escapeXml(article.abstract)}</summary>
+    <content type="html">${escapeXml(html)}</content>
+  </entry>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+  <title>${escapeXml(meta.title)}</title>
+  <subtitle>${escapeXml(meta.description)}</subtitle>
+  <id>${escapeXml(meta.feedUrl)}</id>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(meta.feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${meta.homeUrl}"/>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>${SITE_NAME}</name></author>
+${entries.join('\n')}
+</feed>`;
+  }
+
+  renderJson(section, items, apiUrl) {
+    const meta = this.feedMeta(section, 'json', apiUrl);
+
+    return JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: meta.title,
+      home_page_url: meta.homeUrl,
+      feed_url: meta.feedUrl,
+      description: meta.description,
+      language: 'en',
+      items: items.map(({ article, id, link, published, updated, html, images, audio }) => {
+        const attachments = images.map(image => ({
+          url: image.url,
+          mime_type: imageMimeType(image.url),
+          ...(image.caption ? { title: image.caption } : {})
+        }));
+        if (audio) {
+          attachments.push({
+            url: audio.url,
+            mime_type: 'audio/mpeg',
+            size_in_bytes: audio.size,
+            ...(audio.duration ? { duration_in_seconds: audio.duration } : {})
+          });
+        }
+
+        return {
+          id,
+          url: link,
+          external_url: article.url,
+          title: article.title,
+          summary: article.abstract || undefined,
+          content_html: html,
+          ...(images[0] ? { image: images[0].url } : {}),
+          date_published: published.toISOString(),
+          date_modified: updated.toISOString(),
+          ...(article.byline ? { authors: [{ name: article.byline.replace(/^By\s+/i, '') }] } : {}),
+          tags: [article.section].filter(Boolean),
+          ...(attachments.length > 0 ? { attachments } : {})
+        };
+      })
+    }, null, 2);
+  }
+
+  /**
+   * Get a rendered feed, from Redis when possible
+   * @param {string} section - Section name or 'all'
+   * @param {string} format - rss | atom | json
+   * @param {string} apiUrl - Public base URL of this API
+   * @returns {Promise<{body: string, etag: string, lastModified: string, contentType: string}>}
+   */
+  async getFeed(section, format, apiUrl) {
+    // Links embed the base URL - one cached copy per public URL
+    const cacheKey = `feed:${section}:${format}:${crypto.createHash('md5').update(apiUrl).digest('hex').slice(0, 8)}`;
+    const cached = await cacheService.get(cacheKey);
+    if (cached && cached.body) {
+      return cached;
+    }
+
+    const items = await this.getItems(section, apiUrl);
+
+    let body;
+    if (format === 'rss') body = this.renderRss(section, items, apiUrl);
+    else if (format === 'atom') body = this.renderAtom(section, items, apiUrl);
+    else body = this.renderJson(section, items, apiUrl);
+
+    const newest = items.reduce((max, item) => (item.updated > max ? item.updated : max), new Date(0));
+    const feed = {
+      body,
+      etag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+      lastModified: (items.length > 0 ? newest : new Date()).toUTCString(),
+      contentType: FORMATS[format]
+    };
+
+    await cacheService.set(cacheKey, feed, FEED_TTL);
+    return feed;
+  }
+
+  /**
+   * Drop cached feeds (e.g. after commentary changes)
+   * @param {string} section - Section to invalidate; 'all' feeds are always dropped
+   */
+  async invalidate(section = null) {
+    if (section) {
+      await cacheService.delPattern(`feed:${section}:*`);
+      await cacheService.delPattern('feed:all:*');
+    } else {
+      await cacheService.delPattern('feed:*');
+    }
+  }
+}
+
+module.exports = new SyndicationService();
@@ -0,0 +1,261 @@
+/**
+ * 🌐 Translation Service
+ *
+ * Translates article titles, abstracts and public commentary into the
+ * enabled target locales (config/locales.js), one ArticleTranslation per
+ * article and locale. Translations are made on demand: the first read in a
+ * locale serves the source text and queues the translation in the
+ * background; editors can force one with POST /api/articles/:id/translations.
+ *
+ * Each translation remembers hashes of the text it came from. A translated
+ * title/abstract is still served after the source changes (until it is
+ * re-translated), but translated commentary only ever matches the exact
+ * public commentary it was made from - pending, rejected or replaced
+ * versions are never shown in another language.
+ */
+
+const crypto = require('crypto');
+const Article = require('../../models/article');
+const ArticleTranslation = require('../../models/ArticleTranslation');
+const llmClient = require('../llm');
+const tokenLedger = require('../llm/tokenLedger');
+const moderationService = require('../db/moderationService');
+const { DEFAULT_LOCALE, LOCALES, TARGET_LOCALES } = require('../../config/locales');
+
+// Background translations at once - the rest are picked up by later reads
+const MAX_CONCURRENT = parseInt(process.env.TRANSLATION_CONCURRENCY) || 2;
+// Failed translations are retried by reads after this long
+const RETRY_FAILED_MS = 30 * 60 * 1000;
+
+const hash = (...parts) => crypto.createHash('sha1').update(parts.map(part => part || '').join('\u0000')).digest('hex');
+
+const sourceHashOf = (article) => hash(article.title, article.abstract);
+const commentaryHashOf = (commentary) => (commentary ? hash(commentary) : null);
+
+const buildMessages = (locale, source) => {
+  const { name, headings } = LOCALES[locale];
+  const english = LOCALES[DEFAULT_LOCALE].headings;
+
+  return [
+    {
+      role: 'system',
+      content: `Translate news content from English into ${name}. Respond with a JSON object with the keys "title", "abstract" and "commentary", each translated from the matching input key (null stays null).
+Keep the meaning, tone and facts exactly; keep names of people, organisations and places recognisable; do not add or summarise anything.
+The commentary has three sections - replace their headings exactly: ${english.map((heading, i) => `"${heading}" → "${headings[i]}"`).join(', ')}. Keep the heading lines and blank lines where they are.`
+    },
+    { role: 'user', content: JSON.stringify(source) }
+  ];
+};
+
+class TranslationService {
+  constructor() {
+    this.translating = new Set();
+  }
+
+  isTargetLocale(locale) {
+    return TARGET_LOCALES.includes(locale);
+  }
+
+  /**
+   * Translate an article into a locale and store it
+   * @param {Object|string} articleOrId - Article (needs _id, title, abstract, aiCommentary, commentaryStatus, section) or its id
+   * @param {string} locale - One of TARGET_LOCALES
+   * @param {Object} options - { force: translate even if up to date / over budget }
+   * @returns {Promise<Object|null>} The ArticleTranslation, or null when skipped (unknown article, budget)
+   * @throws {Error} LLMError when every provider fails (also stored as a failed translation)
+   */
+  async translate(articleOrId, locale, { force = false } = {}) {
+    if (!this.isTargetLocale(locale)) {
+      throw new Error(`Translation locale not enabled: ${locale}`);
+    }
+
+    const article = articleOrId?._id && articleOrId.title !== undefined
+      ? articleOrId
+      : await Article.findById(articleOrId).select('title abstract aiCommentary commentaryStatus section').lean();
+    if (!article) return null;
+
+    const commentary = moderationService.publicCommentary(article);
+    const sourceHash = sourceHashOf(article);
+    const commentaryHash = commentaryHashOf(commentary);
+
+    const existing = await ArticleTranslation.findOne({ article: article._id, locale }).lean();
+    const upToDate = existing?.status === 'ready'
+      && existing.sourceHash === sourceHash
+      && (existing.commentaryHash || null) === commentaryHash;
+    if (upToDate && !force) return existing;
+
+    if (!force) {
+      const budget = await tokenLedger.checkBudget({ task: 'translation', section: article.section });
+      if (budget.state !== 'ok') {
+        console.log(`💸 Translation budget ${budget.state}, skipping ${article._id} (${locale})`);
+        return null;
+      }
+    }
+
+    const source = { title: article.title || null, abstract: article.abstract || null, commentary };
+
+    try {
+      const completion = await llmClient.chat('translation', {
+        messages: buildMessages(locale, source),
+        temperature: 0.2,
+        maxTokens: 2500,
+        responseFormat: { type: 'json_object' },
+        section: article.section
+      });
+
+      const translated = JSON.parse(completion.text);
+      if (source.title && !translated.title) {
+        throw new Error('Translation is missing the title');
+      }
+
+      const translation = await ArticleTranslation.findOneAndUpdate(
+        { article: article._id, locale },
+        {
+          $set: {
+            title: translated.title || null,
+            abstract: source.abstract ? translated.abstract || null : null,
+            aiCommentary: commentary ? translated.commentary || null : null,
+            sourceHash,
+            commentaryHash: commentary && translated.commentary ? commentaryHash : null,
+            status: 'ready',
+            error: null,
+            provider: completion.provider,
+            model: completion.model,
+            tokenUsage: completion.usage,
+            translatedAt: new Date()
+          }
+        },
+        { upsert: true, new: true, lean: true }
+      );
+
+      console.log(`🌐 Translated ${article._id} into ${locale} via ${completion.provider}`);
+      return translation;
+    } catch (error) {
+      console.error(`❌ Translation failed for ${article._id} (${locale}):`, error.message);
+      // Keep a previous good translation - only record the failure on it
+      await ArticleTranslation.updateOne(
+        { article: article._id, locale },
+        {
+          $set: { error: error.message },
+          $setOnInsert: { sourceHash, status: 'failed' }
+        },
+        { upsert: true }
+      ).catch(err => console.error('❌ Failed to record translation failure:', err.message));
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a background translation (deduplicated, capped at MAX_CONCURRENT).
+   * The article is re-read, so responses with stripped fields translate in full.
+   * @returns {boolean} Whether it was started
+   */
+  request(articleId, locale) {
+    const key = `${articleId}:${locale}`;
+    if (this.translating.has(key) || this.translating.size >= MAX_CONCURRENT) return false;
+
+    this.translating.add(key);
+    this.translate(articleId, locale)
+      .catch(() => {}) // Already logged and recorded
+      .finally(() => this.translating.delete(key));
+    return true;
+  }
+
+  /**
+   * Whether a stored translation is missing or out of date for an article response
+   * (fields the response doesn't carry aren't compared)
+   */
+  isStale(translation, article) {
+    if (!translation || translation.status !== 'ready') return true;
+    if (article.title !== undefined && article.abstract !== undefined && translation.sourceHash !== sourceHashOf(article)) {
+      return true;
+    }
+    return article.aiCommentary !== undefined && (translation.commentaryHash || null) !== commentaryHashOf(article.aiCommentary);
+  }
+
+  /**
+   * Overlay the locale's translation on an article response. Only fields the
+   * response already has are replaced; missing or stale translations are
+   * queued and the source text is served meanwhile.
+   * @param {Object} article - Plain article object as the API returns it (public commentary only)
+   * @param {string} locale
+   * @param {Object|null} translation - Preloaded translation (undefined = look it up)
+   * @returns {Promise<Object>} Article with lang, translated and translationPending set
+   *   (unchanged for the default locale)
+   */
+  async localize(article, locale, translation) {
+    if (!article || !article._id || !this.isTargetLocale(locale)) return article;
+
+    if (translation === undefined) {
+      translation = await ArticleTranslation.findOne({ article: article._id, locale }).lean();
+    }
+
+    const stale = this.isStale(translation, article);
+    // A failing translation is retried after a while, not on every read
+    const failedRecently = translation?.error && Date.now() - new Date(translation.updatedAt).getTime() < RETRY_FAILED_MS;
+    if (stale && !failedRecently) this.request(article._id, locale);
+
+    const localized = { ...article, lang: DEFAULT_LOCALE, translated: false, translationPending: stale };
+    if (!translation || translation.status !== 'ready') return localized;
+
+    if (article.title !== undefined && translation.title) {
+      localized.title = translation.title;
+      if (typeof article.headline === 'string') localized.headline = translation.title;
+    }
+    if (article.abstract !== undefined && translation.abstract) {
+      localized.abstract = translation.abstract;
+    }
+    if (article.aiCommentary && translation.aiCommentary && translation.commentaryHash === commentaryHashOf(article.aiCommentary)) {
+      localized.aiCommentary = translation.aiCommentary;
+    }
+    localized.lang = locale;
+    localized.translated = true;
+    return localized;
+  }
+
+  /**
+   * localize() for a list, with one query for all translations
+   */
+  async localizeMany(articles, locale) {
+    if (!Array.isArray(articles) || articles.length === 0 || !this.isTargetLocale(locale)) return articles;
+
+    const ids = articles.map(article => article._id).filter(Boolean);
+    const translations = await ArticleTranslation.find({ article: { $in: ids }, locale }).lean();
+    const byArticle = new Map(translations.map(translation => [String(translation.article), translation]));
+
+    return Promise.all(articles.map(article => this.localize(article, locale, byArticle.get(String(article._id)) || null)));
+  }
+
+  /**
+   * Locales each article has a ready translation in, with the translated
+   * title (sitemap hreflang alternates, news sitemap entries)
+   * @returns {Promise<Map<string, Object>>} articleId -> { locale: title }
+   */
+  async availableLocales(articleIds) {
+    const translations = await ArticleTranslation.find({
+      article: { $in: articleIds },
+      locale: { $in: TARGET_LOCALES },
+      status: 'ready'
+    }).select('article locale title').lean();
+
+    const byArticle = new Map();
+    for (const translation of translations) {
+      const key = String(translation.article);
+      if (!byArticle.has(key)) byArticle.set(key, {});
+      byArticle.get(key)[translation.locale] = translation.title;
+    }
+    return byArticle;
+  }
+
+  /**
+   * Stored translations of an article
+   */
+  async listTranslations(articleId) {
+    return ArticleTranslation.find({ article: articleId })
+      .select('-__v')
+      .sort({ locale: 1 })
+      .lean();
+  }
+}
+
+module.exports = new TranslationService();
@@ -1,6 +1,8 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 const { PassThrough } = require('stream');
 
 class TTSService {
@@ -14,9 +16,11 @@ class TTSService {
      * Spawns a Python process to generate TTS audio and returns a stream.
      * @param {string} text - The text to convert to speech.
      * @param {string} [voice='en-US-AriaNeural'] - The voice to use.
-     * @returns {Promise<{stream: import('stream').Readable, process: ChildProcess}>}
+     * @param {Object} [options] - { boundaries: true } to also collect the engine's word boundaries
+     * @returns {Promise<{stream: import('stream').Readable, process: ChildProcess, boundaries?: Promise<Array>}>}
+     *   boundaries resolves once the process exits: [{ text, offset, duration }] in seconds ([] if none)
      */
-    async getTTSStream(text, voice = 'en-US-AriaNeural') {
+    async getTTSStream(text, voice = 'en-US-AriaNeural', { boundaries = false } = {}) {
         if (!text) {
             throw new Error('Text is required for TTS generation');
         }
@@ -37,12 +41,26 @@ class TTSService {
             let stderrOutput = '';
             let resolved = false;
 
+            // Word boundaries are written to a temp file (stdout carries the audio)
+            const boundaryPath = boundaries
+                ? path.join(os.tmpdir(), `tts-words-${process.pid}-${crypto.randomBytes(6).toString('hex')}.jsonl`)
+                : null;
+
             const pythonProcess = spawn(this.pythonPath, [
                 this.scriptPath,
                 '--text', text,
-                '--voice', voice
+                '--voice', voice,
+                ...(boundaryPath ? ['--boundaries', boundaryPath] : [])
             ]);
 
+            const result = { stream: outputStream, process: pythonProcess };
+            if (boundaryPath) {
+                result.boundaries = new Promise((resolveBoundaries) => {
+                    pythonProcess.on('close', () => resolveBoundaries(this.readBoundaries(boundaryPath)));
+                    pythonProcess.on('error', () => resolveBoundaries(this.readBoundaries(boundaryPath)));
+                });
+            }
+
             // Collect stderr for error reporting
             pythonProcess.stderr.on('data', (data) => {
                 stderrOutput += data.toString();
@@ -56,7 +74,7 @@ class TTSService {
                     // Resolve on first data chunk so streaming can begin
                     if (!resolved) {
                         resolved = true;
-                        resolve({ stream: outputStream, process: pythonProcess });
+                        resolve(result);
                     }
                 }
                 outputStream.write(chunk);
@@ -93,12 +111,39 @@ class TTSService {
                 if (!resolved) {
                     console.warn('[TTS] Timeout waiting for first audio chunk, resolving with empty stream');
                     resolved = true;
-                    resolve({ stream: outputStream, process: pythonProcess });
+                    resolve(result);
                 }
             }, 10000);
         });
     }
 
+    /**
+     * Read and delete a word boundary file written by the TTS script
+     * @returns {Array} [{ text, offset, duration }] in seconds
+     */
+    readBoundaries(filePath) {
+        let lines = [];
+        try {
+            lines = fs.readFileSync(filePath, 'utf8').split('\n');
+            fs.rmSync(filePath, { force: true });
+        } catch (error) {
+            return [];
+        }
+
+        const events = [];
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const { text, offset, duration } = JSON.parse(line);
+                // 100-nanosecond ticks
+                events.push({ text, offset: offset / 1e7, duration: duration / 1e7 });
+            } catch (error) {
+                // A half-written last line when the process was killed
+            }
+        }
+        return events;
+    }
+
     /**
      * Legacy method for backwards compatibility
      * @deprecated Use getTTSStream instead
@@ -6,13 +6,22 @@
  * - Automatic retries with exponential backoff
  * - Priority queuing
  * - Cache-first strategy to save API calls
+ * - Quality gate on generated text (stricter retry, then editor review)
+ * - Token budgets: throttled or paused jobs are delayed, not failed
  * - Dead letter queue for failed jobs
  */
 
-const { Queue, Worker } = require('bullmq');
+const { Queue, Worker, DelayedError } = require('bullmq');
 const redisLoadBalancer = require('../config/redisLoadBalancer');
-const { generateGroqCommentary, getFallbackCommentary } = require('../services/aiService');
+const { generateCommentaryWithMeta, getFallbackCommentary } = require('../services/aiService');
+const { validateCommentary } = require('../services/ai/commentaryValidator');
+const { requiresReview } = require('../config/moderationPolicies');
+const { THROTTLE_MAX_PRIORITY, THROTTLE_DELAY_MS } = require('../config/tokenBudgets');
+const tokenLedger = require('../services/llm/tokenLedger');
 const cacheService = require('../services/cache');
+const auditService = require('../services/auditService');
+const storyClusterService = require('../services/db/storyClusterService');
+const commentaryVersionService = require('../services/db/commentaryVersionService');
 
 // Skip BullMQ entirely when Redis is disabled OR on Vercel (serverless)
 const REDIS_DISABLED = process.env.REDIS_DISABLED === 'true';
@@ -73,21 +82,157 @@ if (!REDIS_DISABLED && connection) {
 // WORKER DEFINITION (Skip if Redis disabled)
 // ============================================================================
 
+/**
+ * When a job should run instead, given the commentary budget state
+ * - pause: once the exceeded budget resets
+ * - throttle: later, unless the job is high priority (user request / breaking news)
+ * @returns {Object|null} { state, until } or null to run now
+ */
+const budgetDeferral = (budget, priority) => {
+  if (budget.state === 'pause') {
+    return { state: 'pause', until: budget.resumeAt };
+  }
+  if (budget.state === 'throttle' && (priority || 5) > THROTTLE_MAX_PRIORITY) {
+    return { state: 'throttle', until: new Date(Date.now() + THROTTLE_DELAY_MS) };
+  }
+  return null;
+};
+
 let worker = null;
 
 if (!REDIS_DISABLED && connection) {
-  worker = new Worker('ai-commentary', async (job) => {
-    const { articleId, title, content, section, priority, article } = job.data;
+  worker = new Worker('ai-commentary', async (job, token) => {
+    const { articleId, title, content, section, priority, article, force, generator = 'worker' } = job.data;
+    const auditContext = auditService.workerContext('ai-commentary');
 
     console.log(`⚙️ Processing Job ${job.id} (Priority: ${priority || 'normal'}): "${title.substring(0, 50)}..."`);
 
     try {
       const commentaryCacheKey = `commentary:${articleId}`;
 
-      const commentary = await cacheService.getOrSet(commentaryCacheKey, async () => {
+      // Model/usage metadata for the version record (stays null on a cache hit)
+      let generation = null;
+      // Set when a token budget holds the job back
+      let deferral = null;
+
+      // Validate the output; one retry with a stricter prompt that lists what was wrong
+      const generateWithQualityGate = async () => {
+        const source = { title, abstract: content || '' };
+        const options = { assignmentKey: article?.url || articleId };
+
+        let result = await generateCommentaryWithMeta(title, content || '', section || 'news', options);
+        let quality = validateCommentary(result.text, source);
+        if (quality.passed) return { ...result, quality: { ...quality, attempts: 1 } };
+
+        console.log(`🚫 Commentary for ${articleId} failed quality gate (${quality.failures.map(f => f.check).join(', ')}) - retrying with stricter prompt`);
+        const first = result;
+        result = await generateCommentaryWithMeta(title, content || '', section || 'news', {
+          ...options,
+          corrections: quality.failures.map(failure => failure.message)
+        });
+        quality = validateCommentary(result.text, source);
+
+        return {
+          ...result,
+          // Both calls count towards the cost of this version
+          usage: {
+            promptTokens: first.usage.promptTokens + result.usage.promptTokens,
+            completionTokens: first.usage.completionTokens + result.usage.completionTokens,
+            totalTokens: first.usage.totalTokens + result.usage.totalTokens
+          },
+          latencyMs: first.latencyMs + result.latencyMs,
+          quality: { ...quality, attempts: 2 }
+        };
+      };
+
+      const produceCommentary = async () => {
+        // Another outlet's version of this story may already have commentary (not for forced regeneration)
+        const shared = force ? null : await storyClusterService.findSharedCommentary(article || { _id: articleId, title, abstract: content });
+        if (shared) {
+          console.log(`🧩 Reusing cluster commentary from ${shared.articleId} for article ${articleId}`);
+          generation = { source: 'cluster' };
+          return shared.commentary;
+        }
+
+        deferral = budgetDeferral(await tokenLedger.checkBudget({ task: 'commentary', section }), priority);
+        if (deferral) return null;
+
         console.log(`🤖 Generating AI commentary for article ${articleId}...`);
-        return await generateGroqCommentary(title, content || '', section || 'news');
-      }, 'commentary');
+        generation = { ...(await generateWithQualityGate()), source: 'ai' };
+
+        // Output that failed the gate is never cached
+        return generation.quality.passed ? generation.text : null;
+      };
+
+      // Review-only sections never cache unapproved text
+      const commentary = force || requiresReview(section)
+        ? await produceCommentary()
+        : await cacheService.getOrSet(commentaryCacheKey, produceCommentary, 'commentary');
+
+      if (deferral) {
+        console.log(`💸 Commentary budget ${deferral.state} for ${section} - job ${job.id} delayed until ${deferral.until.toISOString()}`);
+        await job.moveToDelayed(deferral.until.getTime(), token);
+        throw new DelayedError();
+      }
+
+      // Failed twice: hold it for an editor (GET /api/admin/commentary-review) instead of publishing
+      if (generation?.quality && !generation.quality.passed) {
+        const failures = generation.quality.failures.map(f => f.message).join('; ');
+        console.log(`📝 Commentary for ${articleId} sent to review: ${failures}`);
+
+        if (!articleId.startsWith('temp-')) {
+          try {
+            await commentaryVersionService.recordVersion(articleId, { ...generation, generator }, { context: auditContext });
+
+            // Readers get the fallback meanwhile (never replaces existing real commentary)
+            await commentaryVersionService.recordVersion(articleId, {
+              text: getFallbackCommentary({ title, section }),
+              source: 'fallback',
+              generator
+            }, { context: auditContext });
+          } catch (dbError) {
+            console.log(`⚠️ Database review update skipped for ${articleId}:`, dbError.message);
+          }
+        }
+
+        return {
+          success: false,
+          articleId,
+          source: 'review',
+          qualityFailures: generation.quality.failures
+        };
+      }
+
+      // Store as a new version - it only becomes active when the article isn't pinned
+      // and the section's moderation policy doesn't require review
+      let activated = true;
+      if (!articleId.startsWith('temp-')) {
+        try {
+          const recorded = await commentaryVersionService.recordVersion(articleId, {
+            ...generation,
+            text: commentary,
+            source: generation ? generation.source : 'cache',
+            generator
+          }, { context: auditContext });
+
+          if (recorded && !recorded.activated) {
+            activated = false;
+            await commentaryVersionService.invalidateCache(articleId);
+          }
+        } catch (dbError) {
+          console.log(`⚠️ Database update skipped for ${articleId}:`, dbError.message);
+        }
+      }
+
+      if (!activated) {
+        return {
+          success: true,
+          articleId,
+          commentary: commentary.substring(0, 100) + '...',
+          source: generation ? generation.source : 'cache',
+          activated: false
+        };
+      }
 
       const fullArticle = article ? {
         _id: article._id || articleId,
@@ -121,18 +266,6 @@ if (!REDIS_DISABLED && connection) {
       await cacheService.set(articleCacheKey, JSON.stringify(fullArticle), 1800);
       console.log(`💾 Cached full article: ${articleCacheKey} (TTL: 1800s)`);
 
-      if (!articleId.startsWith('temp-')) {
-        const { updateArticleById } = require('../services/db/articleService');
-        try {
-          await updateArticleById(articleId, {
-            aiCommentary: commentary,
-            commentaryGeneratedAt: new Date()
-          });
-        } catch (dbError) {
-          console.log(`⚠️ Database update skipped for ${articleId}:`, dbError.message);
-        }
-      }
-
       console.log(`✅ Commentary saved for article ${articleId}`);
 
       return {
@@ -144,6 +277,8 @@ if (!REDIS_DISABLED && connection) {
       };
 
     } catch (error) {
+      if (error instanceof DelayedError) throw error;
+
       console.error(`❌ Job ${job.id} Error:`, error.message);
 
       if (error.message.includes('RATE_LIMIT')) {
@@ -155,20 +290,24 @@ if (!REDIS_DISABLED && connection) {
 
         const fallback = getFallbackCommentary({ title, section });
 
+        // Never replaces real commentary (see commentaryVersionService.recordVersion)
+        let activated = true;
         if (!articleId.startsWith('temp-')) {
-          const { updateArticleById } = require('../services/db/articleService');
           try {
-            await updateArticleById(articleId, {
-              aiCommentary: fallback,
-              commentaryGeneratedAt: new Date(),
-              commentarySource: 'fallback'
-            });
+            const recorded = await commentaryVersionService.recordVersion(articleId, {
+              text: fallback,
+              source: 'fallback',
+              generator
+            }, { context: auditContext });
+            activated = !recorded || recorded.activated;
           } catch (dbError) {
             console.log(`⚠️ Database fallback update skipped for ${articleId}`);
           }
         }
 
-        await cacheService.set(`commentary:${articleId}`, fallback, 'commentary');
+        if (activated) {
+          await cacheService.set(`commentary:${articleId}`, fallback, 'commentary');
+        }
 
         return {
           success: false,
@@ -226,10 +365,13 @@ if (!REDIS_DISABLED && connection) {
 /**
  * Add single article to commentary generation queue
  * @param {Object} article - Article object with _id (or id), title, content, section
- * @param {Object} options - Job options (priority, delay, etc.)
+ * @param {Object} options - Job options (priority, delay, etc.) plus
+ *   force (regenerate even if commentary exists) and generator (worker | script | manual)
  * @returns {Promise<Job>} BullMQ Job object
  */
 const addToQueue = async (article, options = {}) => {
+  const { force = false, generator = 'worker', ...jobOptions } = options;
+
   // Skip if Redis/BullMQ disabled
   if (REDIS_DISABLED || !commentaryQueue) {
     console.log('⏭️ Queue disabled, skipping article:', article.title?.substring(0, 40));
@@ -243,17 +385,26 @@ const addToQueue = async (article, options = {}) => {
     return null;
   }
 
+  if (force) {
+    return enqueue(article, articleId, jobOptions, { force, generator });
+  }
+
   // Check if already in database
   const Article = require('../models/article');
   let existing;
 
   try {
-    existing = await Article.findById(articleId).select('aiCommentary');
+    existing = await Article.findById(articleId).select('aiCommentary commentaryPendingReview');
 
     if (existing && existing.aiCommentary) {
       console.log(`⚡ Article ${articleId} already has commentary, skipping queue`);
       return null;
     }
+
+    if (existing && existing.commentaryPendingReview) {
+      console.log(`📝 Article ${articleId} has commentary waiting for review, skipping queue`);
+      return null;
+    }
   } catch (err) {
     console.log(`📝 Article ${articleId} not in DB yet, will generate commentary`);
   }
@@ -265,16 +416,39 @@ const addToQueue = async (article, options = {}) => {
   if (cached) {
     console.log(`⚡ Commentary found in cache for article ${articleId}, skipping queue`);
     if (existing && !existing.aiCommentary) {
-      const { updateArticleById } = require('../services/db/articleService');
-      await updateArticleById(articleId, { aiCommentary: cached });
+      await commentaryVersionService.recordVersion(articleId, { text: cached, source: 'cache', generator },
+        { context: auditService.workerContext('commentary-queue') });
     }
     return null;
   }
 
-  const priority = options.priority || calculatePriority(article);
+  // Commentary is generated once per story cluster - copy it from a sibling instead of queuing
+  const shared = await storyClusterService.findSharedCommentary(article);
+  if (shared) {
+    console.log(`🧩 Cluster commentary found for article ${articleId}, skipping queue`);
+    if (existing) {
+      await commentaryVersionService.recordVersion(articleId, { text: shared.commentary, source: 'cluster', generator },
+        { context: auditService.workerContext('commentary-queue') });
+    } else {
+      await cacheService.set(cacheKey, shared.commentary, 'commentary');
+    }
+    return null;
+  }
+
+  return enqueue(article, articleId, jobOptions, { force, generator });
+};
+
+/**
+ * Add the generation job to BullMQ
+ */
+const enqueue = async (article, articleId, jobOptions, { force, generator }) => {
+  const priority = jobOptions.priority || calculatePriority(article);
 
-  // Use articleId as jobId for idempotency - prevents duplicate jobs for same article
-  const jobId = `commentary-${articleId.toString()}`;
+  // Use articleId as jobId for idempotency - prevents duplicate jobs for same article.
+  // Forced regenerations get their own id so they are not swallowed by the original job.
+  const jobId = force
+    ? `commentary-${articleId.toString()}-regen-${Date.now()}`
+    : `commentary-${articleId.toString()}`;
 
   const job = await commentaryQueue.add('generate-commentary', {
     articleId: articleId.toString(),
@@ -282,12 +456,14 @@ const addToQueue = async (article, options = {}) => {
     content: article.content || article.abstract || article.summary || '',
     section: article.section || article.category || 'news',
     priority,
-    article: article
+    article: article,
+    force,
+    generator
   }, {
     jobId,  // Idempotency key - BullMQ ignores duplicate jobIds
     priority,
-    delay: options.delay || 0,
-    ...options
+    delay: jobOptions.delay || 0,
+    ...jobOptions
   });
 
   console.log(`📝 Added article "${article.title.substring(0, 40)}..." to queue (Job ID: ${jobId}, Priority: ${priority})`);
@@ -1,36 +1,32 @@
 /**
  * Section Rotation Worker
  * 
- * Fetches articles from NYT, generates commentary, saves complete articles to DB
+ * Fetches articles from the configured news providers, generates commentary, saves complete articles to DB
  * Rotates through sections every 5 minutes: processes 3 articles per section
  */
 
 const articleFetcherService = require('../services/db/articleFetcherService');
 const sectionArticleService = require('../services/db/sectionArticleService');
+const providerRegistry = require('../services/providers');
+const feedIngestionService = require('../services/rss/feedIngestionService');
+const storyClusterService = require('../services/db/storyClusterService');
+const entityService = require('../services/entities/entityService');
 
 class SectionRotationWorker {
   constructor() {
-    // 9 sections: 6 from NYT, 3 from newsdata.io
+    // Sections and their provider order come from config/newsSources.js
     // Homepage will display 2 articles from each section
-    this.sections = [
-      'world',        // 1 - NYT
-      'us',           // 2 - NYT
-      'politics',     // 3 - NYT
-      'business',     // 4 - NYT
-      'technology',   // 5 - NYT
-      'health',       // 6 - NYT
-      'sports',       // 7 - newsdata.io (moved from NYT)
-      'entertainment',// 8 - newsdata.io
-      'finance'       // 9 - newsdata.io
-    ];
+    this.sections = providerRegistry.getSections();
     
     this.currentSectionIndex = 0;
     this.isRunning = false;
     this.intervalId = null;
     
     console.log(`🔄 Section Rotation Worker initialized with ${this.sections.length} sections`);
-    console.log(`   NYT API: world, us, politics, business, technology, health (6 sections)`);
-    console.log(`   newsdata.io API: sports, entertainment, finance (3 sections, 5 API keys)`);
+    this.sections.forEach(section => {
+      const providers = providerRegistry.getProvidersForSection(section).map(p => p.name);
+      console.log(`   ${section}: ${providers.join(' → ') || 'no providers'}`);
+    });
     console.log(`   Homepage: displays 2 articles from each section`);
   }
 
@@ -74,7 +70,7 @@ class SectionRotationWorker {
 
   /**
    * Process the next section in rotation
-   * Fetches from NYT → Generates commentary → Saves complete articles
+   * Fetches from providers (with failover) → Generates commentary → Saves complete articles
    */
   async processNextSection() {
     const section = this.sections[this.currentSectionIndex];
@@ -83,7 +79,7 @@ class SectionRotationWorker {
     try {
       console.log(`\n🔄 ${rotationProgress} Processing section: ${section.toUpperCase()}`);
 
-      // Fetch from API (NYT or newsdata.io), generate commentary, save complete article
+      // Fetch from the section's providers, generate commentary, save complete article
       const processedCount = await articleFetcherService.fetchAndProcessSection(
         section,
         1 // Process 1 article per rotation (9 minutes)
@@ -111,6 +107,10 @@ class SectionRotationWorker {
       console.error(`❌ Error processing section ${section}:`, error.message);
     }
 
+    await this.pollFeeds();
+    await this.clusterStories();
+    await this.extractEntities();
+
     // Move to next section
     this.currentSectionIndex = (this.currentSectionIndex + 1) % this.sections.length;
     
@@ -131,6 +131,43 @@ class SectionRotationWorker {
     }
   }
 
+  /**
+   * Poll RSS/Atom feeds that are due (any section) and queue new articles for commentary
+   */
+  async pollFeeds() {
+    try {
+      const results = await feedIngestionService.pollDueFeeds({ queueCommentary: true });
+      const inserted = results.reduce((sum, r) => sum + r.inserted, 0);
+      if (results.length > 0) {
+        console.log(`📡 Polled ${results.length} feed(s), ${inserted} new article(s) queued for commentary`);
+      }
+    } catch (error) {
+      console.error('❌ Feed polling failed:', error.message);
+    }
+  }
+
+  /**
+   * Fingerprint and cluster recent articles saved outside the fetcher/feed paths
+   */
+  async clusterStories() {
+    try {
+      await storyClusterService.clusterUnassigned();
+    } catch (error) {
+      console.error('❌ Story clustering failed:', error.message);
+    }
+  }
+
+  /**
+   * Backfill entities/facets for articles saved by other paths (queue worker, older data)
+   */
+  async extractEntities() {
+    try {
+      await entityService.processPending();
+    } catch (error) {
+      console.error('❌ Entity extraction failed:', error.message);
+    }
+  }
+
   /**
    * Get current status
    */
@@ -140,7 +177,8 @@ class SectionRotationWorker {
       currentSection: this.sections[this.currentSectionIndex],
       currentIndex: this.currentSectionIndex,
       totalSections: this.sections.length,
-      sections: this.sections
+      sections: this.sections,
+      providers: providerRegistry.getStatus()
     };
   }
 